@@ -0,0 +1,411 @@
+/**
+ * @fileoverview JavaScript class to parse BDF font file.
+ */
+
+
+const { isGzipped, readFileHead } = require('./file-head');
+const fs = require('fs');
+const zlib = require('zlib');
+
+
+/**
+ * Loads and parses BDF font file.
+ *
+ * https://www.adobe.com/content/dam/acom/en/devnet/font/pdfs/5005.BDF_Spec.pdf
+ * provides a detailed description for the BDF format.
+ *
+ * A BitmapFontParser, see pcf-parser.js.
+ */
+class BdfParser {
+    /**
+     * @param {string} bdfFile The path to the BDF file to be loaded. The
+     *     file may be gzip-compressed, e.g., a .bdf.gz file.
+     */
+    constructor(bdfFile) {
+        /** {string} */
+        this.bdfFile = bdfFile;
+
+        /**
+         * The bdf object parsed from the file.
+         * @type {Object}
+         */
+        this.bdf = null;
+    }
+
+    /**
+     * If the file content looks like a BDF file. Only the head of the
+     * file is read, and inflated if gzip-compressed, whatever its name.
+     * @param {string} file The path to the file.
+     * @return {boolean}
+     */
+    static isBdfFile(file) {
+        const head = readFileHead(file);
+        // Still gzipped if the head does not inflate.
+        return !isGzipped(head) &&
+            BdfParser.decodeText(head).startsWith('STARTFONT');
+    }
+
+    /**
+     * Decodes the file contents to text, inflated if gzip-compressed, and
+     * without the leading byte order mark and white space.
+     * @param {Buffer} buffer The file contents.
+     * @return {string}
+     */
+    static decodeText(buffer) {
+        if (isGzipped(buffer)) {
+            buffer = zlib.gunzipSync(buffer);
+        }
+        // The UTF-8 BOM, as read in Latin-1.
+        return buffer.toString('latin1').replace(/^(\xEF\xBB\xBF)?\s*/, '');
+    }
+
+    /**
+     * Decodes a hex row of a glyph bitmap, padded or truncated to the
+     * bytes of the glyph width.
+     * @param {string} row The hex digits of the row.
+     * @param {number} bytesPerRow The bytes of a row.
+     * @param {number} lineNumber The line number of the row, for the error
+     *     message.
+     * @return {Buffer}
+     */
+    static decodeBitmapRow(row, bytesPerRow, lineNumber) {
+        if (!/^[0-9A-Fa-f]*$/.test(row)) {
+            throw new Error('Invalid BITMAP row at line ' + lineNumber +
+                            ': ' + row);
+        }
+        const digits = row.padEnd(bytesPerRow * 2, '0')
+              .slice(0, bytesPerRow * 2);
+        return Buffer.from(digits, 'hex');
+    }
+
+    /**
+     * Parses the BDF file.
+     * @return {Object} The parsed object.
+     */
+    parse() {
+        console.log('Reading ' + this.bdfFile + '...');
+        const rawBuffer = fs.readFileSync(this.bdfFile);
+        console.log('Read ' + rawBuffer.length + ' bytes in total.');
+
+        console.log('Parsing BDF format...');
+        const lines = BdfParser.decodeText(rawBuffer).split(/\r?\n/);
+        if (!lines[0].startsWith('STARTFONT')) {
+            throw new Error('Not a valid BDF file.');
+        }
+
+        this.bdf = {
+            size: null,
+            boundingBox: null,
+            deviceWidth: null,
+            properties: {},
+            glyphs: [],
+            codeToIndex: new Map()
+        };
+
+        var glyph = null;
+        var bitmapRows = null;
+        for (let lineNumber = 1; lineNumber < lines.length; lineNumber++) {
+            const line = lines[lineNumber].trim();
+            if (line == '' || line.startsWith('COMMENT')) {
+                continue;
+            }
+            if (bitmapRows != null) {
+                if (line == 'ENDCHAR') {
+                    glyph.bitmap = Buffer.concat(bitmapRows);
+                    this.addGlyph(glyph);
+                    glyph = null;
+                    bitmapRows = null;
+                } else {
+                    const bytesPerRow = Math.ceil(glyph.boundingBox[0] / 8);
+                    bitmapRows.push(BdfParser.decodeBitmapRow(
+                        line, bytesPerRow, lineNumber + 1));
+                }
+                continue;
+            }
+
+            const [keyword, ...values] = line.split(/\s+/);
+            switch (keyword) {
+            case 'FONT':
+                // The font name, which bdftopcf keeps as a property.
+                this.bdf.properties.FONT = line.slice('FONT'.length).trim();
+                break;
+            case 'SIZE':
+                this.bdf.size = values.map(Number);
+                break;
+            case 'FONTBOUNDINGBOX':
+                this.bdf.boundingBox = values.map(Number);
+                break;
+            case 'DWIDTH':
+                if (glyph) {
+                    glyph.deviceWidth = Number(values[0]);
+                } else {
+                    this.bdf.deviceWidth = Number(values[0]);
+                }
+                break;
+            case 'STARTPROPERTIES':
+                lineNumber = this.parseProperties(lines, lineNumber + 1);
+                break;
+            case 'STARTCHAR':
+                glyph = {
+                    name: line.slice('STARTCHAR'.length).trim(),
+                    code: -1,
+                    deviceWidth: this.bdf.deviceWidth,
+                    boundingBox: this.bdf.boundingBox
+                };
+                break;
+            case 'ENCODING':
+                glyph.code = Number(values[0]);
+                break;
+            case 'BBX':
+                glyph.boundingBox = values.map(Number);
+                break;
+            case 'BITMAP':
+                bitmapRows = [];
+                break;
+            }
+        }
+
+        this.fillMissingProperties();
+        console.log('Parsed ' + this.bdf.glyphs.length + ' glyphs in total.');
+        return this.bdf;
+    }
+
+    /**
+     * Parses the lines between STARTPROPERTIES and ENDPROPERTIES.
+     * @param {Array<string>} lines All the lines of the file.
+     * @param {number} start The index of the first property line.
+     * @return {number} The index of the ENDPROPERTIES line.
+     */
+    parseProperties(lines, start) {
+        var lineNumber = start;
+        for (; lineNumber < lines.length; lineNumber++) {
+            const line = lines[lineNumber].trim();
+            if (line == 'ENDPROPERTIES') {
+                break;
+            }
+            const match = /^(\S+)\s+(.*)$/.exec(line);
+            if (!match) {
+                continue;
+            }
+            const [, name, value] = match;
+            if (value.startsWith('"')) {
+                // Strings are quoted, with "" standing for a quote.
+                this.bdf.properties[name] =
+                    value.slice(1, value.lastIndexOf('"')).replace(/""/g, '"');
+            } else {
+                this.bdf.properties[name] = Number(value);
+            }
+        }
+        return lineNumber;
+    }
+
+    /**
+     * Derives the metric properties that the file does not define from
+     * the SIZE and FONTBOUNDINGBOX lines, like bdftopcf does.
+     */
+    fillMissingProperties() {
+        const properties = this.bdf.properties;
+        if (this.bdf.size) {
+            const [pointSize, , resolutionY] = this.bdf.size;
+            if (properties.POINT_SIZE == undefined) {
+                properties.POINT_SIZE = pointSize * 10;
+            }
+            if (properties.RESOLUTION_Y == undefined) {
+                properties.RESOLUTION_Y = resolutionY;
+            }
+        }
+        if (this.bdf.boundingBox) {
+            const [, height, , yOffset] = this.bdf.boundingBox;
+            if (properties.FONT_ASCENT == undefined) {
+                properties.FONT_ASCENT = height + yOffset;
+            }
+            if (properties.FONT_DESCENT == undefined) {
+                properties.FONT_DESCENT = -yOffset;
+            }
+        }
+    }
+
+    /**
+     * Converts a parsed glyph to the PCF-style metrics and stores it.
+     * @param {Object} glyph The parsed glyph.
+     */
+    addGlyph(glyph) {
+        const [width, height, xOffset, yOffset] = glyph.boundingBox;
+        glyph.metrics = {
+            leftSidedBearing: xOffset,
+            rightSideBearing: xOffset + width,
+            characterWidth: glyph.deviceWidth != null ?
+                glyph.deviceWidth : width,
+            characterAscent: height + yOffset,
+            characterDescent: -yOffset,
+            characterAttributes: 0
+        };
+        const glyphIndex = this.bdf.glyphs.length;
+        this.bdf.glyphs.push(glyph);
+        if (glyph.code >= 0 && !this.bdf.codeToIndex.has(glyph.code)) {
+            this.bdf.codeToIndex.set(glyph.code, glyphIndex);
+        }
+    }
+
+    /**
+     * Returns the value of a font property, e.g., FONT_ASCENT or
+     * FAMILY_NAME.
+     * @param {string} name The property name.
+     * @return {number|string|undefined} The property value, or undefined
+     *     if the font does not define the property.
+     */
+    getProperty(name) {
+        if (this.bdf == null) {
+            throw new Error('The BDF has not been parsed yet.');
+        }
+        return this.bdf.properties[name];
+    }
+
+    /**
+     * Returns all the font properties.
+     * @return {Object} Property names mapped to numbers or strings.
+     */
+    getProperties() {
+        if (this.bdf == null) {
+            throw new Error('The BDF has not been parsed yet.');
+        }
+        return this.bdf.properties;
+    }
+
+    /**
+     * Given a glyph's encoding, returns its glyph index without falling
+     * back to the default char.
+     * @param {number} glyphCode The encoding value of the glyph.
+     * @return {number} The glyph index, or -1 if no glyph is encoded.
+     */
+    lookupGlyphIndex(glyphCode) {
+        if (this.bdf == null) {
+            throw new Error('The BDF has not been parsed yet.');
+        }
+        const glyphIndex = this.bdf.codeToIndex.get(glyphCode);
+        return glyphIndex == undefined ? -1 : glyphIndex;
+    }
+
+    /**
+     * Given a glyph's encoding, returns its glyph index. If the font has
+     * no glyph for the encoding, the glyph of the DEFAULT_CHAR property
+     * is returned instead.
+     * @param {number} glyphCode The encoding value of the glyph.
+     * @return {number} The glyph index, or -1 if neither the glyph nor
+     *     the default char is encoded.
+     */
+    getGlyphIndex(glyphCode) {
+        const glyphIndex = this.lookupGlyphIndex(glyphCode);
+        if (glyphIndex >= 0) {
+            return glyphIndex;
+        }
+        const defaultChar = this.bdf.properties.DEFAULT_CHAR;
+        return defaultChar == undefined ?
+            -1 : this.lookupGlyphIndex(defaultChar);
+    }
+
+    /**
+     * Returns the encoding of the default char, the DEFAULT_CHAR
+     * property, which stands in for the glyphs missing from the font.
+     * @return {number|undefined} Undefined if the property is not set,
+     *     or the font has no glyph for it.
+     */
+    getDefaultChar() {
+        const defaultChar = this.bdf.properties.DEFAULT_CHAR;
+        return defaultChar != undefined && this.hasGlyph(defaultChar) ?
+            defaultChar : undefined;
+    }
+
+    /**
+     * If the font has a glyph for the specified encoding, not counting
+     * the default char.
+     * @param {number} glyphCode The encoding value of the glyph.
+     * @return {boolean}
+     */
+    hasGlyph(glyphCode) {
+        return this.lookupGlyphIndex(glyphCode) >= 0;
+    }
+
+    /**
+     * Iterates over all the encoded glyphs, in the order of their
+     * encoding values.
+     * @return {Iterator<Array<number>>} Yields [glyphCode, glyphIndex]
+     *     pairs.
+     */
+    *glyphEntries() {
+        if (this.bdf == null) {
+            throw new Error('The BDF has not been parsed yet.');
+        }
+        const codes = Array.from(this.bdf.codeToIndex.keys())
+              .sort((a, b) => a - b);
+        for (const glyphCode of codes) {
+            yield [glyphCode, this.bdf.codeToIndex.get(glyphCode)];
+        }
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns its glyph name.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {string|undefined} Undefined if there is no such glyph.
+     */
+    getGlyphName(glyphCode) {
+        const glyphIndex = this.getGlyphIndex(glyphCode);
+        return glyphIndex < 0 ? undefined : this.bdf.glyphs[glyphIndex].name;
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns its metrics, in the same
+     * shape as PcfParser returns.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {Object|undefined} Undefined if there is no such glyph.
+     */
+    getGlyphMetrics(glyphCode) {
+        const glyphIndex = this.getGlyphIndex(glyphCode);
+        return glyphIndex < 0 ?
+            undefined : this.bdf.glyphs[glyphIndex].metrics;
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns the byte buffer of its
+     * bitmap. Rows are padded to bytes, most significant bit first.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {Buffer|undefined} Undefined if there is no such glyph.
+     */
+    getGlyphBitmap(glyphCode) {
+        const glyphIndex = this.getGlyphIndex(glyphCode);
+        return glyphIndex < 0 ?
+            undefined : this.bdf.glyphs[glyphIndex].bitmap;
+    }
+
+    /**
+     * Given a glyph's Unicode value, decodes its bitmap to a pixel grid
+     * that covers the glyph's bounding box.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {Array<Array<boolean>>|undefined} The rows of pixels from
+     *     top to bottom, true for the black pixels. Undefined if there
+     *     is no such glyph.
+     */
+    getGlyphPixels(glyphCode) {
+        const glyphIndex = this.getGlyphIndex(glyphCode);
+        if (glyphIndex < 0) {
+            return undefined;
+        }
+        const glyph = this.bdf.glyphs[glyphIndex];
+        const [width, height] = glyph.boundingBox;
+        const bytesPerRow = Math.ceil(width / 8);
+
+        var pixels = [];
+        for (let y = 0; y < height; y++) {
+            let row = [];
+            for (let x = 0; x < width; x++) {
+                const byte = glyph.bitmap[y * bytesPerRow + (x >> 3)] || 0;
+                row.push((byte >> (7 - (x & 7)) & 1) == 1);
+            }
+            pixels.push(row);
+        }
+        return pixels;
+    }
+};
+
+
+module.exports.BdfParser = BdfParser;
@@ -0,0 +1,666 @@
+/**
+ * @fileoverview Writes the glyphs of the input font back to a bitmap font,
+ * in BDF or PCF format, e.g., a subset of the input font merged with its
+ * fallbacks and patched by the overrides, for X11, terminals and
+ * embedded devices. The files hold what BdfParser and PcfParser read, so
+ * that a written font parses to the same glyphs: the metrics, the
+ * encodings, the glyph names, the bitmaps and the properties.
+ */
+
+
+const { ByteWriter } = require('./font-writer');
+const { defaultGlyphName, formatCodePoint } = require('./code-points');
+const {
+    createParser,
+    getFamilyName,
+    getFontMetrics
+} = require('./font-converter');
+const { parseSubset } = require('./glyph-subsets');
+const zlib = require('zlib');
+
+
+/**
+ * The bitmap font formats.
+ * @type {Array<string>}
+ */
+const BITMAP_FORMATS = ['bdf', 'pcf'];
+
+
+/**
+ * The PCF table types, which are also the order of the tables in the
+ * file, as the X server reads them.
+ * @type {Object<string, number>}
+ */
+const PCF_TABLE_TYPES = {
+    PCF_PROPERTIES: 1 << 0,
+    PCF_ACCELERATORS: 1 << 1,
+    PCF_METRICS: 1 << 2,
+    PCF_BITMAPS: 1 << 3,
+    PCF_BDF_ENCODINGS: 1 << 5,
+    PCF_GLYPH_NAMES: 1 << 7,
+    PCF_BDF_ACCELERATORS: 1 << 8
+};
+
+
+/**
+ * The format of the PCF tables: big endian, most significant bit first,
+ * rows padded to 4 bytes and scanned byte by byte, as bdftopcf writes by
+ * default.
+ * @type {number}
+ */
+const PCF_FORMAT = 1 << 2 | 1 << 3 | 2;
+
+
+/**
+ * The flag of the PCF metrics table format for the compressed metrics.
+ * @type {number}
+ */
+const PCF_COMPRESSED_METRICS = 0x100;
+
+
+/**
+ * The PCF encoding of the glyph index that means there is no glyph.
+ * @type {number}
+ */
+const NO_GLYPH_INDEX = 0xFFFF;
+
+
+/**
+ * The glyph metrics, in the order of the PCF metrics.
+ * @type {Array<string>}
+ */
+const METRIC_NAMES = [
+    'leftSidedBearing',
+    'rightSideBearing',
+    'characterWidth',
+    'characterAscent',
+    'characterDescent',
+    'characterAttributes'
+];
+
+
+/**
+ * The fields of an XLFD font name, with the defaults of the properties
+ * that the font does not define.
+ * @type {Array<Array<string|function(Object): (number|string)>>}
+ */
+const XLFD_FIELDS = [
+    ['FOUNDRY', () => ''],
+    ['FAMILY_NAME', () => ''],
+    ['WEIGHT_NAME', () => 'Medium'],
+    ['SLANT', () => 'R'],
+    ['SETWIDTH_NAME', () => 'Normal'],
+    ['ADD_STYLE_NAME', () => ''],
+    ['PIXEL_SIZE', () => 0],
+    ['POINT_SIZE', (properties) => Math.round(
+        properties.PIXEL_SIZE * 720 / (properties.RESOLUTION_Y || 75))],
+    ['RESOLUTION_X', (properties) => properties.RESOLUTION_Y || 75],
+    ['RESOLUTION_Y', (properties) => properties.RESOLUTION_X],
+    ['SPACING', () => 'P'],
+    ['AVERAGE_WIDTH', () => 0],
+    ['CHARSET_REGISTRY', () => 'ISO10646'],
+    ['CHARSET_ENCODING', () => '1']
+];
+
+
+/**
+ * Returns the bitmap format of an output file name, by its extension.
+ * The extension may be followed by .gz for a gzip-compressed file.
+ * @param {string} fileName The output file name.
+ * @return {string|undefined} One of BITMAP_FORMATS, or undefined if the
+ *     file is not a bitmap font.
+ */
+function bitmapFormatFromFileName(fileName) {
+    const match = /\.(\w+)(\.gz)?$/i.exec(fileName);
+    const extension = match ? match[1].toLowerCase() : '';
+    return BITMAP_FORMATS.includes(extension) ? extension : undefined;
+}
+
+
+/**
+ * Packs the pixels of a glyph into rows padded to bytes, most
+ * significant bit first.
+ * @param {Array<Array<boolean>>} pixels The rows of pixels.
+ * @param {number} width The width of the glyph's bounding box.
+ * @param {number} height The height of the glyph's bounding box.
+ * @return {Buffer}
+ */
+function packRows(pixels, width, height) {
+    const bytesPerRow = Math.ceil(width / 8);
+    var rows = Buffer.alloc(bytesPerRow * height);
+    for (let y = 0; y < height; y++) {
+        const row = pixels[y] || [];
+        for (let x = 0; x < width; x++) {
+            if (row[x]) {
+                rows[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+            }
+        }
+    }
+    return rows;
+}
+
+
+/**
+ * Collects the glyphs and the properties of the bitmap font to be
+ * written. The metrics and the family name follow the conversion
+ * options, as they do for the OpenType fonts.
+ * @param {BitmapFontParser} parser The parser that has loaded the input
+ *     font, see loadInputFont() in font-converter.js.
+ * @param {Object} options The conversion options, see convertFont() in
+ *     font-converter.js. The subset, the pixel size, the ascent, the
+ *     descent, and the family name and the copyright of the metadata
+ *     apply.
+ * @return {Object} The properties, the default char and the glyphs, each
+ *     with its code point, name, metrics and bitmap.
+ */
+function collectBitmapFont(parser, options) {
+    const isAcceptedGlyph = typeof options.subset == 'function' ?
+          options.subset : parseSubset(options.subset || 'all');
+    const metadata = options.metadata || {};
+    const fontMetrics = getFontMetrics(parser, options);
+
+    var glyphs = [];
+    for (const [code] of parser.glyphEntries()) {
+        if (!isAcceptedGlyph(code)) {
+            continue;
+        }
+        const metrics = parser.getGlyphMetrics(code);
+        const width = Math.max(
+            0, metrics.rightSideBearing - metrics.leftSidedBearing);
+        const height = Math.max(
+            0, metrics.characterAscent + metrics.characterDescent);
+        glyphs.push({
+            code: code,
+            name: parser.getGlyphName(code) || defaultGlyphName(code),
+            metrics: metrics,
+            width: width,
+            height: height,
+            bitmap: packRows(parser.getGlyphPixels(code), width, height)
+        });
+    }
+    if (glyphs.length == 0) {
+        throw new Error('The subset has no glyphs of the input font.');
+    }
+
+    var properties = Object.assign({}, parser.getProperties(), {
+        FAMILY_NAME: getFamilyName(parser, metadata),
+        PIXEL_SIZE: fontMetrics.pixelHeight,
+        FONT_ASCENT: fontMetrics.ascent,
+        FONT_DESCENT: fontMetrics.descent,
+        AVERAGE_WIDTH: Math.round(
+            glyphs.reduce((sum, glyph) => sum +
+                          glyph.metrics.characterWidth, 0) /
+                glyphs.length * 10)
+    });
+    if (metadata.copyright) {
+        properties.COPYRIGHT = metadata.copyright;
+    }
+    for (const [name, defaultValue] of XLFD_FIELDS) {
+        if (properties[name] == undefined) {
+            properties[name] = defaultValue(properties);
+        }
+    }
+    properties.FONT = '-' + XLFD_FIELDS.map(
+        ([name]) => String(properties[name]).replace(/-/g, ' ')).join('-');
+
+    const defaultChar = parser.getDefaultChar();
+    if (defaultChar != undefined && isAcceptedGlyph(defaultChar)) {
+        properties.DEFAULT_CHAR = defaultChar;
+    } else {
+        delete properties.DEFAULT_CHAR;
+    }
+    return {
+        properties: properties,
+        defaultChar: properties.DEFAULT_CHAR,
+        glyphs: glyphs
+    };
+}
+
+
+/**
+ * Computes the bounds of the metrics of the glyphs.
+ * @param {Array<Object>} glyphs The glyphs from collectBitmapFont().
+ * @return {Array<Object>} The minimum and the maximum of each metric.
+ */
+function computeMetricsBounds(glyphs) {
+    var min = {};
+    var max = {};
+    for (const name of METRIC_NAMES) {
+        min[name] = Math.min(...glyphs.map((glyph) => glyph.metrics[name]));
+        max[name] = Math.max(...glyphs.map((glyph) => glyph.metrics[name]));
+    }
+    return [min, max];
+}
+
+
+/**
+ * Formats a property value for BDF. Strings are quoted, with "" standing
+ * for a quote.
+ * @param {number|string} value The property value.
+ * @return {string}
+ */
+function formatBdfValue(value) {
+    return typeof value == 'number' ?
+        String(Math.round(value)) : '"' + value.replace(/"/g, '""') + '"';
+}
+
+
+/**
+ * Writes a bitmap font in BDF format.
+ * @param {Object} font The font from collectBitmapFont().
+ * @return {Buffer} The file contents.
+ */
+function writeBdf(font) {
+    const properties = font.properties;
+    const glyphs = font.glyphs;
+    const [min, max] = computeMetricsBounds(glyphs);
+    // The scalable width is in thousandths of the point size.
+    const pointSize = properties.POINT_SIZE / 10;
+    const scale = pointSize > 0 && properties.RESOLUTION_X > 0 ?
+          72000 / (pointSize * properties.RESOLUTION_X) :
+          1000 / properties.PIXEL_SIZE;
+
+    var lines = [
+        'STARTFONT 2.1',
+        'FONT ' + properties.FONT,
+        'SIZE ' + Math.round(pointSize) + ' ' + properties.RESOLUTION_X +
+            ' ' + properties.RESOLUTION_Y,
+        'FONTBOUNDINGBOX ' +
+            (max.rightSideBearing - min.leftSidedBearing) + ' ' +
+            (max.characterAscent + max.characterDescent) + ' ' +
+            min.leftSidedBearing + ' ' + -max.characterDescent
+    ];
+    // The FONT line names the font; the property is not repeated.
+    const names = Object.keys(properties).filter((name) => name != 'FONT');
+    lines.push('STARTPROPERTIES ' + names.length);
+    for (const name of names) {
+        lines.push(name + ' ' + formatBdfValue(properties[name]));
+    }
+    lines.push('ENDPROPERTIES');
+    lines.push('CHARS ' + glyphs.length);
+    for (const glyph of glyphs) {
+        const metrics = glyph.metrics;
+        lines.push('STARTCHAR ' + glyph.name);
+        lines.push('ENCODING ' + glyph.code);
+        lines.push('SWIDTH ' + Math.round(metrics.characterWidth * scale) +
+                   ' 0');
+        lines.push('DWIDTH ' + metrics.characterWidth + ' 0');
+        lines.push('BBX ' + glyph.width + ' ' + glyph.height + ' ' +
+                   metrics.leftSidedBearing + ' ' +
+                   -metrics.characterDescent);
+        lines.push('BITMAP');
+        const bytesPerRow = Math.ceil(glyph.width / 8);
+        for (let y = 0; y < glyph.height; y++) {
+            lines.push(glyph.bitmap.toString(
+                'hex', y * bytesPerRow, (y + 1) * bytesPerRow).toUpperCase());
+        }
+        lines.push('ENDCHAR');
+    }
+    lines.push('ENDFONT');
+    return Buffer.from(lines.join('\n') + '\n', 'latin1');
+}
+
+
+/**
+ * Encodes a 32-bit value in little endian, as the PCF header and the
+ * first field of each table are.
+ * @param {number} value
+ * @return {Buffer}
+ */
+function uint32le(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value >>> 0);
+    return buffer;
+}
+
+
+/**
+ * Makes the PCF properties table.
+ * @param {Object} properties The font properties.
+ * @return {Buffer}
+ */
+function makePcfPropertiesTable(properties) {
+    var strings = [];
+    var stringSize = 0;
+    const addString = (string) => {
+        const offset = stringSize;
+        strings.push(Buffer.from(string + '\0', 'latin1'));
+        stringSize += strings[strings.length - 1].length;
+        return offset;
+    };
+    const names = Object.keys(properties);
+    var writer = new ByteWriter()
+        .bytes(uint32le(PCF_FORMAT))
+        .uint32(names.length);
+    for (const name of names) {
+        const value = properties[name];
+        const isString = typeof value == 'string';
+        writer.uint32(addString(name))
+            .uint8(isString ? 1 : 0)
+            .uint32(isString ? addString(value) : Math.round(value));
+    }
+    // The property array is padded to a 4-byte boundary.
+    if (names.length & 3) {
+        writer.bytes(Buffer.alloc(4 - (names.length & 3)));
+    }
+    return writer.uint32(stringSize).bytes(Buffer.concat(strings))
+        .toBuffer();
+}
+
+
+/**
+ * Writes the metrics of a glyph, uncompressed.
+ * @param {ByteWriter} writer The writer of the table.
+ * @param {Object} metrics The glyph metrics.
+ */
+function writePcfMetrics(writer, metrics) {
+    writer.int16(metrics.leftSidedBearing)
+        .int16(metrics.rightSideBearing)
+        .int16(metrics.characterWidth)
+        .int16(metrics.characterAscent)
+        .int16(metrics.characterDescent)
+        .uint16(metrics.characterAttributes);
+}
+
+
+/**
+ * Makes the PCF accelerators table, the summary of the metrics that the
+ * X server reads, for both PCF_ACCELERATORS and PCF_BDF_ACCELERATORS.
+ * @param {Object} font The font from collectBitmapFont().
+ * @return {Buffer}
+ */
+function makePcfAcceleratorsTable(font) {
+    const glyphs = font.glyphs;
+    const ascent = font.properties.FONT_ASCENT;
+    const descent = font.properties.FONT_DESCENT;
+    const [min, max] = computeMetricsBounds(glyphs);
+    const maxOverlap = Math.max(...glyphs.map(
+        (glyph) => glyph.metrics.rightSideBearing -
+            glyph.metrics.characterWidth));
+    const constantMetrics = METRIC_NAMES.every(
+        (name) => min[name] == max[name]);
+    const inkInside = min.leftSidedBearing >= 0 && maxOverlap <= 0 &&
+          max.characterAscent <= ascent && max.characterDescent <= descent;
+    var writer = new ByteWriter()
+        .bytes(uint32le(PCF_FORMAT))
+        .uint8(maxOverlap <= min.leftSidedBearing ? 1 : 0)
+        .uint8(constantMetrics ? 1 : 0)
+        .uint8(constantMetrics && inkInside &&
+               max.characterAscent == ascent &&
+               max.characterDescent == descent ? 1 : 0)
+        .uint8(min.characterWidth == max.characterWidth ? 1 : 0)
+        .uint8(inkInside ? 1 : 0)
+        .uint8(0)               // The ink metrics are the metrics.
+        .uint8(0)               // Left to right.
+        .uint8(0)               // Padding.
+        .uint32(ascent)
+        .uint32(descent)
+        .uint32(maxOverlap);
+    writePcfMetrics(writer, min);
+    writePcfMetrics(writer, max);
+    return writer.toBuffer();
+}
+
+
+/**
+ * Makes the PCF metrics table, compressed to bytes if all the metrics
+ * fit and no glyph has attributes.
+ * @param {Array<Object>} glyphs The glyphs from collectBitmapFont().
+ * @return {Buffer}
+ */
+function makePcfMetricsTable(glyphs) {
+    const [min, max] = computeMetricsBounds(glyphs);
+    const names = METRIC_NAMES.slice(0, 5);
+    const compressed = max.characterAttributes == 0 &&
+          names.every((name) => min[name] >= -0x80 && max[name] <= 0x7F);
+    var writer = new ByteWriter();
+    if (compressed) {
+        writer.bytes(uint32le(PCF_FORMAT | PCF_COMPRESSED_METRICS))
+            .uint16(glyphs.length);
+        for (const glyph of glyphs) {
+            for (const name of names) {
+                writer.uint8(glyph.metrics[name] + 0x80);
+            }
+        }
+    } else {
+        writer.bytes(uint32le(PCF_FORMAT)).uint32(glyphs.length);
+        for (const glyph of glyphs) {
+            writePcfMetrics(writer, glyph.metrics);
+        }
+    }
+    return writer.toBuffer();
+}
+
+
+/**
+ * Makes the PCF bitmaps table, with the rows padded as PCF_FORMAT says.
+ * @param {Array<Object>} glyphs The glyphs from collectBitmapFont().
+ * @return {Buffer}
+ */
+function makePcfBitmapsTable(glyphs) {
+    const padBytes = 1 << (PCF_FORMAT & 3);
+    // The size of the bitmaps with each of the 4 row paddings.
+    var sizes = [0, 0, 0, 0];
+    var bitmaps = [];
+    for (const glyph of glyphs) {
+        const bytesPerRow = Math.ceil(glyph.width / 8);
+        sizes = sizes.map((size, i) => size + glyph.height *
+                          Math.ceil(bytesPerRow / (1 << i)) * (1 << i));
+        const paddedRow = Math.ceil(bytesPerRow / padBytes) * padBytes;
+        var bitmap = Buffer.alloc(paddedRow * glyph.height);
+        for (let y = 0; y < glyph.height; y++) {
+            glyph.bitmap.copy(bitmap, y * paddedRow, y * bytesPerRow,
+                              (y + 1) * bytesPerRow);
+        }
+        bitmaps.push(bitmap);
+    }
+    var writer = new ByteWriter()
+        .bytes(uint32le(PCF_FORMAT))
+        .uint32(glyphs.length);
+    var offset = 0;
+    for (const bitmap of bitmaps) {
+        writer.uint32(offset);
+        offset += bitmap.length;
+    }
+    sizes.forEach((size) => writer.uint32(size));
+    return writer.bytes(Buffer.concat(bitmaps)).toBuffer();
+}
+
+
+/**
+ * Makes the PCF encodings table, which maps the byte1 and byte2 of each
+ * code point in the BMP to its glyph index.
+ * @param {Object} font The font from collectBitmapFont().
+ * @return {Buffer}
+ */
+function makePcfEncodingsTable(font) {
+    const codes = font.glyphs.map((glyph) => glyph.code);
+    const byte1s = codes.map((code) => code >> 8);
+    const byte2s = codes.map((code) => code & 0xFF);
+    const minByte1 = Math.min(...byte1s);
+    const maxByte1 = Math.max(...byte1s);
+    const minByte2 = Math.min(...byte2s);
+    const maxByte2 = Math.max(...byte2s);
+    const columns = maxByte2 - minByte2 + 1;
+    var indices = new Array(columns * (maxByte1 - minByte1 + 1))
+        .fill(NO_GLYPH_INDEX);
+    codes.forEach((code, glyphIndex) => {
+        indices[((code >> 8) - minByte1) * columns +
+                (code & 0xFF) - minByte2] = glyphIndex;
+    });
+    var writer = new ByteWriter()
+        .bytes(uint32le(PCF_FORMAT))
+        .uint16(minByte2)
+        .uint16(maxByte2)
+        .uint16(minByte1)
+        .uint16(maxByte1)
+        .uint16(font.defaultChar != undefined ?
+                font.defaultChar : NO_GLYPH_INDEX);
+    indices.forEach((index) => writer.uint16(index));
+    return writer.toBuffer();
+}
+
+
+/**
+ * Makes the PCF glyph names table.
+ * @param {Array<Object>} glyphs The glyphs from collectBitmapFont().
+ * @return {Buffer}
+ */
+function makePcfGlyphNamesTable(glyphs) {
+    const strings = glyphs.map(
+        (glyph) => Buffer.from(glyph.name + '\0', 'latin1'));
+    var writer = new ByteWriter()
+        .bytes(uint32le(PCF_FORMAT))
+        .uint32(glyphs.length);
+    var offset = 0;
+    for (const string of strings) {
+        writer.uint32(offset);
+        offset += string.length;
+    }
+    return writer.uint32(offset).bytes(Buffer.concat(strings)).toBuffer();
+}
+
+
+/**
+ * Lists the glyphs that a format cannot hold. PCF encodes the code points
+ * in two bytes, so it leaves out the glyphs beyond the BMP.
+ * @param {Object} font The font from collectBitmapFont().
+ * @param {string} format One of BITMAP_FORMATS.
+ * @return {Array<Object>} The glyphs that are left out.
+ */
+function listOmittedGlyphs(font, format) {
+    return format == 'pcf' ?
+        font.glyphs.filter((glyph) => glyph.code > 0xFFFF) : [];
+}
+
+
+/**
+ * Writes a bitmap font in PCF format, without the glyphs that
+ * listOmittedGlyphs() lists.
+ * @param {Object} font The font from collectBitmapFont().
+ * @return {Buffer} The file contents.
+ */
+function writePcf(font) {
+    const glyphs = font.glyphs.filter((glyph) => glyph.code <= 0xFFFF);
+    if (glyphs.length == 0) {
+        throw new Error('The PCF font has no glyphs in the BMP.');
+    }
+    font = Object.assign({}, font, {glyphs: glyphs});
+    const accelerators = makePcfAcceleratorsTable(font);
+    const tables = [
+        [PCF_TABLE_TYPES.PCF_PROPERTIES,
+         makePcfPropertiesTable(font.properties)],
+        [PCF_TABLE_TYPES.PCF_ACCELERATORS, accelerators],
+        [PCF_TABLE_TYPES.PCF_METRICS, makePcfMetricsTable(glyphs)],
+        [PCF_TABLE_TYPES.PCF_BITMAPS, makePcfBitmapsTable(glyphs)],
+        [PCF_TABLE_TYPES.PCF_BDF_ENCODINGS, makePcfEncodingsTable(font)],
+        [PCF_TABLE_TYPES.PCF_GLYPH_NAMES, makePcfGlyphNamesTable(glyphs)],
+        [PCF_TABLE_TYPES.PCF_BDF_ACCELERATORS, accelerators]
+    ];
+
+    var header = [Buffer.from('\u0001fcp', 'latin1'),
+                  uint32le(tables.length)];
+    var body = [];
+    var offset = 8 + 16 * tables.length;
+    for (const [type, table] of tables) {
+        header.push(uint32le(type), table.subarray(0, 4),
+                    uint32le(table.length), uint32le(offset));
+        // The tables start at 4-byte boundaries.
+        const padded = Buffer.alloc(Math.ceil(table.length / 4) * 4);
+        table.copy(padded);
+        body.push(padded);
+        offset += padded.length;
+    }
+    return Buffer.concat(header.concat(body));
+}
+
+
+/**
+ * Parses a written bitmap font again and compares it with the font it was
+ * written from: the properties, the default char, and the name, metrics
+ * and bitmap of each glyph.
+ * @param {string} fileName The path to the written BDF or PCF file.
+ * @param {Object} font The font from collectBitmapFont().
+ * @param {string} format One of BITMAP_FORMATS.
+ * @return {Array<Object>} The problems, in the shape of the ones of
+ *     validateFont() in font-validator.js.
+ */
+function checkBitmapRoundTrip(fileName, font, format) {
+    const parser = createParser(fileName);
+    parser.parse();
+    var problems = [];
+    const error = (message) => problems.push({
+        severity: 'error', check: 'round-trip', message: message
+    });
+    const properties = parser.getProperties();
+    for (const [name, value] of Object.entries(font.properties)) {
+        if (properties[name] !== value) {
+            error('Property ' + name + ' is ' +
+                  JSON.stringify(properties[name]) + ' instead of ' +
+                  JSON.stringify(value) + '.');
+        }
+    }
+    if (parser.getDefaultChar() !== font.defaultChar) {
+        error('The default char is ' + parser.getDefaultChar() +
+              ' instead of ' + font.defaultChar + '.');
+    }
+    const omitted = new Set(listOmittedGlyphs(font, format));
+    for (const glyph of font.glyphs) {
+        if (omitted.has(glyph)) {
+            continue;
+        }
+        const label = formatCodePoint(glyph.code);
+        if (!parser.hasGlyph(glyph.code)) {
+            error(label + ' is missing.');
+            continue;
+        }
+        if (parser.getGlyphName(glyph.code) != glyph.name) {
+            error(label + ' is named ' + parser.getGlyphName(glyph.code) +
+                  ' instead of ' + glyph.name + '.');
+        }
+        const metrics = parser.getGlyphMetrics(glyph.code);
+        const changed = METRIC_NAMES.filter(
+            (name) => metrics[name] != glyph.metrics[name]);
+        if (changed.length > 0) {
+            error(label + ' has different ' + changed.join(', ') + '.');
+        } else if (!packRows(parser.getGlyphPixels(glyph.code), glyph.width,
+                             glyph.height).equals(glyph.bitmap)) {
+            error(label + ' has a different bitmap.');
+        }
+    }
+    return problems;
+}
+
+
+/**
+ * Serializes a bitmap font in the specified format.
+ * @param {Object} font The font from collectBitmapFont().
+ * @param {string} format One of BITMAP_FORMATS.
+ * @param {boolean=} gzip If set, the file is gzip-compressed, e.g., for
+ *     a .pcf.gz file.
+ * @return {Buffer} The file contents.
+ */
+function writeBitmapFont(font, format, gzip) {
+    var buffer;
+    switch (format) {
+    case 'bdf':
+        buffer = writeBdf(font);
+        break;
+    case 'pcf':
+        buffer = writePcf(font);
+        break;
+    default:
+        throw new Error('Unknown bitmap font format: ' + format);
+    }
+    return gzip ? zlib.gzipSync(buffer, {level: 9}) : buffer;
+}
+
+
+module.exports.BITMAP_FORMATS = BITMAP_FORMATS;
+module.exports.bitmapFormatFromFileName = bitmapFormatFromFileName;
+module.exports.checkBitmapRoundTrip = checkBitmapRoundTrip;
+module.exports.collectBitmapFont = collectBitmapFont;
+module.exports.listOmittedGlyphs = listOmittedGlyphs;
+module.exports.writeBitmapFont = writeBitmapFont;
+module.exports.writeBdf = writeBdf;
+module.exports.writePcf = writePcf;
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+
+/**
+ * @fileoverview Generates the character lists of the list presets of
+ * glyph-subsets.js from the Unihan database, as the ucd-full package
+ * encodes it: the three levels of 通用规范汉字表 from the kTGH field and
+ * the Jōyō kanji from the kJoyoKanji field. See README.md.
+ */
+
+
+const fs = require('fs');
+const path = require('path');
+
+
+/**
+ * The last index of each level of 通用规范汉字表, whose characters are
+ * numbered from 1 to 8105 across the three levels.
+ * @type {Array<Array<string|number>>}
+ */
+const TONGYONG_LEVELS = [
+    ['tongyong1', 3500],
+    ['tongyong2', 6500],
+    ['tongyong3', 8105]
+];
+
+
+/**
+ * The kJoyoKanji value of the kanji of the list, the year of the current
+ * edition. The other values are the code points of the listed forms of
+ * compatibility ideographs, which are left out.
+ * @type {string}
+ */
+const JOYO_EDITION = '2010';
+
+
+/**
+ * Parses a Unihan code point, e.g., U+4E00.
+ * @param {string} codepoint The code point.
+ * @return {number}
+ */
+function parseCodePoint(codepoint) {
+    return parseInt(codepoint.slice(2), 16);
+}
+
+
+/**
+ * Builds the character lists from the Unihan mappings.
+ * @param {Array<Object>} mappings The entries of Unihan_OtherMappings,
+ *     each with its code point and fields.
+ * @return {Object<string, Array<number>>} The code points of each list,
+ *     keyed by preset name.
+ */
+function buildCharsets(mappings) {
+    var tongyong = [];
+    var joyo = [];
+    for (const entry of mappings) {
+        if (entry.kTGH) {
+            // e.g., 2013:0001, the edition and the index.
+            tongyong.push([parseInt(entry.kTGH.split(':')[1], 10),
+                           parseCodePoint(entry.codepoint)]);
+        }
+        if (entry.kJoyoKanji == JOYO_EDITION) {
+            joyo.push(parseCodePoint(entry.codepoint));
+        }
+    }
+    tongyong.sort((a, b) => a[0] - b[0]);
+    var charsets = {};
+    var first = 1;
+    for (const [name, last] of TONGYONG_LEVELS) {
+        charsets[name] = tongyong
+            .filter(([index]) => index >= first && index <= last)
+            .map(([, code]) => code);
+        first = last + 1;
+    }
+    charsets.joyo = joyo.sort((a, b) => a - b);
+    return charsets;
+}
+
+
+/**
+ * Writes the character lists to the directory of this script, one
+ * character per line.
+ */
+function main() {
+    const mappings = require('ucd-full/Unihan_OtherMappings.json')
+          .Unihan_OtherMappings;
+    const charsets = buildCharsets(mappings);
+    for (const [name, codes] of Object.entries(charsets)) {
+        const fileName = path.join(__dirname, name + '.txt');
+        fs.writeFileSync(fileName, codes.map(
+            (code) => String.fromCodePoint(code) + '\n').join(''));
+        console.log('Written ' + fileName + ': ' + codes.length +
+                    ' characters.');
+    }
+}
+
+
+if (require.main === module) {
+    main();
+}
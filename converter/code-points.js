@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Helpers to name code points, in the messages as U+XXXX
+ * and as the default glyph names uniXXXX and uXXXXX.
+ */
+
+
+/**
+ * Formats a code point as U+XXXX.
+ * @param {number} code The code point.
+ * @return {string}
+ */
+function formatCodePoint(code) {
+    return 'U+' + code.toString(16).toUpperCase().padStart(4, '0');
+}
+
+
+/**
+ * Returns the glyph name of a code point that the font does not name,
+ * uniXXXX in the BMP and uXXXXX beyond, as the Adobe Glyph List
+ * specification derives them.
+ * @param {number} code The code point.
+ * @return {string}
+ */
+function defaultGlyphName(code) {
+    return (code > 0xFFFF ? 'u' : 'uni') + formatCodePoint(code).slice(2);
+}
+
+
+module.exports.defaultGlyphName = defaultGlyphName;
+module.exports.formatCodePoint = formatCodePoint;
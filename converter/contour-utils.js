@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Geometry helpers for the contours of opentype.Path
+ * objects.
+ */
+
+
+/**
+ * The number of line segments a curve is flattened to.
+ * @type {number}
+ */
+const CURVE_STEPS = 4;
+
+
+/**
+ * Flattens the contours of a path to polygons. The closing point of a
+ * contour is dropped if it repeats the starting point.
+ * @param {opentype.Path} path The path.
+ * @return {Array<Array<Array<number>>>} The contours, each a list of
+ *     [x, y] points.
+ */
+function flattenContours(path) {
+    var contours = [];
+    var points = null;
+    var current = [0, 0];
+    for (const command of path.commands) {
+        switch (command.type) {
+        case 'M':
+            points = [[command.x, command.y]];
+            contours.push(points);
+            break;
+        case 'L':
+            points.push([command.x, command.y]);
+            break;
+        case 'Q':
+            for (let step = 1; step <= CURVE_STEPS; step++) {
+                const t = step / CURVE_STEPS;
+                const s = 1 - t;
+                points.push([
+                    s * s * current[0] + 2 * s * t * command.x1 +
+                        t * t * command.x,
+                    s * s * current[1] + 2 * s * t * command.y1 +
+                        t * t * command.y
+                ]);
+            }
+            break;
+        case 'C':
+            for (let step = 1; step <= CURVE_STEPS; step++) {
+                const t = step / CURVE_STEPS;
+                const s = 1 - t;
+                points.push([
+                    s * s * s * current[0] + 3 * s * s * t * command.x1 +
+                        3 * s * t * t * command.x2 + t * t * t * command.x,
+                    s * s * s * current[1] + 3 * s * s * t * command.y1 +
+                        3 * s * t * t * command.y2 + t * t * t * command.y
+                ]);
+            }
+            break;
+        }
+        if (command.type != 'Z') {
+            current = [command.x, command.y];
+        }
+    }
+
+    for (const contour of contours) {
+        const first = contour[0];
+        const last = contour[contour.length - 1];
+        if (contour.length > 1 && first[0] == last[0] && first[1] == last[1]) {
+            contour.pop();
+        }
+    }
+    return contours;
+}
+
+
+/**
+ * Computes the signed area of a polygon, positive if it runs
+ * counter-clockwise in font coordinates where y grows upwards.
+ * @param {Array<Array<number>>} points The polygon.
+ * @return {number}
+ */
+function computeSignedArea(points) {
+    var area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        const [x2, y2] = points[(i + 1) % points.length];
+        area += x1 * y2 - x2 * y1;
+    }
+    return area / 2;
+}
+
+
+/**
+ * Returns if a point is inside a polygon, by the even-odd rule.
+ * @param {Array<Array<number>>} points The polygon.
+ * @param {number} x
+ * @param {number} y
+ * @return {boolean}
+ */
+function containsPoint(points, x, y) {
+    var inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > y) != (yj > y) &&
+            x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+
+/**
+ * Returns a point just inside a polygon, next to the middle of its
+ * longest edge.
+ * @param {Array<Array<number>>} points The polygon.
+ * @param {number} area The signed area of the polygon.
+ * @return {Array<number>} The [x, y] point.
+ */
+function getInnerPoint(points, area) {
+    var longest = 0;
+    var edge = null;
+    for (let i = 0; i < points.length; i++) {
+        const p = points[i];
+        const q = points[(i + 1) % points.length];
+        const length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+        if (length > longest) {
+            longest = length;
+            edge = [p, q];
+        }
+    }
+    const [p, q] = edge;
+    // The inside is on the left of counter-clockwise edges.
+    const scale = Math.sign(area) * 1e-3 / longest;
+    return [(p[0] + q[0]) / 2 - (q[1] - p[1]) * scale,
+            (p[1] + q[1]) / 2 + (q[0] - p[0]) * scale];
+}
+
+
+/**
+ * Flattens the contours of a path and finds how deep each contour is
+ * nested in the others. Contours at an even depth are outer contours;
+ * the ones at an odd depth are holes.
+ * @param {opentype.Path} path The path.
+ * @return {Array<Object>} For each contour, the flattened points, the
+ *     signed area and the depth. The depth is null for the contours
+ *     with less than 3 points or no area.
+ */
+function analyzeContours(path) {
+    const contours = flattenContours(path).map((points) => {
+        const xs = points.map((point) => point[0]);
+        const ys = points.map((point) => point[1]);
+        return {
+            points: points,
+            area: computeSignedArea(points),
+            depth: null,
+            xMin: Math.min(...xs),
+            yMin: Math.min(...ys),
+            xMax: Math.max(...xs),
+            yMax: Math.max(...ys)
+        };
+    });
+    for (const contour of contours) {
+        if (contour.points.length < 3 || contour.area == 0) {
+            continue;
+        }
+        const [x, y] = getInnerPoint(contour.points, contour.area);
+        contour.depth = 0;
+        for (const other of contours) {
+            if (other != contour && x >= other.xMin && x <= other.xMax &&
+                y >= other.yMin && y <= other.yMax &&
+                containsPoint(other.points, x, y)) {
+                contour.depth++;
+            }
+        }
+    }
+    return contours.map((contour) => ({
+        points: contour.points,
+        area: contour.area,
+        depth: contour.depth
+    }));
+}
+
+
+module.exports.analyzeContours = analyzeContours;
+module.exports.flattenContours = flattenContours;
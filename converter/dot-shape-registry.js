@@ -0,0 +1,116 @@
+/**
+ * @fileoverview The registry of the dot shapes that draw the pixels of
+ * a glyph.
+ *
+ * A dot shape is an object with a draw() function, which takes an
+ * opentype.Path, the left, top, right and bottom of a dot's bound box in
+ * font units, and the shape options, and draws the dot into the path.
+ * Outer contours run counter-clockwise and holes clockwise. The shape
+ * may have a description as well.
+ */
+
+
+const { createSvgDotShape } = require('./svg-dot-shape');
+const fs = require('fs');
+const path = require('path');
+
+
+/**
+ * The names of the dot shapes that ship with the converter. Each one is
+ * a module in the dot-shapes directory.
+ * @type {Array<string>}
+ */
+const BUILT_IN_DOT_SHAPES = [
+    'square', 'circle', 'diamond', 'rounded-square', 'hexagon', 'star',
+    'cross', 'ring'
+];
+
+
+/**
+ * The registered dot shapes, keyed by name.
+ * @type {Map<string, Object>}
+ */
+var dotShapes = new Map(BUILT_IN_DOT_SHAPES.map(
+    (name) => [name, require('./dot-shapes/' + name)]));
+
+
+/**
+ * Throws if an object is not a dot shape.
+ * @param {Object} shape The object.
+ * @param {string} name The name of the shape in the error message.
+ */
+function checkDotShape(shape, name) {
+    if (!shape || typeof shape.draw != 'function') {
+        throw new Error('The dot shape ' + name + ' has no draw() function.');
+    }
+}
+
+
+/**
+ * Registers a dot shape, so that it can be selected by name.
+ * @param {string} name The name of the shape.
+ * @param {Object} shape The shape, with a draw() function.
+ */
+function registerDotShape(name, shape) {
+    checkDotShape(shape, name);
+    dotShapes.set(name, shape);
+}
+
+
+/**
+ * Returns the names of the registered dot shapes.
+ * @return {Array<string>}
+ */
+function getDotShapeNames() {
+    return Array.from(dotShapes.keys());
+}
+
+
+/**
+ * Loads a custom dot shape from a file. A .js file is a module that
+ * exports either a dot shape or its draw() function. A .svg file holds
+ * the SVG path of the shape, see createSvgDotShape().
+ * @param {string} file The path to the file.
+ * @return {Object} The dot shape.
+ */
+function loadDotShape(file) {
+    if (/\.svg$/i.test(file)) {
+        return createSvgDotShape(fs.readFileSync(file, 'utf8'));
+    }
+    if (/\.js$/i.test(file)) {
+        const exported = require(path.resolve(file));
+        const shape = typeof exported == 'function' ?
+              {draw: exported} : exported;
+        checkDotShape(shape, file);
+        return shape;
+    }
+    throw new Error('A dot shape file must be a .js or .svg file: ' + file);
+}
+
+
+/**
+ * Returns a dot shape by its name or its file.
+ * @param {string|Object} dotShape The name of a registered shape, the
+ *     path to a .js or .svg file, or a dot shape object.
+ * @return {Object} The dot shape.
+ */
+function resolveDotShape(dotShape) {
+    if (typeof dotShape == 'object') {
+        checkDotShape(dotShape, 'object');
+        return dotShape;
+    }
+    if (dotShapes.has(dotShape)) {
+        return dotShapes.get(dotShape);
+    }
+    if (/\.(js|svg)$/i.test(dotShape)) {
+        return loadDotShape(dotShape);
+    }
+    throw new Error('Unknown dot shape: ' + dotShape);
+}
+
+
+module.exports.BUILT_IN_DOT_SHAPES = BUILT_IN_DOT_SHAPES;
+module.exports.getDotShapeNames = getDotShapeNames;
+module.exports.loadDotShape = loadDotShape;
+module.exports.registerDotShape = registerDotShape;
+module.exports.resolveDotShape = resolveDotShape;
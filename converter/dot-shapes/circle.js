@@ -0,0 +1,67 @@
+/**
+ * @fileoverview The circle dot shape.
+ */
+
+
+/**
+ * The control point distance of the cubic Bézier approximation to a
+ * quarter of a unit circle: P0 = (0,1), P1 = (c,1), P2 = (1,c),
+ * P3 = (1,0).
+ * @type {number}
+ */
+const ARC_CONTROL = 0.551915;
+
+
+/**
+ * Draws a circle with four cubic Bézier curves, starting from the top.
+ * @param {opentype.Path} path The opentype path.
+ * @param {number} cx The x of the center.
+ * @param {number} cy The y of the center.
+ * @param {number} radius The radius.
+ * @param {boolean} clockwise If set, the circle runs clockwise, as holes
+ *     do. Otherwise it runs counter-clockwise, as outer contours do.
+ */
+function drawCircle(path, cx, cy, radius, clockwise) {
+    const R = radius;
+    const K = radius * ARC_CONTROL;
+    // The direction of the first quarter, from the top to the side.
+    const S = clockwise ? 1 : -1;
+    path.moveTo(cx, cy + R);
+    path.curveTo(cx + S * K, cy + R, cx + S * R, cy + K, cx + S * R, cy);
+    path.curveTo(cx + S * R, cy - K, cx + S * K, cy - R, cx, cy - R);
+    path.curveTo(cx - S * K, cy - R, cx - S * R, cy - K, cx - S * R, cy);
+    path.curveTo(cx - S * R, cy + K, cx - S * K, cy + R, cx, cy + R);
+}
+
+
+/**
+ * Draws a circle dot.
+ * @param {opentype.Path} path The opentype path.
+ * @param {number} left The left location of the bound box.
+ * @param {number} top The top location of the bound box.
+ * @param {number} right The right location of the bound box.
+ * @param {number} bottom The bottom location of the bound box.
+ */
+function drawCircleDot(path, left, top, right, bottom) {
+    const C = ARC_CONTROL;
+    const RADIUS = (right - left) / 2;
+    path.moveTo(left + RADIUS, top);
+    path.curveTo(left + RADIUS - RADIUS * C, top,
+                 left, top - RADIUS + RADIUS * C,
+                 left, top - RADIUS);
+    path.curveTo(left, top - RADIUS - RADIUS * C,
+                 left + RADIUS - RADIUS * C, bottom,
+                 left + RADIUS, bottom);
+    path.curveTo(left + RADIUS + RADIUS * C, bottom,
+                 right, top - RADIUS - RADIUS * C,
+                 right, top - RADIUS);
+    path.curveTo(right, top - RADIUS + RADIUS * C,
+                 left + RADIUS + RADIUS * C, top,
+                 left + RADIUS, top);
+}
+
+
+module.exports.ARC_CONTROL = ARC_CONTROL;
+module.exports.description = 'Circle dots.';
+module.exports.draw = drawCircleDot;
+module.exports.drawCircle = drawCircle;
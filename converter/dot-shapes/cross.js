@@ -0,0 +1,54 @@
+/**
+ * @fileoverview The plus, or cross, dot shape.
+ */
+
+
+/**
+ * The default width of the arms, as a fraction of the dot size.
+ * @type {number}
+ */
+const DEFAULT_THICKNESS = 1 / 3;
+
+
+/**
+ * Draws a plus-shaped dot.
+ * @param {opentype.Path} path The opentype path.
+ * @param {number} left The left location of the bound box.
+ * @param {number} top The top location of the bound box.
+ * @param {number} right The right location of the bound box.
+ * @param {number} bottom The bottom location of the bound box.
+ * @param {Object} options The shape options.
+ * @param {number=} options.thickness The width of the arms as a fraction
+ *     of the dot size, between 0 and 1.
+ */
+function drawCrossDot(path, left, top, right, bottom, options) {
+    const thickness = options.thickness != undefined ?
+          options.thickness : DEFAULT_THICKNESS;
+    if (!(thickness > 0 && thickness < 1)) {
+        throw new Error('The thickness of cross must be between 0 and 1: ' +
+                        options.thickness);
+    }
+    const HALF_ARM = Math.min(right - left, top - bottom) * thickness / 2;
+    const cx = (left + right) / 2;
+    const cy = (top + bottom) / 2;
+    // Counter-clockwise, as drawSquareDot() goes.
+    path.moveTo(cx - HALF_ARM, top);
+    path.lineTo(cx - HALF_ARM, cy + HALF_ARM);
+    path.lineTo(left, cy + HALF_ARM);
+    path.lineTo(left, cy - HALF_ARM);
+    path.lineTo(cx - HALF_ARM, cy - HALF_ARM);
+    path.lineTo(cx - HALF_ARM, bottom);
+    path.lineTo(cx + HALF_ARM, bottom);
+    path.lineTo(cx + HALF_ARM, cy - HALF_ARM);
+    path.lineTo(right, cy - HALF_ARM);
+    path.lineTo(right, cy + HALF_ARM);
+    path.lineTo(cx + HALF_ARM, cy + HALF_ARM);
+    path.lineTo(cx + HALF_ARM, top);
+    path.lineTo(cx - HALF_ARM, top);
+}
+
+
+module.exports.description =
+    'Plus-shaped dots. Option "thickness": the width of the arms as a ' +
+    'fraction of the dot size, 1/3 by default.';
+module.exports.draw = drawCrossDot;
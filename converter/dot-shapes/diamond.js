@@ -0,0 +1,25 @@
+/**
+ * @fileoverview The diamond dot shape.
+ */
+
+
+/**
+ * Draws a diamond dot.
+ * @param {opentype.Path} path The opentype path.
+ * @param {number} left The left location of the bound box.
+ * @param {number} top The top location of the bound box.
+ * @param {number} right The right location of the bound box.
+ * @param {number} bottom The bottom location of the bound box.
+ */
+function drawDiamondDot(path, left, top, right, bottom) {
+    const RADIUS = (right - left) / 2;
+    path.moveTo(left + RADIUS, top);
+    path.lineTo(left, top - RADIUS);
+    path.lineTo(left + RADIUS, bottom);
+    path.lineTo(right, top - RADIUS);
+    path.lineTo(left + RADIUS, top);
+}
+
+
+module.exports.description = 'Diamond dots.';
+module.exports.draw = drawDiamondDot;
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview The hexagon dot shape.
+ */
+
+
+/**
+ * Draws a regular hexagon dot, pointy side up, as the cells of a
+ * honeycomb.
+ * @param {opentype.Path} path The opentype path.
+ * @param {number} left The left location of the bound box.
+ * @param {number} top The top location of the bound box.
+ * @param {number} right The right location of the bound box.
+ * @param {number} bottom The bottom location of the bound box.
+ */
+function drawHexagonDot(path, left, top, right, bottom) {
+    const RADIUS = Math.min(right - left, top - bottom) / 2;
+    const cx = (left + right) / 2;
+    const cy = (top + bottom) / 2;
+    // Counter-clockwise from the top vertex.
+    for (let i = 0; i <= 6; i++) {
+        const angle = Math.PI / 2 + i * Math.PI / 3;
+        const x = cx + RADIUS * Math.cos(angle);
+        const y = cy + RADIUS * Math.sin(angle);
+        if (i == 0) {
+            path.moveTo(x, y);
+        } else {
+            path.lineTo(x, y);
+        }
+    }
+}
+
+
+module.exports.description = 'Hexagon dots.';
+module.exports.draw = drawHexagonDot;
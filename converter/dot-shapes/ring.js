@@ -0,0 +1,46 @@
+/**
+ * @fileoverview The hollow ring dot shape.
+ */
+
+
+const { drawCircle } = require('./circle');
+
+
+/**
+ * The default width of the ring, as a fraction of the radius.
+ * @type {number}
+ */
+const DEFAULT_THICKNESS = 0.4;
+
+
+/**
+ * Draws a hollow ring dot. The outer circle runs counter-clockwise and
+ * the inner one clockwise, so that the inside is a hole.
+ * @param {opentype.Path} path The opentype path.
+ * @param {number} left The left location of the bound box.
+ * @param {number} top The top location of the bound box.
+ * @param {number} right The right location of the bound box.
+ * @param {number} bottom The bottom location of the bound box.
+ * @param {Object} options The shape options.
+ * @param {number=} options.thickness The width of the ring as a fraction
+ *     of the radius, between 0 and 1.
+ */
+function drawRingDot(path, left, top, right, bottom, options) {
+    const thickness = options.thickness != undefined ?
+          options.thickness : DEFAULT_THICKNESS;
+    if (!(thickness > 0 && thickness < 1)) {
+        throw new Error('The thickness of ring must be between 0 and 1: ' +
+                        options.thickness);
+    }
+    const RADIUS = Math.min(right - left, top - bottom) / 2;
+    const cx = (left + right) / 2;
+    const cy = (top + bottom) / 2;
+    drawCircle(path, cx, cy, RADIUS, false);
+    drawCircle(path, cx, cy, RADIUS * (1 - thickness), true);
+}
+
+
+module.exports.description =
+    'Hollow ring dots. Option "thickness": the width of the ring as a ' +
+    'fraction of the radius, ' + DEFAULT_THICKNESS + ' by default.';
+module.exports.draw = drawRingDot;
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview The rounded square dot shape.
+ */
+
+
+const { ARC_CONTROL } = require('./circle');
+
+
+/**
+ * The default corner radius, as a fraction of the dot size.
+ * @type {number}
+ */
+const DEFAULT_RADIUS = 0.25;
+
+
+/**
+ * Draws a square dot with rounded corners.
+ * @param {opentype.Path} path The opentype path.
+ * @param {number} left The left location of the bound box.
+ * @param {number} top The top location of the bound box.
+ * @param {number} right The right location of the bound box.
+ * @param {number} bottom The bottom location of the bound box.
+ * @param {Object} options The shape options.
+ * @param {number=} options.radius The corner radius as a fraction of the
+ *     dot size, from 0 for a square to 0.5 for a circle.
+ */
+function drawRoundedSquareDot(path, left, top, right, bottom, options) {
+    const fraction = options.radius != undefined ?
+          options.radius : DEFAULT_RADIUS;
+    if (!(fraction >= 0 && fraction <= 0.5)) {
+        throw new Error('The radius of rounded-square must be between 0 ' +
+                        'and 0.5: ' + options.radius);
+    }
+    const R = Math.min(right - left, top - bottom) * fraction;
+    const K = R * ARC_CONTROL;
+    // The straight sides vanish when the corners meet.
+    const lineTo = (x, y) => {
+        const current = path.commands[path.commands.length - 1];
+        if (current.x != x || current.y != y) {
+            path.lineTo(x, y);
+        }
+    };
+    path.moveTo(left + R, top);
+    if (R > 0) {
+        path.curveTo(left + R - K, top, left, top - R + K, left, top - R);
+    }
+    lineTo(left, bottom + R);
+    if (R > 0) {
+        path.curveTo(left, bottom + R - K, left + R - K, bottom,
+                     left + R, bottom);
+    }
+    lineTo(right - R, bottom);
+    if (R > 0) {
+        path.curveTo(right - R + K, bottom, right, bottom + R - K,
+                     right, bottom + R);
+    }
+    lineTo(right, top - R);
+    if (R > 0) {
+        path.curveTo(right, top - R + K, right - R + K, top, right - R, top);
+    }
+    lineTo(left + R, top);
+}
+
+
+module.exports.description =
+    'Squares with rounded corners. Option "radius": the corner radius ' +
+    'as a fraction of the dot size, 0 to 0.5, ' + DEFAULT_RADIUS +
+    ' by default.';
+module.exports.draw = drawRoundedSquareDot;
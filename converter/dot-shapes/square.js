@@ -0,0 +1,24 @@
+/**
+ * @fileoverview The square dot shape.
+ */
+
+
+/**
+ * Draws a square dot.
+ * @param {opentype.Path} path The opentype path.
+ * @param {number} left The left location of the bound box.
+ * @param {number} top The top location of the bound box.
+ * @param {number} right The right location of the bound box.
+ * @param {number} bottom The bottom location of the bound box.
+ */
+function drawSquareDot(path, left, top, right, bottom) {
+    path.moveTo(left, top);
+    path.lineTo(left, bottom);
+    path.lineTo(right, bottom);
+    path.lineTo(right, top);
+    path.lineTo(left, top);
+}
+
+
+module.exports.description = 'Square dots.';
+module.exports.draw = drawSquareDot;
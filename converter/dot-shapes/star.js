@@ -0,0 +1,69 @@
+/**
+ * @fileoverview The star dot shape.
+ */
+
+
+/**
+ * The default number of star points.
+ * @type {number}
+ */
+const DEFAULT_POINTS = 5;
+
+
+/**
+ * The default radius of the inner vertices, as a fraction of the outer
+ * radius.
+ * @type {number}
+ */
+const DEFAULT_INNER_RADIUS = 0.4;
+
+
+/**
+ * Draws a star dot with a point upwards.
+ * @param {opentype.Path} path The opentype path.
+ * @param {number} left The left location of the bound box.
+ * @param {number} top The top location of the bound box.
+ * @param {number} right The right location of the bound box.
+ * @param {number} bottom The bottom location of the bound box.
+ * @param {Object} options The shape options.
+ * @param {number=} options.points The number of points, 3 or more.
+ * @param {number=} options.innerRadius The radius of the inner vertices
+ *     as a fraction of the outer radius, between 0 and 1.
+ */
+function drawStarDot(path, left, top, right, bottom, options) {
+    const points = options.points || DEFAULT_POINTS;
+    const innerRadius = options.innerRadius != undefined ?
+          options.innerRadius : DEFAULT_INNER_RADIUS;
+    if (!Number.isInteger(points) || points < 3) {
+        throw new Error('The points of star must be an integer of 3 or ' +
+                        'more: ' + options.points);
+    }
+    if (!(innerRadius > 0 && innerRadius < 1)) {
+        throw new Error('The innerRadius of star must be between 0 and 1: ' +
+                        options.innerRadius);
+    }
+    const RADIUS = Math.min(right - left, top - bottom) / 2;
+    const cx = (left + right) / 2;
+    const cy = (top + bottom) / 2;
+    // Counter-clockwise from the top point, alternating between the
+    // points and the inner vertices.
+    for (let i = 0; i <= 2 * points; i++) {
+        const angle = Math.PI / 2 + i * Math.PI / points;
+        const radius = i % 2 == 0 ? RADIUS : RADIUS * innerRadius;
+        const x = cx + radius * Math.cos(angle);
+        const y = cy + radius * Math.sin(angle);
+        if (i == 0) {
+            path.moveTo(x, y);
+        } else {
+            path.lineTo(x, y);
+        }
+    }
+}
+
+
+module.exports.description =
+    'Star dots. Option "points": the number of points, ' + DEFAULT_POINTS +
+    ' by default. Option "innerRadius": the radius of the inner vertices ' +
+    'as a fraction of the outer radius, ' + DEFAULT_INNER_RADIUS +
+    ' by default.';
+module.exports.draw = drawStarDot;
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Reads the first bytes of a font file, to sniff its format
+ * without reading, or inflating, the whole file.
+ */
+
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+
+/**
+ * The number of bytes read from the head of a file.
+ * @type {number}
+ */
+const HEAD_LENGTH = 512;
+
+
+/**
+ * If the buffer starts with the gzip magic bytes.
+ * @param {Buffer} buffer The file contents, or their head.
+ * @return {boolean}
+ */
+function isGzipped(buffer) {
+    return buffer.length >= 2 && buffer[0] == 0x1F && buffer[1] == 0x8B;
+}
+
+
+/**
+ * Reads the head of a file. The head of a gzip-compressed file is
+ * inflated as far as it goes, so that only the first bytes of the stream
+ * are read.
+ * @param {string} file The path to the file.
+ * @return {Buffer} The first bytes of the file contents, inflated if
+ *     gzip-compressed. The raw bytes if they do not inflate.
+ */
+function readFileHead(file) {
+    const fd = fs.openSync(file, 'r');
+    var head = Buffer.alloc(HEAD_LENGTH);
+    try {
+        head = head.subarray(0, fs.readSync(fd, head, 0, HEAD_LENGTH, 0));
+    } finally {
+        fs.closeSync(fd);
+    }
+    if (!isGzipped(head)) {
+        return head;
+    }
+    try {
+        // Without the end of the stream, as the rest is not read.
+        return zlib.gunzipSync(
+            head, {finishFlush: zlib.constants.Z_SYNC_FLUSH});
+    } catch (e) {
+        // Not a gzip stream after all.
+        return head;
+    }
+}
+
+
+module.exports.isGzipped = isGzipped;
+module.exports.readFileHead = readFileHead;
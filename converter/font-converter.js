@@ -0,0 +1,884 @@
+/**
+ * @fileoverview Converts bitmap fonts to dotted OpenType pixel fonts.
+ */
+
+
+const { BdfParser } = require('./bdf-parser');
+const {
+    BLACK_PIXEL,
+    OverrideParser,
+    WHITE_PIXEL,
+    readOverrides
+} = require('./glyph-overrides');
+const { ImageParser } = require('./image-parser');
+const { MergedParser } = require('./merged-parser');
+const { defaultGlyphName, formatCodePoint } = require('./code-points');
+const {
+    getDotSize,
+    renderIntensities,
+    resolveHalftone
+} = require('./halftone');
+const { makeUnlitForm, resolveLedPalettes } = require('./led-matrix');
+const {
+    BUILT_IN_DOT_SHAPES,
+    resolveDotShape
+} = require('./dot-shape-registry');
+const { PcfParser } = require('./pcf-parser');
+const { VERTICAL_FORMS, makeVerticalForm } = require('./vertical-forms');
+const opentype = require('opentype.js');
+const { OUTLINE_STYLES } = require('./outline-styles');
+const { listSubset, parseSubset } = require('./glyph-subsets');
+const { writeFont } = require('./font-writer');
+
+
+// Basic metrics.
+const UNITS_PER_EM = 1000;
+
+
+// Fallback metrics for font files without the metric properties.
+const DEFAULT_PIXEL_HEIGHT = 13;
+const DEFAULT_DESCENT_IN_PIXELS = 2;
+
+
+// The advance width of the .notdef box as a fraction of the pixel
+// height, 8 pixels for a 13-pixel font.
+const NOTDEF_WIDTH = 0.6;
+
+
+// The width of a dot as a fraction of the pixel size.
+const DEFAULT_DOT_SIZE = 7 / 9;
+
+
+// Default metadata.
+const DEFAULT_FONT_STYLE = 'Regular';
+const DEFAULT_METADATA = {
+    version: '0.1',
+    designer: 'wixette',
+    copyright: 'Copyright (C) 2020 wixette',
+    license: 'GPL 2.0'
+};
+
+
+/**
+ * The weight classes of the OS/2 table, keyed by the weight names used
+ * in style names.
+ * @type {Object<string, number>}
+ */
+const FONT_WEIGHTS = {
+    Thin: 100,
+    ExtraLight: 200,
+    Light: 300,
+    Regular: 400,
+    Medium: 500,
+    SemiBold: 600,
+    Bold: 700,
+    ExtraBold: 800,
+    Black: 900
+};
+
+
+/**
+ * The built-in dot shapes, followed by the outline styles, which draw a
+ * pixel by its neighbours instead of drawing separate dots, see
+ * outline-styles.js. More shapes can be added with registerDotShape()
+ * or loaded from files, see dot-shape-registry.js.
+ * @type {Array<string>}
+ */
+const DOT_SHAPES = BUILT_IN_DOT_SHAPES.concat(Object.keys(OUTLINE_STYLES));
+
+
+/**
+ * Packs a pixel grid into one bit per pixel, to keep the glyphs of a
+ * large font compact in memory until they are vectorized.
+ * @param {Array<Array<boolean>>} pixels The rows of pixels.
+ * @return {Object} The width, the height and the packed bits, row by
+ *     row.
+ */
+function packPixels(pixels) {
+    const height = pixels.length;
+    const width = height > 0 ? pixels[0].length : 0;
+    var bits = new Uint8Array(Math.ceil(width * height / 8));
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (pixels[y][x]) {
+                const i = y * width + x;
+                bits[i >> 3] |= 1 << (i & 7);
+            }
+        }
+    }
+    return {width: width, height: height, bits: bits};
+}
+
+
+/**
+ * Unpacks a pixel grid packed by packPixels().
+ * @param {Object} packed The packed pixels.
+ * @return {Array<Array<boolean>>} The rows of pixels.
+ */
+function unpackPixels(packed) {
+    var pixels = [];
+    for (let y = 0; y < packed.height; y++) {
+        let row = [];
+        for (let x = 0; x < packed.width; x++) {
+            const i = y * packed.width + x;
+            row.push((packed.bits[i >> 3] >> (i & 7) & 1) == 1);
+        }
+        pixels.push(row);
+    }
+    return pixels;
+}
+
+
+/**
+ * Converts a row of pixels to a string.
+ * @param {Array<boolean>} row The row of pixels.
+ * @return {string} White pixels will be rendered as WHITE_PIXEL and
+ *    black pixels will be rendered as BLACK_PIXEL.
+ */
+function pixelRowToBinaryString(row) {
+    return row.map((pixel) => pixel ? BLACK_PIXEL : WHITE_PIXEL).join('');
+}
+
+
+/**
+ * Creates the parser for the input bitmap font. PCF files are recognized
+ * by their magic bytes, then BDF files and PNG glyph sheets by their
+ * extension or their content; everything else is treated as PCF.
+ * @param {string} fontFile The path to the bitmap font file.
+ * @param {Object=} imageSheet The layout of a PNG glyph sheet, see
+ *     ImageParser.
+ * @return {BitmapFontParser}
+ */
+function createParser(fontFile, imageSheet) {
+    if (PcfParser.isPcfFile(fontFile)) {
+        return new PcfParser(fontFile);
+    }
+    if (/\.bdf(\.gz)?$/i.test(fontFile) || BdfParser.isBdfFile(fontFile)) {
+        return new BdfParser(fontFile);
+    }
+    if (/\.png$/i.test(fontFile) || ImageParser.isImageFile(fontFile)) {
+        return new ImageParser(fontFile, imageSheet);
+    }
+    return new PcfParser(fontFile);
+}
+
+
+/**
+ * Creates the parser for the input bitmap font and parses it. With the
+ * fallbacks option, the input font is merged with the fallback fonts,
+ * and with the overrides option, the glyph overrides are applied on top.
+ * With the verbose option, the applied overrides, the ones that do not
+ * fit the font and a missing default char are logged. The overrides
+ * that do not fit are also kept in the warnings of the OverrideParser.
+ * @param {Object} options The conversion options, see convertFont().
+ * @return {BitmapFontParser}
+ */
+function loadInputFont(options) {
+    const log = options.verbose ? console.log : () => {};
+    var parser = createParser(options.input, options.imageSheet);
+    parser.parse();
+    // Warned here, once for the fonts of a family that share the parser.
+    if (options.defaultChar && parser.getDefaultChar() == undefined) {
+        log('Warning: ' + options.input + ' has no default char. ' +
+            '.notdef is drawn as a box.');
+    }
+    if (options.fallbacks && options.fallbacks.length > 0) {
+        var sources = [{
+            file: options.input,
+            parser: parser,
+            metrics: getFontMetrics(parser, options)
+        }];
+        for (const fallback of options.fallbacks) {
+            const fallbackParser = createParser(fallback);
+            fallbackParser.parse();
+            sources.push({
+                file: fallback,
+                parser: fallbackParser,
+                metrics: getFontMetrics(fallbackParser, {})
+            });
+        }
+        parser = new MergedParser(sources, options.fallbackScaling);
+    }
+    if (options.overrides && options.overrides.length > 0) {
+        parser = new OverrideParser(parser, readOverrides(options.overrides),
+                                    getFontMetrics(parser, options));
+        log('Applied ' + parser.overrides.size + ' glyph overrides.');
+        parser.warnings.forEach((warning) => log('Warning: ' + warning));
+    }
+    return parser;
+}
+
+
+/**
+ * Computes the font metrics. The font properties provide the defaults
+ * and the conversion options act as overrides.
+ * @param {BitmapFontParser} parser The parser that has loaded the
+ *     font file.
+ * @param {Object} options The conversion options, see convertFont().
+ * @return {Object} The pixel height of the em box, the ascent and
+ *     descent in pixels, the pixel size and the dot padding in font
+ *     units, and the halftone options from resolveHalftone(), if set.
+ */
+function getFontMetrics(parser, options) {
+    var pixelHeight = options.glyphSize;
+    if (pixelHeight == undefined) {
+        pixelHeight = parser.getProperty('PIXEL_SIZE');
+    }
+    if (pixelHeight == undefined) {
+        // POINT_SIZE is in decipoints.
+        const pointSize = parser.getProperty('POINT_SIZE');
+        const resolution = parser.getProperty('RESOLUTION_Y');
+        if (pointSize != undefined && resolution != undefined) {
+            pixelHeight = Math.round(pointSize / 10 * resolution / 72);
+        }
+    }
+    if (pixelHeight == undefined) {
+        pixelHeight = DEFAULT_PIXEL_HEIGHT;
+    }
+
+    var ascent = options.ascent;
+    if (ascent == undefined) {
+        ascent = parser.getProperty('FONT_ASCENT');
+    }
+    var descent = options.descent;
+    if (descent == undefined) {
+        descent = parser.getProperty('FONT_DESCENT');
+    }
+    if (ascent == undefined && descent == undefined) {
+        descent = DEFAULT_DESCENT_IN_PIXELS;
+    }
+    if (ascent == undefined) {
+        ascent = pixelHeight - descent;
+    } else if (descent == undefined) {
+        descent = pixelHeight - ascent;
+    }
+
+    const dotSize = options.dotSize != undefined ?
+          options.dotSize : DEFAULT_DOT_SIZE;
+    if (!(dotSize > 0 && dotSize <= 1)) {
+        throw new Error('The dot size must be greater than 0 and at most ' +
+                        '1: ' + options.dotSize);
+    }
+
+    const pixelSize = UNITS_PER_EM / pixelHeight;
+    return {
+        pixelHeight: pixelHeight,
+        ascent: ascent,
+        descent: descent,
+        pixelSize: pixelSize,
+        pixelPadding: pixelSize * (1 - dotSize) / 2,
+        halftone: options.halftone ?
+            resolveHalftone(options.halftone, dotSize) : null
+    };
+}
+
+
+/**
+ * Returns the family name of the converted font.
+ * @param {BitmapFontParser} parser The parser that has loaded the
+ *     font file.
+ * @param {Object} metadata The metadata option, see convertFont().
+ * @return {string} The familyName of the metadata, or else the
+ *     FAMILY_NAME property of the font file.
+ */
+function getFamilyName(parser, metadata) {
+    const familyName = metadata.familyName || parser.getProperty('FAMILY_NAME');
+    if (!familyName) {
+        throw new Error('The font file has no FAMILY_NAME property. ' +
+                        'Please specify the family name.');
+    }
+    return familyName;
+}
+
+
+/**
+ * Converts the X11 WEIGHT_NAME property to an OpenType style name.
+ * @param {string|undefined} weightName The WEIGHT_NAME property.
+ * @return {string}
+ */
+function weightNameToStyle(weightName) {
+    if (!weightName || /^(medium|regular|normal|book)$/i.test(weightName)) {
+        return DEFAULT_FONT_STYLE;
+    }
+    return weightName.charAt(0).toUpperCase() +
+        weightName.slice(1).toLowerCase();
+}
+
+
+/**
+ * Works out the OS/2 and name table attributes of a style. Styles other
+ * than Regular, Bold, Italic and Bold Italic get a family of their own
+ * for the apps that only know these four, e.g., 'Family Light' with the
+ * style 'Regular', and keep the real names as the typographic family
+ * and style.
+ * @param {string} familyName The family name.
+ * @param {string} styleName The style name, e.g., 'SemiBold Italic'.
+ * @return {Object} The weightClass and fsSelection of the OS/2 table,
+ *     the legacy familyName and styleName, and the typographic
+ *     preferredFamily and preferredSubfamily, which are only set for
+ *     styles of their own.
+ */
+function getStyleAttributes(familyName, styleName) {
+    const words = styleName.trim().split(/\s+/);
+    const isItalic = words.some((word) => /^(italic|oblique)$/i.test(word));
+    const weightWords = words.filter(
+        (word) => !/^(italic|oblique)$/i.test(word));
+    const weightKey = weightWords.join('').replace(/-/g, '').toLowerCase();
+    const weight = weightWords.length == 0 ? DEFAULT_FONT_STYLE :
+          Object.keys(FONT_WEIGHTS).find(
+              (name) => name.toLowerCase() == weightKey);
+    const isBold = weight == 'Bold';
+
+    var attributes = {
+        weightClass: FONT_WEIGHTS[weight || DEFAULT_FONT_STYLE],
+        // The ITALIC, BOLD and REGULAR bits.
+        fsSelection: (isItalic ? 0x01 : 0) | (isBold ? 0x20 : 0) |
+            (!isItalic && !isBold ? 0x40 : 0),
+        familyName: familyName,
+        styleName: styleName
+    };
+    if (weight != DEFAULT_FONT_STYLE && !isBold) {
+        attributes.familyName = familyName + ' ' + weightWords.join(' ');
+        attributes.styleName = isItalic ? 'Italic' : DEFAULT_FONT_STYLE;
+        attributes.preferredFamily = familyName;
+        attributes.preferredSubfamily = styleName;
+    }
+    return attributes;
+}
+
+
+/**
+ * Converts screen coordinate to font coordinate.
+ * @param {number} x X value in screen coordinate system.
+ * @param {number} y Y value in screen coordinate system.
+ * @param {glyphTop} glyphTop The top location of a glyph in font
+ *     coordinate system.
+ * @return {Object} x and y in font coordinate system.
+ */
+function ScreenXyToFontXy(x, y, glyphTop) {
+    return [Math.round(x), Math.round(glyphTop - y)];
+}
+
+
+/**
+ * Reads the glyph bitmaps of a bitmap font as a bitmap strike to be
+ * embedded in the converted font, see makeBitmapTables() in
+ * font-writer.js.
+ * @param {BitmapFontParser} parser The parser that has loaded the
+ *     font file.
+ * @param {Object} fontMetrics The font metrics from getFontMetrics().
+ * @param {Map<number, number>} glyphIndices The glyph index of each
+ *     code point in the converted font. Other glyphs are left out.
+ * @param {Map<number, number>=} verticalForms The code point of each
+ *     vertical alternate, keyed by its glyph index, see VERTICAL_FORMS.
+ * @param {boolean=} useDefaultChar If the .notdef glyph is the glyph of
+ *     the default char, see makeNotdefBitmap().
+ * @return {Object} The ppem, the ascent and descent in pixels, and the
+ *     bitmaps keyed by glyph index.
+ */
+function readBitmapStrike(parser, fontMetrics, glyphIndices, verticalForms,
+                          useDefaultChar) {
+    var bitmaps = new Map();
+    const addBitmap = (glyphIndex, metrics, pixels) => {
+        bitmaps.set(glyphIndex, {
+            bearingX: metrics.leftSidedBearing,
+            bearingY: metrics.characterAscent,
+            advance: metrics.characterWidth,
+            pixels: packPixels(pixels)
+        });
+    };
+    const notdef = makeNotdefBitmap(parser, fontMetrics, useDefaultChar);
+    addBitmap(0, notdef.metrics, notdef.pixels);
+    for (const [code] of parser.glyphEntries()) {
+        const glyphIndex = glyphIndices.get(code);
+        if (glyphIndex == undefined) {
+            continue;
+        }
+        addBitmap(glyphIndex, parser.getGlyphMetrics(code),
+                  parser.getGlyphPixels(code));
+    }
+    for (const [glyphIndex, code] of verticalForms || []) {
+        if (parser.hasGlyph(code)) {
+            const form = makeVerticalForm(
+                parser.getGlyphMetrics(code), parser.getGlyphPixels(code),
+                VERTICAL_FORMS.get(code), fontMetrics);
+            addBitmap(glyphIndex, form.metrics, form.pixels);
+        }
+    }
+    return {
+        ppem: fontMetrics.pixelHeight,
+        ascent: fontMetrics.ascent,
+        descent: fontMetrics.descent,
+        bitmaps: bitmaps
+    };
+}
+
+
+/**
+ * Makes the bitmap of the .notdef glyph, which stands in for the
+ * characters missing from the font.
+ *
+ * The bitmap is a hollow box, the tofu, from the baseline to one pixel
+ * below the ascent, with a blank column on each side. If useDefaultChar
+ * is set and the font has a default char, its glyph is taken instead.
+ * @param {BitmapFontParser} parser The parser that has loaded the font
+ *     file.
+ * @param {Object} fontMetrics The font metrics from getFontMetrics().
+ * @param {boolean=} useDefaultChar If the glyph of the default char is
+ *     taken, see getDefaultChar() of the parsers.
+ * @return {Object} The metrics and the pixels of the glyph.
+ */
+function makeNotdefBitmap(parser, fontMetrics, useDefaultChar) {
+    const defaultChar = useDefaultChar ? parser.getDefaultChar() : undefined;
+    if (defaultChar != undefined) {
+        return {
+            metrics: parser.getGlyphMetrics(defaultChar),
+            pixels: parser.getGlyphPixels(defaultChar)
+        };
+    }
+    const advance = Math.max(
+        4, Math.round(fontMetrics.pixelHeight * NOTDEF_WIDTH));
+    const width = advance - 2;
+    const height = Math.max(2, fontMetrics.ascent - 1);
+    var pixels = [];
+    for (let y = 0; y < height; y++) {
+        let row = [];
+        for (let x = 0; x < width; x++) {
+            row.push(y == 0 || y == height - 1 || x == 0 || x == width - 1);
+        }
+        pixels.push(row);
+    }
+    return {
+        metrics: {
+            leftSidedBearing: 1,
+            rightSideBearing: 1 + width,
+            characterWidth: advance,
+            characterAscent: height,
+            characterDescent: 0,
+            characterAttributes: 0
+        },
+        pixels: pixels
+    };
+}
+
+
+/**
+ * Lists the code points of a subset that the input font has no glyphs
+ * for. The control characters are left out.
+ * @param {BitmapFontParser} parser The parser that has loaded the font
+ *     file.
+ * @param {string} subset The subset expression, see glyph-subsets.js.
+ * @return {Array<number>|null} The missing code points in order, or null
+ *     if the code points of the subset are not listed, e.g., for 'all'.
+ */
+function findMissingGlyphs(parser, subset) {
+    const codes = listSubset(subset);
+    return codes && codes.filter(
+        (code) => !parser.hasGlyph(code) &&
+            !/\p{Cc}/u.test(String.fromCodePoint(code)));
+}
+
+
+/**
+ * Draws the dots of a bitmap glyph.
+ * @param {Object} glyphInfo The info of the specified glyph, with the
+ *     intensities of a greyscale source for the halftone dots, if any.
+ * @param {Object} fontMetrics The font metrics from getFontMetrics().
+ * @param {Object|string} dotShape The dot shape from resolveDotShape(),
+ *     or the name of an outline style.
+ * @param {Object} dotOptions The options of the dot shape.
+ * @return {opentype.Path}
+ */
+function buildGlyphPath(glyphInfo, fontMetrics, dotShape, dotOptions) {
+    const PIXEL_SIZE = fontMetrics.pixelSize;
+    const PIXEL_PADDING = fontMetrics.pixelPadding;
+    const glyphTop = fontMetrics.ascent * PIXEL_SIZE;
+    const xOffset = glyphInfo.metrics.leftSidedBearing * PIXEL_SIZE;
+    const yOffset = (fontMetrics.ascent -
+                     glyphInfo.metrics.characterAscent) * PIXEL_SIZE;
+    const pixels = unpackPixels(glyphInfo.pixels);
+
+    const path = new opentype.Path();
+    if (typeof dotShape == 'string') {
+        const grid = {
+            toFont: (x, y) => ScreenXyToFontXy(xOffset + x * PIXEL_SIZE,
+                                               yOffset + y * PIXEL_SIZE,
+                                               glyphTop),
+            pixelSize: PIXEL_SIZE,
+            pixelPadding: PIXEL_PADDING
+        };
+        OUTLINE_STYLES[dotShape](path, pixels, grid, dotOptions);
+        path.close();
+        return path;
+    }
+    const drawDot = (x, y, padding) => {
+        const x1 = xOffset + x * PIXEL_SIZE + padding;
+        const y1 = yOffset + y * PIXEL_SIZE + padding;
+        const [left, top] = ScreenXyToFontXy(x1, y1, glyphTop);
+        const x2 = xOffset + (x + 1) * PIXEL_SIZE - padding;
+        const y2 = yOffset + (y + 1) * PIXEL_SIZE - padding;
+        const [right, bottom] = ScreenXyToFontXy(x2, y2, glyphTop);
+        if (right > left && top > bottom) {
+            dotShape.draw(path, left, top, right, bottom, dotOptions);
+        }
+    };
+    const halftone = fontMetrics.halftone;
+    if (halftone) {
+        // The greyscale of the source if it has one, or the blurred
+        // pixels. The dots of the margins lie outside the bounding box.
+        const {margin, intensities} = glyphInfo.intensities ||
+              renderIntensities(pixels, halftone.kernel);
+        intensities.forEach((row, y) => row.forEach((intensity, x) => {
+            const dotSize = getDotSize(intensity, halftone);
+            if (dotSize > 0) {
+                drawDot(x - margin, y - margin,
+                        PIXEL_SIZE * (1 - dotSize) / 2);
+            }
+        }));
+    } else {
+        for (let y = 0; y < pixels.length; y++) {
+            const row = pixels[y];
+            for (let x = 0; x < row.length; x++) {
+                if (row[x]) {
+                    drawDot(x, y, PIXEL_PADDING);
+                }
+            }
+        }
+    }
+    path.close();
+    return path;
+}
+
+
+/**
+ * Vectorizes a bitmap glyph.
+ *
+ * The path of the returned glyph is not kept in memory. It is drawn
+ * from the packed pixels each time it is read, until a path is assigned
+ * to the glyph explicitly.
+ * @param {Object} glyphInfo The info of the specified glyph, with the
+ *     pixels packed by packPixels().
+ * @param {Object} fontMetrics The font metrics from getFontMetrics().
+ * @param {Object|string} dotShape The dot shape from resolveDotShape(),
+ *     or the name of an outline style.
+ * @param {Object} dotOptions The options of the dot shape.
+ * @return {opentype.Glyph}
+ */
+function vectorizeGlyph(glyphInfo, fontMetrics, dotShape, dotOptions) {
+    const fontGlyph = new opentype.Glyph({
+        name: glyphInfo.name,
+        unicode: glyphInfo.code,
+        advanceWidth: glyphInfo.metrics.characterWidth * fontMetrics.pixelSize
+    });
+    var assignedPath = null;
+    Object.defineProperty(fontGlyph, 'path', {
+        configurable: true,
+        get: () => assignedPath ||
+            buildGlyphPath(glyphInfo, fontMetrics, dotShape, dotOptions),
+        set: (path) => {
+            assignedPath = path;
+        }
+    });
+    return fontGlyph;
+}
+
+
+/**
+ * Converts a bitmap font to a dotted OpenType font.
+ *
+ * The metrics and the metadata default to the properties of the bitmap
+ * font. The options only need to specify what to override.
+ * @param {Object} options The conversion options.
+ * @param {string} options.input The path to the PCF or BDF font file, or
+ *     the PNG glyph sheet.
+ * @param {Object=} options.imageSheet The layout of the PNG glyph sheet:
+ *     the cellWidth, cellHeight and charmap, and optionally the baseline,
+ *     spacing, margin, threshold, lightGlyphs, autoWidth and
+ *     letterSpacing, see ImageParser.
+ * @param {number=} options.glyphSize The pixel height of the em box.
+ * @param {number=} options.ascent The font ascent in pixels.
+ * @param {number=} options.descent The font descent in pixels.
+ * @param {number=} options.dotSize The width of a dot as a fraction of
+ *     the pixel size. Defaults to 7/9.
+ * @param {string|Object=} options.dotShape One of DOT_SHAPES, the name
+ *     of a registered dot shape, the path to a .js or .svg dot shape
+ *     file, or a dot shape object. Defaults to 'square'.
+ * @param {Object=} options.dotOptions The options of the dot shape, e.g.,
+ *     {radius: 0.3} for 'rounded-square' or {bridge: 0.5} for 'beaded'.
+ * @param {Object=} options.halftone If set, the dot sizes follow the
+ *     intensities of the blurred pixels, or the greyscale of a glyph
+ *     sheet, see halftone.js, e.g., {} for the defaults or
+ *     {minDotSize: 0.3, curve: 'area'}.
+ * @param {string|function(number): boolean=} options.subset The glyphs
+ *     to be converted, as a subset expression, e.g., 'gb2312' or
+ *     'ascii + @strings.json', see glyph-subsets.js, or as a function
+ *     that returns if a code point is accepted. Defaults to 'all'.
+ * @param {Object=} options.metadata The familyName, styleName,
+ *     version, designer, copyright and license of the font.
+ * @param {boolean=} options.verbose If set, the progress and the glyph
+ *     bitmaps are logged to the console.
+ * @param {Array<string>=} options.bitmapStrikes The PCF or BDF font
+ *     files whose bitmaps are embedded as bitmap strikes, one for each
+ *     pixel size, which rasterizers use instead of the dots at that
+ *     size. The input may be one of them.
+ * @param {Array<string>=} options.fallbacks The PCF or BDF font files
+ *     that provide the glyphs missing from the input font, in priority
+ *     order, e.g., a Latin font and a symbol font for a CJK font.
+ * @param {string=} options.fallbackScaling How the glyphs of the
+ *     fallback fonts fit the input font, one of FALLBACK_SCALINGS.
+ *     Defaults to 'rescale', which scales them to its pixel height.
+ * @param {boolean=} options.vertical If set, the font gets vertical
+ *     metrics, and vertical alternates of the full-width punctuation
+ *     for the vert and vrt2 features, see vertical-forms.js.
+ * @param {boolean=} options.defaultChar If set, the .notdef glyph is
+ *     the glyph of the default char of the input font, the PCF default
+ *     char or the BDF DEFAULT_CHAR property, instead of a dotted box.
+ * @param {string=} options.ledPalette If set, the font is an LED matrix
+ *     colour font, whose glyph cells show the unlit dots in a dim colour,
+ *     see led-matrix.js. One of LED_PALETTES, or the colours of the lit
+ *     and the unlit dots, e.g., '#FF0000,#400000'.
+ * @param {Array<string>=} options.overrides The glyph override files,
+ *     see glyph-overrides.js, which patch the glyphs of the input font
+ *     or add new ones.
+ * @param {BitmapFontParser=} options.parser A parser that has already
+ *     loaded the input font, see loadInputFont(), to be shared by several
+ *     conversions.
+ * @return {opentype.Font}
+ */
+function convertFont(options) {
+    const dotShape = OUTLINE_STYLES.hasOwnProperty(options.dotShape) ?
+          options.dotShape : resolveDotShape(options.dotShape || 'square');
+    const dotOptions = options.dotOptions || {};
+    if (options.halftone && typeof dotShape == 'string') {
+        throw new Error('Halftone dots need a dot shape, not the outline ' +
+                        'style ' + dotShape + '.');
+    }
+    const isAcceptedGlyph = typeof options.subset == 'function' ?
+          options.subset : parseSubset(options.subset || 'all');
+    const metadata = options.metadata || {};
+    const log = options.verbose ? console.log : () => {};
+
+    const parser = options.parser || loadInputFont(options);
+
+    const fontMetrics = getFontMetrics(parser, options);
+    log('Pixel height: ' + fontMetrics.pixelHeight +
+        ', ascent: ' + fontMetrics.ascent +
+        ', descent: ' + fontMetrics.descent);
+
+    const familyName = getFamilyName(parser, metadata);
+
+    // Note that the .notdef glyph is required.
+    const notdef = makeNotdefBitmap(parser, fontMetrics,
+                                    options.defaultChar);
+    const notdefGlyph = vectorizeGlyph({
+        name: '.notdef',
+        metrics: notdef.metrics,
+        pixels: packPixels(notdef.pixels)
+    }, fontMetrics, dotShape, dotOptions);
+    var fontGlyphs = [notdefGlyph];
+    var glyphIndices = new Map();
+    // The font or override file of each glyph, if the input font has
+    // fallbacks or overrides.
+    var glyphSources = parser.getGlyphSource ? new Map() : null;
+    const getGlyphSource = (code) =>
+          parser.getGlyphSource(code) || options.input;
+    // The glyphs that get the unlit dots of the LED matrix style, with
+    // their glyph indices.
+    var litGlyphs = [];
+    const addLitGlyph = (glyphInfo) => {
+        if (options.ledPalette && glyphInfo.metrics.characterWidth > 0) {
+            litGlyphs.push([fontGlyphs.length, glyphInfo]);
+        }
+        fontGlyphs.push(
+            vectorizeGlyph(glyphInfo, fontMetrics, dotShape, dotOptions));
+    };
+
+    // The glyphs are decoded one at a time and only their packed pixels
+    // are kept. The bézier paths are drawn when the font is written.
+    for (const [code] of parser.glyphEntries()) {
+        if (!isAcceptedGlyph(code)) {
+            continue;
+        }
+        const glyphInfo = {
+            code: code,
+            name: parser.getGlyphName(code),
+            metrics: parser.getGlyphMetrics(code)
+        };
+        const pixels = parser.getGlyphPixels(code);
+        log();
+        log('Creating vector glyph for glyph: ' + glyphInfo.name +
+            ', ' + formatCodePoint(code) +
+            ', W=' + glyphInfo.metrics.characterWidth +
+            (glyphSources ? ', from ' + getGlyphSource(code) : ''));
+        log();
+        pixels.forEach((row) => log(pixelRowToBinaryString(row)));
+        glyphInfo.pixels = packPixels(pixels);
+        if (fontMetrics.halftone && parser.getGlyphIntensities) {
+            glyphInfo.intensities = parser.getGlyphIntensities(code);
+        }
+        glyphIndices.set(code, fontGlyphs.length);
+        if (glyphSources) {
+            glyphSources.set(code, getGlyphSource(code));
+        }
+        addLitGlyph(glyphInfo);
+    }
+
+    log();
+    // The vertical alternates follow the glyphs that have a code point.
+    // They are keyed by glyph index, with the code point of the glyph
+    // they substitute.
+    var verticalForms = new Map();
+    for (const [code, transform] of options.vertical ? VERTICAL_FORMS : []) {
+        if (!glyphIndices.has(code)) {
+            continue;
+        }
+        const form = makeVerticalForm(
+            parser.getGlyphMetrics(code), parser.getGlyphPixels(code),
+            transform, fontMetrics);
+        verticalForms.set(fontGlyphs.length, code);
+        addLitGlyph({
+            name: (parser.getGlyphName(code) || defaultGlyphName(code)) +
+                '.vert',
+            metrics: form.metrics,
+            pixels: packPixels(form.pixels)
+        });
+    }
+
+    // The layer glyphs of the unlit dots follow, keyed by the glyph
+    // index of their lit glyph.
+    var unlitGlyphs = new Map();
+    for (const [glyphIndex, glyphInfo] of litGlyphs) {
+        const form = makeUnlitForm(glyphInfo.metrics,
+                                   unpackPixels(glyphInfo.pixels),
+                                   fontMetrics);
+        unlitGlyphs.set(glyphIndex, fontGlyphs.length);
+        fontGlyphs.push(vectorizeGlyph({
+            name: (glyphInfo.name || defaultGlyphName(glyphInfo.code)) +
+                '.unlit',
+            metrics: form.metrics,
+            pixels: packPixels(form.pixels)
+        }, fontMetrics, dotShape, dotOptions));
+    }
+    if (fontGlyphs.length > 0xFFFF) {
+        throw new Error('The font has ' + fontGlyphs.length + ' glyphs, ' +
+                        'more than the 65535 that OpenType allows. Use a ' +
+                        'smaller subset.');
+    }
+
+    log('Number of glyphs to be output: ' + (fontGlyphs.length - 1));
+    // Listing a large subset, e.g., GBK, is only worth it for the log.
+    const missingCodes = options.verbose &&
+          typeof options.subset == 'string' ?
+          findMissingGlyphs(parser, options.subset) : null;
+    if (missingCodes) {
+        log('Code points of the subset missing from the input font: ' +
+            missingCodes.length);
+    }
+    if (options.vertical) {
+        log('Vertical alternates: ' + verticalForms.size);
+    }
+    if (options.ledPalette) {
+        log('Unlit dot layers: ' + unlitGlyphs.size);
+    }
+    if (glyphSources) {
+        var sourceCounts = new Map();
+        for (const file of glyphSources.values()) {
+            sourceCounts.set(file, (sourceCounts.get(file) || 0) + 1);
+        }
+        for (const [file, count] of sourceCounts) {
+            log('  ' + count + ' glyphs from ' + file);
+        }
+    }
+    const styleName = metadata.styleName ||
+          weightNameToStyle(parser.getProperty('WEIGHT_NAME'));
+    const style = getStyleAttributes(familyName, styleName);
+    var font = new opentype.Font({
+        familyName: style.familyName,
+        styleName: style.styleName,
+        fullName: familyName + ' ' + styleName,
+        postScriptName: (familyName + styleName).replace(/\s/g, ''),
+        weightClass: style.weightClass,
+        fsSelection: style.fsSelection,
+        copyright: metadata.copyright ||
+            parser.getProperty('COPYRIGHT') || DEFAULT_METADATA.copyright,
+        designer: metadata.designer || DEFAULT_METADATA.designer,
+        license: metadata.license || DEFAULT_METADATA.license,
+        version: metadata.version || DEFAULT_METADATA.version,
+        unitsPerEm: UNITS_PER_EM,
+        ascender: fontMetrics.ascent * fontMetrics.pixelSize,
+        descender: -fontMetrics.descent * fontMetrics.pixelSize,
+        glyphs: fontGlyphs
+    });
+    if (style.preferredFamily) {
+        font.names.preferredFamily = {en: style.preferredFamily};
+        font.names.preferredSubfamily = {en: style.preferredSubfamily};
+    }
+
+    if (glyphSources) {
+        // The font or override file of each code point, for the build
+        // reports.
+        font.glyphSources = glyphSources;
+    }
+    if (options.vertical) {
+        // The alternate glyph index of each glyph, see
+        // makeVerticalTables() in font-writer.js.
+        font.verticalAlternates = new Map(
+            Array.from(verticalForms).map(
+                ([glyphIndex, code]) => [glyphIndices.get(code), glyphIndex]));
+    }
+
+    if (options.ledPalette) {
+        // The layer glyphs and the palettes of the COLR and CPAL tables,
+        // see makeColorTables() in font-writer.js.
+        font.unlitGlyphs = unlitGlyphs;
+        font.colorPalettes = resolveLedPalettes(options.ledPalette);
+    }
+
+    if (options.bitmapStrikes) {
+        font.bitmapStrikes = options.bitmapStrikes.map((strikeFile) => {
+            if (strikeFile == options.input) {
+                return readBitmapStrike(parser, fontMetrics, glyphIndices,
+                                        verticalForms, options.defaultChar);
+            }
+            const strikeParser = createParser(strikeFile);
+            strikeParser.parse();
+            return readBitmapStrike(strikeParser,
+                                    getFontMetrics(strikeParser, {}),
+                                    glyphIndices, verticalForms,
+                                    options.defaultChar);
+        });
+        const ppems = font.bitmapStrikes.map((strike) => strike.ppem);
+        if (new Set(ppems).size < ppems.length) {
+            throw new Error('The bitmap strikes must have different pixel ' +
+                            'sizes: ' + ppems.join(', '));
+        }
+        log('Bitmap strikes: ' + ppems.join(', ') + ' ppem');
+    }
+    return font;
+}
+
+
+/**
+ * Converts a bitmap font and returns the font file contents.
+ * @param {Object} options The conversion options, see convertFont(), plus
+ *     format, one of 'otf', 'ttf', 'woff' and 'woff2', 'otf' if not set,
+ *     and the writer options, see writeFont() in font-writer.js.
+ * @return {Buffer}
+ */
+function convertFontToBuffer(options) {
+    return writeFont(convertFont(options), options.format || 'otf',
+                     options);
+}
+
+
+module.exports.DEFAULT_METADATA = DEFAULT_METADATA;
+module.exports.DOT_SHAPES = DOT_SHAPES;
+module.exports.FONT_WEIGHTS = FONT_WEIGHTS;
+module.exports.createParser = createParser;
+module.exports.findMissingGlyphs = findMissingGlyphs;
+module.exports.getFamilyName = getFamilyName;
+module.exports.getFontMetrics = getFontMetrics;
+module.exports.getStyleAttributes = getStyleAttributes;
+module.exports.loadInputFont = loadInputFont;
+module.exports.convertFont = convertFont;
+module.exports.convertFontToBuffer = convertFontToBuffer;
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Builds a family of dotted fonts from one bitmap font: a
+ * font for each dot shape and weight, where the weights differ in the
+ * size of the dots, and optionally a variable font for each dot shape,
+ * with a dot size axis. Bitmap fonts of several pixel sizes can make a
+ * family, or a set of families, for each size.
+ */
+
+
+const {
+    FONT_WEIGHTS,
+    convertFont,
+    getFamilyName,
+    getFontMetrics,
+    loadInputFont
+} = require('./font-converter');
+const path = require('path');
+const { writeFont, writeVariableFont } = require('./font-writer');
+
+
+/**
+ * The default weights of a family.
+ * @type {Array<string>}
+ */
+const DEFAULT_WEIGHTS = ['Light', 'Regular', 'Bold'];
+
+
+/**
+ * The default dot sizes of the lightest and the heaviest weights, as
+ * fractions of the pixel size. The Regular weight of the default
+ * family gets about the dot size of a single font.
+ * @type {Array<number>}
+ */
+const DEFAULT_DOT_SIZE_RANGE = [0.65, 0.9];
+
+
+/**
+ * The variation axis of the variable fonts. Its values are the dot
+ * sizes in percent of the pixel size.
+ * @type {Object}
+ */
+const DOT_SIZE_AXIS = {
+    tag: 'DTSZ',
+    name: 'Dot Size'
+};
+
+
+/**
+ * Returns the name of a dot shape as it appears in family names, e.g.,
+ * 'Rounded Square' for 'rounded-square' or 'Heart' for 'shapes/heart.svg'.
+ * @param {string} dotShape The name or the file of the dot shape.
+ * @return {string}
+ */
+function getShapeTitle(dotShape) {
+    const name = path.basename(dotShape, path.extname(dotShape));
+    return name.split(/[-_\s]+/).filter((word) => word)
+        .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+
+/**
+ * Returns the file name of a family member, e.g.,
+ * 'DottedSongtiSquareBold.otf'.
+ * @param {string} familyName The family name.
+ * @param {string} styleName The style name.
+ * @param {string} format The file format, one of FORMATS.
+ * @return {string}
+ */
+function getFontFileName(familyName, styleName, format) {
+    return (familyName + styleName).replace(/\s/g, '') + '.' + format;
+}
+
+
+/**
+ * Sorts the weights of a family and spreads the dot sizes evenly over
+ * the range, from the lightest weight to the heaviest.
+ * @param {Array<string>} weights The weight names, keys of FONT_WEIGHTS.
+ * @param {Array<number>} dotSizeRange The dot sizes of the lightest and
+ *     the heaviest weights.
+ * @return {Array<Object>} The styleName, weightClass and dotSize of each
+ *     weight.
+ */
+function planWeights(weights, dotSizeRange) {
+    const [minSize, maxSize] = dotSizeRange;
+    if (!(minSize > 0 && minSize <= maxSize && maxSize <= 1)) {
+        throw new Error('The dot size range must be within (0, 1], from ' +
+                        'the smaller size to the larger: ' + dotSizeRange);
+    }
+    var styles = weights.map((weight) => {
+        const styleName = Object.keys(FONT_WEIGHTS).find(
+            (name) => name.toLowerCase() ==
+                weight.replace(/[-\s]/g, '').toLowerCase());
+        if (!styleName) {
+            throw new Error('Unknown weight: ' + weight + '. The weights ' +
+                            'are ' + Object.keys(FONT_WEIGHTS).join(', '));
+        }
+        return styleName;
+    });
+    styles = Array.from(new Set(styles))
+        .sort((a, b) => FONT_WEIGHTS[a] - FONT_WEIGHTS[b]);
+    if (styles.length == 0) {
+        throw new Error('A family needs at least one weight.');
+    }
+    return styles.map((styleName, i) => ({
+        styleName: styleName,
+        weightClass: FONT_WEIGHTS[styleName],
+        dotSize: styles.length == 1 ? (minSize + maxSize) / 2 :
+            minSize + (maxSize - minSize) * i / (styles.length - 1)
+    }));
+}
+
+
+/**
+ * Builds the fonts of a family one at a time, so that only one of them
+ * is in memory at once.
+ *
+ * Each dot shape makes a family of its own, named after the base family
+ * and the shape, e.g., 'Dotted Songti Square', with a font for each
+ * weight. Dot shapes that draw the glyphs as a whole, e.g., 'solid',
+ * ignore the dot size, so all their weights look the same.
+ * @param {Object} options The conversion options, see convertFont(),
+ *     except dotShape and dotSize, plus the following. The parser
+ *     option is shared by all the fonts.
+ * @param {Array<string>=} options.dotShapes The dot shapes, names or
+ *     files. Defaults to ['square'].
+ * @param {Array<string>=} options.weights The weights, keys of
+ *     FONT_WEIGHTS. Defaults to DEFAULT_WEIGHTS.
+ * @param {Array<number>=} options.dotSizeRange The dot sizes of the
+ *     lightest and the heaviest weights, as fractions of the pixel size.
+ *     Defaults to DEFAULT_DOT_SIZE_RANGE.
+ * @param {string=} options.format The format of the fonts, one of
+ *     FORMATS. Defaults to 'otf'.
+ * @param {number=} options.woff2Quality The Brotli quality of the WOFF2
+ *     fonts, see writeFont() in font-writer.js.
+ * @param {boolean=} options.variable If set, a variable font is built
+ *     for each dot shape as well, interpolating between the lightest and
+ *     the heaviest weights. It is written as a TrueType font if the
+ *     format is 'otf'.
+ * @yield {Object} The fileName, familyName, styleName and buffer of each
+ *     font, and the conversion options it was built with.
+ */
+function* buildFamily(options) {
+    const weights = planWeights(options.weights || DEFAULT_WEIGHTS,
+                                options.dotSizeRange || DEFAULT_DOT_SIZE_RANGE);
+    const format = options.format || 'otf';
+    const metadata = options.metadata || {};
+    const log = options.verbose ? console.log : () => {};
+
+    const parser = options.parser || loadInputFont(options);
+    const baseFamilyName = getFamilyName(parser, metadata);
+
+    for (const dotShape of options.dotShapes || ['square']) {
+        const familyName = baseFamilyName + ' ' + getShapeTitle(dotShape);
+        const memberOptions = (weight) => Object.assign({}, options, {
+            parser: parser,
+            dotShape: dotShape,
+            dotSize: weight.dotSize,
+            metadata: Object.assign({}, metadata, {
+                familyName: familyName,
+                styleName: weight.styleName
+            }),
+            verbose: false
+        });
+
+        for (const weight of weights) {
+            log('Building ' + familyName + ' ' + weight.styleName +
+                ', dot size ' + weight.dotSize.toFixed(3));
+            const fontOptions = memberOptions(weight);
+            yield {
+                fileName: getFontFileName(familyName, weight.styleName,
+                                          format),
+                familyName: familyName,
+                styleName: weight.styleName,
+                buffer: writeFont(convertFont(fontOptions), format,
+                                  options),
+                options: fontOptions
+            };
+        }
+
+        if (options.variable && weights.length > 1) {
+            const variableFormat = format == 'otf' ? 'ttf' : format;
+            log('Building ' + familyName + ' Variable');
+            // The Regular weight, or the middle one, is the default.
+            const defaultWeight =
+                  weights.find((weight) => weight.styleName == 'Regular') ||
+                  weights[Math.floor((weights.length - 1) / 2)];
+            const masterWeights = Array.from(new Set(
+                [weights[0], defaultWeight, weights[weights.length - 1]]));
+            const toAxisValue = (weight) => weight.dotSize * 100;
+            const masters = masterWeights.map((weight) => ({
+                value: toAxisValue(weight),
+                font: convertFont(memberOptions(weight))
+            }));
+            const defaultFont = masters[masterWeights.indexOf(defaultWeight)]
+                  .font;
+            defaultFont.names.postScriptName = {
+                en: familyName.replace(/\s/g, '') + 'Variable'
+            };
+            const variation = {
+                axis: Object.assign({}, DOT_SIZE_AXIS, {
+                    minValue: toAxisValue(weights[0]),
+                    defaultValue: toAxisValue(defaultWeight),
+                    maxValue: toAxisValue(weights[weights.length - 1])
+                }),
+                masters: masters,
+                instances: weights.map((weight) => ({
+                    name: weight.styleName,
+                    value: toAxisValue(weight)
+                }))
+            };
+            yield {
+                fileName: getFontFileName(familyName, 'Variable',
+                                          variableFormat),
+                familyName: familyName,
+                styleName: defaultWeight.styleName,
+                buffer: writeVariableFont(variation, variableFormat,
+                                          options),
+                options: memberOptions(defaultWeight)
+            };
+        }
+    }
+}
+
+
+/**
+ * Builds a font, or a family with the family option, for each of
+ * several bitmap fonts of different pixel sizes, e.g., the 9pt to 12pt
+ * strikes of WenQuanYi, one at a time. The pixel size is appended to
+ * the family names, e.g., 'Dotted Songti 13px'.
+ * @param {Object} options The conversion options, see convertFont() or
+ *     buildFamily(), plus the following. The glyphSize, ascent and
+ *     descent options apply to all the inputs.
+ * @param {Array<string>} options.inputs The PCF or BDF font files.
+ * @param {boolean=} options.family If set, a family is built for each
+ *     input, see buildFamily().
+ * @yield {Object} The fileName, familyName, styleName and buffer of each
+ *     font, and the conversion options it was built with.
+ */
+function* buildStrikeFonts(options) {
+    const format = options.format || 'otf';
+    const metadata = options.metadata || {};
+    const log = options.verbose ? console.log : () => {};
+    for (const input of options.inputs) {
+        const parser = loadInputFont(Object.assign({}, options, {
+            input: input
+        }));
+        const pixelHeight = getFontMetrics(parser, options).pixelHeight;
+        const fontOptions = Object.assign({}, options, {
+            input: input,
+            parser: parser,
+            metadata: Object.assign({}, metadata, {
+                familyName: getFamilyName(parser, metadata) + ' ' +
+                    pixelHeight + 'px'
+            }),
+            verbose: false
+        });
+        if (options.family) {
+            yield* buildFamily(Object.assign({}, fontOptions, {
+                verbose: options.verbose
+            }));
+            continue;
+        }
+        log('Building ' + fontOptions.metadata.familyName);
+        const font = convertFont(fontOptions);
+        // The typographic names, if any, are the full ones.
+        const names = font.names;
+        const familyName = (names.preferredFamily || names.fontFamily).en;
+        const styleName = (names.preferredSubfamily || names.fontSubfamily).en;
+        yield {
+            fileName: getFontFileName(familyName, styleName, format),
+            familyName: familyName,
+            styleName: styleName,
+            buffer: writeFont(font, format, options),
+            options: fontOptions
+        };
+    }
+}
+
+
+module.exports.DEFAULT_DOT_SIZE_RANGE = DEFAULT_DOT_SIZE_RANGE;
+module.exports.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+module.exports.DOT_SIZE_AXIS = DOT_SIZE_AXIS;
+module.exports.buildFamily = buildFamily;
+module.exports.buildStrikeFonts = buildStrikeFonts;
@@ -0,0 +1,626 @@
+/**
+ * @fileoverview Renders specimens of the converted fonts, as SVG or PNG:
+ * sample text, a waterfall of sizes, a glyph grid of a Unicode block and
+ * the source bitmaps next to the dotted glyphs. The samples are drawn as
+ * paths of the font itself. The labels are SVG text in a generic font
+ * family, or, in PNG, drawn with the label font of label-font.js, since
+ * the font under test may have no Latin glyphs.
+ */
+
+
+const { encodePng, rasterizeScene } = require('./path-rasterizer');
+const { makeLabelPath } = require('./label-font');
+const { formatCodePoint } = require('./code-points');
+const { listSubset } = require('./glyph-subsets');
+const opentype = require('opentype.js');
+
+
+/**
+ * The sections of a specimen, in the order they are drawn. 'source'
+ * needs the source bitmap font.
+ * @type {Array<string>}
+ */
+const SPECIMEN_SECTIONS = ['text', 'waterfall', 'grid', 'source'];
+
+
+/**
+ * The formats of the specimen images.
+ * @type {Array<string>}
+ */
+const SPECIMEN_FORMATS = ['svg', 'png'];
+
+
+/**
+ * The default sample text.
+ * @type {string}
+ */
+const DEFAULT_SAMPLE_TEXT =
+      '点阵字体，我能吞下玻璃而不伤身体。\n' +
+      'The quick brown fox jumps over the lazy dog. 0123456789';
+
+
+/**
+ * The default font sizes of the waterfall, in pixels.
+ * @type {Array<number>}
+ */
+const DEFAULT_WATERFALL_SIZES = [12, 16, 24, 32, 48];
+
+
+/**
+ * The default glyph grid, the first 256 CJK unified ideographs.
+ * @type {string}
+ */
+const DEFAULT_GRID = 'U+4E00-4EFF';
+
+
+/**
+ * The colors of a specimen.
+ * @type {Object<string, string>}
+ */
+const SPECIMEN_COLORS = {
+    background: '#FFFFFF',
+    text: '#000000',
+    label: '#808080',
+    rule: '#D0D0D0'
+};
+
+
+// Layout, in pixels.
+const MARGIN = 32;
+const TITLE_SIZE = 28;
+const LABEL_SIZE = 14;
+const SMALL_LABEL_SIZE = 11;
+const SECTION_SPACING = 32;
+const GRID_COLUMNS = 16;
+const COMPARE_SPACING = 8;
+
+
+/**
+ * Makes the path of a rectangle.
+ * @param {number} x The left.
+ * @param {number} y The top.
+ * @param {number} width The width.
+ * @param {number} height The height.
+ * @return {opentype.Path}
+ */
+function makeRectPath(x, y, width, height) {
+    var path = new opentype.Path();
+    path.moveTo(x, y);
+    path.lineTo(x + width, y);
+    path.lineTo(x + width, y + height);
+    path.lineTo(x, y + height);
+    path.close();
+    return path;
+}
+
+
+/**
+ * Lays out the paths of a specimen from top to bottom.
+ */
+class SpecimenBuilder {
+    /**
+     * @param {opentype.Font} font The font.
+     * @param {number} width The width of the specimen in pixels.
+     */
+    constructor(font, width) {
+        /** {opentype.Font} */
+        this.font = font;
+
+        /** {number} */
+        this.width = width;
+
+        /**
+         * The top of the next row of the specimen.
+         * @type {number}
+         */
+        this.y = MARGIN;
+
+        /**
+         * The paths to be drawn in order, each with a fill color.
+         * @type {Array<Object>}
+         */
+        this.items = [];
+    }
+
+    /**
+     * The ascent of the font at a size.
+     * @param {number} size The font size in pixels.
+     * @return {number}
+     */
+    ascent(size) {
+        return this.font.ascender / this.font.unitsPerEm * size;
+    }
+
+    /**
+     * The line height of the font at a size.
+     * @param {number} size The font size in pixels.
+     * @return {number}
+     */
+    lineHeight(size) {
+        return (this.font.ascender - this.font.descender) /
+            this.font.unitsPerEm * size * 1.25;
+    }
+
+    /**
+     * Returns the glyph of a character, or .notdef if the font has none.
+     * The text layout of opentype.js is not used, since it fails on
+     * missing characters with the fonts converted in memory.
+     * @param {string} char The character.
+     * @return {opentype.Glyph}
+     */
+    getGlyph(char) {
+        return this.font.glyphs.get(this.font.charToGlyphIndex(char) || 0);
+    }
+
+    /**
+     * The advance width of text.
+     * @param {string} text The text.
+     * @param {number} size The font size in pixels.
+     * @return {number}
+     */
+    measureText(text, size) {
+        var width = 0;
+        for (const char of text) {
+            width += this.getGlyph(char).advanceWidth;
+        }
+        return width / this.font.unitsPerEm * size;
+    }
+
+    /**
+     * Adds a path.
+     * @param {opentype.Path} path The path.
+     * @param {string} fill The fill color.
+     */
+    addPath(path, fill) {
+        if (path.commands.length > 0) {
+            this.items.push({path: path, fill: fill});
+        }
+    }
+
+    /**
+     * Adds a line of text, one path for each glyph.
+     * @param {string} text The text.
+     * @param {number} x The left of the line.
+     * @param {number} baseline The baseline of the line.
+     * @param {number} size The font size in pixels.
+     * @param {string} fill The fill color.
+     */
+    addText(text, x, baseline, size, fill) {
+        for (const char of text) {
+            const glyph = this.getGlyph(char);
+            this.addPath(glyph.getPath(x, baseline, size), fill);
+            x += glyph.advanceWidth / this.font.unitsPerEm * size;
+        }
+    }
+
+    /**
+     * Adds a label, which is not drawn with the font.
+     * @param {string} text The label.
+     * @param {number} x The left of the label.
+     * @param {number} baseline The baseline of the label.
+     * @param {number} size The font size in pixels.
+     * @param {string} fill The fill color.
+     */
+    addLabel(text, x, baseline, size, fill) {
+        this.items.push({
+            label: text,
+            x: x,
+            baseline: baseline,
+            size: size,
+            fill: fill
+        });
+    }
+
+    /**
+     * Adds a frame of one pixel lines.
+     * @param {number} x The left.
+     * @param {number} y The top.
+     * @param {number} width The width.
+     * @param {number} height The height.
+     * @param {string} fill The line color.
+     */
+    addFrame(x, y, width, height, fill) {
+        this.addPath(makeRectPath(x, y, width, 1), fill);
+        this.addPath(makeRectPath(x, y + height - 1, width, 1), fill);
+        this.addPath(makeRectPath(x, y + 1, 1, height - 2), fill);
+        this.addPath(makeRectPath(x + width - 1, y + 1, 1, height - 2),
+                     fill);
+    }
+
+    /**
+     * Adds a row of text below the previous rows.
+     * @param {string} text The text.
+     * @param {number} size The font size in pixels.
+     * @param {string} fill The fill color.
+     */
+    addLine(text, size, fill) {
+        this.addText(text, MARGIN, this.y + this.ascent(size), size, fill);
+        this.y += this.lineHeight(size);
+    }
+
+    /**
+     * Adds a row of a label below the previous rows.
+     * @param {string} text The label.
+     * @param {number} size The font size in pixels.
+     * @param {string} fill The fill color.
+     */
+    addLabelLine(text, size, fill) {
+        this.addLabel(text, MARGIN, this.y + size, size, fill);
+        this.y += size * 1.5;
+    }
+
+    /**
+     * Adds the label of a section, with a rule below.
+     * @param {string} label The label.
+     */
+    addSectionLabel(label) {
+        this.y += SECTION_SPACING;
+        this.addLabelLine(label, LABEL_SIZE, SPECIMEN_COLORS.label);
+        this.addPath(makeRectPath(MARGIN, Math.round(this.y),
+                                  this.width - 2 * MARGIN, 1),
+                     SPECIMEN_COLORS.rule);
+        this.y += 12;
+    }
+
+    /**
+     * Breaks text into the lines that fit a width. The lines break at
+     * the spaces, or between any characters if a word is too long, as
+     * CJK text is.
+     * @param {string} text The text. Line feeds break lines as well.
+     * @param {number} size The font size in pixels.
+     * @param {number} width The width in pixels.
+     * @return {Array<string>}
+     */
+    wrapText(text, size, width) {
+        var lines = [];
+        for (const paragraph of text.split('\n')) {
+            let line = '';
+            for (const char of paragraph) {
+                if (line == '' ||
+                    this.measureText(line + char, size) <= width) {
+                    line += char;
+                    continue;
+                }
+                const space = line.lastIndexOf(' ');
+                if (char != ' ' && space > 0) {
+                    lines.push(line.slice(0, space));
+                    line = line.slice(space + 1) + char;
+                } else {
+                    lines.push(line);
+                    line = char == ' ' ? '' : char;
+                }
+            }
+            lines.push(line);
+        }
+        return lines;
+    }
+
+    /**
+     * Adds the name of the font.
+     */
+    addTitle() {
+        const names = this.font.names;
+        const name = names.fullName ? names.fullName.en : 'Untitled';
+        this.addLabelLine(name, TITLE_SIZE, SPECIMEN_COLORS.text);
+        this.addLabelLine(
+            (this.font.numGlyphs || this.font.glyphs.length) + ' glyphs',
+            LABEL_SIZE, SPECIMEN_COLORS.label);
+    }
+
+    /**
+     * Adds the sample text, wrapped to the width of the specimen.
+     * @param {string} text The sample text.
+     * @param {number} size The font size in pixels.
+     */
+    addSampleText(text, size) {
+        this.addSectionLabel('Text ' + size + 'px');
+        for (const line of
+             this.wrapText(text, size, this.width - 2 * MARGIN)) {
+            this.addLine(line, size, SPECIMEN_COLORS.text);
+        }
+    }
+
+    /**
+     * Adds the sample text at several sizes, one line each.
+     * @param {string} text The sample text.
+     * @param {Array<number>} sizes The font sizes in pixels.
+     */
+    addWaterfall(text, sizes) {
+        this.addSectionLabel('Waterfall');
+        const labelWidth = 4 * LABEL_SIZE;
+        const width = this.width - 2 * MARGIN - labelWidth;
+        const oneLine = text.replace(/\s*\n\s*/g, ' ');
+        for (const size of sizes) {
+            const baseline = this.y + this.ascent(size);
+            this.addLabel(size + 'px', MARGIN, baseline, SMALL_LABEL_SIZE,
+                          SPECIMEN_COLORS.label);
+            this.addText(this.wrapText(oneLine, size, width)[0],
+                         MARGIN + labelWidth, baseline, size,
+                         SPECIMEN_COLORS.text);
+            this.y += this.lineHeight(size);
+        }
+    }
+
+    /**
+     * Adds the glyphs of a subset in a grid, 16 to a row. The missing
+     * glyphs show the .notdef glyph in the label color.
+     * @param {string} subset The subset expression, e.g., U+4E00-4EFF.
+     * @param {number} cellSize The size of the grid cells in pixels.
+     */
+    addGlyphGrid(subset, cellSize) {
+        const codes = listSubset(subset);
+        if (codes == null) {
+            throw new Error('The glyph grid needs a subset whose code ' +
+                            'points are listed, not ' + subset + '.');
+        }
+        this.addSectionLabel('Glyphs ' + subset);
+        const labelWidth = 5 * SMALL_LABEL_SIZE;
+        const glyphSize = Math.round(cellSize * 0.75);
+        for (let i = 0; i < codes.length; i += GRID_COLUMNS) {
+            const top = Math.round(this.y);
+            this.addLabel(formatCodePoint(codes[i]), MARGIN,
+                          top + (cellSize + SMALL_LABEL_SIZE) / 2,
+                          SMALL_LABEL_SIZE, SPECIMEN_COLORS.label);
+            codes.slice(i, i + GRID_COLUMNS).forEach((code, column) => {
+                const left = MARGIN + labelWidth + column * cellSize;
+                this.addFrame(left, top, cellSize + 1, cellSize + 1,
+                              SPECIMEN_COLORS.rule);
+                const glyph = this.getGlyph(String.fromCodePoint(code));
+                const advance = glyph.advanceWidth / this.font.unitsPerEm *
+                      glyphSize;
+                this.addPath(
+                    glyph.getPath(left + (cellSize - advance) / 2,
+                                  top + (cellSize - glyphSize) / 2 +
+                                  this.ascent(glyphSize), glyphSize),
+                    glyph.index == 0 ?
+                        SPECIMEN_COLORS.label : SPECIMEN_COLORS.text);
+            });
+            this.y = top + cellSize;
+        }
+    }
+
+    /**
+     * Adds the source bitmaps of characters, each followed by its dotted
+     * glyph at the same size.
+     * @param {Array<number>} codes The code points.
+     * @param {BitmapFontParser} parser The parser that has loaded the
+     *     source bitmap font.
+     * @param {Object} fontMetrics The metrics of the source bitmap font
+     *     from getFontMetrics().
+     * @param {number} size The size of the em boxes in pixels.
+     */
+    addSourceComparison(codes, parser, fontMetrics, size) {
+        this.addSectionLabel('Source bitmaps and dotted glyphs');
+        const pixelSize = size / fontMetrics.pixelHeight;
+        const pairWidth = 2 * size + COMPARE_SPACING;
+        const columns = Math.max(1, Math.floor(
+            (this.width - 2 * MARGIN + 2 * COMPARE_SPACING) /
+                (pairWidth + 2 * COMPARE_SPACING)));
+        codes.forEach((code, i) => {
+            const column = i % columns;
+            if (column == 0 && i > 0) {
+                this.y += size + 2 * SMALL_LABEL_SIZE + COMPARE_SPACING;
+            }
+            const left = MARGIN + column * (pairWidth + 2 * COMPARE_SPACING);
+            const top = Math.round(this.y);
+            const baseline = top + fontMetrics.ascent * pixelSize;
+            this.addFrame(left, top, size, size, SPECIMEN_COLORS.rule);
+            this.addFrame(left + size + COMPARE_SPACING, top, size, size,
+                          SPECIMEN_COLORS.rule);
+            const metrics = parser.getGlyphMetrics(code);
+            parser.getGlyphPixels(code).forEach((row, y) => {
+                row.forEach((black, x) => {
+                    if (black) {
+                        this.addPath(makeRectPath(
+                            left + (metrics.leftSidedBearing + x) *
+                                pixelSize,
+                            baseline - (metrics.characterAscent - y) *
+                                pixelSize,
+                            pixelSize, pixelSize), SPECIMEN_COLORS.text);
+                    }
+                });
+            });
+            this.addPath(
+                this.getGlyph(String.fromCodePoint(code)).getPath(
+                    left + size + COMPARE_SPACING, baseline, size),
+                SPECIMEN_COLORS.text);
+            this.addLabel(formatCodePoint(code), left,
+                          top + size + 1.5 * SMALL_LABEL_SIZE,
+                          SMALL_LABEL_SIZE, SPECIMEN_COLORS.label);
+        });
+        if (codes.length > 0) {
+            this.y += size + 2 * SMALL_LABEL_SIZE;
+        }
+    }
+
+    /**
+     * Returns the scene of the specimen.
+     * @return {Object} See buildSpecimen().
+     */
+    build() {
+        return {
+            width: this.width,
+            height: Math.ceil(this.y + MARGIN),
+            background: SPECIMEN_COLORS.background,
+            items: this.items
+        };
+    }
+}
+
+
+/**
+ * Lays out a specimen of a font.
+ * @param {opentype.Font} font The font, either converted in memory or
+ *     parsed from a font file.
+ * @param {Object=} options The specimen options.
+ * @param {Array<string>=} options.sections The sections, from
+ *     SPECIMEN_SECTIONS. Defaults to all but 'source', plus 'source' if
+ *     options.parser is set.
+ * @param {string=} options.text The sample text. Line feeds break lines.
+ * @param {number=} options.textSize The font size of the sample text in
+ *     pixels. Defaults to 32.
+ * @param {Array<number>=} options.sizes The font sizes of the waterfall
+ *     in pixels.
+ * @param {string=} options.grid The subset expression of the glyph grid,
+ *     which must list its code points, e.g., 'U+4E00-4EFF', see
+ *     glyph-subsets.js.
+ * @param {number=} options.gridSize The size of the grid cells in
+ *     pixels. Defaults to 48.
+ * @param {BitmapFontParser=} options.parser The parser that has loaded
+ *     the source bitmap font, see loadInputFont() in font-converter.js.
+ * @param {Object=} options.fontMetrics The metrics of the source bitmap
+ *     font from getFontMetrics().
+ * @param {string=} options.compareText The characters whose source
+ *     bitmaps are shown. Defaults to the first 8 characters of the
+ *     sample text that the source font has.
+ * @param {number=} options.compareSize The size of the em boxes of the
+ *     source bitmaps in pixels. Defaults to 96.
+ * @param {number=} options.width The width of the specimen in pixels.
+ *     Defaults to 960.
+ * @return {Object} The scene: the width and the height in pixels, the
+ *     background color, and the items to be drawn in order, each with a
+ *     fill color and either a path in pixels or a label with its left,
+ *     its baseline and its font size in pixels.
+ */
+function buildSpecimen(font, options) {
+    options = options || {};
+    const sections = options.sections || SPECIMEN_SECTIONS.filter(
+        (section) => section != 'source' || options.parser);
+    for (const section of sections) {
+        if (!SPECIMEN_SECTIONS.includes(section)) {
+            throw new Error('Unknown specimen section: ' + section);
+        }
+    }
+    const text = options.text || DEFAULT_SAMPLE_TEXT;
+    var builder = new SpecimenBuilder(font, options.width || 960);
+    builder.addTitle();
+    if (sections.includes('text')) {
+        builder.addSampleText(text, options.textSize || 32);
+    }
+    if (sections.includes('waterfall')) {
+        builder.addWaterfall(text, options.sizes || DEFAULT_WATERFALL_SIZES);
+    }
+    if (sections.includes('grid')) {
+        builder.addGlyphGrid(options.grid || DEFAULT_GRID,
+                             options.gridSize || 48);
+    }
+    if (sections.includes('source')) {
+        if (!options.parser || !options.fontMetrics) {
+            throw new Error('The source section needs the source bitmap ' +
+                            'font.');
+        }
+        const chars = Array.from(new Set(
+            Array.from(options.compareText || text)
+                .map((char) => char.codePointAt(0))
+                .filter((code) => code > 0x20 &&
+                        options.parser.hasGlyph(code))));
+        builder.addSourceComparison(
+            options.compareText ? chars : chars.slice(0, 8),
+            options.parser, options.fontMetrics, options.compareSize || 96);
+    }
+    return builder.build();
+}
+
+
+/**
+ * Escapes the special characters of XML text and attribute values.
+ * @param {string} text The text.
+ * @return {string}
+ */
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+
+/**
+ * Draws the labels of a scene with the label font, for the renderers
+ * that only fill paths.
+ * @param {Object} scene The scene from buildSpecimen().
+ * @return {Object} The scene with paths only.
+ */
+function drawLabels(scene) {
+    return Object.assign({}, scene, {
+        items: scene.items.map((item) => item.label == undefined ? item : {
+            path: makeLabelPath(item.label, item.x, item.baseline,
+                                item.size),
+            fill: item.fill
+        })
+    });
+}
+
+
+/**
+ * Writes a scene as SVG. The consecutive paths of the same color are
+ * merged into one path element. The labels are text elements in the
+ * generic sans-serif font family.
+ * @param {Object} scene The scene from buildSpecimen().
+ * @return {string} The SVG document.
+ */
+function sceneToSvg(scene) {
+    var lines = [
+        '<svg xmlns="http://www.w3.org/2000/svg" width="' + scene.width +
+            '" height="' + scene.height + '" viewBox="0 0 ' + scene.width +
+            ' ' + scene.height + '">',
+        '<rect width="100%" height="100%" fill="' + scene.background +
+            '"/>'
+    ];
+    var fill = null;
+    var data = [];
+    const flush = () => {
+        if (data.length > 0) {
+            lines.push('<path fill="' + fill + '" d="' + data.join('') +
+                       '"/>');
+        }
+        data = [];
+    };
+    for (const item of scene.items) {
+        if (item.label != undefined) {
+            flush();
+            lines.push('<text x="' + item.x + '" y="' +
+                       +item.baseline.toFixed(2) + '" font-family=' +
+                       '"sans-serif" font-size="' + item.size + '" fill="' +
+                       item.fill + '">' + escapeXml(item.label) +
+                       '</text>');
+            continue;
+        }
+        if (item.fill != fill) {
+            flush();
+            fill = item.fill;
+        }
+        data.push(item.path.toPathData(2));
+    }
+    flush();
+    lines.push('</svg>');
+    return lines.join('\n') + '\n';
+}
+
+
+/**
+ * Renders a specimen of a font.
+ * @param {opentype.Font} font The font.
+ * @param {Object=} options The options of buildSpecimen(), plus format,
+ *     one of SPECIMEN_FORMATS, 'svg' if not set, and scale, the scale of
+ *     the PNG image, 1 if not set.
+ * @return {Buffer} The SVG or PNG file contents.
+ */
+function renderSpecimen(font, options) {
+    options = options || {};
+    const format = options.format || 'svg';
+    const scene = buildSpecimen(font, options);
+    if (format == 'svg') {
+        return Buffer.from(sceneToSvg(scene), 'utf8');
+    }
+    if (format == 'png') {
+        return encodePng(rasterizeScene(drawLabels(scene), options.scale));
+    }
+    throw new Error('Unknown specimen format: ' + format);
+}
+
+
+module.exports.DEFAULT_SAMPLE_TEXT = DEFAULT_SAMPLE_TEXT;
+module.exports.SPECIMEN_FORMATS = SPECIMEN_FORMATS;
+module.exports.SPECIMEN_SECTIONS = SPECIMEN_SECTIONS;
+module.exports.buildSpecimen = buildSpecimen;
+module.exports.renderSpecimen = renderSpecimen;
+module.exports.sceneToSvg = sceneToSvg;
@@ -0,0 +1,632 @@
+/**
+ * @fileoverview Checks the generated font files for the problems that
+ * used to be found and fixed with FontForge before a release.
+ */
+
+
+const { analyzeContours } = require('./contour-utils');
+const { formatCodePoint } = require('./code-points');
+const { getFontMetrics, loadInputFont } = require('./font-converter');
+const {
+    WOFF2_KNOWN_TAGS,
+    assembleSfnt,
+    computeChecksum,
+    readSfntTables
+} = require('./font-writer');
+const opentype = require('opentype.js');
+const zlib = require('zlib');
+
+
+/**
+ * The tables every generated font must have, besides its outline
+ * tables.
+ * @type {Array<string>}
+ */
+const REQUIRED_TABLES = [
+    'OS/2', 'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'post'
+];
+
+
+/**
+ * The name records every generated font must have in English.
+ * @type {Array<string>}
+ */
+const REQUIRED_NAMES = [
+    'fontFamily', 'fontSubfamily', 'uniqueID', 'fullName', 'version',
+    'postScriptName'
+];
+
+
+/**
+ * The contours with a smaller area, in square font units, are reported
+ * as degenerate.
+ * @type {number}
+ */
+const MIN_CONTOUR_AREA = 1;
+
+
+/**
+ * Reads a WOFF2 file whose tables all take the null transform, as the
+ * files of the converter do, and reassembles the sfnt font file.
+ * @param {Buffer} woff2 The WOFF2 file contents.
+ * @return {Buffer} The sfnt font file contents.
+ */
+function woff2ToSfnt(woff2) {
+    const numTables = woff2.readUInt16BE(12);
+    const compressedLength = woff2.readUInt32BE(20);
+    var offset = 48;
+    var entries = [];
+    for (let i = 0; i < numTables; i++) {
+        const flags = woff2[offset++];
+        let tag = WOFF2_KNOWN_TAGS[flags & 63];
+        if ((flags & 63) == 63) {
+            tag = woff2.toString('latin1', offset, offset + 4);
+            offset += 4;
+        } else if (tag == undefined) {
+            throw new Error('Unsupported WOFF2 table: ' + (flags & 63));
+        }
+        const transform = flags >> 6;
+        const nullTransform = tag == 'glyf' || tag == 'loca' ? 3 : 0;
+        if (transform != nullTransform) {
+            throw new Error('Transformed WOFF2 tables are not supported: ' +
+                            tag);
+        }
+        let length = 0;
+        let byte;
+        do {
+            byte = woff2[offset++];
+            length = length * 0x80 + (byte & 0x7F);
+        } while (byte & 0x80);
+        entries.push([tag, length]);
+    }
+
+    const data = zlib.brotliDecompressSync(
+        woff2.subarray(offset, offset + compressedLength));
+    var tables = {};
+    var start = 0;
+    for (const [tag, length] of entries) {
+        tables[tag] = data.subarray(start, start + length);
+        start += length;
+    }
+    return assembleSfnt(woff2.readUInt32BE(4), tables);
+}
+
+
+/**
+ * Reads the table tags and lengths of a WOFF file.
+ * @param {Buffer} woff The WOFF file contents.
+ * @return {Map<string, number>} The uncompressed table lengths keyed by
+ *     tag.
+ */
+function readWoffTableLengths(woff) {
+    var lengths = new Map();
+    for (let i = 0; i < woff.readUInt16BE(12); i++) {
+        const entry = 44 + 20 * i;
+        lengths.set(woff.toString('latin1', entry, entry + 4),
+                    woff.readUInt32BE(entry + 12));
+    }
+    return lengths;
+}
+
+
+/**
+ * Reads a table of a WOFF file.
+ * @param {Buffer} woff The WOFF file contents.
+ * @param {string} tag The table tag.
+ * @return {Buffer|undefined} The uncompressed table data, or undefined
+ *     if the font has no such table.
+ */
+function readWoffTable(woff, tag) {
+    for (let i = 0; i < woff.readUInt16BE(12); i++) {
+        const entry = 44 + 20 * i;
+        if (woff.toString('latin1', entry, entry + 4) != tag) {
+            continue;
+        }
+        const offset = woff.readUInt32BE(entry + 4);
+        const data = woff.subarray(offset,
+                                   offset + woff.readUInt32BE(entry + 8));
+        return data.length < woff.readUInt32BE(entry + 12) ?
+            zlib.inflateSync(data) : data;
+    }
+    return undefined;
+}
+
+
+/**
+ * Parses a generated font file with opentype.js. The glyphs are loaded
+ * on demand. FontValidator parses the fonts with it too.
+ * @param {Buffer} fontBuffer The contents of an OTF, TTF, WOFF or WOFF2
+ *     file.
+ * @return {opentype.Font}
+ */
+function parseFontBuffer(fontBuffer) {
+    const sfnt = fontBuffer.toString('latin1', 0, 4) == 'wOF2' ?
+          woff2ToSfnt(fontBuffer) : fontBuffer;
+    return opentype.parse(
+        sfnt.buffer.slice(sfnt.byteOffset, sfnt.byteOffset + sfnt.length),
+        {lowMemory: true});
+}
+
+
+/**
+ * Re-parses a generated font file and checks it for problems.
+ */
+class FontValidator {
+    /**
+     * @param {Buffer} fontBuffer The contents of an OTF, TTF, WOFF or
+     *     WOFF2 file.
+     * @param {Object=} options The options of convertFont() the font was
+     *     generated with. If options.input is set, the glyphs and metrics
+     *     are checked against the input bitmap font.
+     */
+    constructor(fontBuffer, options) {
+        /** @type {Buffer} */
+        this.fontBuffer = fontBuffer;
+
+        /** @type {Object} */
+        this.options = options || {};
+
+        /**
+         * The problems found so far, each with a severity ('error' or
+         * 'warning'), the name of the check and a message.
+         * @type {Array<Object>}
+         */
+        this.problems = [];
+
+        /** @type {opentype.Font} */
+        this.font = null;
+
+        /**
+         * The uncompressed table lengths keyed by tag.
+         * @type {Map<string, number>}
+         */
+        this.tableLengths = null;
+
+        /**
+         * The data of the COLR and CPAL tables, which opentype.js does
+         * not parse, keyed by tag.
+         * @type {Object<string, Buffer>}
+         */
+        this.colorTables = {};
+
+        /**
+         * The parser of the input bitmap font, if options.input is set.
+         * @type {BitmapFontParser}
+         */
+        this.parser = null;
+
+        /**
+         * The metrics of the input bitmap font, from getFontMetrics().
+         * @type {Object}
+         */
+        this.inputFontMetrics = null;
+    }
+
+    /**
+     * Runs all the checks.
+     * @return {Array<Object>} The problems found. The font passes if
+     *     none of them is an error.
+     */
+    validate() {
+        try {
+            this.parseFont();
+        } catch (e) {
+            this.error('parse', 'The font cannot be parsed: ' + e.message);
+            return this.problems;
+        }
+        this.checkTables();
+        this.checkNames();
+        this.checkMetrics();
+        this.checkGlyphs();
+        return this.problems;
+    }
+
+    /**
+     * @param {string} check The name of the check.
+     * @param {string} message
+     */
+    error(check, message) {
+        this.problems.push({
+            severity: 'error', check: check, message: message
+        });
+    }
+
+    /**
+     * @param {string} check The name of the check.
+     * @param {string} message
+     */
+    warn(check, message) {
+        this.problems.push({
+            severity: 'warning', check: check, message: message
+        });
+    }
+
+    /**
+     * Reads the table directory and parses the font with opentype.js.
+     * The glyphs are loaded on demand, to keep large fonts in memory
+     * only once.
+     */
+    parseFont() {
+        var sfnt = this.fontBuffer;
+        const signature = sfnt.toString('latin1', 0, 4);
+        if (signature == 'wOF2') {
+            sfnt = woff2ToSfnt(sfnt);
+        }
+        if (signature == 'wOFF') {
+            this.tableLengths = readWoffTableLengths(sfnt);
+            for (const tag of ['COLR', 'CPAL']) {
+                if (this.tableLengths.has(tag)) {
+                    this.colorTables[tag] = readWoffTable(sfnt, tag);
+                }
+            }
+        } else {
+            this.tableLengths = new Map();
+            for (const table of readSfntTables(sfnt)) {
+                this.tableLengths.set(table.tag, table.data.length);
+                if (table.tag == 'COLR' || table.tag == 'CPAL') {
+                    this.colorTables[table.tag] = table.data;
+                }
+                if (signature != 'wOF2' && table.tag != 'head' &&
+                    computeChecksum(table.data) != table.checksum) {
+                    this.error('tables',
+                               'The checksum of the ' + table.tag +
+                               ' table is wrong.');
+                }
+            }
+        }
+        // The WOFF2 file has been decoded already.
+        this.font = parseFontBuffer(sfnt);
+    }
+
+    /**
+     * Checks the required tables and the size of the loca table.
+     */
+    checkTables() {
+        for (const tag of REQUIRED_TABLES) {
+            if (!this.tableLengths.has(tag)) {
+                this.error('tables', 'The ' + tag + ' table is missing.');
+            }
+        }
+        if (this.font.outlinesFormat == 'truetype') {
+            const head = this.font.tables.head;
+            const expected = (this.font.numGlyphs + 1) *
+                  (head.indexToLocFormat ? 4 : 2);
+            if (this.tableLengths.get('loca') != expected) {
+                this.error('tables',
+                           'The loca table has ' +
+                           this.tableLengths.get('loca') + ' bytes, ' +
+                           expected + ' expected.');
+            }
+        } else if (!this.tableLengths.has('CFF ')) {
+            this.error('tables', 'Neither CFF nor glyf outlines are found.');
+        }
+        if (this.tableLengths.has('vhea') != this.tableLengths.has('vmtx')) {
+            this.error('tables', 'The vhea and vmtx tables must come ' +
+                       'together.');
+        } else if (this.tableLengths.has('vmtx') &&
+                   this.tableLengths.get('vmtx') != 4 * this.font.numGlyphs) {
+            this.error('tables',
+                       'The vmtx table has ' + this.tableLengths.get('vmtx') +
+                       ' bytes, ' + 4 * this.font.numGlyphs + ' expected.');
+        }
+    }
+
+    /**
+     * Checks the required name records.
+     */
+    checkNames() {
+        for (const name of REQUIRED_NAMES) {
+            const record = this.font.names[name];
+            if (!record || !record.en) {
+                this.error('names', 'The English ' + name +
+                           ' name record is missing.');
+            }
+        }
+    }
+
+    /**
+     * Checks the vertical metrics in the head, hhea and OS/2 tables,
+     * and compares them to the input font if known.
+     */
+    checkMetrics() {
+        const {head, hhea, os2} = this.font.tables;
+        if (head.unitsPerEm < 16 || head.unitsPerEm > 16384) {
+            this.error('metrics', 'unitsPerEm ' + head.unitsPerEm +
+                       ' is out of the range 16..16384.');
+        }
+        if (hhea.ascender <= 0) {
+            this.error('metrics', 'hhea ascender ' + hhea.ascender +
+                       ' is not positive.');
+        }
+        if (hhea.descender > 0) {
+            this.error('metrics', 'hhea descender ' + hhea.descender +
+                       ' is positive.');
+        }
+        if (os2.sTypoAscender != hhea.ascender ||
+            os2.sTypoDescender != hhea.descender) {
+            this.error('metrics',
+                       'OS/2 typo ascender and descender (' +
+                       os2.sTypoAscender + ', ' + os2.sTypoDescender +
+                       ') differ from hhea (' + hhea.ascender + ', ' +
+                       hhea.descender + ').');
+        }
+        if (os2.usWinAscent < head.yMax || os2.usWinDescent < -head.yMin) {
+            this.error('metrics',
+                       'OS/2 usWinAscent and usWinDescent (' +
+                       os2.usWinAscent + ', ' + os2.usWinDescent +
+                       ') clip the glyph bounding box (' + head.yMax +
+                       ', ' + head.yMin + ') on Windows.');
+        }
+
+        const fontMetrics = this.getInputFontMetrics();
+        if (fontMetrics) {
+            const ascender =
+                  Math.round(fontMetrics.ascent * fontMetrics.pixelSize);
+            const descender =
+                  -Math.round(fontMetrics.descent * fontMetrics.pixelSize);
+            if (Math.abs(hhea.ascender - ascender) > 1 ||
+                Math.abs(hhea.descender - descender) > 1) {
+                this.error('metrics',
+                           'hhea ascender and descender (' + hhea.ascender +
+                           ', ' + hhea.descender + ') do not match the ' +
+                           'input font (' + ascender + ', ' + descender +
+                           ').');
+            }
+        }
+    }
+
+    /**
+     * Parses the input bitmap font once, if the options name one.
+     * @return {Object|null} The metrics from getFontMetrics(), or null if
+     *     there is no input font.
+     */
+    getInputFontMetrics() {
+        if (!this.options.input) {
+            return null;
+        }
+        if (!this.parser) {
+            this.parser = this.options.parser ||
+                loadInputFont(this.options);
+            this.inputFontMetrics = getFontMetrics(this.parser, this.options);
+        }
+        return this.inputFontMetrics;
+    }
+
+    /**
+     * Collects the glyphs that the single substitutions of the GSUB
+     * table substitute for others, e.g., the vertical alternates.
+     * @return {Set<number>} The glyph indices.
+     */
+    collectSubstitutes() {
+        var substitutes = new Set();
+        const gsub = this.font.tables.gsub;
+        for (const lookup of gsub ? gsub.lookups : []) {
+            if (lookup.lookupType != 1) {
+                continue;
+            }
+            for (const subtable of lookup.subtables) {
+                const coverage = subtable.coverage.format == 1 ?
+                      subtable.coverage.glyphs : [];
+                const glyphIndices = subtable.substFormat == 2 ?
+                      subtable.substitute :
+                      coverage.map((glyphIndex) =>
+                          (glyphIndex + subtable.deltaGlyphId) & 0xFFFF);
+                for (const glyphIndex of glyphIndices) {
+                    if (glyphIndex >= this.font.numGlyphs) {
+                        this.error('gsub', 'Glyph ' + glyphIndex + ' is a ' +
+                                   'substitute, but the font has ' +
+                                   this.font.numGlyphs + ' glyphs.');
+                    }
+                    substitutes.add(glyphIndex);
+                }
+            }
+        }
+        return substitutes;
+    }
+
+    /**
+     * Checks the COLR and CPAL tables of version 0 and collects the layer
+     * glyphs of the colour glyphs.
+     * @return {Set<number>} The glyph indices of the layer glyphs.
+     */
+    collectColorLayers() {
+        var layers = new Set();
+        const colr = this.colorTables['COLR'];
+        const cpal = this.colorTables['CPAL'];
+        if (!colr) {
+            if (cpal) {
+                this.warn('colr', 'The CPAL table has no COLR table to ' +
+                          'use it.');
+            }
+            return layers;
+        }
+        if (!cpal) {
+            this.error('colr', 'The COLR table has no CPAL table for its ' +
+                       'colours.');
+            return layers;
+        }
+        if (colr.readUInt16BE(0) != 0 || cpal.readUInt16BE(0) != 0) {
+            this.warn('colr', 'Only version 0 of the COLR and CPAL tables ' +
+                      'is checked.');
+            return layers;
+        }
+        const numPaletteEntries = cpal.readUInt16BE(2);
+        const numGlyphs = this.font.numGlyphs;
+        const numBaseGlyphs = colr.readUInt16BE(2);
+        const baseOffset = colr.readUInt32BE(4);
+        const layerOffset = colr.readUInt32BE(8);
+        const numLayers = colr.readUInt16BE(12);
+        var previous = -1;
+        for (let i = 0; i < numBaseGlyphs; i++) {
+            const record = baseOffset + 6 * i;
+            const glyphIndex = colr.readUInt16BE(record);
+            const firstLayer = colr.readUInt16BE(record + 2);
+            const count = colr.readUInt16BE(record + 4);
+            if (glyphIndex <= previous) {
+                this.error('colr', 'The base glyphs of the COLR table are ' +
+                           'not sorted at glyph ' + glyphIndex + '.');
+            }
+            previous = glyphIndex;
+            if (glyphIndex >= numGlyphs || firstLayer + count > numLayers) {
+                this.error('colr', 'The colour glyph ' + glyphIndex +
+                           ' is out of the glyphs or the layers.');
+            }
+        }
+        for (let i = 0; i < numLayers; i++) {
+            const glyphIndex = colr.readUInt16BE(layerOffset + 4 * i);
+            const paletteIndex = colr.readUInt16BE(layerOffset + 4 * i + 2);
+            if (glyphIndex >= numGlyphs) {
+                this.error('colr', 'Glyph ' + glyphIndex + ' is a COLR ' +
+                           'layer, but the font has ' + numGlyphs +
+                           ' glyphs.');
+            }
+            if (paletteIndex >= numPaletteEntries && paletteIndex != 0xFFFF) {
+                this.error('colr', 'A COLR layer of glyph ' + glyphIndex +
+                           ' takes colour ' + paletteIndex + ', but the ' +
+                           'palettes have ' + numPaletteEntries + '.');
+            }
+            layers.add(glyphIndex);
+        }
+        return layers;
+    }
+
+    /**
+     * Goes through the glyphs one by one and checks .notdef, the cmap,
+     * the advance widths and the contours.
+     */
+    checkGlyphs() {
+        const numGlyphs = this.font.numGlyphs;
+        const glyphIndexMap = this.font.tables.cmap.glyphIndexMap;
+        const fontMetrics = this.getInputFontMetrics();
+        const substitutes = this.collectSubstitutes();
+        const layers = this.collectColorLayers();
+
+        // The first code point of each glyph.
+        var glyphCodes = new Map();
+        for (const key of Object.keys(glyphIndexMap)) {
+            const code = Number(key);
+            const glyphIndex = glyphIndexMap[key];
+            if (glyphIndex >= numGlyphs) {
+                this.error('cmap', formatCodePoint(code) +
+                           ' is mapped to glyph ' + glyphIndex +
+                           ', but the font has ' + numGlyphs + ' glyphs.');
+            } else if (!glyphCodes.has(glyphIndex) ||
+                       code < glyphCodes.get(glyphIndex)) {
+                glyphCodes.set(glyphIndex, code);
+            }
+            if (fontMetrics && code != 0 && !this.parser.hasGlyph(code)) {
+                this.error('cmap', formatCodePoint(code) +
+                           ' is mapped, but the input font has no glyph ' +
+                           'for it.');
+            }
+        }
+        if (glyphCodes.size == 0) {
+            this.error('cmap', 'The cmap table maps no characters.');
+        }
+
+        if (numGlyphs == 0) {
+            this.error('notdef', 'The font has no glyphs, not even .notdef.');
+            return;
+        }
+        for (let glyphIndex = 0; glyphIndex < numGlyphs; glyphIndex++) {
+            const glyph = this.font.glyphs.get(glyphIndex);
+            const code = glyphCodes.get(glyphIndex);
+            const label = 'Glyph ' + glyphIndex +
+                  (code != undefined ? ' (' + formatCodePoint(code) + ')' : '');
+            if (glyphIndex == 0) {
+                this.checkNotdefGlyph(glyph);
+            } else if (code == undefined && !substitutes.has(glyphIndex) &&
+                       !layers.has(glyphIndex)) {
+                this.warn('cmap', label + ' is not mapped to any character, ' +
+                          'nor substituted by GSUB, nor a COLR layer.');
+            }
+            if (fontMetrics && code != undefined && code != 0 &&
+                this.parser.hasGlyph(code)) {
+                const metrics = this.parser.getGlyphMetrics(code);
+                const advanceWidth = Math.round(
+                    metrics.characterWidth * fontMetrics.pixelSize);
+                if (Math.abs(glyph.advanceWidth - advanceWidth) > 1) {
+                    this.error('advance-widths',
+                               label + ' advances ' + glyph.advanceWidth +
+                               ' units, but ' + advanceWidth +
+                               ' in the input font.');
+                }
+            }
+            this.checkContours(glyph.path, label);
+            // Drops the loaded glyph, or the whole font would pile up in
+            // the glyph set of opentype.js.
+            this.font.glyphs.glyphs[glyphIndex] = undefined;
+        }
+    }
+
+    /**
+     * Checks the .notdef glyph.
+     * @param {opentype.Glyph} glyph The first glyph of the font.
+     */
+    checkNotdefGlyph(glyph) {
+        if (this.font.outlinesFormat == 'cff' && glyph.name != '.notdef') {
+            this.error('notdef', 'The first glyph is ' +
+                       JSON.stringify(glyph.name) + ', not .notdef.');
+        }
+        if (!(glyph.advanceWidth > 0)) {
+            this.warn('notdef', 'The .notdef glyph has no advance width.');
+        }
+        if (glyph.path.commands.length == 0) {
+            this.warn('notdef', 'The .notdef glyph is blank, which hides ' +
+                      'the missing characters.');
+        }
+    }
+
+    /**
+     * Checks the contours of a glyph for degenerate shapes and for the
+     * direction. Outer contours run counter-clockwise in CFF outlines
+     * and clockwise in TrueType outlines; holes run the other way.
+     * @param {opentype.Path} path The glyph path.
+     * @param {string} label The glyph name in messages.
+     */
+    checkContours(path, label) {
+        const isCff = this.font.outlinesFormat == 'cff';
+        const outerSign = isCff ? 1 : -1;
+        const outlinesName = isCff ? 'CFF' : 'TrueType';
+        analyzeContours(path).forEach((contour, i) => {
+            if (contour.depth == null ||
+                Math.abs(contour.area) < MIN_CONTOUR_AREA) {
+                this.error('contours', label + ' contour ' + i +
+                           ' is degenerate, with an area of ' +
+                           Math.abs(contour.area).toFixed(2) + '.');
+                return;
+            }
+            const depth = contour.depth;
+            const expectedSign = depth % 2 == 0 ? outerSign : -outerSign;
+            if (Math.sign(contour.area) != expectedSign) {
+                this.error('contours',
+                           label + ' contour ' + i + ' runs ' +
+                           (contour.area > 0 ? 'counter-clockwise' :
+                            'clockwise') + ', but it is ' +
+                           (depth % 2 == 0 ? 'an outer contour' : 'a hole') +
+                           ' of ' + outlinesName + ' outlines.');
+            }
+        });
+    }
+}
+
+
+/**
+ * Validates a generated font file.
+ * @param {Buffer} fontBuffer The contents of an OTF, TTF, WOFF or WOFF2
+ *     file.
+ * @param {Object=} options The options of convertFont() the font was
+ *     generated with. If options.input is set, the glyphs and metrics
+ *     are checked against the input bitmap font.
+ * @return {Array<Object>} The problems found, each with a severity
+ *     ('error' or 'warning'), the name of the check and a message. The
+ *     font passes if none of them is an error.
+ */
+function validateFont(fontBuffer, options) {
+    return new FontValidator(fontBuffer, options).validate();
+}
+
+
+module.exports.FontValidator = FontValidator;
+module.exports.parseFontBuffer = parseFontBuffer;
+module.exports.validateFont = validateFont;
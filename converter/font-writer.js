@@ -0,0 +1,2248 @@
+/**
+ * @fileoverview Serializes opentype.Font objects to OpenType font files,
+ * with CFF or TrueType outlines, and to WOFF and WOFF2 web fonts.
+ *
+ * opentype.js builds the whole font as arrays of small JavaScript
+ * objects before it writes a single byte, which takes gigabytes for a
+ * font of 20K+ CJK glyphs. This writer goes through the glyphs one by
+ * one instead: each glyph's path is read, encoded to a compact byte
+ * buffer and released before the next glyph is processed.
+ */
+
+
+const { LIT_COLOR_INDEX, UNLIT_COLOR_INDEX } = require('./led-matrix');
+const zlib = require('zlib');
+
+
+/**
+ * The supported output formats. 'otf' has CFF outlines; 'ttf', 'woff'
+ * and 'woff2' have TrueType outlines.
+ * @type {Array<string>}
+ */
+const FORMATS = ['otf', 'ttf', 'woff', 'woff2'];
+
+
+/**
+ * The default Brotli quality of the WOFF2 files, which compresses the
+ * fonts of 20K+ glyphs in seconds. The qualities 10 and 11 make their
+ * files up to 40% smaller, but take up to 60 times as long.
+ * @type {number}
+ */
+const DEFAULT_WOFF2_QUALITY = 9;
+
+
+/**
+ * The max distance, in font units, between a cubic curve and the
+ * quadratic curves that replace it in TrueType outlines.
+ * @type {number}
+ */
+const QUADRATIC_TOLERANCE = 0.5;
+
+
+/**
+ * The tags that WOFF2 encodes as an index into this list instead of
+ * spelling them out.
+ * @type {Array<string>}
+ */
+const WOFF2_KNOWN_TAGS = [
+    'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post',
+    'cvt ', 'fpgm', 'glyf', 'loca', 'prep', 'CFF ', 'VORG', 'EBDT',
+    'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea',
+    'vmtx', 'BASE', 'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH',
+    'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt', 'avar',
+    'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar',
+    'gvar', 'hsty', 'just', 'lcar', 'mort', 'morx', 'opbd', 'prop',
+    'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill'
+];
+
+
+/**
+ * Seconds between 1904-01-01, the epoch of OpenType dates, and
+ * 1970-01-01.
+ * @type {number}
+ */
+const MAC_EPOCH_OFFSET = 2082844800;
+
+
+/**
+ * Name table record IDs, keyed by the names used in opentype.Font.
+ * @type {Object<string, number>}
+ */
+const NAME_IDS = {
+    copyright: 0,
+    fontFamily: 1,
+    fontSubfamily: 2,
+    uniqueID: 3,
+    fullName: 4,
+    version: 5,
+    postScriptName: 6,
+    trademark: 7,
+    manufacturer: 8,
+    designer: 9,
+    description: 10,
+    manufacturerURL: 11,
+    designerURL: 12,
+    license: 13,
+    licenseURL: 14,
+    preferredFamily: 16,
+    preferredSubfamily: 17,
+    compatibleFullName: 18,
+    sampleText: 19,
+    wwsFamily: 21,
+    wwsSubfamily: 22
+};
+
+
+/**
+ * Windows language IDs, keyed by the language tags used in
+ * opentype.Font names.
+ * @type {Object<string, number>}
+ */
+const WINDOWS_LANGUAGE_IDS = {
+    'en': 0x0409,
+    'zh': 0x0804,
+    'zh-Hans': 0x0804,
+    'zh-CN': 0x0804,
+    'zh-Hant': 0x0404,
+    'zh-TW': 0x0404,
+    'zh-HK': 0x0C04,
+    'ja': 0x0411,
+    'ko': 0x0412
+};
+
+
+/**
+ * OS/2 Unicode range bits of the blocks the dotted fonts usually cover,
+ * as [bit, first code point, last code point].
+ * @type {Array<Array<number>>}
+ */
+const UNICODE_RANGES = [
+    [0, 0x0000, 0x007F],     // Basic Latin
+    [1, 0x0080, 0x00FF],     // Latin-1 Supplement
+    [2, 0x0100, 0x017F],     // Latin Extended-A
+    [7, 0x0370, 0x03FF],     // Greek and Coptic
+    [9, 0x0400, 0x04FF],     // Cyrillic
+    [31, 0x2000, 0x206F],    // General Punctuation
+    [33, 0x20A0, 0x20CF],    // Currency Symbols
+    [35, 0x2100, 0x214F],    // Letterlike Symbols
+    [36, 0x2150, 0x218F],    // Number Forms
+    [37, 0x2190, 0x21FF],    // Arrows
+    [38, 0x2200, 0x22FF],    // Mathematical Operators
+    [42, 0x2460, 0x24FF],    // Enclosed Alphanumerics
+    [43, 0x2500, 0x257F],    // Box Drawing
+    [44, 0x2580, 0x259F],    // Block Elements
+    [45, 0x25A0, 0x25FF],    // Geometric Shapes
+    [46, 0x2600, 0x26FF],    // Miscellaneous Symbols
+    [48, 0x3000, 0x303F],    // CJK Symbols And Punctuation
+    [49, 0x3040, 0x309F],    // Hiragana
+    [50, 0x30A0, 0x30FF],    // Katakana
+    [51, 0x3100, 0x312F],    // Bopomofo
+    [52, 0x3130, 0x318F],    // Hangul Compatibility Jamo
+    [54, 0x3200, 0x32FF],    // Enclosed CJK Letters And Months
+    [55, 0x3300, 0x33FF],    // CJK Compatibility
+    [56, 0xAC00, 0xD7AF],    // Hangul Syllables
+    [59, 0x2E80, 0x2EFF],    // CJK Radicals Supplement
+    [59, 0x3400, 0x4DBF],    // CJK Unified Ideographs Extension A
+    [59, 0x4E00, 0x9FFF],    // CJK Unified Ideographs
+    [60, 0xE000, 0xF8FF],    // Private Use Area
+    [61, 0xF900, 0xFAFF],    // CJK Compatibility Ideographs
+    [65, 0xFE30, 0xFE4F],    // CJK Compatibility Forms
+    [68, 0xFF00, 0xFFEF]     // Halfwidth And Fullwidth Forms
+];
+
+
+/**
+ * Writes big-endian values to a growing buffer.
+ */
+class ByteWriter {
+    constructor() {
+        /** @type {Array<Buffer>} */
+        this.chunks = [];
+
+        /** @type {number} */
+        this.length = 0;
+    }
+
+    /**
+     * @param {Buffer} buffer The bytes to be appended.
+     * @return {ByteWriter}
+     */
+    bytes(buffer) {
+        this.chunks.push(buffer);
+        this.length += buffer.length;
+        return this;
+    }
+
+    /**
+     * @param {number} value
+     * @return {ByteWriter}
+     */
+    uint8(value) {
+        return this.bytes(Buffer.from([value & 0xFF]));
+    }
+
+    /**
+     * @param {number} value
+     * @return {ByteWriter}
+     */
+    uint16(value) {
+        const buffer = Buffer.alloc(2);
+        buffer.writeUInt16BE(value & 0xFFFF);
+        return this.bytes(buffer);
+    }
+
+    /**
+     * @param {number} value
+     * @return {ByteWriter}
+     */
+    int16(value) {
+        const buffer = Buffer.alloc(2);
+        buffer.writeInt16BE(Math.max(-0x8000, Math.min(0x7FFF, value)));
+        return this.bytes(buffer);
+    }
+
+    /**
+     * @param {number} value
+     * @return {ByteWriter}
+     */
+    uint32(value) {
+        const buffer = Buffer.alloc(4);
+        buffer.writeUInt32BE(value >>> 0);
+        return this.bytes(buffer);
+    }
+
+    /**
+     * Writes a 16.16 fixed-point number.
+     * @param {number} value
+     * @return {ByteWriter}
+     */
+    fixed(value) {
+        return this.uint32(Math.round(value * 0x10000));
+    }
+
+    /**
+     * Writes a date as seconds since 1904-01-01.
+     * @param {number} unixSeconds Seconds since 1970-01-01.
+     * @return {ByteWriter}
+     */
+    longDateTime(unixSeconds) {
+        const value = unixSeconds + MAC_EPOCH_OFFSET;
+        return this.uint32(Math.floor(value / 0x100000000))
+            .uint32(value % 0x100000000);
+    }
+
+    /**
+     * @param {string} tag A 4-char tag.
+     * @return {ByteWriter}
+     */
+    tag(tag) {
+        return this.bytes(Buffer.from(tag.padEnd(4, ' '), 'latin1'));
+    }
+
+    /**
+     * @return {Buffer} All the bytes written so far.
+     */
+    toBuffer() {
+        return Buffer.concat(this.chunks, this.length);
+    }
+}
+
+
+/**
+ * Encodes a number as a Type 2 charstring operand.
+ * @param {number} value An integer.
+ * @return {Array<number>} The bytes.
+ */
+function encodeCharStringNumber(value) {
+    if (value >= -107 && value <= 107) {
+        return [value + 139];
+    } else if (value >= 108 && value <= 1131) {
+        value -= 108;
+        return [(value >> 8) + 247, value & 0xFF];
+    } else if (value >= -1131 && value <= -108) {
+        value = -value - 108;
+        return [(value >> 8) + 251, value & 0xFF];
+    } else {
+        return [28, value >> 8 & 0xFF, value & 0xFF];
+    }
+}
+
+
+/**
+ * Encodes an integer as a CFF DICT operand. Offsets are always encoded
+ * in the 5-byte form, so that their size is known before their value.
+ * @param {number} value An integer.
+ * @param {boolean=} fixedSize If the 5-byte form is required.
+ * @return {Array<number>} The bytes.
+ */
+function encodeDictInteger(value, fixedSize) {
+    if (!fixedSize && value >= -107 && value <= 107) {
+        return [value + 139];
+    } else if (!fixedSize && value >= 108 && value <= 1131) {
+        value -= 108;
+        return [(value >> 8) + 247, value & 0xFF];
+    } else if (!fixedSize && value >= -1131 && value <= -108) {
+        value = -value - 108;
+        return [(value >> 8) + 251, value & 0xFF];
+    } else if (!fixedSize && value >= -32768 && value <= 32767) {
+        return [28, value >> 8 & 0xFF, value & 0xFF];
+    } else {
+        return [29, value >> 24 & 0xFF, value >> 16 & 0xFF,
+                value >> 8 & 0xFF, value & 0xFF];
+    }
+}
+
+
+/**
+ * Encodes a real number as a CFF DICT operand.
+ * @param {number} value
+ * @return {Array<number>} The bytes.
+ */
+function encodeDictReal(value) {
+    const text = String(Number(value.toPrecision(8))).toUpperCase();
+    var nibbles = [];
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char >= '0' && char <= '9') {
+            nibbles.push(char.charCodeAt(0) - 48);
+        } else if (char == '.') {
+            nibbles.push(0xA);
+        } else if (char == 'E' && text[i + 1] == '-') {
+            nibbles.push(0xC);
+            i++;
+        } else if (char == 'E') {
+            nibbles.push(0xB);
+            if (text[i + 1] == '+') {
+                i++;
+            }
+        } else if (char == '-') {
+            nibbles.push(0xE);
+        }
+    }
+    nibbles.push(0xF);
+    if (nibbles.length % 2 == 1) {
+        nibbles.push(0xF);
+    }
+    var bytes = [30];
+    for (let i = 0; i < nibbles.length; i += 2) {
+        bytes.push(nibbles[i] << 4 | nibbles[i + 1]);
+    }
+    return bytes;
+}
+
+
+/**
+ * Encodes a CFF DICT.
+ * @param {Array<Array>} entries The [operator, operands] pairs. An
+ *     operator is a number, or [12, n] for two-byte operators. Operands
+ *     are numbers, or {offset: number} for offsets that must take the
+ *     5-byte form.
+ * @return {Buffer}
+ */
+function encodeDict(entries) {
+    var bytes = [];
+    for (const [operator, operands] of entries) {
+        for (const operand of operands) {
+            if (typeof operand == 'object') {
+                bytes.push(...encodeDictInteger(operand.offset, true));
+            } else if (Number.isInteger(operand)) {
+                bytes.push(...encodeDictInteger(operand));
+            } else {
+                bytes.push(...encodeDictReal(operand));
+            }
+        }
+        bytes.push(...[].concat(operator));
+    }
+    return Buffer.from(bytes);
+}
+
+
+/**
+ * Encodes a CFF INDEX.
+ * @param {Array<Buffer>} items The data of the items.
+ * @return {Buffer}
+ */
+function encodeIndex(items) {
+    if (items.length == 0) {
+        return Buffer.from([0, 0]);
+    }
+    const dataSize = items.reduce((size, item) => size + item.length, 0);
+    const offSize = dataSize + 1 < 0x100 ? 1 :
+          dataSize + 1 < 0x10000 ? 2 :
+          dataSize + 1 < 0x1000000 ? 3 : 4;
+    const header = Buffer.alloc(3 + offSize * (items.length + 1));
+    header.writeUInt16BE(items.length, 0);
+    header.writeUInt8(offSize, 2);
+    var offset = 1;
+    for (let i = 0; i <= items.length; i++) {
+        header.writeUIntBE(offset, 3 + i * offSize, offSize);
+        if (i < items.length) {
+            offset += items[i].length;
+        }
+    }
+    return Buffer.concat([header, ...items]);
+}
+
+
+/**
+ * Reads a glyph's outline and encodes it as a Type 2 charstring. The
+ * coordinates are rounded to integers.
+ * @param {opentype.Glyph} glyph The glyph.
+ * @return {Object} The charstring bytes and the bounding box of the
+ *     glyph outline, or a zero box if the glyph has no outline.
+ */
+function encodeCharString(glyph) {
+    var bytes = [];
+    var operands = encodeCharStringNumber(Math.round(glyph.advanceWidth));
+    var operandCount = 1;
+    var pendingOperator = null;
+    var x = 0;
+    var y = 0;
+    var box = null;
+
+    const flush = () => {
+        if (pendingOperator != null) {
+            bytes.push(...operands, pendingOperator);
+            operands = [];
+            operandCount = 0;
+            pendingOperator = null;
+        }
+    };
+    const addPoint = (px, py) => {
+        const dx = px - x;
+        const dy = py - y;
+        operands.push(...encodeCharStringNumber(dx),
+                      ...encodeCharStringNumber(dy));
+        operandCount += 2;
+        x = px;
+        y = py;
+        if (box == null) {
+            box = {xMin: x, yMin: y, xMax: x, yMax: y};
+        } else {
+            box.xMin = Math.min(box.xMin, x);
+            box.yMin = Math.min(box.yMin, y);
+            box.xMax = Math.max(box.xMax, x);
+            box.yMax = Math.max(box.yMax, y);
+        }
+    };
+    // Consecutive lines or curves share one operator, up to the
+    // 48-operand limit of the argument stack.
+    const chain = (operator, count) => {
+        if (pendingOperator != operator || operandCount + count > 48) {
+            flush();
+        }
+        pendingOperator = operator;
+    };
+
+    var lastX = 0;
+    var lastY = 0;
+    for (const command of glyph.path.commands) {
+        const cx = Math.round(command.x);
+        const cy = Math.round(command.y);
+        switch (command.type) {
+        case 'M':
+            flush();
+            addPoint(cx, cy);
+            pendingOperator = 21;  // rmoveto
+            flush();
+            break;
+        case 'L':
+            chain(5, 2);  // rlineto
+            addPoint(cx, cy);
+            break;
+        case 'C':
+            chain(8, 6);  // rrcurveto
+            addPoint(Math.round(command.x1), Math.round(command.y1));
+            addPoint(Math.round(command.x2), Math.round(command.y2));
+            addPoint(cx, cy);
+            break;
+        case 'Q':
+            // Elevates the quadratic curve to a cubic one.
+            chain(8, 6);
+            addPoint(Math.round(lastX + 2 / 3 * (command.x1 - lastX)),
+                     Math.round(lastY + 2 / 3 * (command.y1 - lastY)));
+            addPoint(Math.round(cx + 2 / 3 * (command.x1 - cx)),
+                     Math.round(cy + 2 / 3 * (command.y1 - cy)));
+            addPoint(cx, cy);
+            break;
+        }
+        if (command.type != 'Z') {
+            lastX = cx;
+            lastY = cy;
+        }
+    }
+    flush();
+    bytes.push(...operands, 14);  // endchar
+    return {
+        data: Buffer.from(bytes),
+        box: box || {xMin: 0, yMin: 0, xMax: 0, yMax: 0}
+    };
+}
+
+
+/**
+ * Approximates cubic bézier curves with quadratic ones, splitting them
+ * in halves until each half is close enough to a single quadratic.
+ *
+ * The curves are the same curve of the masters of a variable font, or
+ * just one curve. They are split alike, so that the masters keep the
+ * same points.
+ * @param {Array<Array<Array<number>>>} cubics The start point, the two
+ *     control points and the end point of each curve.
+ * @return {Array<Array<Array<Array<number>>>>} The [control point, end
+ *     point] pairs of the quadratic curves, for each cubic curve.
+ */
+function cubicsToQuadratics(cubics) {
+    // The distance between the cubic and the best single quadratic is
+    // at most sqrt(3) / 36 * |p3 - 3 * p2 + 3 * p1 - p0|.
+    const fits = cubics.every(([p0, p1, p2, p3]) => {
+        const ex = p3[0] - 3 * p2[0] + 3 * p1[0] - p0[0];
+        const ey = p3[1] - 3 * p2[1] + 3 * p1[1] - p0[1];
+        return Math.sqrt(3) / 36 * Math.hypot(ex, ey) <= QUADRATIC_TOLERANCE;
+    });
+    if (fits) {
+        return cubics.map(([p0, p1, p2, p3]) => [[
+            [(3 * (p1[0] + p2[0]) - p0[0] - p3[0]) / 4,
+             (3 * (p1[1] + p2[1]) - p0[1] - p3[1]) / 4],
+            p3
+        ]]);
+    }
+    const mid = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    var firstHalves = [];
+    var secondHalves = [];
+    for (const [p0, p1, p2, p3] of cubics) {
+        const p01 = mid(p0, p1);
+        const p12 = mid(p1, p2);
+        const p23 = mid(p2, p3);
+        const p012 = mid(p01, p12);
+        const p123 = mid(p12, p23);
+        const center = mid(p012, p123);
+        firstHalves.push([p0, p01, p012, center]);
+        secondHalves.push([center, p123, p23, p3]);
+    }
+    const second = cubicsToQuadratics(secondHalves);
+    return cubicsToQuadratics(firstHalves).map(
+        (quadratics, i) => quadratics.concat(second[i]));
+}
+
+
+/**
+ * Converts glyph paths to TrueType contours. The contours are reversed,
+ * since TrueType runs outer contours clockwise while the paths follow
+ * the CFF convention.
+ *
+ * The paths are the same glyph of the masters of a variable font, or
+ * just one path. They must have the same commands; their contours get
+ * the same number of points.
+ * @param {Array<opentype.Path>} paths The glyph paths.
+ * @return {Array<Array<Array<Object>>>} The contours of each path, each
+ *     contour a list of points with rounded x and y and an onCurve flag.
+ */
+function pathsToTrueTypeContours(paths) {
+    var contoursList = paths.map(() => []);
+    var currents = paths.map(() => [0, 0]);
+    const addPoint = (contours, x, y, onCurve) => {
+        contours[contours.length - 1].push(
+            {x: Math.round(x), y: Math.round(y), onCurve: onCurve});
+    };
+    const commandCount = paths[0].commands.length;
+    for (let i = 0; i < commandCount; i++) {
+        const commands = paths.map((path) => path.commands[i]);
+        switch (commands[0].type) {
+        case 'M':
+            commands.forEach((command, j) => {
+                contoursList[j].push([]);
+                addPoint(contoursList[j], command.x, command.y, true);
+            });
+            break;
+        case 'L':
+            commands.forEach((command, j) => {
+                addPoint(contoursList[j], command.x, command.y, true);
+            });
+            break;
+        case 'Q':
+            commands.forEach((command, j) => {
+                addPoint(contoursList[j], command.x1, command.y1, false);
+                addPoint(contoursList[j], command.x, command.y, true);
+            });
+            break;
+        case 'C':
+            cubicsToQuadratics(commands.map((command, j) => [
+                currents[j], [command.x1, command.y1],
+                [command.x2, command.y2], [command.x, command.y]
+            ])).forEach((quadratics, j) => {
+                for (const [control, end] of quadratics) {
+                    addPoint(contoursList[j], control[0], control[1], false);
+                    addPoint(contoursList[j], end[0], end[1], true);
+                }
+            });
+            break;
+        }
+        if (commands[0].type != 'Z') {
+            commands.forEach((command, j) => {
+                currents[j] = [command.x, command.y];
+            });
+        }
+    }
+
+    // A closing point on the start point is dropped only if it is so
+    // in all the paths.
+    const contourCount = contoursList[0].length;
+    for (let i = 0; i < contourCount; i++) {
+        const isClosed = contoursList.every((contours) => {
+            const points = contours[i];
+            const first = points[0];
+            const last = points[points.length - 1];
+            return points.length > 1 && first.x == last.x && first.y == last.y;
+        });
+        for (const contours of contoursList) {
+            if (isClosed) {
+                contours[i].pop();
+            }
+            contours[i].reverse();
+        }
+    }
+    return contoursList.map(
+        (contours) => contours.filter((points) => points.length > 1));
+}
+
+
+/**
+ * Encodes TrueType contours as a simple glyph of the glyf table,
+ * without instructions.
+ * @param {Array<Array<Object>>} contours The contours from
+ *     pathsToTrueTypeContours().
+ * @return {Object} The glyph data padded to 4 bytes, the bounding box,
+ *     and the numbers of points and contours.
+ */
+function encodeTrueTypeContours(contours) {
+    const points = [].concat(...contours);
+    if (points.length == 0) {
+        return {
+            data: Buffer.alloc(0),
+            box: {xMin: 0, yMin: 0, xMax: 0, yMax: 0},
+            pointCount: 0,
+            contourCount: 0
+        };
+    }
+
+    var box = {xMin: points[0].x, yMin: points[0].y,
+               xMax: points[0].x, yMax: points[0].y};
+    for (const point of points) {
+        box.xMin = Math.min(box.xMin, point.x);
+        box.yMin = Math.min(box.yMin, point.y);
+        box.xMax = Math.max(box.xMax, point.x);
+        box.yMax = Math.max(box.yMax, point.y);
+    }
+
+    var writer = new ByteWriter()
+        .int16(contours.length)
+        .int16(box.xMin).int16(box.yMin).int16(box.xMax).int16(box.yMax);
+    var endPoint = -1;
+    for (const contour of contours) {
+        endPoint += contour.length;
+        writer.uint16(endPoint);
+    }
+    writer.uint16(0);  // instructionLength
+
+    // Deltas that fit in a byte take the short form, with the sign in
+    // the flag. Zero deltas are omitted.
+    var flags = [];
+    var xBytes = new ByteWriter();
+    var yBytes = new ByteWriter();
+    var x = 0;
+    var y = 0;
+    for (const point of points) {
+        const dx = point.x - x;
+        const dy = point.y - y;
+        let flag = point.onCurve ? 0x01 : 0;
+        if (dx == 0) {
+            flag |= 0x10;
+        } else if (Math.abs(dx) <= 0xFF) {
+            flag |= 0x02 | (dx > 0 ? 0x10 : 0);
+            xBytes.uint8(Math.abs(dx));
+        } else {
+            xBytes.int16(dx);
+        }
+        if (dy == 0) {
+            flag |= 0x20;
+        } else if (Math.abs(dy) <= 0xFF) {
+            flag |= 0x04 | (dy > 0 ? 0x20 : 0);
+            yBytes.uint8(Math.abs(dy));
+        } else {
+            yBytes.int16(dy);
+        }
+        flags.push(flag);
+        x = point.x;
+        y = point.y;
+    }
+    // Runs of the same flag are stored once with a repeat count.
+    for (let i = 0; i < flags.length;) {
+        let repeat = 0;
+        while (i + repeat + 1 < flags.length && repeat < 0xFF &&
+               flags[i + repeat + 1] == flags[i]) {
+            repeat++;
+        }
+        if (repeat > 0) {
+            writer.uint8(flags[i] | 0x08).uint8(repeat);
+        } else {
+            writer.uint8(flags[i]);
+        }
+        i += repeat + 1;
+    }
+    writer.bytes(xBytes.toBuffer()).bytes(yBytes.toBuffer());
+    writer.bytes(Buffer.alloc((4 - writer.length % 4) % 4));
+
+    return {
+        data: writer.toBuffer(),
+        box: box,
+        pointCount: points.length,
+        contourCount: contours.length
+    };
+}
+
+
+/**
+ * Reads a glyph's outline and encodes it as a simple glyph of the glyf
+ * table, without instructions.
+ * @param {opentype.Glyph} glyph The glyph.
+ * @return {Object} The glyph data padded to 4 bytes, the bounding box,
+ *     and the numbers of points and contours.
+ */
+function encodeTrueTypeGlyph(glyph) {
+    return encodeTrueTypeContours(pathsToTrueTypeContours([glyph.path])[0]);
+}
+
+
+/**
+ * Returns the English name of a name record, or the first one if there
+ * is no English name.
+ * @param {Object} font The opentype.Font.
+ * @param {string} name The name key, e.g., 'fontFamily'.
+ * @return {string|undefined}
+ */
+function getEnglishName(font, name) {
+    const translations = font.names[name];
+    if (!translations) {
+        return undefined;
+    }
+    return translations.en || Object.values(translations)[0];
+}
+
+
+/**
+ * Collects the per-glyph data of the font, reading the glyph paths one
+ * at a time.
+ * @param {opentype.Font} font The font.
+ * @param {function(opentype.Glyph, number): Object} encodeOutline
+ *     Encodes the outline of a glyph, given the glyph and its index,
+ *     e.g., encodeCharString().
+ * @return {Object} The encoded outlines, boxes, advance widths, glyph
+ *     names, the code point to glyph index map, and the max numbers of
+ *     points and contours in a glyph.
+ */
+function collectGlyphs(font, encodeOutline) {
+    var outlines = [];
+    var boxes = [];
+    var advanceWidths = [];
+    var names = [];
+    var cmap = new Map();
+    var maxPoints = 0;
+    var maxContours = 0;
+    for (let i = 0; i < font.glyphs.length; i++) {
+        const glyph = font.glyphs.get(i);
+        const outline = encodeOutline(glyph, i);
+        outlines.push(outline.data);
+        boxes.push(outline.box);
+        maxPoints = Math.max(maxPoints, outline.pointCount || 0);
+        maxContours = Math.max(maxContours, outline.contourCount || 0);
+        advanceWidths.push(Math.round(glyph.advanceWidth));
+        names.push(glyph.name || (i == 0 ? '.notdef' : 'gid' + i));
+        for (const unicode of glyph.unicodes) {
+            if (unicode > 0 && !cmap.has(unicode)) {
+                cmap.set(unicode, i);
+            }
+        }
+    }
+    return {
+        outlines: outlines,
+        boxes: boxes,
+        advanceWidths: advanceWidths,
+        names: names,
+        cmap: cmap,
+        maxPoints: maxPoints,
+        maxContours: maxContours
+    };
+}
+
+
+/**
+ * Computes the font-wide metrics from the glyph boxes.
+ * @param {Object} glyphs The data from collectGlyphs().
+ * @return {Object}
+ */
+function computeGlobals(glyphs) {
+    var globals = {
+        xMin: 0,
+        yMin: 0,
+        xMax: 0,
+        yMax: 0,
+        advanceWidthMax: 0,
+        minLeftSideBearing: 0,
+        minRightSideBearing: 0,
+        xMaxExtent: 0,
+        advanceWidthAverage: 0
+    };
+    var first = true;
+    var widthSum = 0;
+    var widthCount = 0;
+    for (let i = 0; i < glyphs.boxes.length; i++) {
+        const box = glyphs.boxes[i];
+        const advanceWidth = glyphs.advanceWidths[i];
+        globals.advanceWidthMax = Math.max(globals.advanceWidthMax,
+                                           advanceWidth);
+        if (advanceWidth > 0) {
+            widthSum += advanceWidth;
+            widthCount++;
+        }
+        if (box.xMin == box.xMax && box.yMin == box.yMax) {
+            continue;
+        }
+        const rightSideBearing = advanceWidth - box.xMax;
+        const extent = box.xMax;
+        if (first) {
+            Object.assign(globals, box);
+            globals.minLeftSideBearing = box.xMin;
+            globals.minRightSideBearing = rightSideBearing;
+            globals.xMaxExtent = extent;
+            first = false;
+        } else {
+            globals.xMin = Math.min(globals.xMin, box.xMin);
+            globals.yMin = Math.min(globals.yMin, box.yMin);
+            globals.xMax = Math.max(globals.xMax, box.xMax);
+            globals.yMax = Math.max(globals.yMax, box.yMax);
+            globals.minLeftSideBearing =
+                Math.min(globals.minLeftSideBearing, box.xMin);
+            globals.minRightSideBearing =
+                Math.min(globals.minRightSideBearing, rightSideBearing);
+            globals.xMaxExtent = Math.max(globals.xMaxExtent, extent);
+        }
+    }
+    globals.advanceWidthAverage =
+        widthCount > 0 ? Math.round(widthSum / widthCount) : 0;
+    return globals;
+}
+
+
+/**
+ * Makes the CFF table.
+ * @param {opentype.Font} font The font.
+ * @param {Object} glyphs The data from collectGlyphs().
+ * @param {Object} globals The data from computeGlobals().
+ * @return {Buffer}
+ */
+function makeCffTable(font, glyphs, globals) {
+    const postScriptName = makePostScriptName(font);
+    var strings = [];
+    const sid = (string) => {
+        // Custom strings follow the 391 standard strings.
+        strings.push(Buffer.from(string, 'latin1'));
+        return 390 + strings.length;
+    };
+    const ascii = (string) => (string || '').replace(/[^\x20-\x7E]/g, '');
+
+    var topDictEntries = [
+        [0, [sid(ascii(getEnglishName(font, 'version')))]],
+        [1, [sid(ascii(getEnglishName(font, 'copyright')))]],
+        [2, [sid(ascii(getEnglishName(font, 'fullName')))]],
+        [3, [sid(ascii(getEnglishName(font, 'fontFamily')))]],
+        [4, [sid(ascii(getEnglishName(font, 'fontSubfamily')))]],
+        [5, [globals.xMin, globals.yMin, globals.xMax, globals.yMax]]
+    ];
+    if (font.unitsPerEm != 1000) {
+        topDictEntries.push(
+            [[12, 7], [1 / font.unitsPerEm, 0, 0, 1 / font.unitsPerEm, 0, 0]]);
+    }
+
+    // The charset lists the glyph name SIDs of all glyphs but .notdef.
+    const charset = Buffer.alloc(1 + 2 * (glyphs.names.length - 1));
+    for (let i = 1; i < glyphs.names.length; i++) {
+        charset.writeUInt16BE(sid(glyphs.names[i]), 1 + 2 * (i - 1));
+    }
+
+    const privateDict = encodeDict([[20, [0]], [21, [0]]]);
+    const nameIndex = encodeIndex([Buffer.from(postScriptName, 'latin1')]);
+    const stringIndex = encodeIndex(strings);
+    const globalSubrIndex = encodeIndex([]);
+    const charStringsIndex = encodeIndex(glyphs.outlines);
+
+    // The top DICT size does not depend on the offset values, since
+    // the offsets always take the 5-byte form.
+    const makeTopDict = (charsetOffset, charStringsOffset, privateOffset) =>
+          encodeIndex([encodeDict(topDictEntries.concat([
+              [15, [{offset: charsetOffset}]],
+              [17, [{offset: charStringsOffset}]],
+              [18, [privateDict.length, {offset: privateOffset}]]
+          ]))]);
+    const header = Buffer.from([1, 0, 4, 4]);
+    const topDictSize = makeTopDict(0, 0, 0).length;
+    const charsetOffset = header.length + nameIndex.length + topDictSize +
+          stringIndex.length + globalSubrIndex.length;
+    const charStringsOffset = charsetOffset + charset.length;
+    const privateOffset = charStringsOffset + charStringsIndex.length;
+    const topDictIndex =
+          makeTopDict(charsetOffset, charStringsOffset, privateOffset);
+
+    return Buffer.concat([
+        header, nameIndex, topDictIndex, stringIndex, globalSubrIndex,
+        charset, charStringsIndex, privateDict
+    ]);
+}
+
+
+/**
+ * Returns the PostScript name of the font, which must be printable
+ * ASCII without spaces.
+ * @param {opentype.Font} font The font.
+ * @return {string}
+ */
+function makePostScriptName(font) {
+    const name = getEnglishName(font, 'postScriptName') ||
+          getEnglishName(font, 'fontFamily') + '-' +
+          getEnglishName(font, 'fontSubfamily');
+    return name.replace(/[^\x21-\x7E]|[[\](){}<>/%]/g, '').slice(0, 63);
+}
+
+
+/**
+ * Makes the head table.
+ * @param {opentype.Font} font The font.
+ * @param {Object} globals The data from computeGlobals().
+ * @param {number} indexToLocFormat 1 if the loca table has 32-bit
+ *     offsets, 0 otherwise.
+ * @return {Buffer}
+ */
+function makeHeadTable(font, globals, indexToLocFormat) {
+    const os2 = font.tables.os2 || {};
+    const fsSelection = os2.fsSelection || 0;
+    const created = font.createdTimestamp || Math.floor(Date.now() / 1000);
+    const version = parseFloat(
+        (getEnglishName(font, 'version') || '').replace(/^\D*/, '')) || 1;
+    return new ByteWriter()
+        .fixed(1)
+        .fixed(version)
+        .uint32(0)              // checkSumAdjustment, filled in later.
+        .uint32(0x5F0F3CF5)     // magicNumber
+        .uint16(3)              // flags: baseline at y=0, lsb at x=0.
+        .uint16(font.unitsPerEm)
+        .longDateTime(created)
+        .longDateTime(created)
+        .int16(globals.xMin)
+        .int16(globals.yMin)
+        .int16(globals.xMax)
+        .int16(globals.yMax)
+        .uint16((fsSelection & 32 ? 1 : 0) | (fsSelection & 1 ? 2 : 0))
+        .uint16(3)              // lowestRecPPEM
+        .int16(2)               // fontDirectionHint
+        .int16(indexToLocFormat)
+        .int16(0)               // glyphDataFormat
+        .toBuffer();
+}
+
+
+/**
+ * Makes the hhea table.
+ * @param {opentype.Font} font The font.
+ * @param {Object} glyphs The data from collectGlyphs().
+ * @param {Object} globals The data from computeGlobals().
+ * @return {Buffer}
+ */
+function makeHheaTable(font, glyphs, globals) {
+    return new ByteWriter()
+        .fixed(1)
+        .int16(font.ascender)
+        .int16(font.descender)
+        .int16(0)               // lineGap
+        .uint16(globals.advanceWidthMax)
+        .int16(globals.minLeftSideBearing)
+        .int16(globals.minRightSideBearing)
+        .int16(globals.xMaxExtent)
+        .int16(1)               // caretSlopeRise
+        .int16(0)               // caretSlopeRun
+        .int16(0)               // caretOffset
+        .int16(0).int16(0).int16(0).int16(0)
+        .int16(0)               // metricDataFormat
+        .uint16(glyphs.advanceWidths.length)
+        .toBuffer();
+}
+
+
+/**
+ * Makes the maxp table of a CFF-based font.
+ * @param {Object} glyphs The data from collectGlyphs().
+ * @return {Buffer}
+ */
+function makeMaxpTable(glyphs) {
+    return new ByteWriter()
+        .uint32(0x00005000)
+        .uint16(glyphs.advanceWidths.length)
+        .toBuffer();
+}
+
+
+/**
+ * Makes the maxp table of a TrueType-based font.
+ * @param {Object} glyphs The data from collectGlyphs().
+ * @return {Buffer}
+ */
+function makeTrueTypeMaxpTable(glyphs) {
+    return new ByteWriter()
+        .uint32(0x00010000)
+        .uint16(glyphs.advanceWidths.length)
+        .uint16(glyphs.maxPoints)
+        .uint16(glyphs.maxContours)
+        .uint16(0)              // maxCompositePoints
+        .uint16(0)              // maxCompositeContours
+        .uint16(2)              // maxZones
+        .uint16(0)              // maxTwilightPoints
+        .uint16(0)              // maxStorage
+        .uint16(0)              // maxFunctionDefs
+        .uint16(0)              // maxInstructionDefs
+        .uint16(0)              // maxStackElements
+        .uint16(0)              // maxSizeOfInstructions
+        .uint16(0)              // maxComponentElements
+        .uint16(0)              // maxComponentDepth
+        .toBuffer();
+}
+
+
+/**
+ * Makes the loca table with 32-bit offsets.
+ * @param {Object} glyphs The data from collectGlyphs().
+ * @return {Buffer}
+ */
+function makeLocaTable(glyphs) {
+    var writer = new ByteWriter();
+    var offset = 0;
+    for (const outline of glyphs.outlines) {
+        writer.uint32(offset);
+        offset += outline.length;
+    }
+    return writer.uint32(offset).toBuffer();
+}
+
+
+/**
+ * Makes the hmtx table.
+ * @param {Object} glyphs The data from collectGlyphs().
+ * @return {Buffer}
+ */
+function makeHmtxTable(glyphs) {
+    var writer = new ByteWriter();
+    for (let i = 0; i < glyphs.advanceWidths.length; i++) {
+        writer.uint16(glyphs.advanceWidths[i]).int16(glyphs.boxes[i].xMin);
+    }
+    return writer.toBuffer();
+}
+
+
+/**
+ * Makes the OS/2 table, version 4.
+ * @param {opentype.Font} font The font.
+ * @param {Object} glyphs The data from collectGlyphs().
+ * @param {Object} globals The data from computeGlobals().
+ * @return {Buffer}
+ */
+function makeOs2Table(font, glyphs, globals) {
+    const os2 = font.tables.os2 || {};
+    const codes = Array.from(glyphs.cmap.keys()).sort((a, b) => a - b);
+
+    var unicodeRanges = [0, 0, 0, 0];
+    var hasLatin1 = false;
+    var hasCjk = false;
+    for (const code of codes) {
+        for (const [bit, first, last] of UNICODE_RANGES) {
+            if (code >= first && code <= last) {
+                unicodeRanges[bit >> 5] |= 1 << (bit & 31);
+            }
+        }
+        if (code >= 0x20 && code <= 0xFF) {
+            hasLatin1 = true;
+        } else if (code >= 0x4E00 && code <= 0x9FFF) {
+            hasCjk = true;
+        }
+    }
+    // Code page bits 0 and 18: Latin 1 and Chinese Simplified.
+    const codePageRange1 = (hasLatin1 ? 1 : 0) | (hasCjk ? 1 << 18 : 0);
+
+    const heightOf = (chars, fallback) => {
+        for (const char of chars) {
+            const glyphIndex = glyphs.cmap.get(char.codePointAt(0));
+            if (glyphIndex != undefined) {
+                return glyphs.boxes[glyphIndex].yMax;
+            }
+        }
+        return fallback;
+    };
+    const emSize = font.unitsPerEm;
+    const achVendID = os2.achVendID || '    ';
+
+    return new ByteWriter()
+        .uint16(4)
+        .int16(globals.advanceWidthAverage)
+        .uint16(os2.usWeightClass || 400)
+        .uint16(os2.usWidthClass || 5)
+        .uint16(os2.fsType || 0)
+        .int16(Math.round(emSize * 0.65))   // ySubscriptXSize
+        .int16(Math.round(emSize * 0.6))    // ySubscriptYSize
+        .int16(0)                           // ySubscriptXOffset
+        .int16(Math.round(emSize * 0.075))  // ySubscriptYOffset
+        .int16(Math.round(emSize * 0.65))   // ySuperscriptXSize
+        .int16(Math.round(emSize * 0.6))    // ySuperscriptYSize
+        .int16(0)                           // ySuperscriptXOffset
+        .int16(Math.round(emSize * 0.35))   // ySuperscriptYOffset
+        .int16(Math.round(emSize * 0.05))   // yStrikeoutSize
+        .int16(Math.round(emSize * 0.3))    // yStrikeoutPosition
+        .int16(0)                           // sFamilyClass
+        .bytes(Buffer.from(os2.panose || [0, 0, 0, 0, 0, 0, 0, 0, 0, 0]))
+        .uint32(unicodeRanges[0])
+        .uint32(unicodeRanges[1])
+        .uint32(unicodeRanges[2])
+        .uint32(unicodeRanges[3])
+        .tag(achVendID)
+        .uint16(os2.fsSelection || 64)
+        .uint16(codes.length > 0 ? Math.min(codes[0], 0xFFFF) : 0)
+        .uint16(codes.length > 0 ?
+                Math.min(codes[codes.length - 1], 0xFFFF) : 0)
+        .int16(font.ascender)
+        .int16(font.descender)
+        .int16(0)                           // sTypoLineGap
+        .uint16(Math.max(globals.yMax, font.ascender))
+        .uint16(Math.max(-globals.yMin, -font.descender))
+        .uint32(codePageRange1)
+        .uint32(0)
+        .int16(heightOf('xuvwz', Math.round(font.ascender / 2)))
+        .int16(heightOf('HIKLEFJMNTZ', font.ascender))
+        .uint16(glyphs.cmap.has(0x20) ? 0x20 : 0)  // usDefaultChar
+        .uint16(glyphs.cmap.has(0x20) ? 0x20 : 0)  // usBreakChar
+        .uint16(0)                           // usMaxContext
+        .toBuffer();
+}
+
+
+/**
+ * Makes the name table, format 0, with Windows Unicode records.
+ * @param {opentype.Font} font The font.
+ * @param {Array<string>=} extraNames English names with the IDs 256 and
+ *     up, e.g., the names of variation axes and instances.
+ * @return {Buffer}
+ */
+function makeNameTable(font, extraNames) {
+    var names = Object.assign({}, font.names);
+    const family = getEnglishName(font, 'fontFamily');
+    const style = getEnglishName(font, 'fontSubfamily');
+    if (!names.fullName) {
+        names.fullName = {en: family + ' ' + style};
+    }
+    if (!names.postScriptName) {
+        names.postScriptName = {en: makePostScriptName(font)};
+    }
+    if (!names.uniqueID) {
+        names.uniqueID = {
+            en: (getEnglishName(font, 'manufacturer') || '').trim() + ':' +
+                family + ' ' + style
+        };
+    }
+
+    var records = [];
+    for (const [name, translations] of Object.entries(names)) {
+        const nameID = NAME_IDS[name];
+        if (nameID == undefined) {
+            continue;
+        }
+        for (const [language, text] of Object.entries(translations)) {
+            const languageID = WINDOWS_LANGUAGE_IDS[language];
+            if (languageID == undefined || text == undefined) {
+                continue;
+            }
+            records.push({
+                languageID: languageID,
+                nameID: nameID,
+                // UTF-16BE.
+                data: Buffer.from(String(text), 'utf16le').swap16()
+            });
+        }
+    }
+    (extraNames || []).forEach((text, i) => {
+        records.push({
+            languageID: WINDOWS_LANGUAGE_IDS.en,
+            nameID: 256 + i,
+            data: Buffer.from(text, 'utf16le').swap16()
+        });
+    });
+    records.sort((a, b) => a.languageID - b.languageID ||
+                 a.nameID - b.nameID);
+
+    var writer = new ByteWriter()
+        .uint16(0)
+        .uint16(records.length)
+        .uint16(6 + 12 * records.length);
+    var offset = 0;
+    for (const record of records) {
+        writer.uint16(3).uint16(1).uint16(record.languageID)
+            .uint16(record.nameID).uint16(record.data.length).uint16(offset);
+        offset += record.data.length;
+    }
+    for (const record of records) {
+        writer.bytes(record.data);
+    }
+    return writer.toBuffer();
+}
+
+
+/**
+ * Makes the cmap table, with a format 4 subtable for the BMP and, if
+ * needed, a format 12 subtable for all the code points.
+ * @param {Object} glyphs The data from collectGlyphs().
+ * @return {Buffer}
+ */
+function makeCmapTable(glyphs) {
+    const codes = Array.from(glyphs.cmap.keys()).sort((a, b) => a - b);
+
+    // Format 4: segments of consecutive code points with consecutive
+    // glyph indices, plus the final 0xFFFF segment.
+    var segments = [];
+    for (const code of codes) {
+        if (code > 0xFFFF) {
+            break;
+        }
+        const glyphIndex = glyphs.cmap.get(code);
+        const last = segments[segments.length - 1];
+        if (last && code == last.end + 1 &&
+            glyphIndex == last.startGlyph + (code - last.start)) {
+            last.end = code;
+        } else {
+            segments.push({start: code, end: code, startGlyph: glyphIndex});
+        }
+    }
+    segments.push({start: 0xFFFF, end: 0xFFFF, startGlyph: 0});
+
+    const segCountX2 = segments.length * 2;
+    const entrySelector = Math.floor(Math.log2(segments.length));
+    const searchRange = 2 * Math.pow(2, entrySelector);
+    var format4 = new ByteWriter()
+        .uint16(4)
+        .uint16(16 + 8 * segments.length)
+        .uint16(0)
+        .uint16(segCountX2)
+        .uint16(searchRange)
+        .uint16(entrySelector)
+        .uint16(segCountX2 - searchRange);
+    segments.forEach((segment) => format4.uint16(segment.end));
+    format4.uint16(0);
+    segments.forEach((segment) => format4.uint16(segment.start));
+    segments.forEach((segment) => format4.uint16(
+        segment.start == 0xFFFF ? 1 : segment.startGlyph - segment.start));
+    segments.forEach(() => format4.uint16(0));
+    const format4Buffer = format4.toBuffer();
+
+    var subtables = [[0, 3, format4Buffer], [3, 1, format4Buffer]];
+    if (codes.length > 0 && codes[codes.length - 1] > 0xFFFF) {
+        var groups = [];
+        for (const code of codes) {
+            const glyphIndex = glyphs.cmap.get(code);
+            const last = groups[groups.length - 1];
+            if (last && code == last.end + 1 &&
+                glyphIndex == last.startGlyph + (code - last.start)) {
+                last.end = code;
+            } else {
+                groups.push({start: code, end: code, startGlyph: glyphIndex});
+            }
+        }
+        var format12 = new ByteWriter()
+            .uint16(12)
+            .uint16(0)
+            .uint32(16 + 12 * groups.length)
+            .uint32(0)
+            .uint32(groups.length);
+        for (const group of groups) {
+            format12.uint32(group.start).uint32(group.end)
+                .uint32(group.startGlyph);
+        }
+        const format12Buffer = format12.toBuffer();
+        subtables = [
+            [0, 3, format4Buffer], [0, 4, format12Buffer],
+            [3, 1, format4Buffer], [3, 10, format12Buffer]
+        ];
+    }
+
+    var writer = new ByteWriter().uint16(0).uint16(subtables.length);
+    var offset = 4 + 8 * subtables.length;
+    var offsets = new Map();
+    for (const [platformID, encodingID, data] of subtables) {
+        if (!offsets.has(data)) {
+            offsets.set(data, offset);
+            offset += data.length;
+        }
+        writer.uint16(platformID).uint16(encodingID).uint32(offsets.get(data));
+    }
+    for (const data of offsets.keys()) {
+        writer.bytes(data);
+    }
+    return writer.toBuffer();
+}
+
+
+/**
+ * Makes the post table, version 3, which carries no glyph names.
+ * @return {Buffer}
+ */
+function makePostTable() {
+    return new ByteWriter()
+        .fixed(3)
+        .fixed(0)               // italicAngle
+        .int16(0)               // underlinePosition
+        .int16(0)               // underlineThickness
+        .uint32(0)              // isFixedPitch
+        .uint32(0).uint32(0).uint32(0).uint32(0)
+        .toBuffer();
+}
+
+
+/**
+ * Encodes the bitmap of a glyph as an EBDT image, format 1: small
+ * metrics and byte-aligned rows.
+ * @param {Object} bitmap The bitmap of the glyph, see makeBitmapTables().
+ * @return {Buffer}
+ */
+function encodeBitmapImage(bitmap) {
+    const pixels = bitmap.pixels;
+    const bytesPerRow = Math.ceil(pixels.width / 8);
+    var rows = Buffer.alloc(bytesPerRow * pixels.height);
+    for (let y = 0; y < pixels.height; y++) {
+        for (let x = 0; x < pixels.width; x++) {
+            const i = y * pixels.width + x;
+            if (pixels.bits[i >> 3] >> (i & 7) & 1) {
+                rows[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+            }
+        }
+    }
+    return new ByteWriter()
+        .uint8(pixels.height)
+        .uint8(pixels.width)
+        .uint8(bitmap.bearingX)
+        .uint8(bitmap.bearingY)
+        .uint8(bitmap.advance)
+        .bytes(rows)
+        .toBuffer();
+}
+
+
+/**
+ * Makes the line metrics of a bitmap strike, for the EBLC table.
+ * @param {Object} strike The bitmap strike, see makeBitmapTables().
+ * @return {Buffer}
+ */
+function makeSbitLineMetrics(strike) {
+    const bitmaps = Array.from(strike.bitmaps.values());
+    const min = (valueOf) => Math.min(...bitmaps.map(valueOf));
+    const max = (valueOf) => Math.max(...bitmaps.map(valueOf));
+    return new ByteWriter()
+        .uint8(strike.ascent)
+        .uint8(-strike.descent)
+        .uint8(max((bitmap) => bitmap.advance))     // widthMax
+        .uint8(1)                                   // caretSlopeNumerator
+        .uint8(0)                                   // caretSlopeDenominator
+        .uint8(0)                                   // caretOffset
+        .uint8(min((bitmap) => bitmap.bearingX))    // minOriginSB
+        .uint8(min((bitmap) => bitmap.advance - bitmap.bearingX -
+                   bitmap.pixels.width))            // minAdvanceSB
+        .uint8(max((bitmap) => bitmap.bearingY))    // maxBeforeBL
+        .uint8(min((bitmap) => bitmap.bearingY -
+                   bitmap.pixels.height))           // minAfterBL
+        .uint8(0).uint8(0)
+        .toBuffer();
+}
+
+
+/**
+ * Makes the EBLC and EBDT tables of the embedded bitmap strikes of a
+ * font, which rasterizers use instead of the outlines at the ppem
+ * sizes of the strikes.
+ *
+ * font.bitmapStrikes lists the strikes, each with the ppem, ascent and
+ * descent in pixels, and the bitmaps keyed by glyph index. A bitmap has
+ * the bearingX, bearingY and advance in pixels and the pixels, as the
+ * width, the height and the bits row by row, the lowest bit first.
+ * Glyphs without a bitmap fall back to the outlines.
+ * @param {opentype.Font} font The font.
+ * @return {Object<string, Buffer>} The EBLC and EBDT tables, or no
+ *     tables if the font has no bitmap strikes.
+ */
+function makeBitmapTables(font) {
+    const strikes = (font.bitmapStrikes || [])
+          .filter((strike) => strike.bitmaps.size > 0)
+          .sort((a, b) => a.ppem - b.ppem);
+    if (strikes.length == 0) {
+        return {};
+    }
+
+    var ebdt = new ByteWriter().fixed(2);
+    var sizes = [];
+    for (const strike of strikes) {
+        const glyphIndices = Array.from(strike.bitmaps.keys())
+              .sort((a, b) => a - b);
+        const first = glyphIndices[0];
+        const last = glyphIndices[glyphIndices.length - 1];
+        const imageDataOffset = ebdt.length;
+        // An index subtable of format 1, with an offset for each glyph in
+        // the range. The glyphs without a bitmap take no bytes.
+        var indexSubtable = new ByteWriter()
+            .uint16(1)
+            .uint16(1)          // imageFormat
+            .uint32(imageDataOffset);
+        for (let glyphIndex = first; glyphIndex <= last; glyphIndex++) {
+            indexSubtable.uint32(ebdt.length - imageDataOffset);
+            const bitmap = strike.bitmaps.get(glyphIndex);
+            if (bitmap) {
+                ebdt.bytes(encodeBitmapImage(bitmap));
+            }
+        }
+        indexSubtable.uint32(ebdt.length - imageDataOffset);
+        sizes.push({
+            strike: strike,
+            first: first,
+            last: last,
+            indexSubtable: indexSubtable.toBuffer()
+        });
+    }
+
+    var eblc = new ByteWriter().fixed(2).uint32(sizes.length);
+    var indexTables = new ByteWriter();
+    var offset = 8 + 48 * sizes.length;
+    for (const size of sizes) {
+        // The index subtable array has a single entry, followed by the
+        // subtable.
+        const indexTablesSize = 8 + size.indexSubtable.length;
+        const lineMetrics = makeSbitLineMetrics(size.strike);
+        eblc.uint32(offset)
+            .uint32(indexTablesSize)
+            .uint32(1)          // numberOfIndexSubTables
+            .uint32(0)          // colorRef
+            .bytes(lineMetrics) // hori
+            .bytes(lineMetrics) // vert
+            .uint16(size.first)
+            .uint16(size.last)
+            .uint8(size.strike.ppem)
+            .uint8(size.strike.ppem)
+            .uint8(1)           // bitDepth
+            .uint8(1);          // flags: horizontal metrics.
+        indexTables.uint16(size.first).uint16(size.last).uint32(8)
+            .bytes(size.indexSubtable);
+        offset += indexTablesSize;
+    }
+    return {
+        'EBDT': ebdt.toBuffer(),
+        'EBLC': eblc.bytes(indexTables.toBuffer()).toBuffer()
+    };
+}
+
+
+/**
+ * Makes the vhea and vmtx tables. Each glyph advances a full em, and its
+ * vertical origin is at the hhea ascender, the top of the em box.
+ * @param {opentype.Font} font The font.
+ * @param {Object} glyphs The data from collectGlyphs().
+ * @return {Object<string, Buffer>} The vhea and vmtx tables.
+ */
+function makeVerticalMetricsTables(font, glyphs) {
+    const advanceHeight = font.unitsPerEm;
+    var vmtx = new ByteWriter();
+    var minTopSideBearing = null;
+    var minBottomSideBearing = 0;
+    var yMaxExtent = 0;
+    for (const box of glyphs.boxes) {
+        if (box.xMin == box.xMax && box.yMin == box.yMax) {
+            vmtx.uint16(advanceHeight).int16(0);
+            continue;
+        }
+        const topSideBearing = font.ascender - box.yMax;
+        const extent = font.ascender - box.yMin;
+        vmtx.uint16(advanceHeight).int16(topSideBearing);
+        if (minTopSideBearing == null) {
+            minTopSideBearing = topSideBearing;
+            minBottomSideBearing = advanceHeight - extent;
+            yMaxExtent = extent;
+        } else {
+            minTopSideBearing = Math.min(minTopSideBearing, topSideBearing);
+            minBottomSideBearing =
+                Math.min(minBottomSideBearing, advanceHeight - extent);
+            yMaxExtent = Math.max(yMaxExtent, extent);
+        }
+    }
+    const vhea = new ByteWriter()
+        .uint32(0x00011000)     // version 1.1
+        .int16(advanceHeight / 2) // vertTypoAscender
+        .int16(-advanceHeight / 2) // vertTypoDescender
+        .int16(0)               // vertTypoLineGap
+        .uint16(advanceHeight)  // advanceHeightMax
+        .int16(minTopSideBearing || 0)
+        .int16(minBottomSideBearing)
+        .int16(yMaxExtent)
+        .int16(0)               // caretSlopeRise
+        .int16(1)               // caretSlopeRun
+        .int16(0)               // caretOffset
+        .int16(0).int16(0).int16(0).int16(0)
+        .int16(0)               // metricDataFormat
+        .uint16(glyphs.boxes.length)
+        .toBuffer();
+    return {
+        'vhea': vhea,
+        'vmtx': vmtx.toBuffer()
+    };
+}
+
+
+/**
+ * Makes a GSUB table with the vert and vrt2 features, for the default,
+ * Han and Kana scripts, which share a single substitution lookup.
+ * @param {Map<number, number>} alternates The alternate glyph index of
+ *     each glyph index.
+ * @return {Buffer}
+ */
+function makeVerticalGsubTable(alternates) {
+    const pairs = Array.from(alternates).sort((a, b) => a[0] - b[0]);
+    const scriptTags = ['DFLT', 'hani', 'kana'];
+    const featureTags = ['vert', 'vrt2'];
+
+    // All the scripts share a script table, with the default LangSys
+    // right after it, which enables all the features.
+    var scriptList = new ByteWriter().uint16(scriptTags.length);
+    const scriptOffset = 2 + 6 * scriptTags.length;
+    for (const tag of scriptTags) {
+        scriptList.tag(tag).uint16(scriptOffset);
+    }
+    scriptList.uint16(4)        // defaultLangSysOffset
+        .uint16(0)              // langSysCount
+        .uint16(0)              // lookupOrderOffset
+        .uint16(0xFFFF)         // requiredFeatureIndex
+        .uint16(featureTags.length);
+    featureTags.forEach((tag, i) => scriptList.uint16(i));
+
+    // All the features share a feature table with the only lookup.
+    var featureList = new ByteWriter().uint16(featureTags.length);
+    const featureOffset = 2 + 6 * featureTags.length;
+    for (const tag of featureTags) {
+        featureList.tag(tag).uint16(featureOffset);
+    }
+    featureList.uint16(0).uint16(1).uint16(0);
+
+    // A lookup of type 1 with a subtable of format 2, followed by its
+    // coverage table of format 1.
+    var lookupList = new ByteWriter()
+        .uint16(1).uint16(4)
+        .uint16(1)              // lookupType: single substitution.
+        .uint16(0)              // lookupFlag
+        .uint16(1).uint16(8)
+        .uint16(2)
+        .uint16(6 + 2 * pairs.length)
+        .uint16(pairs.length);
+    pairs.forEach(([, alternate]) => lookupList.uint16(alternate));
+    lookupList.uint16(1).uint16(pairs.length);
+    pairs.forEach(([glyphIndex]) => lookupList.uint16(glyphIndex));
+
+    const scriptListOffset = 10;
+    const featureListOffset = scriptListOffset + scriptList.length;
+    const lookupListOffset = featureListOffset + featureList.length;
+    return new ByteWriter()
+        .uint16(1).uint16(0)
+        .uint16(scriptListOffset)
+        .uint16(featureListOffset)
+        .uint16(lookupListOffset)
+        .bytes(scriptList.toBuffer())
+        .bytes(featureList.toBuffer())
+        .bytes(lookupList.toBuffer())
+        .toBuffer();
+}
+
+
+/**
+ * Makes the tables for vertical writing, if font.verticalAlternates is
+ * set: the vertical metrics, and the vert and vrt2 features that
+ * substitute the glyphs with their alternates, if any.
+ * @param {opentype.Font} font The font.
+ * @param {Object} glyphs The data from collectGlyphs().
+ * @return {Object<string, Buffer>} The tables keyed by tag, or no tables.
+ */
+function makeVerticalTables(font, glyphs) {
+    if (!font.verticalAlternates) {
+        return {};
+    }
+    var tables = makeVerticalMetricsTables(font, glyphs);
+    if (font.verticalAlternates.size > 0) {
+        tables['GSUB'] = makeVerticalGsubTable(font.verticalAlternates);
+    }
+    return tables;
+}
+
+
+/**
+ * Makes the COLR and CPAL tables of an LED matrix font, if
+ * font.unlitGlyphs is set. Each glyph with unlit dots is drawn as two
+ * layers: its unlit dot glyph in the unlit colour, under the glyph
+ * itself in the lit colour. See led-matrix.js.
+ * @param {opentype.Font} font The font, with the layer glyph index of
+ *     each glyph in font.unlitGlyphs and the RGBA colours of the lit and
+ *     the unlit dots of each palette in font.colorPalettes.
+ * @return {Object<string, Buffer>} The COLR and CPAL tables, or no
+ *     tables.
+ */
+function makeColorTables(font) {
+    if (!font.unlitGlyphs) {
+        return {};
+    }
+    const bases = Array.from(font.unlitGlyphs).sort((a, b) => a[0] - b[0]);
+    const numLayers = 2 * bases.length;
+    var colr = new ByteWriter()
+        .uint16(0)              // version
+        .uint16(bases.length)
+        .uint32(14)             // baseGlyphRecordsOffset
+        .uint32(14 + 6 * bases.length)
+        .uint16(numLayers);
+    bases.forEach(([glyphIndex], i) => {
+        colr.uint16(glyphIndex).uint16(2 * i).uint16(2);
+    });
+    for (const [glyphIndex, unlitIndex] of bases) {
+        colr.uint16(unlitIndex).uint16(UNLIT_COLOR_INDEX)
+            .uint16(glyphIndex).uint16(LIT_COLOR_INDEX);
+    }
+
+    const palettes = font.colorPalettes;
+    const numEntries = palettes[0].length;
+    var cpal = new ByteWriter()
+        .uint16(0)              // version
+        .uint16(numEntries)
+        .uint16(palettes.length)
+        .uint16(numEntries * palettes.length)
+        .uint32(12 + 2 * palettes.length);
+    palettes.forEach((palette, i) => cpal.uint16(i * numEntries));
+    for (const palette of palettes) {
+        for (const [red, green, blue, alpha] of palette) {
+            cpal.uint8(blue).uint8(green).uint8(red).uint8(alpha);
+        }
+    }
+    return {
+        'COLR': colr.toBuffer(),
+        'CPAL': cpal.toBuffer()
+    };
+}
+
+
+/**
+ * Makes the tables of the optional features of a font, which are added
+ * to the tables of any outline format.
+ * @param {opentype.Font} font The font.
+ * @param {Object} glyphs The data from collectGlyphs().
+ * @return {Object<string, Buffer>} The tables keyed by tag.
+ */
+function makeOptionalTables(font, glyphs) {
+    return Object.assign({}, makeBitmapTables(font),
+                         makeColorTables(font),
+                         makeVerticalTables(font, glyphs));
+}
+
+
+/**
+ * Computes the checksum of a table.
+ * @param {Buffer} data The table data.
+ * @return {number}
+ */
+function computeChecksum(data) {
+    var sum = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        sum = (sum + ((data[i] << 24 | (data[i + 1] || 0) << 16 |
+                       (data[i + 2] || 0) << 8 | (data[i + 3] || 0)) >>> 0)) >>>
+            0;
+    }
+    return sum;
+}
+
+
+/**
+ * Assembles tables into an sfnt font file.
+ * @param {number} sfntVersion 0x4F54544F ('OTTO') for CFF outlines or
+ *     0x00010000 for TrueType outlines.
+ * @param {Object<string, Buffer>} tables The table data keyed by tag.
+ *     The head table must be present.
+ * @return {Buffer}
+ */
+function assembleSfnt(sfntVersion, tables) {
+    const tags = Object.keys(tables).sort();
+    const numTables = tags.length;
+    const entrySelector = Math.floor(Math.log2(numTables));
+    const searchRange = 16 * Math.pow(2, entrySelector);
+
+    var directory = new ByteWriter()
+        .uint32(sfntVersion)
+        .uint16(numTables)
+        .uint16(searchRange)
+        .uint16(entrySelector)
+        .uint16(16 * numTables - searchRange);
+    var body = [];
+    var offset = 12 + 16 * numTables;
+    var headOffset = -1;
+    for (const tag of tags) {
+        const data = tables[tag];
+        const padding = Buffer.alloc((4 - data.length % 4) % 4);
+        directory.tag(tag).uint32(computeChecksum(data)).uint32(offset)
+            .uint32(data.length);
+        if (tag == 'head') {
+            headOffset = offset;
+        }
+        body.push(data, padding);
+        offset += data.length + padding.length;
+    }
+
+    var font = Buffer.concat([directory.toBuffer(), ...body]);
+    font.writeUInt32BE(
+        (0xB1B0AFBA - computeChecksum(font)) >>> 0, headOffset + 8);
+    return font;
+}
+
+
+/**
+ * Serializes a font to an OpenType file with CFF outlines.
+ * @param {opentype.Font} font The font.
+ * @return {Buffer} The font file contents.
+ */
+function writeOpenType(font) {
+    const glyphs = collectGlyphs(font, encodeCharString);
+    const globals = computeGlobals(glyphs);
+    const cffTable = makeCffTable(font, glyphs, globals);
+    // The charstrings are not needed any more.
+    glyphs.outlines = null;
+    return assembleSfnt(0x4F54544F, Object.assign({
+        'CFF ': cffTable,
+        'OS/2': makeOs2Table(font, glyphs, globals),
+        'cmap': makeCmapTable(glyphs),
+        'head': makeHeadTable(font, globals, 0),
+        'hhea': makeHheaTable(font, glyphs, globals),
+        'hmtx': makeHmtxTable(glyphs),
+        'maxp': makeMaxpTable(glyphs),
+        'name': makeNameTable(font),
+        'post': makePostTable()
+    }, makeOptionalTables(font, glyphs)));
+}
+
+
+/**
+ * Serializes a font to a TrueType file. Cubic curves are approximated
+ * with quadratic ones.
+ * @param {opentype.Font} font The font.
+ * @return {Buffer} The font file contents.
+ */
+function writeTrueType(font) {
+    const glyphs = collectGlyphs(font, encodeTrueTypeGlyph);
+    const globals = computeGlobals(glyphs);
+    const glyfTable = Buffer.concat(glyphs.outlines);
+    const locaTable = makeLocaTable(glyphs);
+    glyphs.outlines = null;
+    return assembleSfnt(0x00010000, Object.assign({
+        'OS/2': makeOs2Table(font, glyphs, globals),
+        'cmap': makeCmapTable(glyphs),
+        'glyf': glyfTable,
+        'head': makeHeadTable(font, globals, 1),
+        'hhea': makeHheaTable(font, glyphs, globals),
+        'hmtx': makeHmtxTable(glyphs),
+        'loca': locaTable,
+        'maxp': makeTrueTypeMaxpTable(glyphs),
+        'name': makeNameTable(font),
+        'post': makePostTable()
+    }, makeOptionalTables(font, glyphs)));
+}
+
+
+/**
+ * Packs the point deltas of a tuple variation, in runs of zeros, bytes
+ * or words.
+ * @param {Array<number>} deltas The deltas of the x or y coordinates.
+ * @return {Buffer}
+ */
+function packDeltas(deltas) {
+    const fitsByte = (value) => value >= -128 && value <= 127;
+    var writer = new ByteWriter();
+    for (let i = 0; i < deltas.length;) {
+        let count = 1;
+        const isRunOf = (accept) => count < 64 && i + count < deltas.length &&
+              accept(deltas[i + count]);
+        if (deltas[i] == 0) {
+            while (isRunOf((value) => value == 0)) {
+                count++;
+            }
+            writer.uint8(0x80 | (count - 1));
+        } else if (fitsByte(deltas[i])) {
+            while (isRunOf((value) => value != 0 && fitsByte(value))) {
+                count++;
+            }
+            writer.uint8(count - 1);
+            deltas.slice(i, i + count).forEach((value) => writer.uint8(value));
+        } else {
+            while (isRunOf((value) => !fitsByte(value))) {
+                count++;
+            }
+            writer.uint8(0x40 | (count - 1));
+            deltas.slice(i, i + count).forEach((value) => writer.int16(value));
+        }
+        i += count;
+    }
+    return writer.toBuffer();
+}
+
+
+/**
+ * Encodes the variations of a glyph for the gvar table, with a tuple
+ * variation for each master that moves any point.
+ * @param {Array<Array<Object>>} contours The contours of the default
+ *     master.
+ * @param {Array<Array<Array<Object>>>} masterContours The contours of
+ *     the other masters, in the order of the shared tuples.
+ * @return {Buffer} The glyph variation data, empty if no point moves.
+ */
+function encodeGlyphVariations(contours, masterContours) {
+    const points = [].concat(...contours);
+    var tuples = [];
+    masterContours.forEach((otherContours, tupleIndex) => {
+        const otherPoints = [].concat(...otherContours);
+        // The four phantom points of the metrics do not move.
+        const phantoms = [0, 0, 0, 0];
+        const xDeltas = points.map((point, i) => otherPoints[i].x - point.x)
+              .concat(phantoms);
+        const yDeltas = points.map((point, i) => otherPoints[i].y - point.y)
+              .concat(phantoms);
+        if (xDeltas.some((delta) => delta != 0) ||
+            yDeltas.some((delta) => delta != 0)) {
+            tuples.push({
+                index: tupleIndex,
+                data: Buffer.concat([packDeltas(xDeltas), packDeltas(yDeltas)])
+            });
+        }
+    });
+    if (tuples.length == 0) {
+        return Buffer.alloc(0);
+    }
+
+    // All the tuples share the point numbers, which cover all points.
+    var writer = new ByteWriter()
+        .uint16(0x8000 | tuples.length)
+        .uint16(4 + 4 * tuples.length);
+    for (const tuple of tuples) {
+        writer.uint16(tuple.data.length).uint16(tuple.index);
+    }
+    writer.uint8(0);
+    for (const tuple of tuples) {
+        writer.bytes(tuple.data);
+    }
+    return writer.bytes(Buffer.alloc(writer.length % 2)).toBuffer();
+}
+
+
+/**
+ * Makes the gvar table of a font with one variation axis.
+ * @param {Array<number>} peaks The normalized peak coordinate of each
+ *     shared tuple.
+ * @param {Array<Buffer>} variations The variation data of each glyph.
+ * @return {Buffer}
+ */
+function makeGvarTable(peaks, variations) {
+    const sharedTuplesOffset = 20 + 4 * (variations.length + 1);
+    var writer = new ByteWriter()
+        .uint16(1)
+        .uint16(0)
+        .uint16(1)              // axisCount
+        .uint16(peaks.length)
+        .uint32(sharedTuplesOffset)
+        .uint16(variations.length)
+        .uint16(1)              // flags: 32-bit offsets.
+        .uint32(sharedTuplesOffset + 2 * peaks.length);
+    var offset = 0;
+    for (const data of variations) {
+        writer.uint32(offset);
+        offset += data.length;
+    }
+    writer.uint32(offset);
+    for (const peak of peaks) {
+        // F2DOT14.
+        writer.int16(Math.round(peak * 0x4000));
+    }
+    return writer.bytes(Buffer.concat(variations)).toBuffer();
+}
+
+
+/**
+ * Makes the fvar table of a font with one variation axis. The name of
+ * the axis has the name ID 256 and the names of the instances follow.
+ * @param {Object} axis The tag and the minValue, defaultValue and
+ *     maxValue of the axis.
+ * @param {Array<Object>} instances The name and axis value of each
+ *     named instance.
+ * @return {Buffer}
+ */
+function makeFvarTable(axis, instances) {
+    var writer = new ByteWriter()
+        .uint16(1)
+        .uint16(0)
+        .uint16(16)             // axesArrayOffset
+        .uint16(2)
+        .uint16(1)              // axisCount
+        .uint16(20)             // axisSize
+        .uint16(instances.length)
+        .uint16(8)              // instanceSize
+        .tag(axis.tag)
+        .fixed(axis.minValue)
+        .fixed(axis.defaultValue)
+        .fixed(axis.maxValue)
+        .uint16(0)
+        .uint16(256);
+    instances.forEach((instance, i) => {
+        writer.uint16(257 + i).uint16(0).fixed(instance.value);
+    });
+    return writer.toBuffer();
+}
+
+
+/**
+ * Makes the STAT table, version 1.1, of a font with one variation axis,
+ * with an axis value for each named instance. A 'Regular' instance is
+ * left out of the names of the combined styles.
+ * @param {Object} axis The tag of the axis, whose name has the name ID
+ *     256.
+ * @param {Array<Object>} instances The name and axis value of each
+ *     named instance, whose names follow the axis name.
+ * @return {Buffer}
+ */
+function makeStatTable(axis, instances) {
+    var writer = new ByteWriter()
+        .uint16(1)
+        .uint16(1)
+        .uint16(8)              // designAxisSize
+        .uint16(1)              // designAxisCount
+        .uint32(20)             // designAxesOffset
+        .uint16(instances.length)
+        .uint32(28)             // offsetToAxisValueOffsets
+        .uint16(2)              // elidedFallbackNameID
+        .tag(axis.tag)
+        .uint16(256)
+        .uint16(0);             // axisOrdering
+    instances.forEach((instance, i) => {
+        writer.uint16(2 * instances.length + 12 * i);
+    });
+    instances.forEach((instance, i) => {
+        writer.uint16(1)        // format
+            .uint16(0)          // axisIndex
+            .uint16(instance.name == 'Regular' ? 2 : 0)
+            .uint16(257 + i)
+            .fixed(instance.value);
+    });
+    return writer.toBuffer();
+}
+
+
+/**
+ * Serializes the masters of a variable font to a TrueType file with one
+ * variation axis. The default master provides the outlines, the
+ * metrics and the names; the other masters only provide the point
+ * deltas.
+ * @param {Object} variation The variable font.
+ * @param {Object} variation.axis The tag, name, minValue, defaultValue
+ *     and maxValue of the axis.
+ * @param {Array<Object>} variation.masters The axis value and the font
+ *     of each master. The masters must be at the minimum, default or
+ *     maximum value of the axis, and have the same glyphs drawn with
+ *     the same commands.
+ * @param {Array<Object>} variation.instances The name and axis value of
+ *     each named instance.
+ * @return {Buffer} The font file contents.
+ */
+function writeVariableTrueType(variation) {
+    const axis = variation.axis;
+    const defaultMaster = variation.masters.find(
+        (master) => master.value == axis.defaultValue);
+    if (!defaultMaster) {
+        throw new Error('The variable font has no master at the default ' +
+                        'value of the ' + axis.name + ' axis.');
+    }
+    const font = defaultMaster.font;
+    const others = variation.masters.filter(
+        (master) => master != defaultMaster);
+    const peaks = others.map((master) => {
+        if (master.value == axis.minValue && master.value < axis.defaultValue) {
+            return -1;
+        } else if (master.value == axis.maxValue &&
+                   master.value > axis.defaultValue) {
+            return 1;
+        }
+        throw new Error('The masters of the variable font must be at the ' +
+                        'minimum, default or maximum value of the axis.');
+    });
+    for (const master of others) {
+        if (master.font.glyphs.length != font.glyphs.length) {
+            throw new Error('The masters of the variable font have ' +
+                            'different glyphs.');
+        }
+    }
+
+    var variations = [];
+    const encodeOutline = (glyph, index) => {
+        const paths = [glyph.path].concat(
+            others.map((master) => master.font.glyphs.get(index).path));
+        const types = paths.map((path) => path.commands.map(
+            (command) => command.type).join(''));
+        if (types.some((type) => type != types[0])) {
+            throw new Error('The masters of the variable font have ' +
+                            'different outlines for glyph ' +
+                            (glyph.name || index) + '.');
+        }
+        const [contours, ...masterContours] = pathsToTrueTypeContours(paths);
+        variations.push(encodeGlyphVariations(contours, masterContours));
+        return encodeTrueTypeContours(contours);
+    };
+    const glyphs = collectGlyphs(font, encodeOutline);
+    const globals = computeGlobals(glyphs);
+    const glyfTable = Buffer.concat(glyphs.outlines);
+    const locaTable = makeLocaTable(glyphs);
+    glyphs.outlines = null;
+    const extraNames = [axis.name].concat(
+        variation.instances.map((instance) => instance.name));
+    return assembleSfnt(0x00010000, Object.assign({
+        'OS/2': makeOs2Table(font, glyphs, globals),
+        'STAT': makeStatTable(axis, variation.instances),
+        'cmap': makeCmapTable(glyphs),
+        'fvar': makeFvarTable(axis, variation.instances),
+        'glyf': glyfTable,
+        'gvar': makeGvarTable(peaks, variations),
+        'head': makeHeadTable(font, globals, 1),
+        'hhea': makeHheaTable(font, glyphs, globals),
+        'hmtx': makeHmtxTable(glyphs),
+        'loca': locaTable,
+        'maxp': makeTrueTypeMaxpTable(glyphs),
+        'name': makeNameTable(font, extraNames),
+        'post': makePostTable()
+    }, makeOptionalTables(font, glyphs)));
+}
+
+
+/**
+ * Reads the table directory of an sfnt font file.
+ * @param {Buffer} sfnt The font file contents.
+ * @return {Array<Object>} The tag, checksum and data of each table, in
+ *     the directory order.
+ */
+function readSfntTables(sfnt) {
+    const numTables = sfnt.readUInt16BE(4);
+    var tables = [];
+    for (let i = 0; i < numTables; i++) {
+        const entry = 12 + 16 * i;
+        const offset = sfnt.readUInt32BE(entry + 8);
+        const length = sfnt.readUInt32BE(entry + 12);
+        tables.push({
+            tag: sfnt.toString('latin1', entry, entry + 4),
+            checksum: sfnt.readUInt32BE(entry + 4),
+            data: sfnt.subarray(offset, offset + length)
+        });
+    }
+    return tables;
+}
+
+
+/**
+ * Wraps an sfnt font file as a WOFF 1.0 file, with each table
+ * zlib-compressed when that makes it smaller.
+ * @param {Buffer} sfnt The font file contents.
+ * @return {Buffer} The WOFF file contents.
+ */
+function sfntToWoff(sfnt) {
+    const tables = readSfntTables(sfnt);
+    var directory = new ByteWriter();
+    var body = [];
+    var offset = 44 + 20 * tables.length;
+    var totalSfntSize = 12 + 16 * tables.length;
+    for (const table of tables) {
+        const compressed = zlib.deflateSync(table.data);
+        const data = compressed.length < table.data.length ?
+              compressed : table.data;
+        directory.tag(table.tag).uint32(offset).uint32(data.length)
+            .uint32(table.data.length).uint32(table.checksum);
+        const padding = Buffer.alloc((4 - data.length % 4) % 4);
+        body.push(data, padding);
+        offset += data.length + padding.length;
+        totalSfntSize += table.data.length + (4 - table.data.length % 4) % 4;
+    }
+    const header = new ByteWriter()
+          .tag('wOFF')
+          .uint32(sfnt.readUInt32BE(0))
+          .uint32(offset)
+          .uint16(tables.length)
+          .uint16(0)
+          .uint32(totalSfntSize)
+          .uint16(1).uint16(0)  // majorVersion, minorVersion
+          .uint32(0).uint32(0).uint32(0)  // metadata
+          .uint32(0).uint32(0)  // private data
+          .toBuffer();
+    return Buffer.concat([header, directory.toBuffer(), ...body]);
+}
+
+
+/**
+ * Encodes a number in the UIntBase128 format of WOFF2.
+ * @param {number} value
+ * @return {Buffer}
+ */
+function encodeUIntBase128(value) {
+    var bytes = [value & 0x7F];
+    value = Math.floor(value / 0x80);
+    while (value > 0) {
+        bytes.unshift(0x80 | value & 0x7F);
+        value = Math.floor(value / 0x80);
+    }
+    return Buffer.from(bytes);
+}
+
+
+/**
+ * Wraps an sfnt font file as a WOFF2 file. All the tables take the
+ * null transform and are brotli-compressed as one stream.
+ * @param {Buffer} sfnt The font file contents.
+ * @param {number=} quality The Brotli quality, from 0 to 11. Defaults to
+ *     DEFAULT_WOFF2_QUALITY.
+ * @return {Buffer} The WOFF2 file contents.
+ */
+function sfntToWoff2(sfnt, quality) {
+    quality = quality == undefined ? DEFAULT_WOFF2_QUALITY : quality;
+    if (!(Number.isInteger(quality) && quality >= 0 && quality <= 11)) {
+        throw new Error('The WOFF2 quality must be an integer from 0 to ' +
+                        '11: ' + quality);
+    }
+    const tables = readSfntTables(sfnt);
+    var directory = new ByteWriter();
+    var totalSfntSize = 12 + 16 * tables.length;
+    for (const table of tables) {
+        const knownTag = WOFF2_KNOWN_TAGS.indexOf(table.tag);
+        // Transform version 3 is the null transform of glyf and loca;
+        // version 0 is the null transform of all other tables.
+        const transform = table.tag == 'glyf' || table.tag == 'loca' ? 3 : 0;
+        directory.uint8(transform << 6 | (knownTag >= 0 ? knownTag : 63));
+        if (knownTag < 0) {
+            directory.tag(table.tag);
+        }
+        directory.bytes(encodeUIntBase128(table.data.length));
+        totalSfntSize += table.data.length + (4 - table.data.length % 4) % 4;
+    }
+    const data = Buffer.concat(tables.map((table) => table.data));
+    const constants = zlib.constants;
+    const compressed = zlib.brotliCompressSync(data, {
+        params: {
+            [constants.BROTLI_PARAM_MODE]: constants.BROTLI_MODE_FONT,
+            [constants.BROTLI_PARAM_QUALITY]: quality,
+            [constants.BROTLI_PARAM_SIZE_HINT]: data.length
+        }
+    });
+    const directoryBuffer = directory.toBuffer();
+    const padding = Buffer.alloc((4 - compressed.length % 4) % 4);
+    const length =
+          48 + directoryBuffer.length + compressed.length + padding.length;
+    const header = new ByteWriter()
+          .tag('wOF2')
+          .uint32(sfnt.readUInt32BE(0))
+          .uint32(length)
+          .uint16(tables.length)
+          .uint16(0)
+          .uint32(totalSfntSize)
+          .uint32(compressed.length)
+          .uint16(1).uint16(0)  // majorVersion, minorVersion
+          .uint32(0).uint32(0).uint32(0)  // metadata
+          .uint32(0).uint32(0)  // private data
+          .toBuffer();
+    return Buffer.concat([header, directoryBuffer, compressed, padding]);
+}
+
+
+/**
+ * Returns the output format implied by a file name.
+ * @param {string} fileName The output file name.
+ * @return {string} One of FORMATS, 'otf' if the extension is unknown.
+ */
+function formatFromFileName(fileName) {
+    const match = /\.(\w+)$/.exec(fileName);
+    const extension = match ? match[1].toLowerCase() : '';
+    return FORMATS.includes(extension) ? extension : 'otf';
+}
+
+
+/**
+ * Serializes the masters of a variable font in the specified format.
+ * @param {Object} variation The variable font, see
+ *     writeVariableTrueType().
+ * @param {string} format One of FORMATS other than 'otf', since the
+ *     variable fonts have TrueType outlines.
+ * @param {Object=} options The writer options, see writeFont().
+ * @return {Buffer} The file contents.
+ */
+function writeVariableFont(variation, format, options) {
+    options = options || {};
+    switch (format) {
+    case 'ttf':
+        return writeVariableTrueType(variation);
+    case 'woff':
+        return sfntToWoff(writeVariableTrueType(variation));
+    case 'woff2':
+        return sfntToWoff2(writeVariableTrueType(variation),
+                           options.woff2Quality);
+    default:
+        throw new Error('Variable fonts are written as ttf, woff or ' +
+                        'woff2, not ' + format);
+    }
+}
+
+
+/**
+ * Serializes a font in the specified format.
+ * @param {opentype.Font} font The font.
+ * @param {string} format One of FORMATS. WOFF and WOFF2 files carry
+ *     TrueType outlines.
+ * @param {Object=} options The writer options, e.g., the conversion
+ *     options.
+ * @param {number=} options.woff2Quality The Brotli quality of a WOFF2
+ *     file, from 0 to 11. Defaults to DEFAULT_WOFF2_QUALITY.
+ * @return {Buffer} The file contents.
+ */
+function writeFont(font, format, options) {
+    options = options || {};
+    switch (format) {
+    case 'otf':
+        return writeOpenType(font);
+    case 'ttf':
+        return writeTrueType(font);
+    case 'woff':
+        return sfntToWoff(writeTrueType(font));
+    case 'woff2':
+        return sfntToWoff2(writeTrueType(font), options.woff2Quality);
+    default:
+        throw new Error('Unknown font format: ' + format);
+    }
+}
+
+
+module.exports.ByteWriter = ByteWriter;
+module.exports.DEFAULT_WOFF2_QUALITY = DEFAULT_WOFF2_QUALITY;
+module.exports.FORMATS = FORMATS;
+module.exports.WOFF2_KNOWN_TAGS = WOFF2_KNOWN_TAGS;
+module.exports.assembleSfnt = assembleSfnt;
+module.exports.computeChecksum = computeChecksum;
+module.exports.formatFromFileName = formatFromFileName;
+module.exports.readSfntTables = readSfntTables;
+module.exports.sfntToWoff = sfntToWoff;
+module.exports.sfntToWoff2 = sfntToWoff2;
+module.exports.writeFont = writeFont;
+module.exports.writeOpenType = writeOpenType;
+module.exports.writeTrueType = writeTrueType;
+module.exports.writeVariableFont = writeVariableFont;
@@ -0,0 +1,596 @@
+/**
+ * @fileoverview Exports the glyph bitmaps of the input font as atlases
+ * for the renderers that draw the pixels themselves, e.g., on
+ * microcontrollers and HTML canvases: a C header, a JSON or a binary
+ * atlas with a code point index, or a PNG texture with a BMFont
+ * descriptor. The glyphs are the ones collectBitmapFont() collects for
+ * the bitmap fonts, packed as the options say.
+ *
+ * https://www.angelcode.com/products/bmfont/doc/file_format.html
+ * provides a detailed description for the BMFont text format.
+ */
+
+
+const { collectBitmapFont } = require('./bitmap-font-writer');
+const { encodePng } = require('./path-rasterizer');
+const { formatCodePoint } = require('./code-points');
+const path = require('path');
+
+
+/**
+ * The atlas formats, which are also the extensions of the output files.
+ * @type {Array<string>}
+ */
+const ATLAS_FORMATS = ['h', 'json', 'bin', 'fnt'];
+
+
+/**
+ * The bit packings of the glyph bitmaps, with their ids in the binary
+ * atlas, keyed by name:
+ * "msb": rows of pixels, the leftmost pixel in the most significant bit.
+ * "lsb": rows of pixels, the leftmost pixel in the least significant bit.
+ * "columns": columns of 8 pixels per byte, the top pixel in the least
+ *     significant bit, in bands of 8 rows, as the page layout of the
+ *     SSD1306 displays.
+ * "bytes": one byte per pixel, 255 for the black pixels and 0 for the
+ *     white ones.
+ * @type {Object<string, number>}
+ */
+const BIT_PACKINGS = {
+    'msb': 0,
+    'lsb': 1,
+    'columns': 2,
+    'bytes': 3
+};
+
+
+/**
+ * The row paddings of the "msb" and "lsb" packings, in bits. 1 packs the
+ * rows without padding.
+ * @type {Array<number>}
+ */
+const ROW_PADDINGS = [1, 8, 16, 32];
+
+
+/**
+ * The indexes of the glyphs, with their ids in the binary atlas, keyed
+ * by name: "unicode" indexes the glyphs by code point, and "gb2312" by
+ * EUC-CN code, e.g., 0xB0A1 for 啊, with the ASCII characters as
+ * themselves. The glyphs out of GB 2312 are left out of a "gb2312"
+ * index.
+ * @type {Object<string, number>}
+ */
+const GLYPH_INDEXES = {
+    'unicode': 0,
+    'gb2312': 1
+};
+
+
+/**
+ * The default atlas options.
+ * @type {Object}
+ */
+const DEFAULT_ATLAS_OPTIONS = {
+    packing: 'msb',
+    rowPadding: 8,
+    index: 'unicode'
+};
+
+
+/**
+ * The signature of the binary atlas.
+ * @type {string}
+ */
+const BINARY_ATLAS_MAGIC = 'GATL';
+
+
+/**
+ * The EUC-CN codes of the GB 2312 characters keyed by code point, built
+ * on first use.
+ * @type {Map<number, number>|null}
+ */
+var gb2312Codes = null;
+
+
+/**
+ * Returns the atlas format of an output file name, by its extension.
+ * @param {string} fileName The output file name.
+ * @return {string|undefined} One of ATLAS_FORMATS, or undefined if the
+ *     file is not an atlas.
+ */
+function atlasFormatFromFileName(fileName) {
+    const extension = path.extname(fileName).slice(1).toLowerCase();
+    return ATLAS_FORMATS.includes(extension) ? extension : undefined;
+}
+
+
+/**
+ * Checks the atlas options and fills in the defaults.
+ * @param {Object=} options The packing, the row padding in bits and the
+ *     index. The row padding only applies to the "msb" and "lsb"
+ *     packings.
+ * @return {Object} The resolved options.
+ */
+function resolveAtlasOptions(options) {
+    options = options || {};
+    const packing = options.packing || DEFAULT_ATLAS_OPTIONS.packing;
+    const index = options.index || DEFAULT_ATLAS_OPTIONS.index;
+    if (!(packing in BIT_PACKINGS)) {
+        throw new Error('Unknown bit packing: ' + packing + '. Use one of ' +
+                        Object.keys(BIT_PACKINGS).join(', ') + '.');
+    }
+    if (!(index in GLYPH_INDEXES)) {
+        throw new Error('Unknown glyph index: ' + index + '. Use one of ' +
+                        Object.keys(GLYPH_INDEXES).join(', ') + '.');
+    }
+    const rowPacking = packing == 'msb' || packing == 'lsb';
+    if (options.rowPadding != undefined) {
+        if (!rowPacking) {
+            throw new Error('The row padding only applies to the msb and ' +
+                            'lsb packings, not ' + packing + '.');
+        }
+        if (!ROW_PADDINGS.includes(options.rowPadding)) {
+            throw new Error('Invalid row padding: ' + options.rowPadding +
+                            '. Use one of ' + ROW_PADDINGS.join(', ') +
+                            ' bits.');
+        }
+    }
+    return {
+        packing: packing,
+        rowPadding: rowPacking ?
+            options.rowPadding || DEFAULT_ATLAS_OPTIONS.rowPadding : 8,
+        index: index
+    };
+}
+
+
+/**
+ * Returns the EUC-CN codes of the GB 2312 characters, decoded from the
+ * rows 1 to 87 of the charset.
+ * @return {Map<number, number>} The codes keyed by code point.
+ */
+function getGb2312Codes() {
+    if (!gb2312Codes) {
+        gb2312Codes = new Map();
+        const decoder = new TextDecoder('gbk');
+        for (let lead = 0xA1; lead <= 0xF7; lead++) {
+            for (let trail = 0xA1; trail <= 0xFE; trail++) {
+                const chars = Array.from(
+                    decoder.decode(new Uint8Array([lead, trail])));
+                if (chars.length == 1 && chars[0] != '\uFFFD') {
+                    gb2312Codes.set(chars[0].codePointAt(0),
+                                    lead << 8 | trail);
+                }
+            }
+        }
+    }
+    return gb2312Codes;
+}
+
+
+/**
+ * Returns the code of a glyph in the index.
+ * @param {number} code The code point of the glyph.
+ * @param {string} index One of GLYPH_INDEXES.
+ * @return {number|undefined} Undefined if the index has no such glyph.
+ */
+function getIndexCode(code, index) {
+    if (index == 'unicode' || code < 0x80) {
+        return code;
+    }
+    return getGb2312Codes().get(code);
+}
+
+
+/**
+ * Packs the bitmap of a glyph, as the atlas options say.
+ * @param {Object} glyph The glyph from collectBitmapFont(), whose bitmap
+ *     has rows padded to bytes, most significant bit first.
+ * @param {Object} options The resolved atlas options.
+ * @return {Buffer}
+ */
+function packGlyph(glyph, options) {
+    const {width, height, bitmap} = glyph;
+    const bytesPerRow = Math.ceil(width / 8);
+    const isBlack = (x, y) =>
+          (bitmap[y * bytesPerRow + (x >> 3)] & (0x80 >> (x & 7))) != 0;
+
+    if (options.packing == 'bytes') {
+        var bytes = Buffer.alloc(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                bytes[y * width + x] = isBlack(x, y) ? 255 : 0;
+            }
+        }
+        return bytes;
+    }
+    if (options.packing == 'columns') {
+        var pages = Buffer.alloc(Math.ceil(height / 8) * width);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (isBlack(x, y)) {
+                    pages[(y >> 3) * width + x] |= 1 << (y & 7);
+                }
+            }
+        }
+        return pages;
+    }
+    const rowBits = Math.ceil(width / options.rowPadding) *
+          options.rowPadding;
+    var rows = Buffer.alloc(Math.ceil(rowBits * height / 8));
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (isBlack(x, y)) {
+                const bit = y * rowBits + x;
+                rows[bit >> 3] |= options.packing == 'msb' ?
+                    0x80 >> (bit & 7) : 1 << (bit & 7);
+            }
+        }
+    }
+    return rows;
+}
+
+
+/**
+ * Collects the glyph atlas of the input font.
+ * @param {BitmapFontParser} parser The parser that has loaded the input
+ *     font, see loadInputFont() in font-converter.js.
+ * @param {Object} options The conversion options, see
+ *     collectBitmapFont(), and the atlas options in options.atlas, see
+ *     resolveAtlasOptions().
+ * @return {Object} The family name, the pixel size, the ascent and the
+ *     descent of the font, the resolved atlas options, the index code of
+ *     the default char, the number of glyphs that are left out as they
+ *     are not in the index, the packed bitmaps, and the glyphs sorted by
+ *     their index codes. Each glyph has its code point, its index code,
+ *     the offset of its bitmap, the width and the height of its bitmap,
+ *     the x and the y of the bitmap's top left corner from the origin,
+ *     y up, its advance, its bitmap as collected and its packed bitmap.
+ */
+function collectAtlas(parser, options) {
+    const atlasOptions = resolveAtlasOptions(options.atlas);
+    const font = collectBitmapFont(parser, options);
+    const properties = font.properties;
+
+    var glyphs = [];
+    var missingCount = 0;
+    for (const glyph of font.glyphs) {
+        const indexCode = getIndexCode(glyph.code, atlasOptions.index);
+        if (indexCode == undefined) {
+            missingCount++;
+            continue;
+        }
+        glyphs.push({
+            code: glyph.code,
+            indexCode: indexCode,
+            width: glyph.width,
+            height: glyph.height,
+            x: glyph.metrics.leftSidedBearing,
+            y: glyph.metrics.characterAscent,
+            advance: glyph.metrics.characterWidth,
+            bitmap: glyph.bitmap,
+            data: packGlyph(glyph, atlasOptions)
+        });
+    }
+    if (glyphs.length == 0) {
+        throw new Error('The ' + atlasOptions.index + ' index has no ' +
+                        'glyphs of the input font.');
+    }
+    glyphs.sort((a, b) => a.indexCode - b.indexCode);
+    var offset = 0;
+    for (const glyph of glyphs) {
+        glyph.offset = offset;
+        offset += glyph.data.length;
+    }
+
+    return {
+        familyName: properties.FAMILY_NAME,
+        pixelSize: properties.PIXEL_SIZE,
+        ascent: properties.FONT_ASCENT,
+        descent: properties.FONT_DESCENT,
+        options: atlasOptions,
+        defaultChar: font.defaultChar == undefined ? undefined :
+            getIndexCode(font.defaultChar, atlasOptions.index),
+        missingCount: missingCount,
+        bitmaps: Buffer.concat(glyphs.map((glyph) => glyph.data)),
+        glyphs: glyphs
+    };
+}
+
+
+/**
+ * Checks that the metrics of the glyphs fit in the bytes of a C header
+ * or a binary atlas.
+ * @param {Object} atlas The atlas from collectAtlas().
+ */
+function checkByteMetrics(atlas) {
+    for (const glyph of atlas.glyphs) {
+        const unsignedValues = [glyph.width, glyph.height, glyph.advance];
+        const signedValues = [glyph.x, glyph.y];
+        if (unsignedValues.some((value) => value < 0 || value > 255) ||
+            signedValues.some((value) => value < -128 || value > 127)) {
+            throw new Error('The metrics of glyph ' + glyph.indexCode +
+                            ' do not fit in bytes: the box is ' +
+                            glyph.width + 'x' + glyph.height + ' at ' +
+                            glyph.x + ',' + glyph.y + ', the advance is ' +
+                            glyph.advance + '.');
+        }
+    }
+}
+
+
+/**
+ * Describes the layout of the packed bitmaps, for the comments of the
+ * atlas files.
+ * @param {Object} options The resolved atlas options.
+ * @return {string}
+ */
+function describePacking(options) {
+    switch (options.packing) {
+    case 'bytes':
+        return 'one byte per pixel, 255 for black';
+    case 'columns':
+        return 'columns of 8 pixels per byte, top pixel in the LSB, ' +
+            'in bands of 8 rows';
+    default:
+        return 'rows of pixels, leftmost pixel in the ' +
+            options.packing.toUpperCase() + ', ' +
+            (options.rowPadding == 1 ? 'rows not padded' :
+             'rows padded to ' + options.rowPadding + ' bits');
+    }
+}
+
+
+/**
+ * Formats a number as a hexadecimal C literal.
+ * @param {number} value
+ * @param {number} digits The minimum number of digits.
+ * @return {string}
+ */
+function toHex(value, digits) {
+    return '0x' + value.toString(16).toUpperCase().padStart(digits, '0');
+}
+
+
+/**
+ * Writes the atlas as a C header, with the packed bitmaps, the glyph
+ * table and the macros of the font metrics. The glyph table is sorted by
+ * code, for binary searches.
+ * @param {Object} atlas The atlas from collectAtlas().
+ * @param {string} name The name of the font in C, which prefixes the
+ *     identifiers, e.g., the output file name.
+ * @return {Buffer} The file contents.
+ */
+function writeCHeader(atlas, name) {
+    checkByteMetrics(atlas);
+    const prefix = name.replace(/\.h$/i, '').replace(/[^A-Za-z0-9_]/g, '_')
+          .replace(/^(?=\d)/, 'font_').toLowerCase();
+    const macro = prefix.toUpperCase();
+    const codeDigits = atlas.glyphs.some(
+        (glyph) => glyph.indexCode > 0xFFFF) ? 6 : 4;
+
+    var lines = [
+        '/*',
+        ' * ' + atlas.familyName + ', ' + atlas.pixelSize + ' pixels, ' +
+            'generated by pcf2opentype.js.',
+        ' * ' + atlas.glyphs.length + ' glyphs indexed by ' +
+            (atlas.options.index == 'gb2312' ? 'EUC-CN code' :
+             'Unicode code point') + '.',
+        ' * Bitmaps: ' + describePacking(atlas.options) + '.',
+        ' */',
+        '',
+        '#ifndef ' + macro + '_H',
+        '#define ' + macro + '_H',
+        '',
+        '#include <stdint.h>',
+        '',
+        '#define ' + macro + '_GLYPH_COUNT ' + atlas.glyphs.length,
+        '#define ' + macro + '_PIXEL_SIZE ' + atlas.pixelSize,
+        '#define ' + macro + '_ASCENT ' + atlas.ascent,
+        '#define ' + macro + '_DESCENT ' + atlas.descent
+    ];
+    if (atlas.defaultChar != undefined) {
+        lines.push('#define ' + macro + '_DEFAULT_CHAR ' +
+                   toHex(atlas.defaultChar, codeDigits));
+    }
+    lines.push(
+        '',
+        '/*',
+        ' * A glyph: its code, the offset of its bitmap, the size of its',
+        ' * bitmap, the x and the y of the bitmap\'s top left corner from',
+        ' * the origin on the baseline, y up, and its advance.',
+        ' */',
+        'typedef struct {',
+        '    uint32_t code;',
+        '    uint32_t offset;',
+        '    uint8_t width;',
+        '    uint8_t height;',
+        '    int8_t x;',
+        '    int8_t y;',
+        '    uint8_t advance;',
+        '} ' + prefix + '_glyph_t;',
+        '',
+        'static const uint8_t ' + prefix + '_bitmaps[' +
+            Math.max(1, atlas.bitmaps.length) + '] = {');
+    for (let i = 0; i < atlas.bitmaps.length; i += 12) {
+        lines.push('    ' + Array.from(
+            atlas.bitmaps.subarray(i, i + 12),
+            (value) => toHex(value, 2) + ',').join(' '));
+    }
+    if (atlas.bitmaps.length == 0) {
+        lines.push('    0x00');
+    }
+    lines.push(
+        '};',
+        '',
+        'static const ' + prefix + '_glyph_t ' + prefix + '_glyphs[' +
+            macro + '_GLYPH_COUNT] = {');
+    for (const glyph of atlas.glyphs) {
+        const char = String.fromCodePoint(glyph.code);
+        lines.push(
+            '    {' + [toHex(glyph.indexCode, codeDigits), glyph.offset,
+                       glyph.width, glyph.height, glyph.x, glyph.y,
+                       glyph.advance].join(', ') + '},' +
+                ' /* ' + formatCodePoint(glyph.code) +
+                (/[\p{L}\p{N}\p{P}\p{S}]/u.test(char) ? ' ' + char : '') +
+                ' */');
+    }
+    lines.push(
+        '};',
+        '',
+        '#endif  /* ' + macro + '_H */',
+        '');
+    return Buffer.from(lines.join('\n'), 'utf8');
+}
+
+
+/**
+ * Writes the atlas as JSON, with the glyphs keyed by their codes in
+ * decimal and the packed bitmaps in Base64. Each glyph is an array of
+ * the offset, the width, the height, the x, the y and the advance.
+ * @param {Object} atlas The atlas from collectAtlas().
+ * @return {Buffer} The file contents.
+ */
+function writeJsonAtlas(atlas) {
+    var glyphs = {};
+    for (const glyph of atlas.glyphs) {
+        glyphs[glyph.indexCode] = [glyph.offset, glyph.width, glyph.height,
+                                   glyph.x, glyph.y, glyph.advance];
+    }
+    return Buffer.from(JSON.stringify({
+        familyName: atlas.familyName,
+        pixelSize: atlas.pixelSize,
+        ascent: atlas.ascent,
+        descent: atlas.descent,
+        packing: atlas.options.packing,
+        rowPadding: atlas.options.rowPadding,
+        index: atlas.options.index,
+        defaultChar: atlas.defaultChar == undefined ?
+            null : atlas.defaultChar,
+        glyphFields: ['offset', 'width', 'height', 'x', 'y', 'advance'],
+        glyphs: glyphs,
+        bitmaps: atlas.bitmaps.toString('base64')
+    }), 'utf8');
+}
+
+
+/**
+ * Writes the atlas in the binary format, little endian:
+ * a 24-byte header of the signature "GATL", the version 1, the packing,
+ * the row padding and the index ids as bytes, the pixel size, the ascent
+ * and the descent as 16-bit integers, 2 reserved bytes, the glyph count
+ * and the default char (0xFFFFFFFF if none) as 32-bit integers;
+ * then 16 bytes per glyph, sorted by code: the code and the bitmap
+ * offset as 32-bit integers, the width, the height, the x, the y and
+ * the advance as bytes, and 3 reserved bytes;
+ * then the packed bitmaps, at the offsets.
+ * @param {Object} atlas The atlas from collectAtlas().
+ * @return {Buffer} The file contents.
+ */
+function writeBinaryAtlas(atlas) {
+    checkByteMetrics(atlas);
+    var header = Buffer.alloc(24);
+    header.write(BINARY_ATLAS_MAGIC, 0, 'latin1');
+    header.writeUInt8(1, 4);
+    header.writeUInt8(BIT_PACKINGS[atlas.options.packing], 5);
+    header.writeUInt8(atlas.options.rowPadding, 6);
+    header.writeUInt8(GLYPH_INDEXES[atlas.options.index], 7);
+    header.writeUInt16LE(atlas.pixelSize, 8);
+    header.writeInt16LE(atlas.ascent, 10);
+    header.writeInt16LE(atlas.descent, 12);
+    header.writeUInt32LE(atlas.glyphs.length, 16);
+    header.writeUInt32LE(atlas.defaultChar == undefined ?
+                         0xFFFFFFFF : atlas.defaultChar, 20);
+
+    var records = Buffer.alloc(16 * atlas.glyphs.length);
+    atlas.glyphs.forEach((glyph, i) => {
+        records.writeUInt32LE(glyph.indexCode, i * 16);
+        records.writeUInt32LE(glyph.offset, i * 16 + 4);
+        records.writeUInt8(glyph.width, i * 16 + 8);
+        records.writeUInt8(glyph.height, i * 16 + 9);
+        records.writeInt8(glyph.x, i * 16 + 10);
+        records.writeInt8(glyph.y, i * 16 + 11);
+        records.writeUInt8(glyph.advance, i * 16 + 12);
+    });
+    return Buffer.concat([header, records, atlas.bitmaps]);
+}
+
+
+/**
+ * Writes the atlas as a PNG texture with a BMFont descriptor in the text
+ * format. The glyphs are laid out in a grid of cells of the largest
+ * bitmap, 1 pixel apart, white on a transparent background. The packing
+ * options do not apply.
+ * @param {Object} atlas The atlas from collectAtlas().
+ * @param {string} pngFileName The file name of the texture, as the
+ *     descriptor refers to it.
+ * @return {Object} The descriptor as "fnt" and the texture as "png", the
+ *     file contents.
+ */
+function writeBmFont(atlas, pngFileName) {
+    const spacing = 1;
+    const cellWidth = Math.max(
+        1, ...atlas.glyphs.map((glyph) => glyph.width)) + spacing;
+    const cellHeight = Math.max(
+        1, ...atlas.glyphs.map((glyph) => glyph.height)) + spacing;
+    // Roughly square textures.
+    const columns = Math.ceil(Math.sqrt(
+        atlas.glyphs.length * cellHeight / cellWidth));
+    const rows = Math.ceil(atlas.glyphs.length / columns);
+    var image = {
+        width: columns * cellWidth,
+        height: rows * cellHeight,
+        data: new Uint8Array(columns * cellWidth * rows * cellHeight * 4)
+    };
+    const unicode = atlas.options.index == 'unicode';
+    var lines = [
+        'info face="' + atlas.familyName.replace(/"/g, '\'') + '" size=' +
+            atlas.pixelSize + ' bold=0 italic=0 charset="' +
+            (unicode ? '' : 'GB2312') + '" unicode=' + (unicode ? 1 : 0) +
+            ' stretchH=100 smooth=0 aa=1 padding=0,0,0,0 spacing=' +
+            spacing + ',' + spacing,
+        'common lineHeight=' + (atlas.ascent + atlas.descent) + ' base=' +
+            atlas.ascent + ' scaleW=' + image.width + ' scaleH=' +
+            image.height + ' pages=1 packed=0',
+        'page id=0 file="' + pngFileName + '"',
+        'chars count=' + atlas.glyphs.length
+    ];
+    atlas.glyphs.forEach((glyph, i) => {
+        const left = (i % columns) * cellWidth;
+        const top = Math.floor(i / columns) * cellHeight;
+        const bytesPerRow = Math.ceil(glyph.width / 8);
+        for (let y = 0; y < glyph.height; y++) {
+            for (let x = 0; x < glyph.width; x++) {
+                if (glyph.bitmap[y * bytesPerRow + (x >> 3)] &
+                    (0x80 >> (x & 7))) {
+                    image.data.fill(
+                        255, ((top + y) * image.width + left + x) * 4,
+                        ((top + y) * image.width + left + x + 1) * 4);
+                }
+            }
+        }
+        lines.push('char id=' + glyph.indexCode + ' x=' + left + ' y=' +
+                   top + ' width=' + glyph.width + ' height=' +
+                   glyph.height + ' xoffset=' + glyph.x + ' yoffset=' +
+                   (atlas.ascent - glyph.y) + ' xadvance=' +
+                   glyph.advance + ' page=0 chnl=15');
+    });
+    return {
+        fnt: Buffer.from(lines.join('\n') + '\n', 'utf8'),
+        png: encodePng(image)
+    };
+}
+
+
+module.exports.ATLAS_FORMATS = ATLAS_FORMATS;
+module.exports.BIT_PACKINGS = BIT_PACKINGS;
+module.exports.DEFAULT_ATLAS_OPTIONS = DEFAULT_ATLAS_OPTIONS;
+module.exports.GLYPH_INDEXES = GLYPH_INDEXES;
+module.exports.ROW_PADDINGS = ROW_PADDINGS;
+module.exports.atlasFormatFromFileName = atlasFormatFromFileName;
+module.exports.collectAtlas = collectAtlas;
+module.exports.resolveAtlasOptions = resolveAtlasOptions;
+module.exports.writeBinaryAtlas = writeBinaryAtlas;
+module.exports.writeBmFont = writeBmFont;
+module.exports.writeCHeader = writeCHeader;
+module.exports.writeJsonAtlas = writeJsonAtlas;
@@ -0,0 +1,377 @@
+/**
+ * @fileoverview Glyph override files, which patch the glyphs of the input
+ * font or add new ones, drawn as text in the same way as the conversion
+ * log shows the glyphs:
+ *
+ *   ; Comments start with a semicolon.
+ *   U+4E2D advance=13 bearingX=0 bearingY=11
+ *   ______#______
+ *   _###########_
+ *   ...
+ *
+ * Each glyph starts with its code point, optionally followed by the
+ * fields name, advance (the advance width), bearingX (the left bearing
+ * of the first column) and bearingY (the height of the top row above
+ * the baseline), in pixels. Then come its rows of pixels, BLACK_PIXEL
+ * for black and WHITE_PIXEL for white, from top to bottom. A glyph
+ * without rows is blank, e.g., a space.
+ *
+ * The fields default to the ones of the glyph in the input font, or, for
+ * a new glyph, to the width of the rows, 0 and the font ascent.
+ */
+
+
+const { defaultGlyphName, formatCodePoint } = require('./code-points');
+const fs = require('fs');
+
+
+// Characters to render the bitmap.
+const WHITE_PIXEL = '_';
+const BLACK_PIXEL = '#';
+
+
+/**
+ * The header of a glyph: the code point and the fields.
+ * @type {RegExp}
+ */
+const HEADER_PATTERN = /^U\+([0-9A-F]{1,6})((?:\s+\w+=\S+)*)$/i;
+
+
+/**
+ * A row of pixels.
+ * @type {RegExp}
+ */
+const PIXEL_ROW_PATTERN = new RegExp('^[' + BLACK_PIXEL + WHITE_PIXEL + ']+$');
+
+
+/**
+ * The fields of a glyph header, with their parsers.
+ * @type {Object<string, function(string): (number|string)>}
+ */
+const FIELD_PARSERS = {
+    name: (value) => value,
+    advance: (value) => parseInteger(value, 0),
+    bearingX: (value) => parseInteger(value),
+    bearingY: (value) => parseInteger(value)
+};
+
+
+/**
+ * Parses an integer field.
+ * @param {string} value The field value.
+ * @param {number=} min The minimum.
+ * @return {number} NaN if the value is not an integer, or less than min.
+ */
+function parseInteger(value, min) {
+    const number = /^[+-]?\d+$/.test(value) ? Number(value) : NaN;
+    return min != undefined && number < min ? NaN : number;
+}
+
+
+/**
+ * Parses the text of a glyph override file.
+ * @param {string} text The contents of the file.
+ * @param {string} fileName The file name, for the error messages.
+ * @return {Map<number, Object>} The overrides keyed by code point. Each
+ *     has the file name, the rows of pixels, and the fields of its
+ *     header, if set.
+ */
+function parseOverrides(text, fileName) {
+    var overrides = new Map();
+    var override = null;
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        const fail = (message) => {
+            throw new Error(fileName + ':' + (i + 1) + ': ' + message);
+        };
+        if (line == '' || line.startsWith(';')) {
+            continue;
+        }
+        const header = HEADER_PATTERN.exec(line);
+        if (header) {
+            const code = parseInt(header[1], 16);
+            if (code > 0x10FFFF) {
+                fail('Invalid code point: ' + line.split(/\s/)[0]);
+            }
+            override = {file: fileName, pixels: []};
+            for (const field of header[2].trim().split(/\s+/)) {
+                if (field == '') {
+                    continue;
+                }
+                const [name, value] = field.split('=');
+                if (!FIELD_PARSERS.hasOwnProperty(name)) {
+                    fail('Unknown field: ' + name + '. The fields are ' +
+                         Object.keys(FIELD_PARSERS).join(', '));
+                }
+                override[name] = FIELD_PARSERS[name](value);
+                if (Number.isNaN(override[name])) {
+                    fail('Invalid ' + name + ': ' + value);
+                }
+            }
+            overrides.set(code, override);
+            continue;
+        }
+        if (!override) {
+            fail('Pixel rows must follow a glyph header, e.g., U+4E2D.');
+        }
+        if (!PIXEL_ROW_PATTERN.test(line)) {
+            fail('Invalid pixel row: ' + line + '. Rows consist of ' +
+                 BLACK_PIXEL + ' and ' + WHITE_PIXEL + '.');
+        }
+        const pixels = override.pixels;
+        if (pixels.length > 0 && line.length != pixels[0].length) {
+            fail('The rows of a glyph must have the same width.');
+        }
+        pixels.push(Array.from(line).map((pixel) => pixel == BLACK_PIXEL));
+    }
+    return overrides;
+}
+
+
+/**
+ * Reads glyph override files. The glyphs of the later files override
+ * the ones of the earlier files.
+ * @param {Array<string>} files The override files.
+ * @return {Map<number, Object>} The overrides keyed by code point, see
+ *     parseOverrides().
+ */
+function readOverrides(files) {
+    var overrides = new Map();
+    for (const file of files) {
+        for (const [code, override] of
+             parseOverrides(fs.readFileSync(file, 'utf8'), file)) {
+            overrides.set(code, override);
+        }
+    }
+    return overrides;
+}
+
+
+/**
+ * Applies glyph overrides on top of the glyphs of a parsed bitmap font.
+ *
+ * A BitmapFontParser, see pcf-parser.js.
+ */
+class OverrideParser {
+    /**
+     * @param {BitmapFontParser} parser The parser that has loaded the
+     *     font.
+     * @param {Map<number, Object>} overrides The overrides, see
+     *     readOverrides().
+     * @param {Object} fontMetrics The font metrics from getFontMetrics().
+     */
+    constructor(parser, overrides, fontMetrics) {
+        /** {BitmapFontParser} */
+        this.parser = parser;
+
+        /**
+         * The metrics of the glyphs that are overridden.
+         * @type {Map<number, Object>}
+         */
+        this.metrics = new Map();
+
+        /**
+         * The overrides keyed by code point.
+         * @type {Map<number, Object>}
+         */
+        this.overrides = overrides;
+
+        /**
+         * The overrides that do not fit the em box or their advance
+         * widths.
+         * @type {Array<string>}
+         */
+        this.warnings = [];
+
+        for (const [code, override] of overrides) {
+            const metrics = this.computeMetrics(code, override, fontMetrics);
+            this.metrics.set(code, metrics);
+            const label = override.file + ': ' + formatCodePoint(code);
+            if (metrics.characterAscent > fontMetrics.ascent ||
+                metrics.characterDescent > fontMetrics.descent) {
+                this.warnings.push(
+                    label + ' spans ' + -metrics.characterDescent + ' to ' +
+                        metrics.characterAscent + ' pixels above the ' +
+                        'baseline, out of the em box from ' +
+                        -fontMetrics.descent + ' to ' + fontMetrics.ascent +
+                        '.');
+            }
+            if (metrics.leftSidedBearing < 0 ||
+                metrics.rightSideBearing > metrics.characterWidth) {
+                this.warnings.push(
+                    label + ' spans ' + metrics.leftSidedBearing + ' to ' +
+                        metrics.rightSideBearing + ' pixels from the ' +
+                        'origin, out of the advance width ' +
+                        metrics.characterWidth + '.');
+            }
+        }
+    }
+
+    /**
+     * Computes the metrics of an overridden glyph, in the same shape as
+     * PcfParser returns.
+     * @param {number} code The code point.
+     * @param {Object} override The override.
+     * @param {Object} fontMetrics The font metrics from getFontMetrics().
+     * @return {Object}
+     */
+    computeMetrics(code, override, fontMetrics) {
+        const width = override.pixels.length > 0 ?
+              override.pixels[0].length : 0;
+        const height = override.pixels.length;
+        const base = this.parser.hasGlyph(code) ?
+              this.parser.getGlyphMetrics(code) : {
+                  leftSidedBearing: 0,
+                  characterWidth: width,
+                  characterAscent: fontMetrics.ascent,
+                  characterAttributes: 0
+              };
+        const bearingX = override.bearingX != undefined ?
+              override.bearingX : base.leftSidedBearing;
+        const bearingY = override.bearingY != undefined ?
+              override.bearingY : base.characterAscent;
+        return {
+            leftSidedBearing: bearingX,
+            rightSideBearing: bearingX + width,
+            characterWidth: override.advance != undefined ?
+                override.advance : base.characterWidth,
+            characterAscent: bearingY,
+            characterDescent: height - bearingY,
+            characterAttributes: base.characterAttributes
+        };
+    }
+
+    /**
+     * Returns the value of a font property.
+     * @param {string} name The property name.
+     * @return {number|string|undefined} The property value, or undefined
+     *     if the font does not define the property.
+     */
+    getProperty(name) {
+        return this.parser.getProperty(name);
+    }
+
+    /**
+     * Returns all the font properties.
+     * @return {Object} Property names mapped to numbers or strings.
+     */
+    getProperties() {
+        return this.parser.getProperties();
+    }
+
+    /**
+     * Returns the encoding of the default char of the font.
+     * @return {number|undefined} Undefined if the font has no glyph for
+     *     the default char.
+     */
+    getDefaultChar() {
+        return this.parser.getDefaultChar();
+    }
+
+    /**
+     * If the font or the overrides have a glyph for the specified
+     * encoding, not counting the default char.
+     * @param {number} glyphCode The encoding value of the glyph.
+     * @return {boolean}
+     */
+    hasGlyph(glyphCode) {
+        return this.overrides.has(glyphCode) ||
+            this.parser.hasGlyph(glyphCode);
+    }
+
+    /**
+     * Iterates over all the encoded glyphs, in the order of their
+     * encoding values.
+     * @return {Iterator<Array<number>>} Yields [glyphCode, glyphIndex]
+     *     pairs, with the glyph index of the font, or -1 for the glyphs
+     *     that only the overrides have.
+     */
+    *glyphEntries() {
+        var entries = new Map(this.parser.glyphEntries());
+        for (const glyphCode of this.overrides.keys()) {
+            if (!entries.has(glyphCode)) {
+                entries.set(glyphCode, -1);
+            }
+        }
+        yield* Array.from(entries).sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns the file of the overrides
+     * or of the fallback font that the glyph comes from.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {string|undefined} Undefined if the glyph comes from the
+     *     input font.
+     */
+    getGlyphSource(glyphCode) {
+        if (this.overrides.has(glyphCode)) {
+            return this.overrides.get(glyphCode).file;
+        }
+        return this.parser.getGlyphSource ?
+            this.parser.getGlyphSource(glyphCode) : undefined;
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns its glyph name.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {string|undefined} Undefined if there is no such glyph.
+     */
+    getGlyphName(glyphCode) {
+        const override = this.overrides.get(glyphCode);
+        if (override && override.name) {
+            return override.name;
+        }
+        if (this.parser.hasGlyph(glyphCode)) {
+            return this.parser.getGlyphName(glyphCode);
+        }
+        return override && defaultGlyphName(glyphCode);
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns its metrics.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {Object|undefined} Undefined if there is no such glyph.
+     */
+    getGlyphMetrics(glyphCode) {
+        return this.metrics.get(glyphCode) ||
+            this.parser.getGlyphMetrics(glyphCode);
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns its pixel grid, which
+     * covers the glyph's bounding box.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {Array<Array<boolean>>|undefined} The rows of pixels from
+     *     top to bottom, true for the black pixels. Undefined if there
+     *     is no such glyph.
+     */
+    getGlyphPixels(glyphCode) {
+        const override = this.overrides.get(glyphCode);
+        return override ?
+            override.pixels : this.parser.getGlyphPixels(glyphCode);
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns its greyscale, if the input
+     * font keeps one, see ImageParser.getGlyphIntensities(). Overridden
+     * glyphs have none.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {Object|undefined} The margin and the rows of intensities,
+     *     or undefined if there is no such glyph or no greyscale.
+     */
+    getGlyphIntensities(glyphCode) {
+        if (this.overrides.has(glyphCode) ||
+            !this.parser.getGlyphIntensities) {
+            return undefined;
+        }
+        return this.parser.getGlyphIntensities(glyphCode);
+    }
+};
+
+
+module.exports.BLACK_PIXEL = BLACK_PIXEL;
+module.exports.OverrideParser = OverrideParser;
+module.exports.WHITE_PIXEL = WHITE_PIXEL;
+module.exports.parseOverrides = parseOverrides;
+module.exports.readOverrides = readOverrides;
@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Glyph subsets, which select the glyphs to be converted.
+ *
+ * A subset is an expression of terms joined by + (union) and -
+ * (difference), evaluated from left to right, e.g.,
+ * 'gb2312 + U+3000-303F - @excluded.txt'. A term is one of:
+ *
+ *   - a preset, one of SUBSET_PRESETS, e.g., 'gbk' or 'hangul';
+ *   - a code point or a range of code points, e.g., 'U+3000' or
+ *     'U+4E00-9FFF';
+ *   - '@' and the path to a UTF-8 text file, whose unique characters
+ *     make the subset, e.g., a list of characters or a text corpus. The
+ *     string values of a .json file are taken, so that the string table
+ *     of a game or a web site can be used as is. The path runs to the
+ *     next white space.
+ */
+
+
+const fs = require('fs');
+const path = require('path');
+
+
+/**
+ * The directory of the character lists of the list presets.
+ * @type {string}
+ */
+const CHARSETS_DIR = path.join(__dirname, 'charsets');
+
+
+/**
+ * The tokens of a subset expression: an operator, a range of code
+ * points, a file or a preset name. A range must not be followed by a
+ * letter or a digit, so that 'U+3000-ascii' reads as a difference.
+ * @type {RegExp}
+ */
+const TOKEN_PATTERN = new RegExp(
+    '\\s*(?:([+-])' +
+        '|U\\+([0-9A-F]{1,6})(?:-(?:U\\+)?([0-9A-F]{1,6}))?(?![0-9A-Z])' +
+        '|@(\\S+)' +
+        '|([A-Z][A-Z0-9_]*))\\s*',
+    'iy');
+
+
+/**
+ * Returns the code points that a double-byte charset encodes, decoded
+ * from all the byte pairs of its lead and trail byte ranges, plus the
+ * printable ASCII and Latin-1 characters.
+ * @param {string} encoding The name of the encoding for TextDecoder.
+ * @param {Array<Array<number>>} leadRanges The ranges of the lead bytes,
+ *     as [first, last].
+ * @param {Array<Array<number>>} trailRanges The ranges of the trail
+ *     bytes, as [first, last].
+ * @return {Set<number>}
+ */
+function decodeCharset(encoding, leadRanges, trailRanges) {
+    var ret = new Set(PRESET_BUILDERS.ascii());
+    const decoder = new TextDecoder(encoding);
+    for (const [firstLead, lastLead] of leadRanges) {
+        for (let lead = firstLead; lead <= lastLead; lead++) {
+            for (const [firstTrail, lastTrail] of trailRanges) {
+                for (let trail = firstTrail; trail <= lastTrail; trail++) {
+                    const chars = Array.from(
+                        decoder.decode(new Uint8Array([lead, trail])));
+                    // Unassigned pairs decode to U+FFFD, and a few Big5
+                    // pairs to two code points.
+                    if (chars.length == 1 && chars[0] != '\uFFFD') {
+                        ret.add(chars[0].codePointAt(0));
+                    }
+                }
+            }
+        }
+    }
+    return ret;
+}
+
+
+/**
+ * Returns the code points of the ranges.
+ * @param {Array<Array<number>>} ranges The ranges, as [first, last].
+ * @return {Set<number>}
+ */
+function rangesToSet(ranges) {
+    var ret = new Set();
+    for (const [first, last] of ranges) {
+        for (let code = first; code <= last; code++) {
+            ret.add(code);
+        }
+    }
+    return ret;
+}
+
+
+/**
+ * Returns the unique code points of a text, except the control
+ * characters and the byte order mark.
+ * @param {string} text The text.
+ * @return {Set<number>}
+ */
+function textToSet(text) {
+    var ret = new Set();
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code >= 0x20 && !(code >= 0x7F && code <= 0x9F) &&
+            code != 0xFEFF) {
+            ret.add(code);
+        }
+    }
+    return ret;
+}
+
+
+/**
+ * Returns the code points of the characters in a text file, or in the
+ * string values of a JSON file.
+ * @param {string} fileName The file name. Files ending with .json are
+ *     parsed as JSON.
+ * @return {Set<number>}
+ */
+function readCharacterFile(fileName) {
+    const text = fs.readFileSync(fileName, 'utf8');
+    if (path.extname(fileName).toLowerCase() != '.json') {
+        return textToSet(text);
+    }
+    var strings = [];
+    const collectStrings = (value) => {
+        if (typeof value == 'string') {
+            strings.push(value);
+        } else if (value && typeof value == 'object') {
+            Object.values(value).forEach(collectStrings);
+        }
+    };
+    collectStrings(JSON.parse(text));
+    return textToSet(strings.join(''));
+}
+
+
+/**
+ * Returns a builder that reads the character list of a list preset from
+ * CHARSETS_DIR. The lists are not derived from a legacy encoding, but
+ * generated from the Unihan database, see charsets/README.md.
+ * @param {string} name The preset name, which is also the file name
+ *     without the .txt extension.
+ * @return {function(): Set<number>}
+ */
+function listPreset(name) {
+    return () => {
+        const fileName = path.join(CHARSETS_DIR, name + '.txt');
+        if (!fs.existsSync(fileName)) {
+            throw new Error('The ' + name + ' subset needs the character ' +
+                            'list ' + fileName + ', see ' +
+                            path.join(CHARSETS_DIR, 'README.md'));
+        }
+        return readCharacterFile(fileName);
+    };
+}
+
+
+/**
+ * The builders of the code points of the presets, keyed by name. The
+ * legacy charsets include the printable ASCII and Latin-1 characters.
+ * @type {Object<string, function(): Set<number>>}
+ */
+const PRESET_BUILDERS = {
+    'ascii': () => rangesToSet([[0x20, 0xFF]]),
+    // The symbol rows 1 to 9 and the hanzi rows 16 to 87 of GB 2312.
+    'gb2312': () => decodeCharset('gbk', [[0xA1, 0xA9], [0xB0, 0xF7]],
+                                  [[0xA1, 0xFE]]),
+    'gbk': () => decodeCharset('gbk', [[0x81, 0xFE]],
+                               [[0x40, 0x7E], [0x80, 0xFE]]),
+    'big5': () => decodeCharset('big5', [[0xA1, 0xF9]],
+                                [[0x40, 0x7E], [0xA1, 0xFE]]),
+    'jis0208': () => decodeCharset('euc-jp', [[0xA1, 0xFE]],
+                                   [[0xA1, 0xFE]]),
+    // The syllables, the jamo and the compatibility jamo.
+    'hangul': () => rangesToSet([[0xAC00, 0xD7A3], [0x1100, 0x11FF],
+                                 [0x3130, 0x318F]]),
+    // The three levels of 通用规范汉字表 and the Jōyō kanji.
+    'tongyong1': listPreset('tongyong1'),
+    'tongyong2': listPreset('tongyong2'),
+    'tongyong3': listPreset('tongyong3'),
+    'joyo': listPreset('joyo')
+};
+
+
+/**
+ * The names of the subset presets. 'all' accepts every glyph.
+ * @type {Array<string>}
+ */
+const SUBSET_PRESETS = ['all'].concat(Object.keys(PRESET_BUILDERS));
+
+
+/**
+ * The code points of the presets that have been built.
+ * @type {Map<string, Set<number>>}
+ */
+const presetCache = new Map();
+
+
+/**
+ * Returns the code points of a preset, built on first use.
+ * @param {string} name The preset name, one of SUBSET_PRESETS except
+ *     'all'.
+ * @return {Set<number>}
+ */
+function getPreset(name) {
+    if (!presetCache.has(name)) {
+        presetCache.set(name, PRESET_BUILDERS[name]());
+    }
+    return presetCache.get(name);
+}
+
+
+/**
+ * Evaluates a subset expression.
+ * @param {string} expression The subset expression, see the file
+ *     overview.
+ * @return {Object} The predicate of the subset, accepts, and the sources
+ *     of its candidate code points, each a Set of code points or a
+ *     [first, last] range. The sources are null if the subset takes
+ *     'all', whose code points are not listed.
+ */
+function evaluateSubset(expression) {
+    var accepts = null;
+    var sources = [];
+    var operator = '+';
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < expression.length) {
+        const position = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(expression);
+        if (!match) {
+            throw new Error('Invalid subset ' + JSON.stringify(expression) +
+                            ' at: ' + expression.slice(position));
+        }
+        const [, op, first, last, fileName, name] = match;
+        if ((op != undefined) != (operator == null)) {
+            throw new Error('Invalid subset ' + JSON.stringify(expression) +
+                            ': terms must be joined by + or -.');
+        }
+        if (op != undefined) {
+            operator = op;
+            continue;
+        }
+
+        let term;
+        let source = null;
+        if (first != undefined) {
+            const [from, to] = [parseInt(first, 16),
+                                parseInt(last != undefined ? last : first, 16)];
+            if (from > to || to > 0x10FFFF) {
+                throw new Error('Invalid code point range: ' + match[0].trim());
+            }
+            term = (code) => code >= from && code <= to;
+            source = [from, to];
+        } else if (fileName != undefined) {
+            const codes = readCharacterFile(fileName);
+            term = (code) => codes.has(code);
+            source = codes;
+        } else {
+            const preset = name.toLowerCase();
+            if (preset == 'all') {
+                term = () => true;
+            } else if (PRESET_BUILDERS.hasOwnProperty(preset)) {
+                const codes = getPreset(preset);
+                term = (code) => codes.has(code);
+                source = codes;
+            } else {
+                throw new Error('Unknown subset: ' + name + '. The presets ' +
+                                'are ' + SUBSET_PRESETS.join(', '));
+            }
+        }
+        const left = accepts;
+        if (operator == '+' && sources != null) {
+            sources = source != null ? sources.concat([source]) : null;
+        }
+        if (left == null) {
+            accepts = term;
+        } else if (operator == '+') {
+            accepts = (code) => left(code) || term(code);
+        } else {
+            accepts = (code) => left(code) && !term(code);
+        }
+        operator = null;
+    }
+    if (accepts == null || operator != null) {
+        throw new Error('Invalid subset ' + JSON.stringify(expression) +
+                        ': a term is missing.');
+    }
+    return {accepts: accepts, sources: sources};
+}
+
+
+/**
+ * Parses a subset expression.
+ * @param {string} expression The subset expression, see the file
+ *     overview.
+ * @return {function(number): boolean} Returns if a code point is in the
+ *     subset.
+ */
+function parseSubset(expression) {
+    return evaluateSubset(expression).accepts;
+}
+
+
+/**
+ * Lists the code points of a subset expression.
+ * @param {string} expression The subset expression, see the file
+ *     overview.
+ * @return {Array<number>|null} The sorted code points, or null if the
+ *     subset takes 'all', e.g., 'all - gb2312', and has no list.
+ */
+function listSubset(expression) {
+    const {accepts, sources} = evaluateSubset(expression);
+    if (sources == null) {
+        return null;
+    }
+    var codes = new Set();
+    for (const source of sources) {
+        if (source instanceof Set) {
+            for (const code of source) {
+                if (accepts(code)) {
+                    codes.add(code);
+                }
+            }
+        } else {
+            for (let code = source[0]; code <= source[1]; code++) {
+                if (accepts(code)) {
+                    codes.add(code);
+                }
+            }
+        }
+    }
+    return Array.from(codes).sort((a, b) => a - b);
+}
+
+
+module.exports.SUBSET_PRESETS = SUBSET_PRESETS;
+module.exports.listSubset = listSubset;
+module.exports.parseSubset = parseSubset;
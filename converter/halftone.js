@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Halftone dots, whose sizes follow the intensity of the
+ * pixels instead of being all the same, as in a newspaper screen.
+ *
+ * The 1-bit pixels of a glyph are rendered as greyscale: the bitmap is
+ * supersampled, blurred with a Gaussian and averaged back to the pixel
+ * grid. The intensities are relative to a stroke one pixel wide, so that
+ * the strokes keep dots of the full size, while the blur spreads faint
+ * intensities into the blank pixels around them, most in the inner
+ * corners and the diagonal steps. The glyphs of a greyscale source, such
+ * as a PNG glyph sheet, keep their own intensities and are not blurred.
+ * Each pixel whose intensity reaches the threshold gets a dot between the
+ * minimum and the maximum dot size, by the intensity curve.
+ */
+
+
+/**
+ * The intensity curves, which map an intensity from 0 to 1 to the
+ * position of a dot size between the minimum and the maximum. 'area'
+ * makes the dot area grow with the intensity, as in halftone printing.
+ * A number is taken as the exponent of a gamma curve.
+ * @type {Object<string, function(number): number>}
+ */
+const HALFTONE_CURVES = {
+    linear: (intensity) => intensity,
+    area: (intensity) => Math.sqrt(intensity)
+};
+
+
+/**
+ * The default halftone options. The maximum dot size defaults to the dot
+ * size of the font, so that the weights of a family still differ.
+ * @type {Object}
+ */
+const DEFAULT_HALFTONE = {
+    blur: 0.35,
+    threshold: 0.25,
+    minDotSize: 0.2,
+    curve: 'linear'
+};
+
+
+/**
+ * The number of samples per pixel along each axis, in which the
+ * supersampled rendering is computed.
+ * @type {number}
+ */
+const SUPERSAMPLING = 16;
+
+
+/**
+ * The kernel weights below which the blur is cut off.
+ * @type {number}
+ */
+const MIN_KERNEL_WEIGHT = 0.002;
+
+
+/**
+ * Computes the blur kernel along one axis, from pixel to pixel. It is
+ * the supersampled rendering folded into one step: a source pixel,
+ * blurred by the Gaussian, and averaged over each target pixel. The 2D
+ * kernel is the product of the kernels of the two axes.
+ * @param {number} blur The standard deviation of the Gaussian, in pixels.
+ * @return {Array<number>} The weights from -radius to radius, which sum
+ *     up to 1.
+ */
+function makeBlurKernel(blur) {
+    if (blur <= 0) {
+        return [1];
+    }
+    const gaussian = (x) => Math.exp(-x * x / (2 * blur * blur));
+    const radius = Math.ceil(3 * blur) + 1;
+    var kernel = [];
+    for (let d = -radius; d <= radius; d++) {
+        let sum = 0;
+        for (let i = 0; i < SUPERSAMPLING; i++) {
+            for (let j = 0; j < SUPERSAMPLING; j++) {
+                sum += gaussian(d + (i - j) / SUPERSAMPLING);
+            }
+        }
+        kernel.push(sum);
+    }
+    const total = kernel.reduce((a, b) => a + b);
+    kernel = kernel.map((weight) => weight / total);
+    while (kernel.length > 1 && kernel[0] < MIN_KERNEL_WEIGHT) {
+        kernel = kernel.slice(1, -1);
+    }
+    return kernel;
+}
+
+
+/**
+ * Resolves the halftone options, with the defaults.
+ * @param {Object} halftone The halftone options: blur, the standard
+ *     deviation of the blur in pixels; threshold, the minimum intensity
+ *     that gets a dot; minDotSize and maxDotSize, the dot sizes as
+ *     fractions of the pixel size; and curve, one of HALFTONE_CURVES or
+ *     the exponent of a gamma curve.
+ * @param {number} dotSize The dot size of the font, which is the default
+ *     maximum dot size.
+ * @return {Object} The resolved options, with the curve as a function
+ *     and the blur kernel.
+ */
+function resolveHalftone(halftone, dotSize) {
+    for (const name of Object.keys(halftone)) {
+        if (!DEFAULT_HALFTONE.hasOwnProperty(name) && name != 'maxDotSize') {
+            throw new Error('Unknown halftone option: ' + name + '. The ' +
+                            'options are ' +
+                            Object.keys(DEFAULT_HALFTONE).join(', ') +
+                            ', maxDotSize.');
+        }
+    }
+    var resolved = Object.assign(
+        {maxDotSize: dotSize}, DEFAULT_HALFTONE, halftone);
+    if (!(resolved.minDotSize >= 0 &&
+          resolved.minDotSize <= resolved.maxDotSize &&
+          resolved.maxDotSize <= 1)) {
+        throw new Error('The halftone dot sizes must be from 0 to 1, the ' +
+                        'minimum not above the maximum: ' +
+                        resolved.minDotSize + ', ' + resolved.maxDotSize);
+    }
+    if (!(resolved.blur >= 0)) {
+        throw new Error('Invalid halftone blur: ' + resolved.blur);
+    }
+    if (!(resolved.threshold > 0 && resolved.threshold <= 1)) {
+        throw new Error('The halftone threshold must be greater than 0 ' +
+                        'and at most 1: ' + resolved.threshold);
+    }
+    const curve = resolved.curve;
+    if (typeof curve == 'number' && curve > 0) {
+        resolved.curve = (intensity) => Math.pow(intensity, curve);
+    } else if (HALFTONE_CURVES.hasOwnProperty(curve)) {
+        resolved.curve = HALFTONE_CURVES[curve];
+    } else {
+        throw new Error('Unknown halftone curve: ' + curve + '. The ' +
+                        'curves are ' + Object.keys(HALFTONE_CURVES).join(
+                            ', ') + ', or the exponent of a gamma curve.');
+    }
+    resolved.kernel = makeBlurKernel(resolved.blur);
+    return resolved;
+}
+
+
+/**
+ * Renders the 1-bit pixels of a glyph as intensities.
+ * @param {Array<Array<boolean>>} pixels The rows of pixels, which cover
+ *     the glyph's bounding box.
+ * @param {Array<number>} kernel The blur kernel from makeBlurKernel().
+ * @return {Object} The margin, the number of pixels that the blur adds
+ *     on each side of the bounding box, and the rows of intensities
+ *     from 0 to 1, which cover the box with the margins.
+ */
+function renderIntensities(pixels, kernel) {
+    const margin = (kernel.length - 1) / 2;
+    // The intensity of a stroke one pixel wide.
+    const strokeIntensity = kernel[margin];
+    const height = pixels.length + 2 * margin;
+    const width = (pixels.length > 0 ? pixels[0].length : 0) + 2 * margin;
+    const blurRow = (row) => {
+        let blurred = new Array(row.length).fill(0);
+        row.forEach((value, x) => {
+            if (value > 0) {
+                kernel.forEach((weight, i) => {
+                    blurred[x + i - margin] += value * weight;
+                });
+            }
+        });
+        return blurred;
+    };
+    // Horizontally, then vertically.
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        const row = pixels[y - margin] || [];
+        let padded = [];
+        for (let x = 0; x < width; x++) {
+            padded.push(row[x - margin] ? 1 : 0);
+        }
+        rows.push(blurRow(padded));
+    }
+    var intensities = [];
+    for (let y = 0; y < height; y++) {
+        intensities.push(new Array(width).fill(0));
+    }
+    for (let x = 0; x < width; x++) {
+        blurRow(rows.map((row) => row[x])).forEach((value, y) => {
+            intensities[y][x] = Math.min(1, value / strokeIntensity);
+        });
+    }
+    return {margin: margin, intensities: intensities};
+}
+
+
+/**
+ * Computes the dot size of an intensity.
+ * @param {number} intensity The intensity, from 0 to 1.
+ * @param {Object} halftone The options from resolveHalftone().
+ * @return {number} The dot size as a fraction of the pixel size, or 0
+ *     for no dot.
+ */
+function getDotSize(intensity, halftone) {
+    if (intensity < halftone.threshold) {
+        return 0;
+    }
+    return halftone.minDotSize + (halftone.maxDotSize -
+                                  halftone.minDotSize) *
+        halftone.curve(intensity);
+}
+
+
+module.exports.DEFAULT_HALFTONE = DEFAULT_HALFTONE;
+module.exports.HALFTONE_CURVES = HALFTONE_CURVES;
+module.exports.getDotSize = getDotSize;
+module.exports.renderIntensities = renderIntensities;
+module.exports.resolveHalftone = resolveHalftone;
@@ -0,0 +1,414 @@
+/**
+ * @fileoverview JavaScript class to read the glyphs of a PNG glyph sheet,
+ * a grid of cells of the same size, as many sprite sheet fonts are
+ * drawn.
+ *
+ * A character map text file lists the characters of the cells: each line
+ * holds the characters of a row of cells, from left to right, spaces
+ * included. A shorter line leaves the rest of its row unused, and an
+ * empty line skips a row, e.g.,
+ *
+ *   ABCDEFGHIJKLMNOP
+ *   QRSTUVWXYZ
+ *
+ *    !"#$%&'()*+,-./
+ */
+
+
+const { decodePng, isPng } = require('./png-decoder');
+const { defaultGlyphName, formatCodePoint } = require('./code-points');
+const fs = require('fs');
+const path = require('path');
+
+
+/**
+ * The default options of a glyph sheet.
+ * @type {Object}
+ */
+const DEFAULT_IMAGE_SHEET = {
+    spacing: [0, 0],
+    margin: [0, 0],
+    threshold: 0.5,
+    lightGlyphs: false,
+    autoWidth: false,
+    letterSpacing: 1
+};
+
+
+/**
+ * The blank pixels kept around the bounding box of a glyph's
+ * intensities, for the faint edges of anti-aliased strokes.
+ * @type {number}
+ */
+const INTENSITY_MARGIN = 1;
+
+
+/**
+ * Loads a PNG glyph sheet and cuts it into glyphs.
+ *
+ * A BitmapFontParser, see pcf-parser.js. The sheet provides the PIXEL_SIZE,
+ * FONT_ASCENT and FONT_DESCENT properties, from the cell height and the
+ * baseline; the family name has to be given to the converter.
+ *
+ * The glyphs also keep the greyscale of their cells, which the halftone
+ * dots follow instead of the blurred pixels, see getGlyphIntensities().
+ */
+class ImageParser {
+    /**
+     * @param {string} imageFile The path to the PNG file to be loaded.
+     * @param {Object} sheet The layout of the sheet.
+     * @param {number} sheet.cellWidth The width of a cell in pixels.
+     * @param {number} sheet.cellHeight The height of a cell in pixels,
+     *     which is the pixel height of the em box.
+     * @param {string} sheet.charmap The path to the character map file.
+     * @param {number=} sheet.baseline The number of pixel rows of a cell
+     *     above the baseline. Defaults to the cell height.
+     * @param {Array<number>=} sheet.spacing The horizontal and vertical
+     *     gaps between the cells in pixels. Defaults to none.
+     * @param {Array<number>=} sheet.margin The left and top offsets of
+     *     the first cell in pixels. Defaults to none.
+     * @param {number=} sheet.threshold The minimum darkness, from 0 to 1,
+     *     of a black pixel. Defaults to 0.5.
+     * @param {boolean=} sheet.lightGlyphs If set, the glyphs are light on
+     *     a dark or transparent background, and the brightness is
+     *     thresholded instead. Otherwise the glyphs are dark, and
+     *     transparent pixels count as white.
+     * @param {boolean=} sheet.autoWidth If set, the blank columns on both
+     *     sides of each glyph are trimmed, and the advance width is the
+     *     glyph's width plus the letter spacing. Blank cells keep half
+     *     the cell width. Otherwise the advance width is the cell width.
+     * @param {number=} sheet.letterSpacing The blank columns after each
+     *     glyph, with autoWidth. Defaults to 1.
+     */
+    constructor(imageFile, sheet) {
+        if (!sheet || !(sheet.cellWidth > 0 && sheet.cellHeight > 0) ||
+            !sheet.charmap) {
+            throw new Error('The glyph sheet ' + imageFile + ' needs the ' +
+                            'cell size and the character map.');
+        }
+        /** {string} */
+        this.imageFile = imageFile;
+
+        /**
+         * The layout of the sheet, with the defaults for the options that
+         * are not set.
+         * @type {Object}
+         */
+        this.sheet = Object.assign(
+            {baseline: sheet.cellHeight}, DEFAULT_IMAGE_SHEET);
+        for (const [name, value] of Object.entries(sheet)) {
+            if (value != undefined) {
+                this.sheet[name] = value;
+            }
+        }
+
+        /**
+         * The glyphs cut from the sheet, and their indices keyed by code
+         * point.
+         * @type {Object}
+         */
+        this.font = null;
+    }
+
+    /**
+     * If the file content looks like a PNG file.
+     * @param {string} file The path to the file.
+     * @return {boolean}
+     */
+    static isImageFile(file) {
+        const fd = fs.openSync(file, 'r');
+        const header = Buffer.alloc(8);
+        try {
+            fs.readSync(fd, header, 0, header.length, 0);
+        } finally {
+            fs.closeSync(fd);
+        }
+        return isPng(header);
+    }
+
+    /**
+     * Reads the character map, the rows of characters of the cells.
+     * @return {Array<Array<number>>} The code points of each row.
+     */
+    readCharmap() {
+        const text = fs.readFileSync(this.sheet.charmap, 'utf8')
+              .replace(/^\uFEFF/, '');
+        var lines = text.split(/\r?\n/);
+        if (lines[lines.length - 1] == '') {
+            lines.pop();
+        }
+        return lines.map((line) => Array.from(line).map(
+            (char) => char.codePointAt(0)));
+    }
+
+    /**
+     * Parses the PNG file and cuts the glyphs of the character map.
+     * @return {Object} The parsed glyphs.
+     */
+    parse() {
+        console.log('Reading ' + this.imageFile + '...');
+        const image = decodePng(fs.readFileSync(this.imageFile));
+        console.log('Decoded a ' + image.width + 'x' + image.height +
+                    ' image.');
+
+        const sheet = this.sheet;
+        if (!(sheet.baseline >= 0 && sheet.baseline <= sheet.cellHeight)) {
+            throw new Error('The baseline must be within the cell height: ' +
+                            sheet.baseline);
+        }
+        const [spacingX, spacingY] = sheet.spacing;
+        const [marginX, marginY] = sheet.margin;
+        const columns = Math.floor((image.width - marginX + spacingX) /
+                                   (sheet.cellWidth + spacingX));
+        const rows = Math.floor((image.height - marginY + spacingY) /
+                                (sheet.cellHeight + spacingY));
+        console.log('Cutting ' + columns + 'x' + rows + ' cells of ' +
+                    sheet.cellWidth + 'x' + sheet.cellHeight + ' pixels.');
+
+        const charmap = this.readCharmap();
+        if (charmap.length > rows) {
+            throw new Error('The character map ' + sheet.charmap + ' has ' +
+                            charmap.length + ' rows, but the sheet has ' +
+                            rows + '.');
+        }
+        this.font = {
+            properties: {
+                PIXEL_SIZE: sheet.cellHeight,
+                FONT_ASCENT: sheet.baseline,
+                FONT_DESCENT: sheet.cellHeight - sheet.baseline
+            },
+            glyphs: [],
+            codeToIndex: new Map()
+        };
+        charmap.forEach((codes, row) => {
+            if (codes.length > columns) {
+                throw new Error('Row ' + (row + 1) + ' of the character ' +
+                                'map ' + sheet.charmap + ' has ' +
+                                codes.length + ' characters, but the ' +
+                                'sheet has ' + columns + ' columns.');
+            }
+            codes.forEach((code, column) => {
+                if (this.font.codeToIndex.has(code)) {
+                    console.log('Warning: ' + path.basename(sheet.charmap) +
+                                ' lists ' + formatCodePoint(code) +
+                                ' more than once. The first cell is used.');
+                    return;
+                }
+                const left = marginX + column * (sheet.cellWidth + spacingX);
+                const top = marginY + row * (sheet.cellHeight + spacingY);
+                this.font.codeToIndex.set(code, this.font.glyphs.length);
+                this.font.glyphs.push(this.cutGlyph(image, code, left, top));
+            });
+        });
+        console.log('Parsed ' + this.font.glyphs.length + ' glyphs in ' +
+                    'total.');
+        return this.font;
+    }
+
+    /**
+     * Cuts the glyph of a cell, trimmed to the bounding box of its black
+     * pixels.
+     * @param {Object} image The decoded image.
+     * @param {number} code The code point of the glyph.
+     * @param {number} left The left of the cell in the image.
+     * @param {number} top The top of the cell in the image.
+     * @return {Object} The glyph with its name, metrics, pixels and
+     *     intensities.
+     */
+    cutGlyph(image, code, left, top) {
+        const sheet = this.sheet;
+        var inks = [];
+        for (let y = 0; y < sheet.cellHeight; y++) {
+            let row = [];
+            for (let x = 0; x < sheet.cellWidth; x++) {
+                const offset = ((top + y) * image.width + left + x) * 4;
+                const [red, green, blue] = image.data.subarray(offset);
+                const alpha = image.data[offset + 3] / 255;
+                const luma = (0.299 * red + 0.587 * green +
+                              0.114 * blue) / 255;
+                // Blended over white for dark glyphs, or over black for
+                // light glyphs.
+                row.push(sheet.lightGlyphs ?
+                         luma * alpha : (1 - luma) * alpha);
+            }
+            inks.push(row);
+        }
+        const cell = inks.map(
+            (row) => row.map((ink) => ink >= sheet.threshold));
+
+        // The bounding box of the black pixels.
+        var [xMin, xMax, yMin, yMax] = [sheet.cellWidth, -1,
+                                        sheet.cellHeight, -1];
+        cell.forEach((row, y) => row.forEach((black, x) => {
+            if (black) {
+                xMin = Math.min(xMin, x);
+                xMax = Math.max(xMax, x);
+                yMin = Math.min(yMin, y);
+                yMax = Math.max(yMax, y);
+            }
+        }));
+        const blank = xMax < 0;
+        var advance = sheet.cellWidth;
+        var bearing = xMin;
+        if (sheet.autoWidth) {
+            advance = blank ? Math.ceil(sheet.cellWidth / 2) :
+                xMax - xMin + 1 + sheet.letterSpacing;
+            bearing = 0;
+        }
+        if (blank) {
+            [xMin, xMax, yMin, yMax] = [0, -1, sheet.baseline,
+                                        sheet.baseline - 1];
+            bearing = 0;
+        }
+        // The intensities of the box with its margins, blank beyond the
+        // cell.
+        const margin = blank ? 0 : INTENSITY_MARGIN;
+        var intensities = [];
+        for (let y = yMin - margin; y <= yMax + margin; y++) {
+            const row = inks[y] || [];
+            let intensityRow = [];
+            for (let x = xMin - margin; x <= xMax + margin; x++) {
+                intensityRow.push(row[x] || 0);
+            }
+            intensities.push(intensityRow);
+        }
+        return {
+            name: defaultGlyphName(code),
+            metrics: {
+                leftSidedBearing: bearing,
+                rightSideBearing: bearing + xMax - xMin + 1,
+                characterWidth: advance,
+                characterAscent: sheet.baseline - yMin,
+                characterDescent: yMax + 1 - sheet.baseline,
+                characterAttributes: 0
+            },
+            pixels: cell.slice(yMin, yMax + 1).map(
+                (row) => row.slice(xMin, xMax + 1)),
+            intensities: {margin: margin, intensities: intensities}
+        };
+    }
+
+    /**
+     * Returns the value of a font property, e.g., FONT_ASCENT.
+     * @param {string} name The property name.
+     * @return {number|undefined} The property value, or undefined if the
+     *     sheet does not define the property.
+     */
+    getProperty(name) {
+        if (this.font == null) {
+            throw new Error('The glyph sheet has not been parsed yet.');
+        }
+        return this.font.properties[name];
+    }
+
+    /**
+     * Returns all the font properties.
+     * @return {Object} Property names mapped to numbers.
+     */
+    getProperties() {
+        if (this.font == null) {
+            throw new Error('The glyph sheet has not been parsed yet.');
+        }
+        return this.font.properties;
+    }
+
+    /**
+     * Given a code point, returns the glyph cut from its cell.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {Object|undefined} Undefined if there is no such glyph.
+     */
+    getGlyph(glyphCode) {
+        if (this.font == null) {
+            throw new Error('The glyph sheet has not been parsed yet.');
+        }
+        const glyphIndex = this.font.codeToIndex.get(glyphCode);
+        return glyphIndex == undefined ?
+            undefined : this.font.glyphs[glyphIndex];
+    }
+
+    /**
+     * Returns the encoding of the default char. A glyph sheet has none.
+     * @return {undefined}
+     */
+    getDefaultChar() {
+        return undefined;
+    }
+
+    /**
+     * If the sheet has a glyph for the specified code point.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {boolean}
+     */
+    hasGlyph(glyphCode) {
+        return this.getGlyph(glyphCode) != undefined;
+    }
+
+    /**
+     * Iterates over all the glyphs, in the order of their code points.
+     * @return {Iterator<Array<number>>} Yields [glyphCode, glyphIndex]
+     *     pairs.
+     */
+    *glyphEntries() {
+        if (this.font == null) {
+            throw new Error('The glyph sheet has not been parsed yet.');
+        }
+        const codes = Array.from(this.font.codeToIndex.keys())
+              .sort((a, b) => a - b);
+        for (const glyphCode of codes) {
+            yield [glyphCode, this.font.codeToIndex.get(glyphCode)];
+        }
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns its glyph name.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {string|undefined} Undefined if there is no such glyph.
+     */
+    getGlyphName(glyphCode) {
+        const glyph = this.getGlyph(glyphCode);
+        return glyph && glyph.name;
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns its metrics, in the same
+     * shape as PcfParser returns.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {Object|undefined} Undefined if there is no such glyph.
+     */
+    getGlyphMetrics(glyphCode) {
+        const glyph = this.getGlyph(glyphCode);
+        return glyph && glyph.metrics;
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns its pixel grid, which covers
+     * the glyph's bounding box.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {Array<Array<boolean>>|undefined} The rows of pixels from
+     *     top to bottom, true for the black pixels. Undefined if there
+     *     is no such glyph.
+     */
+    getGlyphPixels(glyphCode) {
+        const glyph = this.getGlyph(glyphCode);
+        return glyph && glyph.pixels;
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns the greyscale of its cell,
+     * the ink of each pixel before the threshold, as halftone.js
+     * renders the 1-bit pixels of the other fonts.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {Object|undefined} The margin, the number of pixels around
+     *     the bounding box, and the rows of intensities from 0 to 1,
+     *     which cover the box with the margins. Undefined if there is
+     *     no such glyph.
+     */
+    getGlyphIntensities(glyphCode) {
+        const glyph = this.getGlyph(glyphCode);
+        return glyph && glyph.intensities;
+    }
+};
+
+
+module.exports.DEFAULT_IMAGE_SHEET = DEFAULT_IMAGE_SHEET;
+module.exports.ImageParser = ImageParser;
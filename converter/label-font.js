@@ -0,0 +1,180 @@
+/**
+ * @fileoverview A small built-in bitmap font for the labels of the PNG
+ * specimens, so that the labels do not depend on the glyphs of the font
+ * under test. It covers the printable ASCII characters, 5 pixels wide
+ * and 7 pixels above the baseline.
+ */
+
+
+const opentype = require('opentype.js');
+
+
+/**
+ * The rows of the glyphs from top to bottom, the leftmost pixel in bit 4.
+ * The rows after the seventh hang below the baseline.
+ * @type {Object<string, Array<number>>}
+ */
+const LABEL_GLYPHS = {
+    ' ': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+    '!': [0x04, 0x04, 0x04, 0x04, 0x04, 0x00, 0x04],
+    '"': [0x0A, 0x0A, 0x00, 0x00, 0x00, 0x00, 0x00],
+    '#': [0x0A, 0x0A, 0x1F, 0x0A, 0x1F, 0x0A, 0x0A],
+    '$': [0x04, 0x0F, 0x14, 0x0E, 0x05, 0x1E, 0x04],
+    '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+    '&': [0x0C, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0D],
+    '\'': [0x04, 0x04, 0x08, 0x00, 0x00, 0x00, 0x00],
+    '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+    ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+    '*': [0x00, 0x04, 0x15, 0x0E, 0x15, 0x04, 0x00],
+    '+': [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00],
+    ',': [0x00, 0x00, 0x00, 0x00, 0x0C, 0x04, 0x08],
+    '-': [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+    '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C],
+    '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+    '0': [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+    '1': [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    '2': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+    '3': [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+    '4': [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+    '5': [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+    '6': [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+    '7': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+    '8': [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+    '9': [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+    ':': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00],
+    ';': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x04, 0x08],
+    '<': [0x02, 0x04, 0x08, 0x10, 0x08, 0x04, 0x02],
+    '=': [0x00, 0x00, 0x1F, 0x00, 0x1F, 0x00, 0x00],
+    '>': [0x08, 0x04, 0x02, 0x01, 0x02, 0x04, 0x08],
+    '?': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x00, 0x04],
+    '@': [0x0E, 0x11, 0x01, 0x0D, 0x15, 0x15, 0x0E],
+    'A': [0x0E, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    'B': [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+    'C': [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+    'D': [0x1C, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1C],
+    'E': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+    'F': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+    'G': [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+    'H': [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    'I': [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+    'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+    'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+    'M': [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+    'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+    'O': [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    'P': [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+    'Q': [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+    'R': [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+    'S': [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+    'T': [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+    'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+    'X': [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+    'Y': [0x11, 0x11, 0x0A, 0x04, 0x04, 0x04, 0x04],
+    'Z': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+    '[': [0x0E, 0x08, 0x08, 0x08, 0x08, 0x08, 0x0E],
+    '\\': [0x00, 0x10, 0x08, 0x04, 0x02, 0x01, 0x00],
+    ']': [0x0E, 0x02, 0x02, 0x02, 0x02, 0x02, 0x0E],
+    '^': [0x04, 0x0A, 0x11, 0x00, 0x00, 0x00, 0x00],
+    '_': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x1F],
+    '`': [0x08, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00],
+    'a': [0x00, 0x00, 0x0E, 0x01, 0x0F, 0x11, 0x0F],
+    'b': [0x10, 0x10, 0x16, 0x19, 0x11, 0x11, 0x1E],
+    'c': [0x00, 0x00, 0x0E, 0x10, 0x10, 0x11, 0x0E],
+    'd': [0x01, 0x01, 0x0D, 0x13, 0x11, 0x11, 0x0F],
+    'e': [0x00, 0x00, 0x0E, 0x11, 0x1F, 0x10, 0x0E],
+    'f': [0x06, 0x09, 0x08, 0x1C, 0x08, 0x08, 0x08],
+    'g': [0x00, 0x00, 0x0F, 0x11, 0x11, 0x0F, 0x01, 0x0E],
+    'h': [0x10, 0x10, 0x16, 0x19, 0x11, 0x11, 0x11],
+    'i': [0x04, 0x00, 0x0C, 0x04, 0x04, 0x04, 0x0E],
+    'j': [0x02, 0x00, 0x06, 0x02, 0x02, 0x02, 0x12, 0x0C],
+    'k': [0x10, 0x10, 0x12, 0x14, 0x18, 0x14, 0x12],
+    'l': [0x0C, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    'm': [0x00, 0x00, 0x1A, 0x15, 0x15, 0x11, 0x11],
+    'n': [0x00, 0x00, 0x16, 0x19, 0x11, 0x11, 0x11],
+    'o': [0x00, 0x00, 0x0E, 0x11, 0x11, 0x11, 0x0E],
+    'p': [0x00, 0x00, 0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10],
+    'q': [0x00, 0x00, 0x0F, 0x11, 0x11, 0x0F, 0x01, 0x01],
+    'r': [0x00, 0x00, 0x16, 0x19, 0x10, 0x10, 0x10],
+    's': [0x00, 0x00, 0x0F, 0x10, 0x0E, 0x01, 0x1E],
+    't': [0x08, 0x08, 0x1C, 0x08, 0x08, 0x09, 0x06],
+    'u': [0x00, 0x00, 0x11, 0x11, 0x11, 0x13, 0x0D],
+    'v': [0x00, 0x00, 0x11, 0x11, 0x11, 0x0A, 0x04],
+    'w': [0x00, 0x00, 0x11, 0x11, 0x15, 0x15, 0x0A],
+    'x': [0x00, 0x00, 0x11, 0x0A, 0x04, 0x0A, 0x11],
+    'y': [0x00, 0x00, 0x11, 0x11, 0x11, 0x0F, 0x01, 0x0E],
+    'z': [0x00, 0x00, 0x1F, 0x02, 0x04, 0x08, 0x1F],
+    '{': [0x02, 0x04, 0x04, 0x08, 0x04, 0x04, 0x02],
+    '|': [0x04, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    '}': [0x08, 0x04, 0x04, 0x02, 0x04, 0x04, 0x08],
+    '~': [0x00, 0x00, 0x08, 0x15, 0x02, 0x00, 0x00]
+};
+
+
+/**
+ * The width and the height of a glyph above the baseline, and the advance
+ * width, in label font pixels.
+ * @type {Object<string, number>}
+ */
+const LABEL_GLYPH_SIZE = {width: 5, height: 7, advance: 6};
+
+
+/**
+ * The pixel size of the label font at a font size: a cell of 9 pixels
+ * per em, scaled by a whole number to stay sharp.
+ * @param {number} size The font size in pixels.
+ * @return {number}
+ */
+function getLabelPixelSize(size) {
+    return Math.max(1, Math.round(size / 9));
+}
+
+
+/**
+ * Makes the path of a label in the label font. The characters out of the
+ * printable ASCII are drawn as question marks.
+ * @param {string} text The label.
+ * @param {number} x The left of the label.
+ * @param {number} baseline The baseline of the label.
+ * @param {number} size The font size in pixels.
+ * @return {opentype.Path}
+ */
+function makeLabelPath(text, x, baseline, size) {
+    const pixelSize = getLabelPixelSize(size);
+    const top = baseline - LABEL_GLYPH_SIZE.height * pixelSize;
+    var path = new opentype.Path();
+    for (const char of text) {
+        const rows = LABEL_GLYPHS[char] || LABEL_GLYPHS['?'];
+        rows.forEach((row, y) => {
+            // The runs of black pixels of a row make one rectangle each.
+            for (let column = 0; column < LABEL_GLYPH_SIZE.width;) {
+                const bit = 1 << (LABEL_GLYPH_SIZE.width - 1 - column);
+                if (!(row & bit)) {
+                    column++;
+                    continue;
+                }
+                let end = column + 1;
+                while (end < LABEL_GLYPH_SIZE.width &&
+                       row & (1 << (LABEL_GLYPH_SIZE.width - 1 - end))) {
+                    end++;
+                }
+                const left = x + column * pixelSize;
+                const right = x + end * pixelSize;
+                const rowTop = top + y * pixelSize;
+                path.moveTo(left, rowTop);
+                path.lineTo(right, rowTop);
+                path.lineTo(right, rowTop + pixelSize);
+                path.lineTo(left, rowTop + pixelSize);
+                path.close();
+                column = end;
+            }
+        });
+        x += LABEL_GLYPH_SIZE.advance * pixelSize;
+    }
+    return path;
+}
+
+
+module.exports.makeLabelPath = makeLabelPath;
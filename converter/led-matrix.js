@@ -0,0 +1,119 @@
+/**
+ * @fileoverview The LED matrix style, a colour font whose glyphs show
+ * the unlit dots of the glyph cells in a dim colour under the lit dots,
+ * as on LED signboards. Each glyph gets a layer glyph with the unlit
+ * dots, and the COLR table draws it under the glyph itself, see
+ * makeColorTables() in font-writer.js. The glyphs keep their lit dots as
+ * outlines, as the monochrome fallback for the renderers without colour
+ * font support.
+ */
+
+
+/**
+ * The preset palettes, each with the colours of the lit and the unlit
+ * dots, as #RRGGBB or #RRGGBBAA.
+ * @type {Object<string, Array<string>>}
+ */
+const LED_PALETTES = {
+    red: ['#FF3B1F', '#3C0F0A'],
+    amber: ['#FFB000', '#3D2A05'],
+    green: ['#3DFF5A', '#0B3A14']
+};
+
+
+// The palette entries of the lit and the unlit dots.
+const LIT_COLOR_INDEX = 0;
+const UNLIT_COLOR_INDEX = 1;
+
+
+/**
+ * Parses a colour of the form #RRGGBB or #RRGGBBAA.
+ * @param {string} color The colour.
+ * @return {Array<number>} The red, green, blue and alpha values.
+ */
+function parseRgbaColor(color) {
+    const match = /^#([0-9A-F]{6})([0-9A-F]{2})?$/i.exec(color);
+    if (!match) {
+        throw new Error('Invalid colour: ' + color + '. Colours are ' +
+                        '#RRGGBB or #RRGGBBAA.');
+    }
+    const value = parseInt(match[1], 16);
+    return [value >> 16, (value >> 8) & 0xFF, value & 0xFF,
+            match[2] ? parseInt(match[2], 16) : 0xFF];
+}
+
+
+/**
+ * Resolves the palettes of an LED matrix font. The given palette comes
+ * first, as the default palette, followed by the other presets, which
+ * CSS can pick with font-palette.
+ * @param {string} palette One of LED_PALETTES, or the colours of the lit
+ *     and the unlit dots separated by a comma, e.g., '#FF0000,#400000'.
+ * @return {Array<Array<Array<number>>>} The palettes, each with the RGBA
+ *     values of the lit and the unlit dots.
+ */
+function resolveLedPalettes(palette) {
+    var colors = LED_PALETTES[palette];
+    if (!colors) {
+        colors = palette.split(',').map((color) => color.trim());
+        if (colors.length != 2 || !colors.every((color) => color[0] == '#')) {
+            throw new Error('Unknown LED palette: ' + palette + '. The ' +
+                            'palettes are ' +
+                            Object.keys(LED_PALETTES).join(', ') + ', or ' +
+                            'the lit and unlit colours, e.g., ' +
+                            '#FF0000,#400000.');
+        }
+    }
+    const others = Object.keys(LED_PALETTES)
+          .filter((name) => name != palette)
+          .map((name) => LED_PALETTES[name]);
+    return [colors].concat(others).map(
+        (entries) => entries.map(parseRgbaColor));
+}
+
+
+/**
+ * Makes the bitmap of the unlit dots of a glyph: the pixels of the glyph
+ * cell, the advance width by the pixel height of the em box, that are
+ * not black in the glyph.
+ * @param {Object} metrics The glyph metrics, see
+ *     PcfParser.getGlyphMetrics().
+ * @param {Array<Array<boolean>>} pixels The rows of pixels, which cover
+ *     the glyph's bounding box.
+ * @param {Object} fontMetrics The font metrics from getFontMetrics().
+ * @return {Object} The metrics and the pixels of the unlit dots.
+ */
+function makeUnlitForm(metrics, pixels, fontMetrics) {
+    const width = metrics.characterWidth;
+    const height = fontMetrics.pixelHeight;
+    // The cell row and column of the top left pixel of the glyph.
+    const top = fontMetrics.ascent - metrics.characterAscent;
+    const left = metrics.leftSidedBearing;
+    var cell = [];
+    for (let y = 0; y < height; y++) {
+        const row = pixels[y - top] || [];
+        let cellRow = [];
+        for (let x = 0; x < width; x++) {
+            cellRow.push(row[x - left] != true);
+        }
+        cell.push(cellRow);
+    }
+    return {
+        metrics: {
+            leftSidedBearing: 0,
+            rightSideBearing: width,
+            characterWidth: width,
+            characterAscent: fontMetrics.ascent,
+            characterDescent: height - fontMetrics.ascent,
+            characterAttributes: metrics.characterAttributes
+        },
+        pixels: cell
+    };
+}
+
+
+module.exports.LED_PALETTES = LED_PALETTES;
+module.exports.LIT_COLOR_INDEX = LIT_COLOR_INDEX;
+module.exports.UNLIT_COLOR_INDEX = UNLIT_COLOR_INDEX;
+module.exports.makeUnlitForm = makeUnlitForm;
+module.exports.resolveLedPalettes = resolveLedPalettes;
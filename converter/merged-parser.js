@@ -0,0 +1,236 @@
+/**
+ * @fileoverview JavaScript class to merge several bitmap fonts into one
+ * glyph source, e.g., a CJK font with a Latin font and a symbol font as
+ * fallbacks.
+ */
+
+
+/**
+ * The ways to fit the glyphs of a fallback font to the primary font.
+ * 'rescale' scales them to the pixel height of the primary font;
+ * 'none' keeps their pixels. Both keep the glyphs on the baseline.
+ * @type {Array<string>}
+ */
+const FALLBACK_SCALINGS = ['rescale', 'none'];
+
+
+/**
+ * Scales the metrics of a glyph to whole pixels.
+ * @param {Object} metrics The glyph metrics, see
+ *     PcfParser.getGlyphMetrics().
+ * @param {number} scale The scale.
+ * @return {Object} The scaled metrics.
+ */
+function scaleMetrics(metrics, scale) {
+    if (scale == 1) {
+        return metrics;
+    }
+    const leftSidedBearing = Math.round(metrics.leftSidedBearing * scale);
+    const characterAscent = Math.round(metrics.characterAscent * scale);
+    return Object.assign({}, metrics, {
+        leftSidedBearing: leftSidedBearing,
+        rightSideBearing: Math.max(
+            leftSidedBearing, Math.round(metrics.rightSideBearing * scale)),
+        characterWidth: Math.round(metrics.characterWidth * scale),
+        characterAscent: characterAscent,
+        characterDescent: Math.max(
+            -characterAscent, Math.round(metrics.characterDescent * scale))
+    });
+}
+
+
+/**
+ * Merges the glyphs of several parsed bitmap fonts, in priority order.
+ * Each code point is taken from the first font that has it.
+ *
+ * A BitmapFontParser, see pcf-parser.js. The font properties are the
+ * ones of the primary font, the first one.
+ */
+class MergedParser {
+    /**
+     * @param {Array<Object>} sources The fonts, the primary font first.
+     *     Each has the file name, the parser that has loaded the font
+     *     and the metrics from getFontMetrics().
+     * @param {string=} scaling One of FALLBACK_SCALINGS. Defaults to
+     *     'rescale'.
+     */
+    constructor(sources, scaling) {
+        scaling = scaling || 'rescale';
+        if (!FALLBACK_SCALINGS.includes(scaling)) {
+            throw new Error('Unknown fallback scaling: ' + scaling);
+        }
+        const pixelHeight = sources[0].metrics.pixelHeight;
+
+        /**
+         * The fonts, with the scale of their glyphs to the primary font.
+         * @type {Array<Object>}
+         */
+        this.sources = sources.map((source) => Object.assign({}, source, {
+            scale: scaling == 'rescale' ?
+                pixelHeight / source.metrics.pixelHeight : 1
+        }));
+    }
+
+    /**
+     * Returns the first font that has a glyph for the specified
+     * encoding, not counting the default chars.
+     * @param {number} glyphCode The encoding value of the glyph.
+     * @return {Object|undefined} Undefined if no font has the glyph.
+     */
+    findSource(glyphCode) {
+        return this.sources.find(
+            (source) => source.parser.hasGlyph(glyphCode));
+    }
+
+    /**
+     * Returns the value of a property of the primary font.
+     * @param {string} name The property name.
+     * @return {number|string|undefined} The property value, or undefined
+     *     if the font does not define the property.
+     */
+    getProperty(name) {
+        return this.sources[0].parser.getProperty(name);
+    }
+
+    /**
+     * Returns all the properties of the primary font.
+     * @return {Object} Property names mapped to numbers or strings.
+     */
+    getProperties() {
+        return this.sources[0].parser.getProperties();
+    }
+
+    /**
+     * Returns the encoding of the default char of the primary font.
+     * @return {number|undefined} Undefined if the font has no glyph for
+     *     the default char.
+     */
+    getDefaultChar() {
+        return this.sources[0].parser.getDefaultChar();
+    }
+
+    /**
+     * If any of the fonts has a glyph for the specified encoding, not
+     * counting the default chars.
+     * @param {number} glyphCode The encoding value of the glyph.
+     * @return {boolean}
+     */
+    hasGlyph(glyphCode) {
+        return this.findSource(glyphCode) != undefined;
+    }
+
+    /**
+     * Iterates over all the encoded glyphs of the fonts, in the order of
+     * their encoding values.
+     * @return {Iterator<Array<number>>} Yields [glyphCode, sourceIndex]
+     *     pairs, where sourceIndex is the index of the font that the
+     *     glyph comes from.
+     */
+    *glyphEntries() {
+        var codes = new Set();
+        for (const source of this.sources) {
+            for (const [glyphCode] of source.parser.glyphEntries()) {
+                codes.add(glyphCode);
+            }
+        }
+        for (const glyphCode of Array.from(codes).sort((a, b) => a - b)) {
+            const source = this.findSource(glyphCode);
+            yield [glyphCode, this.sources.indexOf(source)];
+        }
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns the file of the font that
+     * the glyph comes from.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {string|undefined} Undefined if there is no such glyph.
+     */
+    getGlyphSource(glyphCode) {
+        const source = this.findSource(glyphCode);
+        return source && source.file;
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns its glyph name.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {string|undefined} Undefined if there is no such glyph.
+     */
+    getGlyphName(glyphCode) {
+        const source = this.findSource(glyphCode);
+        return source && source.parser.getGlyphName(glyphCode);
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns its metrics, scaled to the
+     * primary font.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {Object|undefined} Undefined if there is no such glyph.
+     */
+    getGlyphMetrics(glyphCode) {
+        const source = this.findSource(glyphCode);
+        return source && scaleMetrics(
+            source.parser.getGlyphMetrics(glyphCode), source.scale);
+    }
+
+    /**
+     * Given a glyph's Unicode value, decodes its bitmap to a pixel grid
+     * that covers the glyph's bounding box, scaled to the primary font
+     * with the nearest pixels.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {Array<Array<boolean>>|undefined} The rows of pixels from
+     *     top to bottom, true for the black pixels. Undefined if there
+     *     is no such glyph.
+     */
+    getGlyphPixels(glyphCode) {
+        const source = this.findSource(glyphCode);
+        if (!source) {
+            return undefined;
+        }
+        const pixels = source.parser.getGlyphPixels(glyphCode);
+        if (source.scale == 1) {
+            return pixels;
+        }
+        const metrics = source.parser.getGlyphMetrics(glyphCode);
+        const scaled = scaleMetrics(metrics, source.scale);
+        const width = scaled.rightSideBearing - scaled.leftSidedBearing;
+        const height = scaled.characterAscent + scaled.characterDescent;
+        var ret = [];
+        for (let y = 0; y < height; y++) {
+            // The centers of the pixels, relative to the origin and the
+            // baseline, in the pixels of the source font.
+            const sourceY = Math.floor(metrics.characterAscent -
+                (scaled.characterAscent - y - 0.5) / source.scale);
+            const row = pixels[sourceY] || [];
+            let scaledRow = [];
+            for (let x = 0; x < width; x++) {
+                const sourceX = Math.floor(
+                    (scaled.leftSidedBearing + x + 0.5) / source.scale -
+                        metrics.leftSidedBearing);
+                scaledRow.push(row[sourceX] == true);
+            }
+            ret.push(scaledRow);
+        }
+        return ret;
+    }
+
+    /**
+     * Given a glyph's Unicode value, returns its greyscale, if the font
+     * that the glyph comes from keeps one, see
+     * ImageParser.getGlyphIntensities(). Rescaled glyphs have none.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {Object|undefined} The margin and the rows of intensities,
+     *     or undefined if there is no such glyph or no greyscale.
+     */
+    getGlyphIntensities(glyphCode) {
+        const source = this.findSource(glyphCode);
+        if (!source || source.scale != 1 ||
+            !source.parser.getGlyphIntensities) {
+            return undefined;
+        }
+        return source.parser.getGlyphIntensities(glyphCode);
+    }
+};
+
+
+module.exports.FALLBACK_SCALINGS = FALLBACK_SCALINGS;
+module.exports.MergedParser = MergedParser;
@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Outline styles, which draw all the pixels of a glyph at
+ * once and shape each pixel by its neighbours, instead of drawing
+ * separate dots.
+ *
+ * Each style takes an opentype.Path, the rows of pixels, the pixel grid
+ * and the style options. The grid maps [x, y] in pixel units, where y
+ * grows downwards, to rounded font coordinates with toFont(), and has
+ * the pixelSize and pixelPadding in font units.
+ */
+
+
+const { ARC_CONTROL, drawCircle } = require('./dot-shapes/circle');
+const { traceOutlines, traceSmoothedOutlines } = require('./outline-tracer');
+
+
+/**
+ * The default corner radius of rounded-pixel, as a fraction of the
+ * pixel size.
+ * @type {number}
+ */
+const DEFAULT_CORNER_RADIUS = 0.25;
+
+
+/**
+ * The default width of the bridges of beaded, as a fraction of the dot
+ * size.
+ * @type {number}
+ */
+const DEFAULT_BRIDGE_WIDTH = 1 / 3;
+
+
+/**
+ * Draws contours of corner points.
+ * @param {opentype.Path} path The opentype path.
+ * @param {Array<Array<Array<number>>>} contours The contours, with the
+ *     points in pixel units.
+ * @param {Object} grid The pixel grid.
+ */
+function drawPolygons(path, contours, grid) {
+    for (const contour of contours) {
+        const points = contour.map(([x, y]) => grid.toFont(x, y));
+        path.moveTo(points[0][0], points[0][1]);
+        for (let i = 1; i < points.length; i++) {
+            path.lineTo(points[i][0], points[i][1]);
+        }
+        path.lineTo(points[0][0], points[0][1]);
+    }
+}
+
+
+/**
+ * Draws the merged outlines of all the black pixels, without padding.
+ * @param {opentype.Path} path The opentype path.
+ * @param {Array<Array<boolean>>} pixels The rows of pixels.
+ * @param {Object} grid The pixel grid.
+ */
+function drawSolidOutlines(path, pixels, grid) {
+    drawPolygons(path, traceOutlines(pixels), grid);
+}
+
+
+/**
+ * Draws the merged outlines of the black pixels with the diagonal
+ * staircases smoothed by 45° wedges.
+ * @param {opentype.Path} path The opentype path.
+ * @param {Array<Array<boolean>>} pixels The rows of pixels.
+ * @param {Object} grid The pixel grid.
+ */
+function drawSmoothOutlines(path, pixels, grid) {
+    drawPolygons(path, traceSmoothedOutlines(pixels), grid);
+}
+
+
+/**
+ * Draws the merged outlines of the black pixels with the outer corners
+ * rounded. The inner corners stay sharp.
+ * @param {opentype.Path} path The opentype path.
+ * @param {Array<Array<boolean>>} pixels The rows of pixels.
+ * @param {Object} grid The pixel grid.
+ * @param {Object} options The style options.
+ * @param {number=} options.radius The corner radius as a fraction of the
+ *     pixel size, from 0 to 0.5.
+ */
+function drawRoundedPixelOutlines(path, pixels, grid, options) {
+    const radius = options.radius != undefined ?
+          options.radius : DEFAULT_CORNER_RADIUS;
+    if (!(radius >= 0 && radius <= 0.5)) {
+        throw new Error('The radius of rounded-pixel must be between 0 ' +
+                        'and 0.5: ' + options.radius);
+    }
+
+    for (const contour of traceOutlines(pixels)) {
+        let start = null;
+        let last = null;
+        const moveOrLineTo = ([x, y]) => {
+            if (start == null) {
+                start = [x, y];
+                path.moveTo(x, y);
+            } else if (x != last[0] || y != last[1]) {
+                path.lineTo(x, y);
+            }
+            last = [x, y];
+        };
+        const count = contour.length;
+        for (let i = 0; i < count; i++) {
+            const [ax, ay] = contour[(i + count - 1) % count];
+            const [bx, by] = contour[i];
+            const [cx, cy] = contour[(i + 1) % count];
+            // The contours keep the pixels on their left, so a left turn,
+            // as seen on the screen, goes round an outer corner.
+            const isOuter = (bx - ax) * (cy - by) - (by - ay) * (cx - bx) < 0;
+            if (!isOuter || radius == 0) {
+                moveOrLineTo(grid.toFont(bx, by));
+                continue;
+            }
+            // The edges are axis-aligned and at least one pixel long.
+            const [ux, uy] = [Math.sign(ax - bx), Math.sign(ay - by)];
+            const [vx, vy] = [Math.sign(cx - bx), Math.sign(cy - by)];
+            const K = radius * (1 - ARC_CONTROL);
+            moveOrLineTo(grid.toFont(bx + ux * radius, by + uy * radius));
+            const curve = [
+                grid.toFont(bx + ux * K, by + uy * K),
+                grid.toFont(bx + vx * K, by + vy * K),
+                grid.toFont(bx + vx * radius, by + vy * radius)
+            ];
+            path.curveTo(...curve[0], ...curve[1], ...curve[2]);
+            last = curve[2];
+        }
+        if (last[0] != start[0] || last[1] != start[1]) {
+            path.lineTo(start[0], start[1]);
+        }
+    }
+}
+
+
+/**
+ * The directions of the neighbours of a pixel, in pixel units, in the
+ * counter-clockwise order of their angles in font coordinates.
+ * @type {Array<Array<number>>}
+ */
+const NEIGHBOUR_DIRECTIONS = [[1, 0], [0, -1], [-1, 0], [0, 1]];
+
+
+/**
+ * Draws an arc of a circle counter-clockwise, with one cubic Bézier
+ * curve for each quarter or less.
+ * @param {opentype.Path} path The opentype path.
+ * @param {Array<number>} center The center of the circle.
+ * @param {number} radius The radius of the circle.
+ * @param {number} startAngle The angle of the start point in radians.
+ * @param {number} endAngle The angle of the end point in radians, not
+ *     less than startAngle.
+ */
+function drawArc(path, center, radius, startAngle, endAngle) {
+    const count = Math.ceil((endAngle - startAngle) / (Math.PI / 2) - 1e-9);
+    const step = (endAngle - startAngle) / count;
+    const k = 4 / 3 * Math.tan(step / 4) * radius;
+    for (let i = 0; i < count; i++) {
+        const a0 = startAngle + i * step;
+        const a1 = a0 + step;
+        const [x0, y0] = [center[0] + radius * Math.cos(a0),
+                          center[1] + radius * Math.sin(a0)];
+        const [x1, y1] = [center[0] + radius * Math.cos(a1),
+                          center[1] + radius * Math.sin(a1)];
+        path.curveTo(x0 - k * Math.sin(a0), y0 + k * Math.cos(a0),
+                     x1 + k * Math.sin(a1), y1 - k * Math.cos(a1),
+                     x1, y1);
+    }
+}
+
+
+/**
+ * Draws round beads for the pixels, with thin bridges that join the
+ * horizontally or vertically adjacent beads.
+ *
+ * Each bead is one contour that carries half of each of its bridges, so
+ * the halves of a bridge meet on the same points between two beads
+ * instead of overlapping.
+ * @param {opentype.Path} path The opentype path.
+ * @param {Array<Array<boolean>>} pixels The rows of pixels.
+ * @param {Object} grid The pixel grid.
+ * @param {Object} options The style options.
+ * @param {number=} options.bridge The width of the bridges as a fraction
+ *     of the bead size, between 0 and 1.
+ */
+function drawBeadedOutlines(path, pixels, grid, options) {
+    const bridge = options.bridge != undefined ?
+          options.bridge : DEFAULT_BRIDGE_WIDTH;
+    if (!(bridge > 0 && bridge < 1)) {
+        throw new Error('The bridge of beaded must be between 0 and 1: ' +
+                        options.bridge);
+    }
+    const RADIUS = grid.pixelSize / 2 - grid.pixelPadding;
+    const HALF_WIDTH = RADIUS * bridge;
+    // The half angle that a bridge takes from the circle of a bead.
+    const ALPHA = Math.asin(bridge);
+    const isBlack = (x, y) => y >= 0 && y < pixels.length &&
+          x >= 0 && x < pixels[y].length && pixels[y][x];
+
+    for (let y = 0; y < pixels.length; y++) {
+        for (let x = 0; x < pixels[y].length; x++) {
+            if (!pixels[y][x]) {
+                continue;
+            }
+            const center = grid.toFont(x + 0.5, y + 0.5);
+            const bridges = NEIGHBOUR_DIRECTIONS.filter(
+                ([dx, dy]) => isBlack(x + dx, y + dy));
+            if (bridges.length == 0) {
+                drawCircle(path, center[0], center[1], RADIUS, false);
+                continue;
+            }
+            const angles = bridges.map(([dx, dy]) => Math.atan2(-dy, dx));
+            const [x0, y0] = [center[0] + RADIUS * Math.cos(angles[0] + ALPHA),
+                              center[1] + RADIUS * Math.sin(angles[0] + ALPHA)];
+            path.moveTo(x0, y0);
+            for (let i = 1; i <= bridges.length; i++) {
+                const [dx, dy] = bridges[i % bridges.length];
+                const angle = angles[i % bridges.length] +
+                      (i == bridges.length ? 2 * Math.PI : 0);
+                drawArc(path, center, RADIUS,
+                        angles[i - 1] + ALPHA, angle - ALPHA);
+                // The end of the bridge is half way to the neighbour.
+                const end = grid.toFont(x + 0.5 + dx / 2, y + 0.5 + dy / 2);
+                // The normal of the bridge, on its left in font
+                // coordinates.
+                const [nx, ny] = [dy, dx];
+                path.lineTo(end[0] - nx * HALF_WIDTH, end[1] - ny * HALF_WIDTH);
+                path.lineTo(end[0] + nx * HALF_WIDTH, end[1] + ny * HALF_WIDTH);
+                if (i == bridges.length) {
+                    path.lineTo(x0, y0);
+                } else {
+                    path.lineTo(center[0] + RADIUS * Math.cos(angle + ALPHA),
+                                center[1] + RADIUS * Math.sin(angle + ALPHA));
+                }
+            }
+        }
+    }
+}
+
+
+/**
+ * The outline styles, keyed by name.
+ * @type {Object<string, function(opentype.Path, Array<Array<boolean>>,
+ *     Object, Object)>}
+ */
+const OUTLINE_STYLES = {
+    'solid': drawSolidOutlines,
+    'rounded-pixel': drawRoundedPixelOutlines,
+    'smooth': drawSmoothOutlines,
+    'beaded': drawBeadedOutlines
+};
+
+
+module.exports.OUTLINE_STYLES = OUTLINE_STYLES;
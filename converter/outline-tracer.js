@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Traces the outlines of the union of the black pixels in
+ * a glyph bitmap.
+ */
+
+
+/**
+ * The four neighbours of a pixel that touch its sides, as [dx, dy] in
+ * screen coordinates, keyed by the triangle of the pixel on that side.
+ * @type {Object<string, Array<number>>}
+ */
+const SIDE_NEIGHBOURS = {
+    N: [0, -1],
+    E: [1, 0],
+    S: [0, 1],
+    W: [-1, 0]
+};
+
+
+/**
+ * Unit steps of the four edge directions, in screen coordinates where
+ * y grows downwards.
+ * @type {Object<string, Array<number>>}
+ */
+const STEPS = {
+    E: [1, 0],
+    S: [0, 1],
+    W: [-1, 0],
+    N: [0, -1]
+};
+
+
+/**
+ * The direction after turning left from each direction, as seen on the
+ * screen.
+ * @type {Object<string, string>}
+ */
+const LEFT_TURNS = {
+    E: 'N',
+    N: 'W',
+    W: 'S',
+    S: 'E'
+};
+
+
+/**
+ * Returns if the pixel at (x, y) is black. Pixels out of the grid are
+ * white.
+ * @param {Array<Array<boolean>>} pixels The rows of pixels.
+ * @param {number} x The column.
+ * @param {number} y The row.
+ * @return {boolean}
+ */
+function isBlack(pixels, x, y) {
+    return y >= 0 && y < pixels.length && x >= 0 && x < pixels[y].length &&
+        pixels[y][x];
+}
+
+
+/**
+ * Collects the unit edges between black and white pixels. Each edge
+ * keeps the black pixel on its left side as seen on the screen, which
+ * is the same direction drawSquareDot() takes. Outer contours therefore
+ * run counter-clockwise and holes run clockwise in font coordinates, as
+ * CFF outlines require.
+ * @param {Array<Array<boolean>>} pixels The rows of pixels.
+ * @return {Map<string, Array<Object>>} Edges keyed by their start point.
+ */
+function collectEdges(pixels) {
+    var edges = new Map();
+    const addEdge = (x, y, direction) => {
+        const key = x + ',' + y;
+        if (!edges.has(key)) {
+            edges.set(key, []);
+        }
+        edges.get(key).push({x: x, y: y, direction: direction, used: false});
+    };
+    for (let y = 0; y < pixels.length; y++) {
+        for (let x = 0; x < pixels[y].length; x++) {
+            if (!pixels[y][x]) {
+                continue;
+            }
+            if (!isBlack(pixels, x - 1, y)) {
+                addEdge(x, y, 'S');
+            }
+            if (!isBlack(pixels, x, y + 1)) {
+                addEdge(x, y + 1, 'E');
+            }
+            if (!isBlack(pixels, x + 1, y)) {
+                addEdge(x + 1, y + 1, 'N');
+            }
+            if (!isBlack(pixels, x, y - 1)) {
+                addEdge(x + 1, y, 'W');
+            }
+        }
+    }
+    return edges;
+}
+
+
+/**
+ * Traces the outlines of the black pixels. Adjacent pixels are merged,
+ * so the contours never overlap each other. Where two pixels touch only
+ * at a corner, they are kept in separate contours.
+ * @param {Array<Array<boolean>>} pixels The rows of pixels.
+ * @return {Array<Array<Array<number>>>} The contours. Each contour is a
+ *     list of [x, y] corner points in pixel units, in screen coordinates
+ *     where y grows downwards. Collinear points are removed.
+ */
+function traceOutlines(pixels) {
+    const edges = collectEdges(pixels);
+    var contours = [];
+    for (const startEdges of edges.values()) {
+        for (const startEdge of startEdges) {
+            if (startEdge.used) {
+                continue;
+            }
+            let points = [];
+            let edge = startEdge;
+            while (!edge.used) {
+                edge.used = true;
+                points.push([edge.x, edge.y, edge.direction]);
+                const [dx, dy] = STEPS[edge.direction];
+                const candidates = edges.get((edge.x + dx) + ',' +
+                                             (edge.y + dy));
+                // At a corner shared by two diagonal pixels, turning left
+                // keeps following the same pixel. The contour is closed
+                // once the chosen edge is the used start edge.
+                const leftTurn = LEFT_TURNS[edge.direction];
+                edge = candidates.find((c) => c.direction == leftTurn) ||
+                    candidates[0];
+            }
+            contours.push(points
+                          .filter((point, i) => point[2] !=
+                                  points[(i + points.length - 1) %
+                                         points.length][2])
+                          .map((point) => [point[0], point[1]]));
+        }
+    }
+    return contours;
+}
+
+
+/**
+ * Returns the corners of a triangle of a pixel, in half-pixel units.
+ * Each pixel is split by its diagonals into the N, E, S and W triangles.
+ * The corners run counter-clockwise as seen on the screen, so that the
+ * triangle is on the left of its edges, like the edges of
+ * collectEdges().
+ * @param {number} x The column of the pixel.
+ * @param {number} y The row of the pixel.
+ * @param {string} side One of 'N', 'E', 'S' and 'W'.
+ * @return {Array<Array<number>>} The three corners.
+ */
+function getTriangle(x, y, side) {
+    const center = [2 * x + 1, 2 * y + 1];
+    const topLeft = [2 * x, 2 * y];
+    const topRight = [2 * x + 2, 2 * y];
+    const bottomRight = [2 * x + 2, 2 * y + 2];
+    const bottomLeft = [2 * x, 2 * y + 2];
+    switch (side) {
+    case 'N':
+        return [topRight, topLeft, center];
+    case 'E':
+        return [bottomRight, topRight, center];
+    case 'S':
+        return [bottomLeft, bottomRight, center];
+    case 'W':
+        return [topLeft, bottomLeft, center];
+    }
+}
+
+
+/**
+ * Finds the triangles covered by the black pixels and by the 45° wedges
+ * that smooth diagonal staircases.
+ *
+ * A white pixel gets a wedge, the half of it towards a corner, if the
+ * two neighbours beside that corner are black, the two other neighbours
+ * are white, and the two black neighbours do not go on as straight
+ * strokes away from the corner. The last condition keeps the inner
+ * corners of strokes, like those of 口, sharp.
+ * @param {Array<Array<boolean>>} pixels The rows of pixels.
+ * @return {Array<Array<Array<number>>>} The triangles.
+ */
+function collectSmoothedTriangles(pixels) {
+    var triangles = [];
+    for (let y = 0; y < pixels.length; y++) {
+        for (let x = 0; x < pixels[y].length; x++) {
+            if (pixels[y][x]) {
+                for (const side of Object.keys(SIDE_NEIGHBOURS)) {
+                    triangles.push(getTriangle(x, y, side));
+                }
+                continue;
+            }
+            for (const vertical of ['N', 'S']) {
+                for (const horizontal of ['W', 'E']) {
+                    const [, vy] = SIDE_NEIGHBOURS[vertical];
+                    const [hx] = SIDE_NEIGHBOURS[horizontal];
+                    if (isBlack(pixels, x, y + vy) &&
+                        isBlack(pixels, x + hx, y) &&
+                        !isBlack(pixels, x, y - vy) &&
+                        !isBlack(pixels, x - hx, y) &&
+                        !isBlack(pixels, x - hx, y + vy) &&
+                        !isBlack(pixels, x + hx, y - vy)) {
+                        triangles.push(getTriangle(x, y, vertical));
+                        triangles.push(getTriangle(x, y, horizontal));
+                    }
+                }
+            }
+        }
+    }
+    return triangles;
+}
+
+
+/**
+ * Traces the outlines of the union of triangles. The edges shared by two
+ * triangles cancel out; the others are linked into contours.
+ * @param {Array<Array<Array<number>>>} triangles The triangles, with
+ *     their corners counter-clockwise as seen on the screen.
+ * @return {Array<Array<Array<number>>>} The contours, as lists of
+ *     [x, y] corner points. Collinear points are removed.
+ */
+function traceTriangles(triangles) {
+    var edgeSet = new Map();
+    for (const triangle of triangles) {
+        for (let i = 0; i < 3; i++) {
+            const from = triangle[i];
+            const to = triangle[(i + 1) % 3];
+            const reverseKey = to + '>' + from;
+            if (edgeSet.has(reverseKey)) {
+                edgeSet.delete(reverseKey);
+            } else {
+                edgeSet.set(from + '>' + to, {
+                    from: from,
+                    to: to,
+                    used: false
+                });
+            }
+        }
+    }
+    var edges = new Map();
+    for (const edge of edgeSet.values()) {
+        const key = edge.from.join(',');
+        if (!edges.has(key)) {
+            edges.set(key, []);
+        }
+        edges.get(key).push(edge);
+    }
+
+    const directionOf = (edge) => [edge.to[0] - edge.from[0],
+                                   edge.to[1] - edge.from[1]];
+    // How far an edge turns left from the previous one, as seen on the
+    // screen where y grows downwards.
+    const leftTurnOf = (previous, next) => {
+        const [ax, ay] = directionOf(previous);
+        const [bx, by] = directionOf(next);
+        return Math.atan2(-(ax * by - ay * bx), ax * bx + ay * by);
+    };
+
+    var contours = [];
+    for (const startEdges of edges.values()) {
+        for (const startEdge of startEdges) {
+            if (startEdge.used) {
+                continue;
+            }
+            let contour = [];
+            let edge = startEdge;
+            while (!edge.used) {
+                edge.used = true;
+                contour.push(edge);
+                // As in traceOutlines(), the sharpest left turn keeps
+                // the triangles that touch only at a corner apart.
+                const candidates = edges.get(edge.to.join(','));
+                edge = candidates.reduce((best, candidate) =>
+                    leftTurnOf(edge, candidate) > leftTurnOf(edge, best) ?
+                        candidate : best);
+            }
+            contours.push(contour
+                          .filter((current, i) => {
+                              const previous = contour[
+                                  (i + contour.length - 1) % contour.length];
+                              return leftTurnOf(previous, current) != 0;
+                          })
+                          .map((current) => [current.from[0] / 2,
+                                             current.from[1] / 2]));
+        }
+    }
+    return contours;
+}
+
+
+/**
+ * Traces the outlines of the black pixels, with the diagonal staircases
+ * smoothed by 45° wedges, in the spirit of pixel art scalers like EPX.
+ * @param {Array<Array<boolean>>} pixels The rows of pixels.
+ * @return {Array<Array<Array<number>>>} The contours, in the same form
+ *     as traceOutlines() returns.
+ */
+function traceSmoothedOutlines(pixels) {
+    return traceTriangles(collectSmoothedTriangles(pixels));
+}
+
+
+module.exports.traceOutlines = traceOutlines;
+module.exports.traceSmoothedOutlines = traceSmoothedOutlines;
@@ -0,0 +1,319 @@
+/**
+ * @fileoverview A small rasterizer that fills opentype.js paths with
+ * anti-aliasing and encodes the image as PNG, so that specimens can be
+ * rendered without a browser or a native graphics library.
+ */
+
+
+const zlib = require('zlib');
+
+
+/**
+ * The number of sample lines per pixel row. The coverage along the
+ * lines is exact.
+ * @type {number}
+ */
+const SAMPLES_PER_ROW = 5;
+
+
+/**
+ * The maximum length in pixels of the line segments that approximate
+ * the curves.
+ * @type {number}
+ */
+const FLATTENING_STEP = 1;
+
+
+/**
+ * The PNG file signature.
+ * @type {Buffer}
+ */
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+
+/**
+ * The CRC-32 of each byte value, for the PNG chunks.
+ * @type {Uint32Array}
+ */
+const CRC_TABLE = new Uint32Array(256).map((value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+
+/**
+ * Parses a color of the form #RRGGBB.
+ * @param {string} color The color.
+ * @return {Array<number>} The red, green and blue values.
+ */
+function parseColor(color) {
+    const match = /^#([0-9A-F]{2})([0-9A-F]{2})([0-9A-F]{2})$/i.exec(color);
+    if (!match) {
+        throw new Error('Invalid color: ' + color + '. Colors are #RRGGBB.');
+    }
+    return match.slice(1).map((hex) => parseInt(hex, 16));
+}
+
+
+/**
+ * Flattens the commands of a path to polygons.
+ * @param {Array<Object>} commands The path commands of opentype.js.
+ * @param {number} scale The scale from the path coordinates to pixels.
+ * @return {Array<Array<Array<number>>>} The polygons, as [x, y] points
+ *     in pixels.
+ */
+function flattenPath(commands, scale) {
+    var polygons = [];
+    var points = null;
+    var x = 0;
+    var y = 0;
+    const addCurve = (controls) => {
+        const all = [[x, y]].concat(controls);
+        let length = 0;
+        for (let i = 1; i < all.length; i++) {
+            length += Math.hypot(all[i][0] - all[i - 1][0],
+                                 all[i][1] - all[i - 1][1]);
+        }
+        const steps = Math.max(
+            1, Math.min(64, Math.ceil(length * scale / FLATTENING_STEP)));
+        for (let step = 1; step <= steps; step++) {
+            const t = step / steps;
+            // De Casteljau's algorithm.
+            let curve = all;
+            while (curve.length > 1) {
+                curve = curve.slice(1).map((point, i) => [
+                    curve[i][0] + (point[0] - curve[i][0]) * t,
+                    curve[i][1] + (point[1] - curve[i][1]) * t
+                ]);
+            }
+            points.push([curve[0][0] * scale, curve[0][1] * scale]);
+        }
+    };
+    for (const command of commands) {
+        if (command.type == 'M') {
+            points = [[command.x * scale, command.y * scale]];
+            polygons.push(points);
+        } else if (command.type == 'L') {
+            points.push([command.x * scale, command.y * scale]);
+        } else if (command.type == 'Q') {
+            addCurve([[command.x1, command.y1], [command.x, command.y]]);
+        } else if (command.type == 'C') {
+            addCurve([[command.x1, command.y1], [command.x2, command.y2],
+                      [command.x, command.y]]);
+        }
+        if (command.type != 'Z') {
+            x = command.x;
+            y = command.y;
+        }
+    }
+    return polygons;
+}
+
+
+/**
+ * Adds the coverage of a span of a sample line to a pixel row.
+ * @param {Float32Array} coverage The coverage of each pixel of the row.
+ * @param {number} left The left end of the span, in pixels.
+ * @param {number} right The right end of the span, in pixels.
+ * @param {number} weight The weight of the sample line.
+ */
+function addSpan(coverage, left, right, weight) {
+    left = Math.max(0, left);
+    right = Math.min(coverage.length, right);
+    if (left >= right) {
+        return;
+    }
+    const first = Math.floor(left);
+    const last = Math.floor(right);
+    if (first == last) {
+        coverage[first] += (right - left) * weight;
+        return;
+    }
+    coverage[first] += (first + 1 - left) * weight;
+    for (let x = first + 1; x < last; x++) {
+        coverage[x] += weight;
+    }
+    if (last < coverage.length) {
+        coverage[last] += (right - last) * weight;
+    }
+}
+
+
+/**
+ * Fills a path onto an image, with the nonzero winding rule.
+ * @param {Object} image The image from rasterizeScene().
+ * @param {Array<Object>} commands The path commands of opentype.js.
+ * @param {number} scale The scale from the path coordinates to pixels.
+ * @param {Array<number>} color The red, green and blue values.
+ */
+function fillPath(image, commands, scale, color) {
+    var edges = [];
+    // The bounding box of the path, to scan only the pixels it covers.
+    var [left, right, bottom] = [Infinity, -Infinity, -Infinity];
+    for (const polygon of flattenPath(commands, scale)) {
+        for (let i = 0; i < polygon.length; i++) {
+            left = Math.min(left, polygon[i][0]);
+            right = Math.max(right, polygon[i][0]);
+            bottom = Math.max(bottom, polygon[i][1]);
+            const [x0, y0] = polygon[i];
+            const [x1, y1] = polygon[(i + 1) % polygon.length];
+            if (y0 == y1) {
+                continue;
+            }
+            // The edges run downwards, with the winding of their
+            // original direction.
+            const down = y0 < y1;
+            edges.push({
+                top: down ? y0 : y1,
+                bottom: down ? y1 : y0,
+                x: down ? x0 : x1,
+                dx: (x1 - x0) / (y1 - y0),
+                winding: down ? 1 : -1
+            });
+        }
+    }
+    if (edges.length == 0) {
+        return;
+    }
+    edges.sort((a, b) => a.top - b.top);
+    const top = Math.max(0, Math.floor(edges[0].top));
+    bottom = Math.min(image.height, Math.ceil(bottom));
+    left = Math.max(0, Math.floor(left));
+    right = Math.min(image.width, Math.ceil(right));
+    var coverage = new Float32Array(image.width);
+    var active = [];
+    var next = 0;
+    for (let row = top; row < bottom; row++) {
+        coverage.fill(0, left, right);
+        for (let sample = 0; sample < SAMPLES_PER_ROW; sample++) {
+            const y = row + (sample + 0.5) / SAMPLES_PER_ROW;
+            while (next < edges.length && edges[next].top <= y) {
+                active.push(edges[next++]);
+            }
+            active = active.filter((edge) => edge.bottom > y);
+            const crossings = active
+                  .filter((edge) => edge.top <= y)
+                  .map((edge) => [edge.x + (y - edge.top) * edge.dx,
+                                  edge.winding])
+                  .sort((a, b) => a[0] - b[0]);
+            let winding = 0;
+            let spanLeft = 0;
+            for (const [x, direction] of crossings) {
+                if (winding == 0) {
+                    spanLeft = x;
+                }
+                winding += direction;
+                if (winding == 0) {
+                    addSpan(coverage, spanLeft, x, 1 / SAMPLES_PER_ROW);
+                }
+            }
+        }
+        for (let x = left; x < right; x++) {
+            const alpha = Math.min(1, coverage[x]);
+            if (alpha > 0) {
+                const offset = (row * image.width + x) * 4;
+                for (let channel = 0; channel < 3; channel++) {
+                    image.data[offset + channel] = Math.round(
+                        image.data[offset + channel] * (1 - alpha) +
+                            color[channel] * alpha);
+                }
+            }
+        }
+    }
+}
+
+
+/**
+ * Rasterizes a scene of filled paths.
+ * @param {Object} scene The width and the height in pixels, the
+ *     background color and the items to be drawn in order, each with a
+ *     path of opentype.js and a fill color, see buildSpecimen() in
+ *     font-specimen.js.
+ * @param {number=} scale The scale of the image. Defaults to 1.
+ * @return {Object} The width, the height and the RGBA pixels of the
+ *     image.
+ */
+function rasterizeScene(scene, scale) {
+    scale = scale || 1;
+    const width = Math.ceil(scene.width * scale);
+    const height = Math.ceil(scene.height * scale);
+    var image = {
+        width: width,
+        height: height,
+        data: new Uint8Array(width * height * 4)
+    };
+    const background = parseColor(scene.background);
+    for (let offset = 0; offset < image.data.length; offset += 4) {
+        image.data.set(background, offset);
+        image.data[offset + 3] = 255;
+    }
+    for (const item of scene.items) {
+        fillPath(image, item.path.commands, scale, parseColor(item.fill));
+    }
+    return image;
+}
+
+
+/**
+ * Computes the CRC-32 of a PNG chunk.
+ * @param {Buffer} bytes The chunk type and data.
+ * @return {number}
+ */
+function computeCrc(bytes) {
+    var crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+
+/**
+ * Makes a PNG chunk.
+ * @param {string} type The chunk type.
+ * @param {Buffer} data The chunk data.
+ * @return {Buffer}
+ */
+function makeChunk(type, data) {
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    var length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    var crc = Buffer.alloc(4);
+    crc.writeUInt32BE(computeCrc(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+
+/**
+ * Encodes an image as PNG, in 8-bit RGBA without filters.
+ * @param {Object} image The image from rasterizeScene().
+ * @return {Buffer} The PNG file contents.
+ */
+function encodePng(image) {
+    var header = Buffer.alloc(13);
+    header.writeUInt32BE(image.width, 0);
+    header.writeUInt32BE(image.height, 4);
+    header[8] = 8;              // Bit depth.
+    header[9] = 6;              // Color type: RGBA.
+    const rowLength = image.width * 4;
+    var raw = Buffer.alloc((rowLength + 1) * image.height);
+    for (let y = 0; y < image.height; y++) {
+        // Each row starts with its filter type, 0 for none.
+        raw.set(image.data.subarray(y * rowLength, (y + 1) * rowLength),
+                y * (rowLength + 1) + 1);
+    }
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        makeChunk('IHDR', header),
+        makeChunk('IDAT', zlib.deflateSync(raw)),
+        makeChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+
+module.exports.encodePng = encodePng;
+module.exports.parseColor = parseColor;
+module.exports.rasterizeScene = rasterizeScene;
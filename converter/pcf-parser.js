@@ -4,7 +4,36 @@
 
 
 const Parser = require('binary-parser').Parser;
+const { isGzipped, readFileHead } = require('./file-head');
 const fs = require('fs');
+const zlib = require('zlib');
+
+
+/**
+ * The magic bytes that a PCF file starts with.
+ * @type {string}
+ */
+const PCF_MAGIC = '\u0001fcp';
+
+
+/**
+ * The glyph index in the encoding table which means there is no glyph
+ * for the encoding.
+ * @type {number}
+ */
+const NO_GLYPH_INDEX = 0xFFFF;
+
+
+/**
+ * A parsed bitmap font, which the converter and the other tools take as
+ * the glyph source. PcfParser defines the accessors, and the other
+ * parsers implement the same ones: getProperty(), getProperties(),
+ * getDefaultChar(), hasGlyph(), glyphEntries(), getGlyphName(),
+ * getGlyphMetrics() and getGlyphPixels(). The parsers of greyscale
+ * sources also implement getGlyphIntensities(), see ImageParser.
+ * @typedef {PcfParser|BdfParser|ImageParser|MergedParser|OverrideParser}
+ *     BitmapFontParser
+ */
 
 
 /**
@@ -18,7 +47,8 @@ const fs = require('fs');
  */
 class PcfParser {
     /**
-     * @param {string} pcfFile The path to the PCF file to be loaded.
+     * @param {string} pcfFile The path to the PCF file to be loaded. The
+     *     file may be gzip-compressed, e.g., a .pcf.gz file.
      */
     constructor(pcfFile) {
         /** {string} */
@@ -45,6 +75,10 @@ class PcfParser {
         console.log('Reading ' + this.pcfFile + '...');
         this.rawBuffer = fs.readFileSync(this.pcfFile);
         console.log('Read ' + this.rawBuffer.length + ' bytes in total.');
+        if (isGzipped(this.rawBuffer)) {
+            this.rawBuffer = zlib.gunzipSync(this.rawBuffer);
+            console.log('Inflated to ' + this.rawBuffer.length + ' bytes.');
+        }
 
         const headerTableParser = new Parser()
             .endianess('little')
@@ -68,7 +102,7 @@ class PcfParser {
 
         console.log('Parsing PCF format...');
         this.pcf = mainParser.parse(this.rawBuffer);
-        if (this.pcf.header != '\u0001fcp') {
+        if (this.pcf.header != PCF_MAGIC) {
             throw new Error('Not a valid PCF file.');
         }
 
@@ -77,6 +111,10 @@ class PcfParser {
             table.formatString = PcfParser.tableFormatToString(table.format);
 
             switch (table.typeString) {
+            case 'PCF_PROPERTIES':
+                this.pcf.propertiesTable = this.parsePropertiesTable(
+                    table.offset, table.format);
+                break;
             case 'PCF_GLYPH_NAMES':
                 this.pcf.glyphNameTable = this.parseGlyphNameTable(
                     table.offset, table.format);
@@ -101,6 +139,17 @@ class PcfParser {
         return this.pcf;
     }
 
+    /**
+     * If the file starts with the PCF magic bytes. Gzip-compressed files
+     * are sniffed by the head of their inflated contents.
+     * @param {string} file The path to the file.
+     * @return {boolean}
+     */
+    static isPcfFile(file) {
+        return readFileHead(file).toString('latin1', 0, PCF_MAGIC.length) ==
+            PCF_MAGIC;
+    }
+
     /**
      * Converts PCF table type to string.
      * @param {number} type The table type.
@@ -165,6 +214,22 @@ class PcfParser {
         return value == 0x100;
     }
 
+    /**
+     * Returns the bitmap layout of the specified table format.
+     * @param {number} format The table format.
+     * @return {Object} The number of bytes each row is padded to, the
+     *     number of bytes of a scan unit, and whether the most
+     *     significant byte and the most significant bit come first.
+     */
+    static getBitmapLayoutFromFormat(format) {
+        return {
+            glyphPadBytes: 1 << (format & 3),
+            scanUnitBytes: 1 << (format >> 4 & 3),
+            msbByteFirst: (format & 1 << 2) != 0,
+            msbBitFirst: (format & 1 << 3) != 0
+        };
+    }
+
     /**
      * Returns the byte endianess of the specified table format.
      * @param {number} format The table format.
@@ -177,6 +242,70 @@ class PcfParser {
         return [endianess, endianessSuffix];
     }
 
+    /**
+     * Parses the properties table.
+     *
+     * Each property is a name/value pair. The value is either an
+     * integer or an offset into the string pool that follows the
+     * property array, as indicated by isStringProp.
+     * @param {number} offset The offset to locate the table in the raw buffer.
+     * @param {number} format The table format.
+     * @return {Object} The parsed object. Its properties field maps
+     *     property names to numbers or strings.
+     */
+    parsePropertiesTable(offset, format) {
+        const [endianess, endianessSuffix] =
+              PcfParser.getEndianessFromFormat(format);
+
+        const propParser = new Parser()
+              .endianess(endianess)
+              .int32('nameOffset')
+              .uint8('isStringProp')
+              .int32('value');
+
+        const tableParser = new Parser()
+              .seek(offset)
+              .endianess('little')
+              .uint32('format')
+              .endianess(endianess)
+              .uint32('propertyCount')
+              .array('props', {
+                  type: propParser,
+                  length: function() {
+                      return this.propertyCount;
+                  }
+              })
+              .seek(function() {
+                  // The property array is padded to a 4-byte boundary.
+                  return (this.propertyCount & 3) == 0 ?
+                      0 : 4 - (this.propertyCount & 3);
+              })
+              .uint32('stringSize');
+
+        var table = tableParser.parse(this.rawBuffer);
+
+        const padding = (table.propertyCount & 3) == 0 ?
+              0 : 4 - (table.propertyCount & 3);
+        var stringsOffset =
+            offset + 4 * 2 + 9 * table.propertyCount + padding + 4;
+        const readString = (stringOffset) => {
+            const stringParser = new Parser()
+                  .seek(stringsOffset + stringOffset)
+                  .string('string', {
+                      zeroTerminated: true
+                  });
+            return stringParser.parse(this.rawBuffer).string;
+        };
+
+        table.properties = {};
+        for (const prop of table.props) {
+            const name = readString(prop.nameOffset);
+            table.properties[name] = prop.isStringProp ?
+                readString(prop.value) : prop.value;
+        }
+        return table;
+    }
+
     /**
      * Parses the glyph name table.
      * @param {number} offset The offset to locate the table in the raw buffer.
@@ -295,14 +424,15 @@ class PcfParser {
                 entry.characterAttributes = 0;
             }
         } else {
-            // Uncompressed metrics format.
+            // Uncompressed metrics format. The bearings, the width, the
+            // ascent and the descent are signed values.
             entryParser
                 .endianess(endianess)
-                .uint16('leftSidedBearing')
-                .uint16('rightSideBearing')
-                .uint16('characterWidth')
-                .uint16('characterAscent')
-                .uint16('characterDescent')
+                .int16('leftSidedBearing')
+                .int16('rightSideBearing')
+                .int16('characterWidth')
+                .int16('characterAscent')
+                .int16('characterDescent')
                 .uint16('characterAttributes');
             tableParser
                 .seek(offset)
@@ -354,29 +484,157 @@ class PcfParser {
         return table;
     }
 
+    /**
+     * Returns the value of a font property, e.g., FONT_ASCENT or
+     * FAMILY_NAME.
+     * @param {string} name The property name.
+     * @return {number|string|undefined} The property value, or undefined
+     *     if the font does not define the property.
+     */
+    getProperty(name) {
+        if (this.pcf == null) {
+            throw new Error('The PCF has not been parsed yet.');
+        }
+        if (!this.pcf.propertiesTable) {
+            return undefined;
+        }
+        return this.pcf.propertiesTable.properties[name];
+    }
+
+    /**
+     * Returns all the font properties.
+     * @return {Object} Property names mapped to numbers or strings.
+     */
+    getProperties() {
+        if (this.pcf == null) {
+            throw new Error('The PCF has not been parsed yet.');
+        }
+        if (!this.pcf.propertiesTable) {
+            return {};
+        }
+        return this.pcf.propertiesTable.properties;
+    }
+
+    /**
+     * Given a glyph's encoding, returns its glyph index without falling
+     * back to the default char.
+     *
+     * Fonts with minByte1 == maxByte1 == 0 are single-byte encoded and
+     * the glyph code is looked up as byte2 alone. Otherwise byte1 is the
+     * high byte and byte2 is the low byte of the glyph code, as in
+     * ISO10646 encoded fonts.
+     * @param {number} glyphCode The encoding value, e.g., the Unicode
+     *     value of the glyph.
+     * @return {number} The glyph index, or -1 if no glyph is encoded.
+     */
+    lookupGlyphIndex(glyphCode) {
+        if (this.pcf == null) {
+            throw new Error('The PCF has not been parsed yet.');
+        }
+        const table = this.pcf.encodingTable;
+        const byte1 = glyphCode >> 8;
+        const byte2 = glyphCode & 0xFF;
+        if (glyphCode < 0 || glyphCode > 0xFFFF ||
+            byte1 < table.minByte1 || byte1 > table.maxByte1 ||
+            byte2 < table.minCharOrByte2 || byte2 > table.maxCharOrByte2) {
+            return -1;
+        }
+        const columns = table.maxCharOrByte2 - table.minCharOrByte2 + 1;
+        const glyphIndex = table.glyphIndeces[
+            (byte1 - table.minByte1) * columns +
+                (byte2 - table.minCharOrByte2)];
+        if (glyphIndex == NO_GLYPH_INDEX ||
+            glyphIndex >= this.pcf.metricsTable.metricsCount) {
+            return -1;
+        }
+        return glyphIndex;
+    }
+
+    /**
+     * Given a glyph's encoding, returns its glyph index. If the font has
+     * no glyph for the encoding, the glyph of the default char is
+     * returned instead.
+     * @param {number} glyphCode The encoding value of the glyph.
+     * @return {number} The glyph index, or -1 if neither the glyph nor
+     *     the default char is encoded.
+     */
+    getGlyphIndex(glyphCode) {
+        const glyphIndex = this.lookupGlyphIndex(glyphCode);
+        if (glyphIndex >= 0) {
+            return glyphIndex;
+        }
+        return this.lookupGlyphIndex(this.pcf.encodingTable.defaultChar);
+    }
+
+    /**
+     * Returns the encoding of the default char of the encoding table,
+     * which stands in for the glyphs missing from the font.
+     * @return {number|undefined} Undefined if the font has no glyph for
+     *     the default char.
+     */
+    getDefaultChar() {
+        const defaultChar = this.pcf.encodingTable.defaultChar;
+        return this.hasGlyph(defaultChar) ? defaultChar : undefined;
+    }
+
+    /**
+     * If the font has a glyph for the specified encoding, not counting
+     * the default char.
+     * @param {number} glyphCode The encoding value of the glyph.
+     * @return {boolean}
+     */
+    hasGlyph(glyphCode) {
+        return this.lookupGlyphIndex(glyphCode) >= 0;
+    }
+
+    /**
+     * Iterates over all the encoded glyphs, in the order of their
+     * encoding values.
+     * @return {Iterator<Array<number>>} Yields [glyphCode, glyphIndex]
+     *     pairs.
+     */
+    *glyphEntries() {
+        if (this.pcf == null) {
+            throw new Error('The PCF has not been parsed yet.');
+        }
+        const table = this.pcf.encodingTable;
+        for (let byte1 = table.minByte1; byte1 <= table.maxByte1; byte1++) {
+            for (let byte2 = table.minCharOrByte2;
+                 byte2 <= table.maxCharOrByte2;
+                 byte2++) {
+                const glyphCode = byte1 << 8 | byte2;
+                const glyphIndex = this.lookupGlyphIndex(glyphCode);
+                if (glyphIndex >= 0) {
+                    yield [glyphCode, glyphIndex];
+                }
+            }
+        }
+    }
+
     /**
      * Given a glyph's Unicode value, returns its glyph name.
      * @param {number} glyphCode The Unicode value of the glyph.
-     * @return {string}
+     * @return {string|undefined} Undefined if there is no such glyph or
+     *     the font has no glyph name table.
      */
     getGlyphName(glyphCode) {
-        if (this.pcf == null) {
-            throw new Error('The PCF has not been parsed yet.');
+        const glyphIndex = this.getGlyphIndex(glyphCode);
+        if (glyphIndex < 0 || !this.pcf.glyphNameTable) {
+            return undefined;
         }
-        const glyphIndex = this.pcf.encodingTable.glyphIndeces[glyphCode];
         return this.pcf.glyphNameTable.strings[glyphIndex];
     }
 
     /**
      * Given a glyph's Unicode value, returns its metrics.
      * @param {number} glyphCode The Unicode value of the glyph.
-     * @return {Object}
+     * @return {Object|undefined} Undefined if there is no such glyph.
      */
     getGlyphMetrics(glyphCode) {
-        if (this.pcf == null) {
-            throw new Error('The PCF has not been parsed yet.');
+        const glyphIndex = this.getGlyphIndex(glyphCode);
+        if (glyphIndex < 0) {
+            return undefined;
         }
-        const glyphIndex = this.pcf.encodingTable.glyphIndeces[glyphCode];
         return this.pcf.metricsTable.metrics[glyphIndex];
     }
 
@@ -384,13 +642,13 @@ class PcfParser {
      * Given a glyph's Unicode value, returns the byte buffer of its
      * bitmap.
      * @param {number} glyphCode The Unicode value of the glyph.
-     * @return {Buffer}
+     * @return {Buffer|undefined} Undefined if there is no such glyph.
      */
     getGlyphBitmap(glyphCode) {
-        if (this.pcf == null) {
-            throw new Error('The PCF has not been parsed yet.');
+        const glyphIndex = this.getGlyphIndex(glyphCode);
+        if (glyphIndex < 0) {
+            return undefined;
         }
-        const glyphIndex = this.pcf.encodingTable.glyphIndeces[glyphCode];
         var bitmapOffset = this.pcf.bitmapTable.offsets[glyphIndex];
         var bitmapEnd = glyphIndex < this.pcf.bitmapTable.glyphCount - 1 ?
             this.pcf.bitmapTable.offsets[glyphIndex + 1] :
@@ -399,6 +657,56 @@ class PcfParser {
         bitmapEnd += this.pcf.bitmapTable.bitmapsBaseOffset;
         return this.rawBuffer.slice(bitmapOffset, bitmapEnd);
     }
+
+    /**
+     * Given a glyph's Unicode value, decodes its bitmap to a pixel grid.
+     *
+     * The grid covers the ink box of the glyph, i.e., it has
+     * (characterAscent + characterDescent) rows and (rightSideBearing -
+     * leftSidedBearing) columns. The glyph padding, bit order, byte
+     * order and scan unit of the bitmap table are all honored.
+     * @param {number} glyphCode The Unicode value of the glyph.
+     * @return {Array<Array<boolean>>|undefined} The rows of pixels from
+     *     top to bottom, true for the black pixels. Undefined if there
+     *     is no such glyph.
+     */
+    getGlyphPixels(glyphCode) {
+        const metrics = this.getGlyphMetrics(glyphCode);
+        const bitmap = this.getGlyphBitmap(glyphCode);
+        if (!metrics || !bitmap) {
+            return undefined;
+        }
+        const layout = PcfParser.getBitmapLayoutFromFormat(
+            this.pcf.bitmapTable.format);
+        const width =
+              Math.max(0, metrics.rightSideBearing - metrics.leftSidedBearing);
+        const height =
+              Math.max(0, metrics.characterAscent + metrics.characterDescent);
+        const bytesPerRow = Math.ceil(width / (8 * layout.glyphPadBytes)) *
+              layout.glyphPadBytes;
+        // When the byte order differs from the bit order, the bytes in
+        // each scan unit are stored reversed.
+        const swapBytes = layout.msbByteFirst != layout.msbBitFirst &&
+              layout.scanUnitBytes > 1;
+
+        var pixels = [];
+        for (let y = 0; y < height; y++) {
+            const rowOffset = y * bytesPerRow;
+            let row = [];
+            for (let x = 0; x < width; x++) {
+                let byteIndex = x >> 3;
+                if (swapBytes) {
+                    const unitOffset = byteIndex % layout.scanUnitBytes;
+                    byteIndex += layout.scanUnitBytes - 1 - 2 * unitOffset;
+                }
+                const byte = bitmap[rowOffset + byteIndex] || 0;
+                const bit = layout.msbBitFirst ? 7 - (x & 7) : x & 7;
+                row.push((byte >> bit & 1) == 1);
+            }
+            pixels.push(row);
+        }
+        return pixels;
+    }
 };
 
 
@@ -1,369 +1,783 @@
-#!/usr/bin/env node --max-old-space-size=8192
-
-
-const { PcfParser } = require('./pcf-parser');
-const opentype = require('opentype.js');
+#!/usr/bin/env node
+
+
+const {
+    DEFAULT_DOT_SIZE_RANGE,
+    DEFAULT_WEIGHTS,
+    buildFamily,
+    buildStrikeFonts
+} = require('./font-family');
+const {
+    DEFAULT_METADATA,
+    DOT_SHAPES,
+    FONT_WEIGHTS,
+    convertFont,
+    findMissingGlyphs,
+    loadInputFont
+} = require('./font-converter');
+const {
+    DEFAULT_WOFF2_QUALITY,
+    FORMATS,
+    formatFromFileName,
+    writeFont
+} = require('./font-writer');
+const {
+    BITMAP_FORMATS,
+    bitmapFormatFromFileName,
+    checkBitmapRoundTrip,
+    collectBitmapFont,
+    listOmittedGlyphs,
+    writeBitmapFont
+} = require('./bitmap-font-writer');
+const {
+    ATLAS_FORMATS,
+    BIT_PACKINGS,
+    GLYPH_INDEXES,
+    ROW_PADDINGS,
+    atlasFormatFromFileName,
+    collectAtlas,
+    writeBinaryAtlas,
+    writeBmFont,
+    writeCHeader,
+    writeJsonAtlas
+} = require('./glyph-atlas');
+const { FALLBACK_SCALINGS } = require('./merged-parser');
+const { formatCodePoint } = require('./code-points');
+const { HALFTONE_CURVES } = require('./halftone');
+const { LED_PALETTES } = require('./led-matrix');
+const { SUBSET_PRESETS } = require('./glyph-subsets');
+const { validateFont } = require('./font-validator');
+const fs = require('fs');
+const path = require('path');
 const yargs = require('yargs');
 
 
-const argv = yargs
+/**
+ * Parses the command line arguments.
+ * @param {Array<string>} args The command line arguments.
+ * @return {Object}
+ */
+function parseArgs(args) {
+    return yargs(args)
       .usage('Usage: $0 [options]')
 
       .alias('i', 'input')
-      .describe('i', 'The bitmap font file to be converted, in PCF format.')
+      .describe('i',
+                'The bitmap font file to be converted, in PCF or BDF ' +
+                'format. Gzip-compressed .pcf.gz and .bdf.gz files are ' +
+                'accepted as well. Several files of different pixel ' +
+                'sizes can be given, see --strikes. A PNG glyph sheet ' +
+                'can be given with --cell_size and --charmap.')
+      .array('i')
+      .string('i')
+
+      .alias('C', 'cell_size')
+      .describe('C',
+                'The cell size of a PNG glyph sheet input, as WIDTHxHEIGHT ' +
+                'in pixels, e.g., 8x12. The cell height is the pixel ' +
+                'height of the em box.')
+      .string('C')
+
+      .alias('D', 'charmap')
+      .describe('D',
+                'The character map of a PNG glyph sheet input, a text ' +
+                'file whose lines list the characters of the rows of ' +
+                'cells, spaces included. An empty line skips a row.')
+      .string('D')
+
+      .alias('A', 'baseline')
+      .describe('A',
+                'The number of pixel rows of a cell above the baseline. ' +
+                'Defaults to the cell height.')
+      .number('A')
+
+      .alias('G', 'cell_spacing')
+      .describe('G',
+                'The horizontal and vertical gaps between the cells of a ' +
+                'glyph sheet, as X,Y or one value for both, in pixels.')
+      .string('G')
+
+      .alias('E', 'sheet_margin')
+      .describe('E',
+                'The left and top offsets of the first cell of a glyph ' +
+                'sheet, as X,Y or one value for both, in pixels.')
+      .string('E')
+
+      .alias('T', 'threshold')
+      .describe('T',
+                'The minimum darkness, from 0 to 1, of a black pixel of a ' +
+                'glyph sheet, or the minimum brightness with ' +
+                '--light_glyphs. Defaults to 0.5.')
+      .number('T')
+
+      .alias('I', 'light_glyphs')
+      .describe('I',
+                'The glyphs of the glyph sheet are light on a dark or ' +
+                'transparent background.')
+      .boolean('I')
+
+      .alias('W', 'auto_width')
+      .describe('W',
+                'Trims the blank columns on both sides of the glyphs of a ' +
+                'glyph sheet, for a proportional font, instead of giving ' +
+                'all glyphs the cell width.')
+      .boolean('W')
+
+      .alias('P', 'letter_spacing')
+      .describe('P',
+                'The blank columns after each glyph with --auto_width. ' +
+                'Defaults to 1.')
+      .number('P')
+
+      .alias('b', 'strikes')
+      .choices('b', ['embed', 'separate'])
+      .describe('b',
+                'What to do with the pixel sizes of several input files. ' +
+                '"embed", the default, makes one font with the dots of ' +
+                'the first input and the bitmaps of all the inputs, which ' +
+                'are used at their exact pixel sizes. "separate" makes a ' +
+                'font for each input, with the pixel size in the family ' +
+                'name, written to the directory given by --output. ' +
+                '"embed" also works with a single input.')
+
+      .alias('B', 'fallback')
+      .describe('B',
+                'A bitmap font that provides the glyphs missing from the ' +
+                'input font, e.g., a Latin or a symbol font for a CJK ' +
+                'font. Can be repeated; each glyph is taken from the ' +
+                'first font that has it.')
+      .array('B')
+      .string('B')
+
+      .alias('X', 'fallback_scaling')
+      .choices('X', FALLBACK_SCALINGS)
+      .describe('X',
+                'How the glyphs of the fallback fonts fit the input font. ' +
+                '"rescale" scales them to the pixel size of the input ' +
+                'font; "none" keeps their pixels. Both keep them on the ' +
+                'baseline.')
+      .default('X', 'rescale')
+
+      .alias('O', 'overrides')
+      .describe('O',
+                'A glyph override file, which patches glyphs or adds new ' +
+                'ones, drawn with # and _ as in the conversion log. Can be ' +
+                'repeated; the later files win. See README.md.')
+      .array('O')
+      .string('O')
 
       .alias('o', 'output')
-      .describe('o', 'The output OpenType font file, in OTF format.')
+      .describe('o',
+                'The output font file. Its extension, .otf, .ttf, .woff or ' +
+                '.woff2, selects the format unless --format is set. With ' +
+                '--family, the output directory. A .bdf or .pcf file, ' +
+                'optionally .gz compressed, gets the bitmaps of the ' +
+                'glyphs instead of the dots, and a .h, .json, .bin or ' +
+                '.fnt file a glyph atlas, see --format.')
+
+      .alias('m', 'format')
+      .choices('m', FORMATS.concat(BITMAP_FORMATS, ATLAS_FORMATS))
+      .describe('m',
+                'The output format. "otf" has CFF outlines; "ttf" has ' +
+                'TrueType outlines; "woff" and "woff2" are web fonts with ' +
+                'TrueType outlines; "bdf" and "pcf" are bitmap fonts with ' +
+                'the glyphs of the subset, the fallbacks and the overrides. ' +
+                'The glyph atlases have the packed bitmaps, the metrics ' +
+                'and an index of the glyphs: "h" is a C header, "json" ' +
+                'and "bin" are JSON and binary atlases, and "fnt" is a ' +
+                'BMFont descriptor with a PNG texture of the same name.')
+
+      .alias('Y', 'woff2_quality')
+      .describe('Y',
+                'The Brotli quality of the WOFF2 output, from 0 to 11. ' +
+                'The higher qualities make smaller files but take much ' +
+                'longer: 11 makes files up to 40% smaller than 9, but ' +
+                'takes minutes for a font of 20K+ glyphs. Defaults to ' +
+                DEFAULT_WOFF2_QUALITY + '.')
+      .choices('Y', Array.from({length: 12}, (_, i) => i))
+      .number('Y')
+
+      .alias('Q', 'bit_packing')
+      .describe('Q',
+                'The bit packing of the glyph atlas bitmaps: "msb" or ' +
+                '"lsb" for rows of pixels, the leftmost pixel in the most ' +
+                'or least significant bit; "columns" for bytes of 8 ' +
+                'pixels in a column, top pixel in the least significant ' +
+                'bit; "bytes" for one byte per pixel. Defaults to "msb".')
+      .choices('Q', Object.keys(BIT_PACKINGS))
+
+      .alias('R', 'row_padding')
+      .describe('R',
+                'The bits that the rows of the "msb" and "lsb" packings ' +
+                'are padded to. 1 packs the rows without padding. ' +
+                'Defaults to 8.')
+      .choices('R', ROW_PADDINGS)
+      .number('R')
+
+      .alias('N', 'glyph_index')
+      .describe('N',
+                'The index of the glyph atlas: "unicode" for code points, ' +
+                'or "gb2312" for EUC-CN codes, e.g., 0xB0A1, with the ' +
+                'glyphs out of GB 2312 left out. Defaults to "unicode".')
+      .choices('N', Object.keys(GLYPH_INDEXES))
 
       .alias('p', 'glyph_size_in_pixel')
       .describe('p',
                 'The max glyph size in pixel. E.g., 10pt Chinese bitmap font ' +
                 'usually uses 13 as the pixel size, 15 for 11pt, 16 for 12pt. ' +
-                'etc. This value could be found in the properties table of ' +
-                'the PCF file.')
-      .default('p', 13)
+                'etc. If not set, the PIXEL_SIZE property of the font file ' +
+                'is used.')
+      .number('p')
+
+      .alias('a', 'ascent_in_pixels')
+      .describe('a',
+                'The font ascent in pixels. If not set, the FONT_ASCENT ' +
+                'property of the font file is used.')
+      .number('a')
+
+      .alias('n', 'descent_in_pixels')
+      .describe('n',
+                'The font descent in pixels. If not set, the FONT_DESCENT ' +
+                'property of the font file is used.')
+      .number('n')
 
       .alias('s', 'dot_shape')
-      .choices('s', ['square', 'circle', 'diamond'])
-      .describe('s', 'The shape of dots.')
-      .default('s', 'square')
+      .describe('s',
+                'The shape of dots: one of ' + DOT_SHAPES.join(', ') +
+                ', or the path to a .js or .svg file of a custom shape. ' +
+                '"solid", "rounded-pixel", "smooth" and "beaded" draw ' +
+                'each pixel by its neighbours, e.g., "solid" merges ' +
+                'adjacent pixels into connected outlines, for a classic ' +
+                'pixel font. With --family, several shapes can be given.')
+      .array('s')
+      .default('s', ['square'])
+
+      .alias('z', 'dot_size')
+      .describe('z',
+                'The width of a dot as a fraction of the pixel size, ' +
+                'greater than 0 and at most 1. Defaults to 7/9.')
+      .number('z')
+
+      .alias('F', 'family')
+      .describe('F',
+                'If set, a family is built: a font for each dot shape and ' +
+                'weight, written to the directory given by --output. The ' +
+                'weights differ in the size of the dots.')
+      .boolean('F')
+      .default('F', false)
+
+      .alias('w', 'weights')
+      .describe('w',
+                'The weights of the family: ' +
+                Object.keys(FONT_WEIGHTS).join(', ') + '.')
+      .array('w')
+      .default('w', DEFAULT_WEIGHTS)
+
+      .alias('Z', 'dot_size_range')
+      .describe('Z',
+                'The dot sizes of the lightest and the heaviest weights of ' +
+                'the family, as fractions of the pixel size. The weights ' +
+                'in between are spread evenly.')
+      .array('Z')
+      .number('Z')
+      .default('Z', DEFAULT_DOT_SIZE_RANGE)
+
+      .alias('V', 'variable')
+      .describe('V',
+                'With --family, also builds a variable font for each dot ' +
+                'shape, with a dot size axis that runs from the lightest ' +
+                'to the heaviest weight. It is written as .ttf if the ' +
+                'format is otf.')
+      .boolean('V')
+      .default('V', false)
+
+      .alias('y', 'vertical')
+      .describe('y',
+                'If set, the font gets vertical metrics for vertical ' +
+                'writing, and the vert and vrt2 features, which turn or ' +
+                'move the full-width punctuation, e.g., the brackets and ' +
+                'the commas.')
+      .boolean('y')
+      .default('y', false)
+
+      .alias('L', 'led_palette')
+      .describe('L',
+                'Makes an LED matrix colour font, whose glyph cells show ' +
+                'the unlit dots in a dim colour under the lit dots, with ' +
+                'COLR and CPAL tables. The palette is one of ' +
+                Object.keys(LED_PALETTES).join(', ') + ', or the lit and ' +
+                'unlit colours, e.g., "#FF0000,#400000". The other ' +
+                'presets follow as alternative palettes. Without colour ' +
+                'font support, only the lit dots are shown.')
+      .string('L')
+
+      .alias('j', 'dot_option')
+      .describe('j',
+                'An option of the dot shape, as name=value, e.g., ' +
+                'radius=0.3 for rounded-square. Can be repeated.')
+      .array('j')
+      .string('j')
+
+      .alias('H', 'halftone')
+      .describe('H',
+                'Makes halftone dots, whose sizes follow the intensities ' +
+                'of the pixels blurred at the stroke edges, instead of ' +
+                'all having the dot size.')
+      .boolean('H')
+
+      .alias('K', 'halftone_option')
+      .describe('K',
+                'A halftone option, as name=value: blur (in pixels), ' +
+                'threshold (the minimum intensity of a dot), minDotSize, ' +
+                'maxDotSize (defaults to the dot size) or curve (' +
+                Object.keys(HALFTONE_CURVES).join(', ') + ', or a gamma ' +
+                'exponent). Can be repeated. Implies --halftone.')
+      .array('K')
+      .string('K')
 
       .alias('t', 'font_style')
-      .describe('t', 'The style of the generated font.')
-      .default('t', 'Regular')
+      .describe('t',
+                'The style of the generated font. If not set, it is derived ' +
+                'from the WEIGHT_NAME property of the font file.')
 
       .alias('f', 'family_name')
-      .describe('f', 'The family name of the generated font.')
+      .describe('f',
+                'The family name of the generated font. If not set, the ' +
+                'FAMILY_NAME property of the font file is used.')
 
       .alias('r', 'font_version')
       .describe('r', 'The version of the generated font.')
-      .default('r', '0.1')
+      .default('r', DEFAULT_METADATA.version)
 
       .alias('e', 'font_designer')
       .describe('e', 'The designer of the generated font.')
-      .default('e', 'wixette')
+      .default('e', DEFAULT_METADATA.designer)
 
       .alias('c', 'font_copyright')
-      .describe('c', 'The copyright of the generated font.')
-      .default('c', 'Copyright (C) 2020 wixette')
+      .describe('c',
+                'The copyright of the generated font. If not set, the ' +
+                'COPYRIGHT property of the font file is used, or ' +
+                JSON.stringify(DEFAULT_METADATA.copyright) + '.')
 
       .alias('l', 'font_license')
       .describe('l', 'The license of the generated font.')
-      .default('l', 'GPL 2.0')
+      .default('l', DEFAULT_METADATA.license)
+
+      .alias('u', 'subset')
+      .describe('u',
+                'The glyphs to be output, as presets, Unicode ranges and ' +
+                'character files joined by + and -, e.g., "gb2312 + ' +
+                'U+3000-303F - @excluded.txt". The presets are ' +
+                SUBSET_PRESETS.join(', ') + '. "@file" takes the unique ' +
+                'characters of a text file, or of the strings of a .json ' +
+                'file. Defaults to "all".')
+      .string('u')
+
+      .alias('M', 'missing_report')
+      .describe('M',
+                'A text file to write the code points of the subset that ' +
+                'the input font has no glyphs for, one per line. Not ' +
+                'written if the subset takes "all".')
+      .string('M')
+
+      .alias('x', 'default_char')
+      .describe('x',
+                'If set, the .notdef glyph, which stands in for the ' +
+                'missing characters, is drawn from the default char of ' +
+                'the input font instead of as a dotted box.')
+      .boolean('x')
+      .default('x', false)
 
       .alias('d', 'dry_run')
       .describe('d',
                 'Only exports a few hundreds of glyphs to the target font, ' +
-                'for testing purposes.')
+                'for testing purposes. The same as --subset ascii.')
       .boolean('d')
       .default('d', false)
 
       .alias('g', 'gb2312_only')
-      .describe('g', 'If set, only GB2312 Chinese glyphs are output.')
+      .describe('g',
+                'If set, only GB2312 Chinese glyphs are output. The same ' +
+                'as --subset gb2312.')
       .boolean('g')
       .default('g', false)
 
-      .demandOption(['i', 'o', 'f'])
+      .alias('k', 'validate')
+      .describe('k',
+                'If set, the output font is parsed again and checked for ' +
+                'format problems and against the input font, or, for a ' +
+                'bitmap font, compared with the glyphs it was written ' +
+                'from. The exit code is non-zero if any check fails.')
+      .boolean('k')
+      .default('k', false)
+
+      .demandOption(['i', 'o'])
       .help('h')
       .alias('h', 'help')
       .alias('v', 'version')
       .argv;
-
-
-// Characters to render the bitmap.
-const WHITE_PIXEL = '_';
-const BLACK_PIXEL = '#';
-
-
-// Basic metrics.
-const PIXEL_HEIGHT = argv.glyph_size_in_pixel;
-const DEFAULT_ASCENT_IN_PIXELS = PIXEL_HEIGHT - 2;
-const UNITS_PER_EM = 1000;
-const PIXEL_SIZE = UNITS_PER_EM / PIXEL_HEIGHT;
-const PIXEL_PADDING = PIXEL_SIZE / 9;
-const BYTES_PER_LINE = 4;
-const DESCENDER_HEIGHT = PIXEL_SIZE * 3;
-
-
-/**
- * Unicode set that covers ASCII glyphs.
- * @type {Set}
- */
-const ASCII_SET = (function() {
-    let ret = new Set();
-    for (let code = 0x20; code <= 0xFF; code++)
-        ret.add(code);
-    return ret;
-})();
+}
 
 
 /**
- * Unicode set that covers GB2312 glyphs.
- * @type {Set}
+ * Parses a pair of sizes in pixels given as XxY, X,Y or one value for
+ * both.
+ * @param {string} value The pair.
+ * @param {string} name The option name, for the error message.
+ * @return {Array<number>|undefined} Undefined if the value is not set.
  */
-const GB2312_SET = (function() {
-    let ret = new Set();
-    const gbkDecoder = new TextDecoder('GBK');
-    for (let byte1 = 0xA1; byte1 <= 0xA9; byte1++) {
-        for (let byte2 = 0xA1; byte2 <= 0xFE; byte2++) {
-            const bytes = new Uint8Array([byte1, byte2]);
-            const char = gbkDecoder.decode(bytes);
-            ret.add(char.charCodeAt(0));
-        }
+function parsePixelPair(value, name) {
+    if (value == undefined) {
+        return undefined;
     }
-    for (let byte1 = 0xB0; byte1 <= 0xF7; byte1++) {
-        for (let byte2 = 0xA1; byte2 <= 0xFE; byte2++) {
-            const bytes = new Uint8Array([byte1, byte2]);
-            const char = gbkDecoder.decode(bytes);
-            ret.add(char.charCodeAt(0));
-        }
+    const match = /^(\d+)(?:[x,](\d+))?$/.exec(value);
+    if (!match) {
+        throw new Error('Invalid --' + name + ': ' + value + '. Give two ' +
+                        'values as XxY or X,Y, or one for both, in ' +
+                        'pixels.');
     }
-    return ret;
-})();
+    return [Number(match[1]), Number(match[2] || match[1])];
+}
 
 
 /**
- * Converts a byte to a 8-char string.
- * @param {number} byte The byte.
- * @return {string} Binary zero will be replaced with WHITE_PIXEL and
- *    one will be replaced with BLACK_PIXEL.
+ * Collects the layout of a PNG glyph sheet input from the command line
+ * arguments.
+ * @param {Object} argv The parsed command line arguments.
+ * @return {Object|undefined} The layout, see ImageParser, or undefined if
+ *     no cell size is given.
  */
-function byteToBinaryString(byte) {
-    var binaryString = parseInt(byte, 10).toString(2);
-    var paddedString = ('00000000' + binaryString).substr(-8);
-    return paddedString.replace(/0/g, WHITE_PIXEL).replace(/1/g, BLACK_PIXEL);
+function parseImageSheet(argv) {
+    if (argv.cell_size == undefined) {
+        return undefined;
+    }
+    const [cellWidth, cellHeight] = parsePixelPair(argv.cell_size,
+                                                   'cell_size');
+    return {
+        cellWidth: cellWidth,
+        cellHeight: cellHeight,
+        charmap: argv.charmap,
+        baseline: argv.baseline,
+        spacing: parsePixelPair(argv.cell_spacing, 'cell_spacing'),
+        margin: parsePixelPair(argv.sheet_margin, 'sheet_margin'),
+        threshold: argv.threshold,
+        lightGlyphs: argv.light_glyphs,
+        autoWidth: argv.auto_width,
+        letterSpacing: argv.letter_spacing
+    };
 }
 
 
 /**
- * Converts a glyph's bitmap to a set of binary string lines.
- * @param {Buffer} bitmap The glyph bitmap.
- * @param {number} width The pixel width of the bitmap.
- * @return {Array<string>} The renderred string lines.
+ * Parses the dot shape or halftone options given as name=value strings.
+ * @param {Array<string>} dotOptions The options.
+ * @return {Object} The option values keyed by name. Numeric values are
+ *     converted to numbers.
  */
-function bitmapToBinaryLines(bitmap, width) {
-    var lines = [];
-    for (let i = 0; i < bitmap.length; i += BYTES_PER_LINE) {
-        let line = '';
-        for (let j = 0; j < BYTES_PER_LINE; j++) {
-            line += byteToBinaryString(bitmap[i + j]);
+function parseDotOptions(dotOptions) {
+    var options = {};
+    for (const option of dotOptions || []) {
+        const match = /^([^=]+)=(.*)$/.exec(option);
+        if (!match) {
+            throw new Error('Options must be given as name=value: ' +
+                            option);
         }
-        lines.push(line.slice(0, width));
+        const [, name, value] = match;
+        options[name] = value.trim() != '' && !isNaN(value) ?
+            Number(value) : value;
     }
-    return lines;
+    return options;
 }
 
 
 /**
- * Returns if the glyph should be output to the target font file.
- * @param {number} glyphCode The Unicode value of the glyph.
- * @return {boolean}
+ * Prints the problems found by the validation, at most maxPerCheck of
+ * each check.
+ * @param {Array<Object>} problems The problems from validateFont().
+ * @param {number} maxPerCheck
  */
-function isAcceptedGlyph(glyphCode) {
-    if (argv.dry_run) {
-        return ASCII_SET.has(glyphCode);
-    } else if (argv.gb2312_only) {
-        return ASCII_SET.has(glyphCode) || GB2312_SET.has(glyphCode);
-    } else {
-        return true;
+function printProblems(problems, maxPerCheck) {
+    var counts = new Map();
+    for (const problem of problems) {
+        const count = (counts.get(problem.check) || 0) + 1;
+        counts.set(problem.check, count);
+        if (count <= maxPerCheck) {
+            console.log(problem.severity.toUpperCase() + ' [' +
+                        problem.check + '] ' + problem.message);
+        }
+    }
+    for (const [check, count] of counts) {
+        if (count > maxPerCheck) {
+            console.log('... ' + (count - maxPerCheck) + ' more [' + check +
+                        '] problems.');
+        }
     }
 }
 
 
 /**
- * Converts screen coordinate to font coordinate.
- * @param {number} x X value in screen coordinate system.
- * @param {number} y Y value in screen coordinate system.
- * @param {glyphTop} glyphTop The top location of a glyph in font
- *     coordinate system.
- * @return {Object} x and y in font coordinate system.
+ * Validates an output font and prints the problems.
+ * @param {string} fileName The file name of the font.
+ * @param {Buffer} fontBuffer The font file contents.
+ * @param {Object} options The conversion options of the font.
+ * @return {number} The number of errors.
  */
-function ScreenXyToFontXy(x, y, glyphTop) {
-    return [Math.round(x), Math.round(glyphTop - y)];
+function validateOutput(fileName, fontBuffer, options) {
+    console.log('Validating ' + fileName);
+    const problems = validateFont(fontBuffer, options);
+    printProblems(problems, 10);
+    const errors = problems.filter((problem) => problem.severity == 'error');
+    console.log(errors.length + ' errors, ' +
+                (problems.length - errors.length) + ' warnings.');
+    return errors.length;
 }
 
 
 /**
- * Draws a square dot.
- * @param {opentype.Path} path The opentyp path.
- * @param {number} left The left location of the bound box.
- * @param {number} top The top location of the bound box.
- * @param {number} right The left location of the bound box.
- * @param {number} bottom The left location of the bound box.
+ * Writes the glyphs of the input font back to a bitmap font, as
+ * specified by the command line arguments.
+ * @param {Object} argv The parsed command line arguments.
+ * @param {Object} options The conversion options.
+ * @param {string} format One of BITMAP_FORMATS.
  */
-function drawSquareDot(path, left, top, right, bottom) {
-    path.moveTo(left, top);
-    path.lineTo(left, bottom);
-    path.lineTo(right, bottom);
-    path.lineTo(right, top);
-    path.lineTo(left, top);
+function writeBitmapOutput(argv, options, format) {
+    if (argv.input.length > 1 || argv.family) {
+        throw new Error('A bitmap font is written from a single input, ' +
+                        'without --family.');
+    }
+    const font = collectBitmapFont(
+        options.parser || loadInputFont(options), options);
+    const omitted = listOmittedGlyphs(font, format);
+    if (omitted.length > 0) {
+        console.log('Warning: ' + omitted.length + ' glyphs beyond the ' +
+                    'BMP, from ' + formatCodePoint(omitted[0].code) +
+                    ', are left out of the PCF font. BDF keeps them.');
+    }
+    console.log('Outputing ' + (font.glyphs.length - omitted.length) +
+                ' glyph bitmaps to ' + argv.output + ', in ' +
+                format.toUpperCase() + ' format');
+    fs.writeFileSync(argv.output, writeBitmapFont(
+        font, format, /\.gz$/i.test(argv.output)));
+    console.log('Done.');
+
+    if (argv.validate) {
+        console.log('Validating ' + argv.output);
+        const problems = checkBitmapRoundTrip(argv.output, font,
+                                              format);
+        printProblems(problems, 10);
+        console.log(problems.length + ' errors, 0 warnings.');
+        if (problems.length > 0) {
+            process.exitCode = 1;
+        }
+    }
 }
 
+
 /**
- * Draws a diamond dot.
- * @param {opentype.Path} path The opentyp path.
- * @param {number} left The left location of the bound box.
- * @param {number} top The top location of the bound box.
- * @param {number} right The left location of the bound box.
- * @param {number} bottom The left location of the bound box.
+ * Writes the packed glyph bitmaps of the input font to a glyph atlas, as
+ * specified by the command line arguments.
+ * @param {Object} argv The parsed command line arguments.
+ * @param {Object} options The conversion options.
+ * @param {string} format One of ATLAS_FORMATS.
  */
-function drawDiamondDot(path, left, top, right, bottom) {
-    const RADIUS = (right - left) / 2;
-    path.moveTo(left + RADIUS, top);
-    path.lineTo(left, top - RADIUS);
-    path.lineTo(left + RADIUS, bottom);
-    path.lineTo(right, top - RADIUS);
-    path.lineTo(left + RADIUS, top);
+function writeAtlasOutput(argv, options, format) {
+    if (argv.input.length > 1 || argv.family) {
+        throw new Error('A glyph atlas is written from a single input, ' +
+                        'without --family.');
+    }
+    if (argv.validate) {
+        console.log('Warning: --validate does not apply to glyph ' +
+                    'atlases.');
+    }
+    const atlas = collectAtlas(
+        options.parser || loadInputFont(options), Object.assign(
+            {}, options, {
+                atlas: {
+                    packing: argv.bit_packing,
+                    rowPadding: argv.row_padding,
+                    index: argv.glyph_index
+                }
+            }));
+    if (atlas.missingCount > 0) {
+        console.log('Warning: ' + atlas.missingCount + ' glyphs are not ' +
+                    'in the ' + atlas.options.index + ' index and are ' +
+                    'left out.');
+    }
+    console.log('Outputing ' + atlas.glyphs.length + ' glyph bitmaps to ' +
+                argv.output + ', in ' + format.toUpperCase() + ' format');
+    if (format == 'fnt') {
+        const pngFileName = argv.output.replace(/(\.fnt)?$/i, '.png');
+        const bmFont = writeBmFont(atlas, path.basename(pngFileName));
+        fs.writeFileSync(argv.output, bmFont.fnt);
+        fs.writeFileSync(pngFileName, bmFont.png);
+        console.log('Written the texture ' + pngFileName);
+    } else {
+        fs.writeFileSync(argv.output, format == 'h' ?
+                         writeCHeader(atlas, path.basename(argv.output)) :
+                         format == 'json' ? writeJsonAtlas(atlas) :
+                         writeBinaryAtlas(atlas));
+    }
+    console.log('Done.');
 }
 
+
 /**
- * Draws a circle dot.
- * @param {opentype.Path} path The opentyp path.
- * @param {number} left The left location of the bound box.
- * @param {number} top The top location of the bound box.
- * @param {number} right The left location of the bound box.
- * @param {number} bottom The left location of the bound box.
+ * Writes the code points of the subset that the input font has no
+ * glyphs for, as U+XXXX and the character on each line.
+ * @param {string} fileName The report file name.
+ * @param {BitmapFontParser} parser The parser that has loaded the input
+ *     font.
+ * @param {string} subset The subset expression.
  */
-function drawCircleDot(path, left, top, right, bottom) {
-    // Cubic Bézier approximation to a circular arc (1/4 of a full
-    // circle): P0 = (0,1), P1 = (c,1), P2 = (1,c), P3 = (1,0)
-    const C = 0.551915;
-    const RADIUS = (right - left) / 2;
-    path.moveTo(left + RADIUS, top);
-    path.curveTo(left + RADIUS - RADIUS * C, top,
-                 left, top - RADIUS + RADIUS * C,
-                 left, top - RADIUS);
-    path.curveTo(left, top - RADIUS - RADIUS * C,
-                 left + RADIUS - RADIUS * C, bottom,
-                 left + RADIUS, bottom);
-    path.curveTo(left + RADIUS + RADIUS * C, bottom,
-                 right, top - RADIUS - RADIUS * C,
-                 right, top - RADIUS);
-    path.curveTo(right, top - RADIUS + RADIUS * C,
-                 left + RADIUS + RADIUS * C, top,
-                 left + RADIUS, top);
+function writeMissingReport(fileName, parser, subset) {
+    const missingCodes = findMissingGlyphs(parser, subset);
+    if (missingCodes == null) {
+        console.log('Warning: the subset ' + JSON.stringify(subset) +
+                    ' takes "all", no missing glyph report is written.');
+        return;
+    }
+    fs.writeFileSync(fileName, missingCodes.map(
+        (code) => formatCodePoint(code) + '\t' +
+            String.fromCodePoint(code) + '\n').join(''));
+    console.log('Written ' + fileName + ': ' + missingCodes.length +
+                ' code points of the subset are missing.');
 }
 
 
 /**
- * Vectorizes a bitmap glyph.
- * @param {Object} glyphInfo The info of the specified glyph.
- * @return {opentype.Glyph}
+ * Writes the fonts of a family, or of several pixel sizes, to the
+ * output directory.
+ * @param {Object} argv The parsed command line arguments.
+ * @param {Iterable<Object>} fonts The fonts from buildFamily() or
+ *     buildStrikeFonts().
  */
-function vectorizeGlyph(glyphInfo) {
-    const width = glyphInfo.metrics.characterWidth;
-    const glyphWidth = width * PIXEL_SIZE;
-    const glyphTop = PIXEL_HEIGHT * PIXEL_SIZE - DESCENDER_HEIGHT;
-    const xOffset = glyphInfo.metrics.leftSidedBearing * PIXEL_SIZE;
-    const yOffset = (DEFAULT_ASCENT_IN_PIXELS -
-                     glyphInfo.metrics.characterAscent) * PIXEL_SIZE;
-    const binaryLines = bitmapToBinaryLines(glyphInfo.bitmap, width);
-
-    const path = new opentype.Path();
-    for (let y = 0; y < binaryLines.length; y++) {
-        const line = binaryLines[y];
-        console.log(line);
-
-        for (let x = 0; x < line.length; x++) {
-            if (line[x] == BLACK_PIXEL) {
-                const x1 = xOffset + x * PIXEL_SIZE + PIXEL_PADDING;
-                const y1 = yOffset + y * PIXEL_SIZE + PIXEL_PADDING;
-                const [left, top] = ScreenXyToFontXy(x1, y1, glyphTop);
-                const x2 = xOffset + (x + 1) * PIXEL_SIZE - PIXEL_PADDING;
-                const y2 = yOffset + (y + 1) * PIXEL_SIZE - PIXEL_PADDING;
-                const [right, bottom] = ScreenXyToFontXy(x2, y2, glyphTop);
-
-                switch (argv.dot_shape) {
-                case 'square':
-                    drawSquareDot(path, left, top, right, bottom);
-                    break;
-                case 'circle':
-                    drawCircleDot(path, left, top, right, bottom);
-                    break;
-                case 'diamond':
-                    drawDiamondDot(path, left, top, right, bottom);
-                    break;
-                }
-            }
+function writeFonts(argv, fonts) {
+    fs.mkdirSync(argv.output, {recursive: true});
+    var errorCount = 0;
+    for (const font of fonts) {
+        const fileName = path.join(argv.output, font.fileName);
+        fs.writeFileSync(fileName, font.buffer);
+        console.log('Written ' + fileName);
+        if (argv.validate) {
+            errorCount += validateOutput(fileName, font.buffer, font.options);
         }
     }
-    path.close();
-
-    const fontGlyph = new opentype.Glyph({
-        name: glyphInfo.name,
-        unicode: glyphInfo.code,
-        advanceWidth: glyphWidth,
-        path: path
-    });
-    return fontGlyph;
+    if (errorCount > 0) {
+        process.exitCode = 1;
+    }
 }
 
 
 /**
- * Converts the input PCF font to the target OpenType font.
+ * Converts the input bitmap font to the target OpenType font, as
+ * specified by the command line arguments.
+ * @param {Array<string>} args The command line arguments.
  */
-function convert() {
-    var parser = new PcfParser(argv.input);
-    parser.parse();
-
-    var glyphs = [];
-    for (let code = 0;
-         code < parser.pcf.encodingTable.glyphIndeces.length;
-         code++) {
-        const index = parser.pcf.encodingTable.glyphIndeces[code];
-        if (index >= 0 &&
-            index < parser.pcf.metricsTable.metricsCount &&
-            isAcceptedGlyph(code)) {
-            glyphs.push({
-                code: code,
-                index: index,
-                name: parser.getGlyphName(code),
-                metrics: parser.getGlyphMetrics(code),
-                bitmap: parser.getGlyphBitmap(code)
-            });
+function main(args) {
+    const argv = parseArgs(args);
+    const inputs = argv.input;
+    const strikes = argv.strikes || (inputs.length > 1 ? 'embed' : null);
+    if (inputs.length > 1 && (argv.glyph_size_in_pixel != undefined ||
+                              argv.ascent_in_pixels != undefined ||
+                              argv.descent_in_pixels != undefined)) {
+        throw new Error('The pixel size, ascent and descent can only be ' +
+                        'set for a single input.');
+    }
+    const options = {
+        input: inputs[0],
+        bitmapStrikes: strikes == 'embed' ? inputs : undefined,
+        fallbacks: argv.fallback,
+        fallbackScaling: argv.fallback_scaling,
+        overrides: argv.overrides,
+        vertical: argv.vertical,
+        ledPalette: argv.led_palette,
+        defaultChar: argv.default_char,
+        glyphSize: argv.glyph_size_in_pixel,
+        ascent: argv.ascent_in_pixels,
+        descent: argv.descent_in_pixels,
+        dotSize: argv.dot_size,
+        dotOptions: parseDotOptions(argv.dot_option),
+        imageSheet: parseImageSheet(argv),
+        halftone: argv.halftone || argv.halftone_option ?
+            parseDotOptions(argv.halftone_option) : undefined,
+        subset: argv.subset || (argv.dry_run ? 'ascii' :
+                                argv.gb2312_only ? 'gb2312' : 'all'),
+        metadata: {
+            familyName: argv.family_name,
+            styleName: argv.font_style,
+            version: argv.font_version,
+            designer: argv.font_designer,
+            copyright: argv.font_copyright,
+            license: argv.font_license
+        },
+        woff2Quality: argv.woff2_quality,
+        verbose: true
+    };
+    if (!argv.family && argv.dot_shape.length != 1) {
+        throw new Error('Only one dot shape can be given without --family.');
+    }
+    options.dotShape = argv.dot_shape[0];
+    if (argv.missing_report) {
+        // The family builds share the parser.
+        if (strikes != 'separate') {
+            options.parser = loadInputFont(options);
         }
+        writeMissingReport(argv.missing_report,
+                           options.parser || loadInputFont(options),
+                           options.subset);
     }
-    console.log('Number of glyphs to be converted: ' + glyphs.length);
-
-    // Create the bézier paths for each of the glyphs.
-    // Note that the .notdef glyph is required.
-    const notdefGlyph = new opentype.Glyph({
-        name: '.notdef',
-        unicode: 0,
-        advanceWidth: 8 * PIXEL_SIZE,
-        path: new opentype.Path()
-    });
-    var fontGlyphs = [notdefGlyph];
-
-    for (let i = 0; i < glyphs.length; i++) {
-        console.log();
-        console.log((i / glyphs.length * 100) + '% done.');
-        console.log('Creating vector glyph for glyph: ' + glyphs[i].name +
-                    ', U+' + glyphs[i].encoding +
-                    ', W=' + glyphs[i].metrics.characterWidth);
-        console.log();
-        fontGlyphs.push(vectorizeGlyph(glyphs[i]));
-        console.log();
+    const bitmapFormat = argv.format ?
+          BITMAP_FORMATS.find((format) => format == argv.format) :
+          bitmapFormatFromFileName(argv.output);
+    if (bitmapFormat) {
+        writeBitmapOutput(argv, options, bitmapFormat);
+        return;
     }
-
-    console.log('Number of glyphs to be output: ' + glyphs.length);
-    console.log('Outputing font glyphs to ' + argv.output);
-    const font = new opentype.Font({
-        familyName: argv.family_name,
-        styleName: argv.font_style,
-        copyright: argv.font_copyright,
-        designer: argv.font_designer,
-        license: argv.font_license,
-        version: argv.font_version,
-        unitsPerEm: UNITS_PER_EM,
-        ascender: PIXEL_HEIGHT * PIXEL_SIZE - DESCENDER_HEIGHT,
-        descender: -DESCENDER_HEIGHT,
-        glyphs: fontGlyphs
-    });
-
-    font.download(argv.output);
+    const atlasFormat = argv.format ?
+          ATLAS_FORMATS.find((format) => format == argv.format) :
+          atlasFormatFromFileName(argv.output);
+    if (atlasFormat) {
+        writeAtlasOutput(argv, options, atlasFormat);
+        return;
+    }
+    const familyOptions = {
+        dotShapes: argv.dot_shape,
+        weights: argv.weights,
+        dotSizeRange: argv.dot_size_range,
+        format: argv.format || 'otf',
+        variable: argv.variable
+    };
+    if (strikes == 'separate') {
+        writeFonts(argv, buildStrikeFonts(Object.assign(
+            {}, options, familyOptions, {
+                inputs: inputs,
+                family: argv.family
+            })));
+        return;
+    }
+    if (argv.family) {
+        writeFonts(argv, buildFamily(Object.assign(
+            {}, options, familyOptions)));
+        return;
+    }
+    // The validation shares the parser, which has applied the overrides.
+    options.parser = options.parser || loadInputFont(options);
+    const font = convertFont(options);
+
+    const format = argv.format || formatFromFileName(argv.output);
+    console.log('Outputing font glyphs to ' + argv.output + ', in ' +
+                format.toUpperCase() + ' format');
+    const fontBuffer = writeFont(font, format, options);
+    fs.writeFileSync(argv.output, fontBuffer);
     console.log('Done.');
+
+    if (argv.validate &&
+        validateOutput(argv.output, fontBuffer, options) > 0) {
+        process.exitCode = 1;
+    }
 }
 
 
-convert();
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview A PNG decoder in JavaScript, for the glyph sheets of
+ * image-parser.js. It reads all the standard formats: greyscale, RGB and
+ * palette images, with or without alpha, of any bit depth, interlaced or
+ * not. Only the image data and the transparency are read; gamma and
+ * colour profiles are ignored.
+ *
+ * http://www.libpng.org/pub/png/spec/1.2/PNG-Contents.html provides a
+ * detailed description for the PNG format.
+ */
+
+
+const zlib = require('zlib');
+
+
+/**
+ * The PNG file signature.
+ * @type {Buffer}
+ */
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+
+/**
+ * The number of samples per pixel of each color type.
+ * @type {Object<number, number>}
+ */
+const SAMPLES_PER_PIXEL = {
+    0: 1,                       // Greyscale.
+    2: 3,                       // RGB.
+    3: 1,                       // Palette.
+    4: 2,                       // Greyscale with alpha.
+    6: 4                        // RGBA.
+};
+
+
+/**
+ * The passes of the Adam7 interlacing, each with the x and y of its first
+ * pixel and its x and y steps.
+ * @type {Array<Array<number>>}
+ */
+const ADAM7_PASSES = [
+    [0, 0, 8, 8],
+    [4, 0, 8, 8],
+    [0, 4, 4, 8],
+    [2, 0, 4, 4],
+    [0, 2, 2, 4],
+    [1, 0, 2, 2],
+    [0, 1, 1, 2]
+];
+
+
+/**
+ * If the file content looks like a PNG file.
+ * @param {Buffer} buffer The file content, or at least its first 8 bytes.
+ * @return {boolean}
+ */
+function isPng(buffer) {
+    return buffer.length >= PNG_SIGNATURE.length &&
+        buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+}
+
+
+/**
+ * Reads the chunks of a PNG file.
+ * @param {Buffer} buffer The file content.
+ * @return {Object} The header fields, the palette, the transparency and
+ *     the concatenated image data.
+ */
+function readChunks(buffer) {
+    var png = {header: null, palette: null, transparency: null, data: []};
+    var offset = PNG_SIGNATURE.length;
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        if (data.length < length) {
+            throw new Error('Truncated PNG chunk: ' + type);
+        }
+        // Each chunk ends with its CRC.
+        offset += 12 + length;
+        if (type == 'IHDR') {
+            png.header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type == 'PLTE') {
+            png.palette = data;
+        } else if (type == 'tRNS') {
+            png.transparency = data;
+        } else if (type == 'IDAT') {
+            png.data.push(data);
+        } else if (type == 'IEND') {
+            break;
+        }
+    }
+    if (!png.header) {
+        throw new Error('The PNG file has no IHDR chunk.');
+    }
+    png.data = Buffer.concat(png.data);
+    return png;
+}
+
+
+/**
+ * Reverses the filters of the scanlines of an image or an interlacing
+ * pass, in place.
+ * @param {Buffer} data The filtered scanlines, each led by its filter
+ *     type.
+ * @param {number} offset The offset of the first scanline.
+ * @param {number} rowLength The length of a scanline without the filter
+ *     type, in bytes.
+ * @param {number} height The number of scanlines.
+ * @param {number} pixelLength The length of a pixel in bytes, rounded up
+ *     to 1.
+ * @return {Array<Buffer>} The unfiltered scanlines.
+ */
+function unfilterRows(data, offset, rowLength, height, pixelLength) {
+    var rows = [];
+    var previous = Buffer.alloc(rowLength);
+    for (let y = 0; y < height; y++) {
+        const start = offset + y * (rowLength + 1);
+        const filter = data[start];
+        let row = data.subarray(start + 1, start + 1 + rowLength);
+        if (row.length < rowLength) {
+            throw new Error('The PNG image data is truncated.');
+        }
+        for (let i = 0; i < rowLength; i++) {
+            const left = i >= pixelLength ? row[i - pixelLength] : 0;
+            const up = previous[i];
+            const upLeft = i >= pixelLength ? previous[i - pixelLength] : 0;
+            switch (filter) {
+            case 0:
+                break;
+            case 1:
+                row[i] += left;
+                break;
+            case 2:
+                row[i] += up;
+                break;
+            case 3:
+                row[i] += (left + up) >> 1;
+                break;
+            case 4: {
+                // The Paeth predictor.
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left);
+                const pb = Math.abs(p - up);
+                const pc = Math.abs(p - upLeft);
+                row[i] += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+                break;
+            }
+            default:
+                throw new Error('Unknown PNG filter type: ' + filter);
+            }
+        }
+        rows.push(row);
+        previous = row;
+    }
+    return rows;
+}
+
+
+/**
+ * Decodes a PNG file to 8-bit RGBA pixels. 16-bit samples are reduced to
+ * 8 bits, and lower bit depths are scaled up.
+ * @param {Buffer} buffer The file content.
+ * @return {Object} The width, the height and the RGBA pixels of the
+ *     image, row by row.
+ */
+function decodePng(buffer) {
+    if (!isPng(buffer)) {
+        throw new Error('Not a valid PNG file.');
+    }
+    const png = readChunks(buffer);
+    const {width, height, bitDepth, colorType, interlace} = png.header;
+    const samples = SAMPLES_PER_PIXEL[colorType];
+    if (samples == undefined || ![1, 2, 4, 8, 16].includes(bitDepth)) {
+        throw new Error('Unsupported PNG color type ' + colorType +
+                        ' with bit depth ' + bitDepth);
+    }
+    if (colorType == 3 && !png.palette) {
+        throw new Error('The PNG palette image has no PLTE chunk.');
+    }
+    const raw = zlib.inflateSync(png.data);
+    const pixelBits = samples * bitDepth;
+    const pixelLength = Math.max(1, pixelBits >> 3);
+    const maxSample = (1 << bitDepth) - 1;
+    // The transparent sample values of greyscale and RGB images.
+    const transparency = png.transparency;
+    const colorKey = colorType == 0 && transparency ?
+          [transparency.readUInt16BE(0)] :
+          colorType == 2 && transparency ?
+          [0, 2, 4].map((i) => transparency.readUInt16BE(i)) : null;
+
+    var image = {
+        width: width,
+        height: height,
+        data: new Uint8Array(width * height * 4)
+    };
+    const readSample = (row, x, sample) => {
+        if (bitDepth == 16) {
+            return row.readUInt16BE((x * samples + sample) * 2);
+        }
+        if (bitDepth == 8) {
+            return row[x * samples + sample];
+        }
+        const bit = (x * samples + sample) * bitDepth;
+        return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    };
+    const to8Bits = (value) => bitDepth == 16 ? value >> 8 :
+          Math.round(value * 255 / maxSample);
+    const setPixel = (row, x, imageX, imageY) => {
+        const offset = (imageY * width + imageX) * 4;
+        const values = [];
+        for (let sample = 0; sample < samples; sample++) {
+            values.push(readSample(row, x, sample));
+        }
+        let rgba;
+        if (colorType == 3) {
+            const index = values[0];
+            rgba = [png.palette[index * 3], png.palette[index * 3 + 1],
+                    png.palette[index * 3 + 2],
+                    transparency && index < transparency.length ?
+                    transparency[index] : 255];
+        } else {
+            const grey = colorType == 0 || colorType == 4;
+            const color = grey ? [values[0], values[0], values[0]] :
+                  values.slice(0, 3);
+            let alpha = 255;
+            if (colorType == 4 || colorType == 6) {
+                alpha = to8Bits(values[samples - 1]);
+            } else if (colorKey &&
+                       colorKey.every((key, i) => key == values[i])) {
+                alpha = 0;
+            }
+            rgba = color.map(to8Bits).concat([alpha]);
+        }
+        image.data.set(rgba, offset);
+    };
+
+    const passes = interlace ? ADAM7_PASSES : [[0, 0, 1, 1]];
+    var offset = 0;
+    for (const [startX, startY, stepX, stepY] of passes) {
+        const passWidth = Math.ceil((width - startX) / stepX);
+        const passHeight = Math.ceil((height - startY) / stepY);
+        if (passWidth <= 0 || passHeight <= 0) {
+            continue;
+        }
+        const rowLength = Math.ceil(passWidth * pixelBits / 8);
+        const rows = unfilterRows(raw, offset, rowLength, passHeight,
+                                  pixelLength);
+        rows.forEach((row, y) => {
+            for (let x = 0; x < passWidth; x++) {
+                setPixel(row, x, startX + x * stepX, startY + y * stepY);
+            }
+        });
+        offset += (rowLength + 1) * passHeight;
+    }
+    return image;
+}
+
+
+module.exports.decodePng = decodePng;
+module.exports.isPng = isPng;
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+
+/**
+ * @fileoverview The command line tool that renders the specimen of a
+ * converted font as SVG or PNG, optionally next to the source bitmaps,
+ * see font-specimen.js.
+ */
+
+
+const {
+    DEFAULT_SAMPLE_TEXT,
+    SPECIMEN_FORMATS,
+    SPECIMEN_SECTIONS,
+    renderSpecimen
+} = require('./font-specimen');
+const { getFontMetrics, loadInputFont } = require('./font-converter');
+const { parseFontBuffer } = require('./font-validator');
+const fs = require('fs');
+const path = require('path');
+const yargs = require('yargs');
+
+
+/**
+ * Parses the command line arguments.
+ * @param {Array<string>} args The command line arguments.
+ * @return {Object}
+ */
+function parseArgs(args) {
+    return yargs(args)
+      .usage('Usage: $0 [options]')
+
+      .alias('i', 'input')
+      .describe('i',
+                'The font file to be shown, as generated by ' +
+                'pcf2opentype.js, in OTF, TTF, WOFF or WOFF2 format.')
+      .string('i')
+
+      .alias('o', 'output')
+      .describe('o',
+                'The specimen image file. Its extension selects the ' +
+                'format if --format is not set: ' +
+                SPECIMEN_FORMATS.join(', ') + '.')
+      .string('o')
+
+      .alias('m', 'format')
+      .choices('m', SPECIMEN_FORMATS)
+      .describe('m', 'The format of the specimen image.')
+
+      .alias('S', 'sections')
+      .choices('S', SPECIMEN_SECTIONS)
+      .describe('S',
+                'The sections of the specimen. Defaults to all of them, ' +
+                'but "source" needs --source.')
+      .array('S')
+
+      .alias('t', 'text')
+      .describe('t',
+                'The sample text. "\\n" breaks lines. Defaults to ' +
+                JSON.stringify(DEFAULT_SAMPLE_TEXT) + '.')
+      .string('t')
+
+      .alias('T', 'text_size')
+      .describe('T', 'The font size of the sample text, in pixels.')
+      .number('T')
+      .default('T', 32)
+
+      .alias('z', 'sizes')
+      .describe('z', 'The font sizes of the waterfall, in pixels.')
+      .array('z')
+      .number('z')
+
+      .alias('g', 'grid')
+      .describe('g',
+                'The glyphs of the glyph grid, as a subset expression ' +
+                'with listed code points, e.g., "U+4E00-4EFF" or ' +
+                '"U+3000-303F + U+FF00-FF5F", see --subset of ' +
+                'pcf2opentype.js.')
+      .string('g')
+      .default('g', 'U+4E00-4EFF')
+
+      .alias('s', 'source')
+      .describe('s',
+                'The bitmap font the font was converted from, in PCF or ' +
+                'BDF format, to show its bitmaps next to the dotted ' +
+                'glyphs.')
+      .string('s')
+
+      .alias('c', 'compare_text')
+      .describe('c',
+                'The characters whose source bitmaps are shown. Defaults ' +
+                'to the first 8 characters of the sample text.')
+      .string('c')
+
+      .alias('w', 'width')
+      .describe('w', 'The width of the specimen, in pixels.')
+      .number('w')
+      .default('w', 960)
+
+      .alias('x', 'scale')
+      .describe('x', 'The scale of the PNG image, e.g., 2 for high DPI.')
+      .number('x')
+      .default('x', 1)
+
+      .demandOption(['i', 'o'])
+      .help('h')
+      .alias('h', 'help')
+      .alias('v', 'version')
+      .argv;
+}
+
+
+/**
+ * Renders the specimen of a font file, as specified by the command line
+ * arguments.
+ * @param {Array<string>} args The command line arguments.
+ */
+function main(args) {
+    const argv = parseArgs(args);
+    const format = argv.format ||
+          path.extname(argv.output).slice(1).toLowerCase();
+    if (!SPECIMEN_FORMATS.includes(format)) {
+        throw new Error('Unknown specimen format: ' + format + '. Use ' +
+                        '--format or an output file ending with ' +
+                        SPECIMEN_FORMATS.map((f) => '.' + f).join(' or ') +
+                        '.');
+    }
+    const font = parseFontBuffer(fs.readFileSync(argv.input));
+    var options = {
+        format: format,
+        sections: argv.sections,
+        text: argv.text && argv.text.replace(/\\n/g, '\n'),
+        textSize: argv.text_size,
+        sizes: argv.sizes,
+        grid: argv.grid,
+        compareText: argv.compare_text,
+        width: argv.width,
+        scale: argv.scale
+    };
+    if (argv.source) {
+        options.parser = loadInputFont({input: argv.source});
+        options.fontMetrics = getFontMetrics(options.parser, {});
+    }
+    console.log('Rendering the specimen of ' + argv.input);
+    fs.writeFileSync(argv.output, renderSpecimen(font, options));
+    console.log('Written ' + argv.output);
+}
+
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
@@ -0,0 +1,385 @@
+/**
+ * @fileoverview Creates dot shapes from SVG path data.
+ */
+
+
+const { analyzeContours } = require('./contour-utils');
+
+
+/**
+ * Matches a number in SVG path data.
+ * @type {RegExp}
+ */
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+
+
+/**
+ * The number of arguments of each SVG path command.
+ * @type {Object<string, number>}
+ */
+const ARGUMENT_COUNTS = {
+    M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0
+};
+
+
+/**
+ * Converts an elliptical arc of SVG path data to cubic Bézier curves,
+ * following the implementation notes of the SVG spec.
+ * @param {Array<number>} from The [x, y] start point.
+ * @param {Array<number>} args The arguments of the A command, in
+ *     absolute coordinates: rx, ry, x-axis-rotation, large-arc-flag,
+ *     sweep-flag, x and y.
+ * @return {Array<Object>} The C commands.
+ */
+function arcToCurves(from, args) {
+    const [x1, y1] = from;
+    var [rx, ry, rotation, largeArc, sweep, x2, y2] = args;
+    if (rx == 0 || ry == 0) {
+        return [{type: 'L', x: x2, y: y2}];
+    }
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+    // Scales the radii up if the end points are too far apart.
+    const lambda = x1p * x1p / (rx * rx) + y1p * y1p / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p -
+          ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    var factor = Math.sqrt(Math.max(0, numerator / denominator));
+    if (largeArc == sweep) {
+        factor = -factor;
+    }
+    const cxp = factor * rx * y1p / ry;
+    const cyp = -factor * ry * x1p / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    const angleOf = (ux, uy) => Math.atan2(uy, ux);
+    const startAngle = angleOf((x1p - cxp) / rx, (y1p - cyp) / ry);
+    var sweepAngle = angleOf((-x1p - cxp) / rx, (-y1p - cyp) / ry) -
+        startAngle;
+    if (sweep && sweepAngle < 0) {
+        sweepAngle += 2 * Math.PI;
+    } else if (!sweep && sweepAngle > 0) {
+        sweepAngle -= 2 * Math.PI;
+    }
+
+    // Each curve spans at most a quarter of the ellipse.
+    const count = Math.max(1, Math.ceil(Math.abs(sweepAngle) /
+                                        (Math.PI / 2) - 1e-9));
+    const delta = sweepAngle / count;
+    const k = 4 / 3 * Math.tan(delta / 4);
+    const pointAt = (angle) => [
+        cx + rx * Math.cos(angle) * cos - ry * Math.sin(angle) * sin,
+        cy + rx * Math.cos(angle) * sin + ry * Math.sin(angle) * cos
+    ];
+    const tangentAt = (angle) => [
+        -rx * Math.sin(angle) * cos - ry * Math.cos(angle) * sin,
+        -rx * Math.sin(angle) * sin + ry * Math.cos(angle) * cos
+    ];
+    var curves = [];
+    for (let i = 0; i < count; i++) {
+        const a1 = startAngle + i * delta;
+        const a2 = a1 + delta;
+        const p1 = pointAt(a1);
+        const p2 = i == count - 1 ? [x2, y2] : pointAt(a2);
+        const t1 = tangentAt(a1);
+        const t2 = tangentAt(a2);
+        curves.push({
+            type: 'C',
+            x1: p1[0] + k * t1[0], y1: p1[1] + k * t1[1],
+            x2: p2[0] - k * t2[0], y2: p2[1] - k * t2[1],
+            x: p2[0], y: p2[1]
+        });
+    }
+    return curves;
+}
+
+
+/**
+ * Parses SVG path data to absolute M, L, Q, C and Z commands, in the
+ * shape of opentype.Path commands.
+ * @param {string} pathData The d attribute of an SVG path.
+ * @return {Array<Object>} The commands.
+ */
+function parseSvgPathData(pathData) {
+    var commands = [];
+    var position = 0;
+    const skipSeparators = () => {
+        while (position < pathData.length &&
+               /[\s,]/.test(pathData[position])) {
+            position++;
+        }
+    };
+    const readNumber = (isFlag) => {
+        skipSeparators();
+        // Arc flags may be written without separators, e.g., "011".
+        if (isFlag && /[01]/.test(pathData[position])) {
+            return Number(pathData[position++]);
+        }
+        NUMBER_PATTERN.lastIndex = position;
+        const match = NUMBER_PATTERN.exec(pathData);
+        if (!match) {
+            throw new Error('Invalid SVG path data at ' + position + ': ' +
+                            pathData.slice(position, position + 10));
+        }
+        position = NUMBER_PATTERN.lastIndex;
+        return Number(match[0]);
+    };
+
+    var command = null;
+    var current = [0, 0];
+    var start = [0, 0];
+    // The last control point, for the reflection of S and T.
+    var lastControl = null;
+    var lastType = null;
+    for (skipSeparators(); position < pathData.length; skipSeparators()) {
+        if (/[a-zA-Z]/.test(pathData[position])) {
+            command = pathData[position++];
+            if (ARGUMENT_COUNTS[command.toUpperCase()] == undefined) {
+                throw new Error('Unknown SVG path command: ' + command);
+            }
+        } else if (command == null || command.toUpperCase() == 'Z') {
+            throw new Error('Invalid SVG path data at ' + position + ': ' +
+                            pathData.slice(position, position + 10));
+        }
+        const type = command.toUpperCase();
+        const relative = command != type;
+        var args = [];
+        for (let i = 0; i < ARGUMENT_COUNTS[type]; i++) {
+            args.push(readNumber(type == 'A' && (i == 3 || i == 4)));
+        }
+        // Makes the coordinates absolute.
+        const [ox, oy] = relative ? current : [0, 0];
+        switch (type) {
+        case 'H':
+            args = [args[0] + ox, current[1]];
+            break;
+        case 'V':
+            args = [current[0], args[0] + oy];
+            break;
+        case 'A':
+            args[5] += ox;
+            args[6] += oy;
+            break;
+        default:
+            args = args.map((value, i) => value + (i % 2 == 0 ? ox : oy));
+        }
+        const reflect = (types) => lastControl && types.includes(lastType) ?
+              [2 * current[0] - lastControl[0],
+               2 * current[1] - lastControl[1]] : current;
+
+        switch (type) {
+        case 'M':
+            commands.push({type: 'M', x: args[0], y: args[1]});
+            start = args;
+            // The following pairs are implicit lineto commands.
+            command = relative ? 'l' : 'L';
+            break;
+        case 'L':
+        case 'H':
+        case 'V':
+            commands.push({type: 'L', x: args[0], y: args[1]});
+            break;
+        case 'C':
+        case 'S': {
+            const [x1, y1] = type == 'C' ? args : reflect(['C', 'S']);
+            const [x2, y2, x, y] = type == 'C' ? args.slice(2) : args;
+            commands.push({
+                type: 'C', x1: x1, y1: y1, x2: x2, y2: y2, x: x, y: y
+            });
+            lastControl = [x2, y2];
+            break;
+        }
+        case 'Q':
+        case 'T': {
+            const [x1, y1] = type == 'Q' ? args : reflect(['Q', 'T']);
+            const [x, y] = type == 'Q' ? args.slice(2) : args;
+            commands.push({type: 'Q', x1: x1, y1: y1, x: x, y: y});
+            lastControl = [x1, y1];
+            break;
+        }
+        case 'A':
+            commands.push(...arcToCurves(current, args));
+            break;
+        case 'Z':
+            commands.push({type: 'Z'});
+            break;
+        }
+        lastType = type;
+        const last = commands[commands.length - 1];
+        current = last.type == 'Z' ? start : [last.x, last.y];
+    }
+    return commands;
+}
+
+
+/**
+ * Reverses the direction of a contour.
+ * @param {Array<Object>} contour The commands of the contour, starting
+ *     with M.
+ * @return {Array<Object>} The reversed commands.
+ */
+function reverseContour(contour) {
+    var reversed = [];
+    const last = contour[contour.length - 1];
+    reversed.push({type: 'M', x: last.x, y: last.y});
+    for (let i = contour.length - 1; i > 0; i--) {
+        const command = contour[i];
+        const {x, y} = contour[i - 1];
+        if (command.type == 'C') {
+            reversed.push({
+                type: 'C', x1: command.x2, y1: command.y2,
+                x2: command.x1, y2: command.y1, x: x, y: y
+            });
+        } else if (command.type == 'Q') {
+            reversed.push({
+                type: 'Q', x1: command.x1, y1: command.y1, x: x, y: y
+            });
+        } else {
+            reversed.push({type: 'L', x: x, y: y});
+        }
+    }
+    return reversed;
+}
+
+
+/**
+ * Creates a dot shape from an SVG file or bare SVG path data.
+ *
+ * The view box of the SVG, or the bounding box of the path if there is
+ * no view box, is stretched to the bound box of each dot. The paths are
+ * taken as they are; transforms and the other SVG elements are ignored.
+ * Outer contours and holes are redirected as the font outlines require,
+ * whichever way they run in the SVG.
+ * @param {string} svgText The contents of an SVG file, or the d attribute
+ *     of a path.
+ * @return {Object} The dot shape, with a draw() function.
+ */
+function createSvgDotShape(svgText) {
+    var pathData = svgText;
+    var viewBox = null;
+    if (svgText.includes('<')) {
+        const viewBoxMatch =
+              /\bviewBox\s*=\s*["']([^"']*)["']/.exec(svgText);
+        if (viewBoxMatch) {
+            viewBox = viewBoxMatch[1].trim().split(/[\s,]+/).map(Number);
+        }
+        const pathPattern =
+              /<path\b[^>]*?\sd\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        var paths = [];
+        for (let match; (match = pathPattern.exec(svgText));) {
+            paths.push(match[1] != undefined ? match[1] : match[2]);
+        }
+        pathData = paths.join(' ');
+    }
+    const commands = parseSvgPathData(pathData);
+    if (commands.length == 0) {
+        throw new Error('No SVG path is found.');
+    }
+
+    if (!viewBox) {
+        const xs = [];
+        const ys = [];
+        for (const command of commands) {
+            for (const [x, y] of [['x', 'y'], ['x1', 'y1'], ['x2', 'y2']]) {
+                if (command[x] != undefined) {
+                    xs.push(command[x]);
+                    ys.push(command[y]);
+                }
+            }
+        }
+        viewBox = [Math.min(...xs), Math.min(...ys),
+                   Math.max(...xs) - Math.min(...xs),
+                   Math.max(...ys) - Math.min(...ys)];
+    }
+    const [viewX, viewY, viewWidth, viewHeight] = viewBox;
+    if (!(viewWidth > 0 && viewHeight > 0)) {
+        throw new Error('The SVG path has an empty view box.');
+    }
+
+    // Maps the commands to a unit square where y grows upwards, and
+    // splits them to closed contours.
+    const toUnit = (x, y) => [(x - viewX) / viewWidth,
+                              1 - (y - viewY) / viewHeight];
+    var contours = [];
+    for (const command of commands) {
+        if (command.type == 'Z') {
+            continue;
+        }
+        var unitCommand = {type: command.type};
+        for (const [x, y] of [['x', 'y'], ['x1', 'y1'], ['x2', 'y2']]) {
+            if (command[x] != undefined) {
+                [unitCommand[x], unitCommand[y]] = toUnit(command[x],
+                                                          command[y]);
+            }
+        }
+        if (command.type == 'M') {
+            contours.push([unitCommand]);
+        } else if (contours.length > 0) {
+            contours[contours.length - 1].push(unitCommand);
+        }
+    }
+    for (const contour of contours) {
+        const first = contour[0];
+        const last = contour[contour.length - 1];
+        if (first.x != last.x || first.y != last.y) {
+            contour.push({type: 'L', x: first.x, y: first.y});
+        }
+    }
+
+    // Outer contours run counter-clockwise and holes clockwise. Contours
+    // without an area are dropped.
+    const analyses = analyzeContours({commands: [].concat(...contours)});
+    contours = contours
+        .filter((contour, i) => analyses[i].depth != null)
+        .map((contour) => {
+            const {area, depth} = analyses[contours.indexOf(contour)];
+            const expectedSign = depth % 2 == 0 ? 1 : -1;
+            return Math.sign(area) == expectedSign ?
+                contour : reverseContour(contour);
+        });
+
+    return {
+        description: 'A dot shape from SVG path data.',
+        draw: (path, left, top, right, bottom) => {
+            const toFont = (x, y) => [left + x * (right - left),
+                                      bottom + y * (top - bottom)];
+            for (const contour of contours) {
+                for (const command of contour) {
+                    const [x, y] = toFont(command.x, command.y);
+                    switch (command.type) {
+                    case 'M':
+                        path.moveTo(x, y);
+                        break;
+                    case 'L':
+                        path.lineTo(x, y);
+                        break;
+                    case 'Q':
+                        path.quadTo(...toFont(command.x1, command.y1), x, y);
+                        break;
+                    case 'C':
+                        path.curveTo(...toFont(command.x1, command.y1),
+                                     ...toFont(command.x2, command.y2),
+                                     x, y);
+                        break;
+                    }
+                }
+            }
+        }
+    };
+}
+
+
+module.exports.createSvgDotShape = createSvgDotShape;
+module.exports.parseSvgPathData = parseSvgPathData;
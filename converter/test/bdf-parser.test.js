@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Tests of BdfParser, on the tiny fixture font and on
+ * altered copies of it.
+ */
+
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { BdfParser } = require('../bdf-parser');
+const { TINY_BDF, drawPixels, makeScratchDir } = require('./helpers');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+
+const scratchDir = makeScratchDir();
+const tinyText = fs.readFileSync(TINY_BDF, 'latin1');
+
+
+/**
+ * Writes a file to the scratch directory.
+ * @param {string} name The file name.
+ * @param {string|Buffer} contents The file contents.
+ * @return {string} The path to the file.
+ */
+function writeScratchFile(name, contents) {
+    const fileName = path.join(scratchDir, name);
+    fs.writeFileSync(fileName, contents);
+    return fileName;
+}
+
+
+/**
+ * Parses a BDF file.
+ * @param {string} fileName The path to the file.
+ * @return {BdfParser}
+ */
+function parseBdf(fileName) {
+    const parser = new BdfParser(fileName);
+    parser.parse();
+    return parser;
+}
+
+
+test('reads the properties and the default char', () => {
+    const parser = parseBdf(TINY_BDF);
+    assert.equal(parser.getProperty('FAMILY_NAME'), 'Tiny');
+    assert.equal(parser.getProperty('PIXEL_SIZE'), 8);
+    assert.equal(parser.getProperty('FONT_ASCENT'), 7);
+    assert.equal(parser.getProperty('FONT_DESCENT'), 1);
+    assert.equal(parser.getProperty('COPYRIGHT'), 'Public domain');
+    assert.equal(parser.getDefaultChar(), 0x3F);
+});
+
+
+test('lists the glyphs in the order of their code points', () => {
+    const parser = parseBdf(TINY_BDF);
+    assert.deepEqual(
+        Array.from(parser.glyphEntries()).map(([code]) => code),
+        [0x20, 0x3F, 0x41, 0x67, 0x4E00, 0x20000]);
+    assert.ok(parser.hasGlyph(0x4E00));
+    assert.ok(!parser.hasGlyph(0x42));
+    assert.equal(parser.getGlyphName(0x67), 'g');
+});
+
+
+test('reads the metrics and the pixels of a glyph', () => {
+    const parser = parseBdf(TINY_BDF);
+    assert.deepEqual(parser.getGlyphMetrics(0x67), {
+        leftSidedBearing: 0,
+        rightSideBearing: 5,
+        characterWidth: 6,
+        characterAscent: 5,
+        characterDescent: 1,
+        characterAttributes: 0
+    });
+    assert.deepEqual(drawPixels(parser.getGlyphPixels(0x41)), [
+        '__#__',
+        '_#_#_',
+        '#___#',
+        '#___#',
+        '#####',
+        '#___#',
+        '#___#'
+    ]);
+    assert.deepEqual(drawPixels(parser.getGlyphPixels(0x20000)), [
+        '####',
+        '#__#',
+        '#__#',
+        '####'
+    ]);
+    assert.deepEqual(parser.getGlyphPixels(0x20), []);
+});
+
+
+test('pads the short bitmap rows and truncates the long ones', () => {
+    const fileName = writeScratchFile('rows.bdf', tinyText.replace(
+        'BBX 6 1 0 3\nBITMAP\nFC\n', 'BBX 6 1 0 3\nBITMAP\nF\n').replace(
+            'BBX 4 4 1 1\nBITMAP\nF0\n', 'BBX 4 4 1 1\nBITMAP\nF0FF\n'));
+    const parser = parseBdf(fileName);
+    assert.deepEqual(drawPixels(parser.getGlyphPixels(0x4E00)),
+                     ['####__']);
+    assert.deepEqual(drawPixels(parser.getGlyphPixels(0x20000)),
+                     ['####', '#__#', '#__#', '####']);
+});
+
+
+test('reports an invalid bitmap row with its line number', () => {
+    const fileName = writeScratchFile(
+        'invalid.bdf', tinyText.replace('\nF8\n', '\nF*\n'));
+    const line = tinyText.split('\n').indexOf('F8') + 1;
+    assert.throws(() => parseBdf(fileName), {
+        message: 'Invalid BITMAP row at line ' + line + ': F*'
+    });
+});
+
+
+test('sniffs gzipped and BOM-led files, whatever their names', () => {
+    const gzipped = writeScratchFile(
+        'tiny.bin', zlib.gzipSync(Buffer.from(tinyText, 'latin1')));
+    const bom = writeScratchFile('bom.txt', '\uFEFF\n  ' + tinyText);
+    const other = writeScratchFile('other.txt', 'STARTCHAR A\n');
+    assert.ok(BdfParser.isBdfFile(gzipped));
+    assert.ok(BdfParser.isBdfFile(bom));
+    assert.ok(!BdfParser.isBdfFile(other));
+    assert.deepEqual(drawPixels(parseBdf(gzipped).getGlyphPixels(0x41)),
+                     drawPixels(parseBdf(TINY_BDF).getGlyphPixels(0x41)));
+    assert.equal(parseBdf(bom).getProperty('FAMILY_NAME'), 'Tiny');
+});
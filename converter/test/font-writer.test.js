@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Tests of the fonts written by font-writer.js: the tiny
+ * fixture font is converted, written in each format and checked by
+ * font-validator.js against the input font.
+ */
+
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FORMATS } = require('../font-writer');
+const { TINY_BDF } = require('./helpers');
+const { convertFontToBuffer } = require('../font-converter');
+const { parseFontBuffer, validateFont } = require('../font-validator');
+
+
+/**
+ * Lists the errors that the validator finds in a font file.
+ * @param {Buffer} buffer The font file contents.
+ * @param {Object} options The conversion options of the font.
+ * @return {Array<string>} The messages of the errors.
+ */
+function listErrors(buffer, options) {
+    return validateFont(buffer, options)
+        .filter((problem) => problem.severity == 'error')
+        .map((problem) => problem.check + ': ' + problem.message);
+}
+
+
+for (const format of FORMATS) {
+    for (const dotShape of ['square', 'circle']) {
+        test('writes a valid ' + format + ' font of ' + dotShape + ' dots',
+             () => {
+                 const options = {
+                     input: TINY_BDF,
+                     dotShape: dotShape,
+                     format: format
+                 };
+                 const buffer = convertFontToBuffer(options);
+                 assert.deepEqual(listErrors(buffer, options), []);
+             });
+    }
+}
+
+
+test('maps the glyphs of the input font', () => {
+    const font = parseFontBuffer(convertFontToBuffer({
+        input: TINY_BDF,
+        format: 'ttf'
+    }));
+    assert.equal(font.names.fontFamily.en, 'Tiny');
+    for (const code of [0x41, 0x67, 0x4E00, 0x20000]) {
+        assert.ok(font.charToGlyphIndex(String.fromCodePoint(code)) > 0,
+                  'U+' + code.toString(16));
+    }
+    // The pixel size is 125 units in the 1000 units of the em box.
+    assert.equal(font.charToGlyph('A').advanceWidth, 6 * 125);
+});
+
+
+test('writes smaller WOFF2 files with a higher quality', () => {
+    const options = {input: TINY_BDF, format: 'woff2'};
+    const fast = convertFontToBuffer(
+        Object.assign({woff2Quality: 0}, options));
+    const small = convertFontToBuffer(
+        Object.assign({woff2Quality: 11}, options));
+    assert.ok(small.length < fast.length);
+    assert.deepEqual(listErrors(small, options), []);
+    assert.throws(() => convertFontToBuffer(
+        Object.assign({woff2Quality: 12}, options)), /WOFF2 quality/);
+});
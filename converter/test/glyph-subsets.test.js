@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Tests of the subset expressions of glyph-subsets.js.
+ */
+
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { listSubset, parseSubset } = require('../glyph-subsets');
+const { makeScratchDir } = require('./helpers');
+const fs = require('fs');
+const path = require('path');
+
+
+const scratchDir = makeScratchDir();
+
+
+/**
+ * Lists the code points of a subset in a range.
+ * @param {string} expression The subset expression.
+ * @param {number} first The first code point of the range.
+ * @param {number} last The last code point of the range.
+ * @return {Array<number>}
+ */
+function acceptedCodes(expression, first, last) {
+    const accepts = parseSubset(expression);
+    var codes = [];
+    for (let code = first; code <= last; code++) {
+        if (accepts(code)) {
+            codes.push(code);
+        }
+    }
+    return codes;
+}
+
+
+test('accepts the code points of the presets', () => {
+    const ascii = parseSubset('ascii');
+    assert.ok(ascii(0x41));
+    assert.ok(!ascii(0x4E00));
+    const gb2312 = parseSubset('GB2312');
+    assert.ok(gb2312(0x4E00));
+    assert.ok(gb2312(0x41));
+    assert.ok(!gb2312(0x4E02));
+    assert.ok(parseSubset('all')(0x10FFFF));
+    assert.ok(parseSubset('hangul')(0xAC00));
+});
+
+
+test('reads the bundled character lists', () => {
+    assert.equal(listSubset('tongyong1').length, 3500);
+    assert.equal(listSubset('tongyong2').length, 3000);
+    assert.equal(listSubset('tongyong3').length, 1605);
+    assert.equal(listSubset('tongyong1 + tongyong2 + tongyong3').length,
+                 8105);
+    assert.equal(listSubset('joyo').length, 2136);
+    assert.ok(parseSubset('tongyong1')(0x4E00));
+    assert.ok(parseSubset('joyo')(0x4E00));
+});
+
+
+test('takes code points and ranges', () => {
+    assert.deepEqual(acceptedCodes('U+41', 0x40, 0x43), [0x41]);
+    assert.deepEqual(acceptedCodes('U+41-42', 0x40, 0x43), [0x41, 0x42]);
+    assert.deepEqual(acceptedCodes('u+41-U+42', 0x40, 0x43), [0x41, 0x42]);
+    assert.deepEqual(listSubset('U+10FFFE-10FFFF'), [0x10FFFE, 0x10FFFF]);
+});
+
+
+test('joins the terms from left to right', () => {
+    assert.deepEqual(acceptedCodes('U+40-43 - U+41 + U+41', 0x3F, 0x44),
+                     [0x40, 0x41, 0x42, 0x43]);
+    assert.deepEqual(acceptedCodes('U+40-43 + U+41 - U+41', 0x3F, 0x44),
+                     [0x40, 0x42, 0x43]);
+    // A range followed by a preset name reads as a difference.
+    assert.deepEqual(acceptedCodes('U+3000-ascii', 0x20, 0x3001),
+                     [0x3000]);
+    assert.deepEqual(acceptedCodes('all - ascii', 0x1F, 0x21), [0x1F]);
+});
+
+
+test('lists the sorted code points of a subset', () => {
+    assert.deepEqual(listSubset('U+43 + U+30 + U+41-43 - U+42'),
+                     [0x30, 0x41, 0x43]);
+    assert.equal(listSubset('all - gb2312'), null);
+    assert.equal(listSubset('ascii').length, 0xFF - 0x20 + 1);
+});
+
+
+test('takes the characters of text and JSON files', () => {
+    const textFile = path.join(scratchDir, 'chars.txt');
+    fs.writeFileSync(textFile, '\uFEFF一二\n三\tA\r\n\u{20000}');
+    assert.deepEqual(listSubset('@' + textFile),
+                     [0x41, 0x4E00, 0x4E09, 0x4E8C, 0x20000]);
+
+    const jsonFile = path.join(scratchDir, 'strings.json');
+    fs.writeFileSync(jsonFile, JSON.stringify({
+        title: 'AB',
+        menu: ['C', {label: 'D', id: 7}]
+    }));
+    assert.deepEqual(listSubset('@' + jsonFile + ' - U+42'),
+                     [0x41, 0x43, 0x44]);
+});
+
+
+test('rejects invalid expressions', () => {
+    for (const [expression, message] of [
+        ['ascii gb2312', /joined by \+ or -/],
+        ['ascii +', /a term is missing/],
+        ['', /a term is missing/],
+        ['+ ascii', /joined by \+ or -/],
+        ['U+9FFF-4E00', /Invalid code point range/],
+        ['U+110000', /Invalid code point range/],
+        ['latin9', /Unknown subset: latin9/],
+        ['ascii * gb2312', /Invalid subset/]
+    ]) {
+        assert.throws(() => parseSubset(expression), message, expression);
+    }
+});
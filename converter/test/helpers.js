@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Shared helpers of the tests: the fixture fonts and a
+ * scratch directory for the files that the tests write.
+ */
+
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+
+/**
+ * The tiny BDF font of the tests: 8 pixels high, with a space, a default
+ * char '?', 'A', a 'g' below the baseline, U+4E00 and U+20000 beyond the
+ * BMP.
+ * @type {string}
+ */
+const TINY_BDF = path.join(__dirname, 'fixtures', 'tiny.bdf');
+
+
+/**
+ * Creates a scratch directory, which is removed when the process exits.
+ * @return {string} The path to the directory.
+ */
+function makeScratchDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'converter-test-'));
+    process.on('exit', () => fs.rmSync(dir, {recursive: true, force: true}));
+    return dir;
+}
+
+
+/**
+ * Draws the rows of a pixel grid as strings of # and _, to compare
+ * glyphs in readable assertions.
+ * @param {Array<Array<boolean>>} pixels The rows of pixels.
+ * @return {Array<string>}
+ */
+function drawPixels(pixels) {
+    return pixels.map(
+        (row) => row.map((black) => black ? '#' : '_').join(''));
+}
+
+
+module.exports.TINY_BDF = TINY_BDF;
+module.exports.drawPixels = drawPixels;
+module.exports.makeScratchDir = makeScratchDir;
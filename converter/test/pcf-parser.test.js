@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Round trips of PcfParser and BdfParser: the tiny fixture
+ * font is written as PCF and BDF by bitmap-font-writer.js and parsed
+ * again.
+ */
+
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    checkBitmapRoundTrip,
+    collectBitmapFont,
+    listOmittedGlyphs,
+    writeBitmapFont
+} = require('../bitmap-font-writer');
+const { BdfParser } = require('../bdf-parser');
+const { PcfParser } = require('../pcf-parser');
+const { createParser } = require('../font-converter');
+const { TINY_BDF, drawPixels, makeScratchDir } = require('./helpers');
+const fs = require('fs');
+const path = require('path');
+
+
+const scratchDir = makeScratchDir();
+
+
+/**
+ * Parses the tiny fixture font and collects it for the writer.
+ * @return {Object} The parser and the collected font.
+ */
+function collectTinyFont() {
+    const parser = new BdfParser(TINY_BDF);
+    parser.parse();
+    return {parser: parser, font: collectBitmapFont(parser, {})};
+}
+
+
+/**
+ * Writes a collected font to the scratch directory.
+ * @param {Object} font The font from collectBitmapFont().
+ * @param {string} name The file name, whose extension is the format,
+ *     optionally followed by .gz.
+ * @return {string} The path to the file.
+ */
+function writeScratchFont(font, name) {
+    const fileName = path.join(scratchDir, name);
+    const [, format, gzip] = /\.(bdf|pcf)(\.gz)?$/.exec(name);
+    fs.writeFileSync(fileName, writeBitmapFont(font, format, !!gzip));
+    return fileName;
+}
+
+
+test('reads back the glyphs written as PCF', () => {
+    const {parser, font} = collectTinyFont();
+    const fileName = writeScratchFont(font, 'tiny.pcf');
+    const pcf = new PcfParser(fileName);
+    pcf.parse();
+
+    assert.equal(pcf.getProperty('FAMILY_NAME'), 'Tiny');
+    assert.equal(pcf.getProperty('PIXEL_SIZE'), 8);
+    assert.equal(pcf.getDefaultChar(), 0x3F);
+    // PCF leaves out the glyph beyond the BMP.
+    assert.deepEqual(
+        Array.from(pcf.glyphEntries()).map(([code]) => code),
+        [0x20, 0x3F, 0x41, 0x67, 0x4E00]);
+    for (const [code] of pcf.glyphEntries()) {
+        assert.equal(pcf.getGlyphName(code), parser.getGlyphName(code));
+        const metrics = pcf.getGlyphMetrics(code);
+        for (const [name, value] of
+             Object.entries(parser.getGlyphMetrics(code))) {
+            assert.ok(metrics[name] == value, name + ' of ' + code);
+        }
+        assert.deepEqual(drawPixels(pcf.getGlyphPixels(code)),
+                         drawPixels(parser.getGlyphPixels(code)));
+    }
+});
+
+
+test('lists the glyphs that PCF leaves out', () => {
+    const {font} = collectTinyFont();
+    assert.deepEqual(
+        listOmittedGlyphs(font, 'pcf').map((glyph) => glyph.code),
+        [0x20000]);
+    assert.deepEqual(listOmittedGlyphs(font, 'bdf'), []);
+});
+
+
+for (const name of ['tiny.pcf', 'tiny.pcf.gz', 'tiny.bdf', 'tiny.bdf.gz']) {
+    test('round-trips ' + name + ' without problems', () => {
+        const {font} = collectTinyFont();
+        const format = /\.(bdf|pcf)/.exec(name)[1];
+        const fileName = writeScratchFont(font, name);
+        assert.deepEqual(checkBitmapRoundTrip(fileName, font, format), []);
+    });
+}
+
+
+test('recognizes a PCF file by its magic bytes', () => {
+    const {font} = collectTinyFont();
+    const pcfFile = writeScratchFont(font, 'magic.pcf.gz');
+    const renamed = path.join(scratchDir, 'magic.bin');
+    fs.copyFileSync(pcfFile, renamed);
+    assert.ok(PcfParser.isPcfFile(renamed));
+    assert.ok(!PcfParser.isPcfFile(TINY_BDF));
+    assert.ok(createParser(renamed) instanceof PcfParser);
+    assert.ok(createParser(TINY_BDF) instanceof BdfParser);
+});
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Vertical alternates of the full-width punctuation, for
+ * vertical writing. They are made by transforming the glyph bitmaps
+ * before the dots are drawn, so that the dots stay on the pixel grid.
+ */
+
+
+/**
+ * The punctuation that is turned 90° clockwise in vertical text: the
+ * brackets, the dashes, the ellipses, the wave dashes and the long vowel
+ * mark.
+ * @type {Array<number>}
+ */
+const ROTATED_FORMS = [
+    0x2014, 0x2015, 0x2025, 0x2026,
+    0x3008, 0x3009, 0x300A, 0x300B, 0x300C, 0x300D, 0x300E, 0x300F,
+    0x3010, 0x3011, 0x3014, 0x3015, 0x3016, 0x3017, 0x3018, 0x3019,
+    0x301A, 0x301B, 0x301C, 0x30FC,
+    0xFF08, 0xFF09, 0xFF3B, 0xFF3D, 0xFF3F, 0xFF5B, 0xFF5D, 0xFF5E
+];
+
+
+/**
+ * The punctuation that moves from the bottom left to the top right of
+ * the em box in vertical text: the commas and the full stops.
+ * @type {Array<number>}
+ */
+const MOVED_FORMS = [0x3001, 0x3002, 0xFF0C, 0xFF0E];
+
+
+/**
+ * The transform of each code point that has a vertical alternate,
+ * 'rotate' or 'move'.
+ * @type {Map<number, string>}
+ */
+const VERTICAL_FORMS = new Map(
+    ROTATED_FORMS.map((code) => [code, 'rotate']).concat(
+        MOVED_FORMS.map((code) => [code, 'move'])));
+
+
+/**
+ * Makes the vertical alternate of a glyph bitmap.
+ *
+ * 'rotate' turns the bitmap 90° clockwise about the center of the em
+ * box, which is rounded to whole pixels. 'move' keeps the bitmap as is
+ * and mirrors its position in the em box, so that the ink in the bottom
+ * left corner moves to the top right corner.
+ * @param {Object} metrics The glyph metrics, see
+ *     PcfParser.getGlyphMetrics().
+ * @param {Array<Array<boolean>>} pixels The rows of pixels, which cover
+ *     the glyph's bounding box.
+ * @param {string} transform The transform, 'rotate' or 'move'.
+ * @param {Object} fontMetrics The font metrics from getFontMetrics().
+ * @return {Object} The metrics and the pixels of the alternate.
+ */
+function makeVerticalForm(metrics, pixels, transform, fontMetrics) {
+    // Twice the height of the em box center above the baseline.
+    const emCenter2 = fontMetrics.ascent - fontMetrics.descent;
+    if (transform == 'move') {
+        return {
+            metrics: Object.assign({}, metrics, {
+                leftSidedBearing:
+                    metrics.characterWidth - metrics.rightSideBearing,
+                rightSideBearing:
+                    metrics.characterWidth - metrics.leftSidedBearing,
+                characterAscent: emCenter2 + metrics.characterDescent,
+                characterDescent: metrics.characterAscent - emCenter2
+            }),
+            pixels: pixels
+        };
+    }
+    if (transform != 'rotate') {
+        throw new Error('Unknown vertical transform: ' + transform);
+    }
+    // A point (x, y) turns to (y + dx, sy - x), where dx and sy are
+    // the differences and the sums of the center coordinates.
+    const dx = Math.round((metrics.characterWidth - emCenter2) / 2);
+    const sy = Math.round((metrics.characterWidth + emCenter2) / 2);
+    const height = pixels.length;
+    const width = height > 0 ? pixels[0].length : 0;
+    var rotated = [];
+    for (let x = 0; x < width; x++) {
+        let row = [];
+        for (let y = height - 1; y >= 0; y--) {
+            row.push(pixels[y][x]);
+        }
+        rotated.push(row);
+    }
+    return {
+        metrics: Object.assign({}, metrics, {
+            leftSidedBearing: dx - metrics.characterDescent,
+            rightSideBearing: dx + metrics.characterAscent,
+            characterAscent: sy - metrics.leftSidedBearing,
+            characterDescent: metrics.rightSideBearing - sy
+        }),
+        pixels: rotated
+    };
+}
+
+
+module.exports.VERTICAL_FORMS = VERTICAL_FORMS;
+module.exports.makeVerticalForm = makeVerticalForm;